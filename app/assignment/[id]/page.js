@@ -2,6 +2,7 @@
  * Assignment Mode Selection Page
  * Displays mode selection interface for a specific assignment
  * Includes parameter validation and route protection
+ * Also serves /c/[course]/assignment/[id] for courses other than the default one
  */
 
 'use client';
@@ -10,9 +11,16 @@ import { useRouter, useParams } from 'next/navigation';
 import { useEffect, useState } from 'react';
 import Container from '../../../components/Container';
 import ModeSelector from '../../../components/ModeSelector';
-import { loadQuestions } from '../../../utils/dataLoader';
+import { loadQuestionBank, DataValidationError } from '../../../utils/dataLoader';
 import { filterQuestionsByAssignment } from '../../../utils/questionFilter';
 import { isValidAssignment, navigate } from '../../../utils/navigationUtils';
+import { resolveCourse } from '../../../utils/courseManifest';
+import {
+  findAssignment,
+  isAssignmentReleased,
+  getReleasedAssignmentNumbers,
+  getAssignmentTimeLimit
+} from '../../../utils/assignmentMetadata';
 import { getUserName } from '../../../utils/storageUtils';
 import { trackPageView } from '../../../utils/analytics';
 
@@ -20,30 +28,42 @@ export default function AssignmentPage() {
   const router = useRouter();
   const params = useParams();
   const assignmentNumber = params.id;
+  const courseParam = params.course;
   const [isValidating, setIsValidating] = useState(true);
   const [hasQuestions, setHasQuestions] = useState(false);
   const [validationError, setValidationError] = useState(null);
+  const [isValidAssignmentNumber, setIsValidAssignmentNumber] = useState(true);
+  const [assignmentDetails, setAssignmentDetails] = useState(null);
+  const [courseId, setCourseId] = useState(null);
 
   const handleBack = () => {
-    navigate.toHome(router);
+    navigate.toHome(router, courseId);
   };
 
-  // Validate assignment number and check for questions
   const assignmentNum = parseInt(assignmentNumber);
-  const isValidAssignmentNumber = isValidAssignment(assignmentNumber);
 
-  // Validate that assignment has questions
+  // Validate the assignment against its course's bank and check for questions
   useEffect(() => {
     async function validateAssignment() {
-      if (!isValidAssignmentNumber) {
-        setValidationError('Invalid assignment number');
-        setIsValidating(false);
-        return;
-      }
-
       try {
-        const questions = await loadQuestions();
-        const assignmentQuestions = filterQuestionsByAssignment(questions, assignmentNumber);
+        const resolved = await resolveCourse(courseParam);
+        setCourseId(resolved.courseId);
+
+        const bank = await loadQuestionBank(resolved.course.bank);
+
+        if (!isValidAssignment(assignmentNumber, getReleasedAssignmentNumbers(bank.assignments))) {
+          const details = findAssignment(bank.assignments, assignmentNumber);
+          if (details && !isAssignmentReleased(details)) {
+            setValidationError(`Assignment ${assignmentNumber} opens on ${details.releaseDate}.`);
+          } else {
+            setIsValidAssignmentNumber(false);
+            setValidationError(`Assignment ${assignmentNumber} does not exist in this course.`);
+          }
+          return;
+        }
+
+        setAssignmentDetails(findAssignment(bank.assignments, assignmentNumber));
+        const assignmentQuestions = filterQuestionsByAssignment(bank.questions, assignmentNumber);
 
         if (assignmentQuestions.length === 0) {
           setValidationError(`Assignment ${assignmentNumber} has no available questions`);
@@ -53,14 +73,14 @@ export default function AssignmentPage() {
         }
       } catch (error) {
         console.error('Error validating assignment:', error);
-        setValidationError('Unable to load assignment data');
+        setValidationError(error instanceof DataValidationError ? error.message : 'Unable to load assignment data');
       } finally {
         setIsValidating(false);
       }
     }
 
     validateAssignment();
-  }, [assignmentNumber, isValidAssignmentNumber]);
+  }, [assignmentNumber, courseParam]);
 
   // Track page view when component mounts
   useEffect(() => {
@@ -94,7 +114,7 @@ export default function AssignmentPage() {
               {!isValidAssignmentNumber ? 'Invalid Assignment' : 'Assignment Unavailable'}
             </h1>
             <p className="text-gray-600 mb-8">
-              {validationError || 'Assignment number must be between 1 and 8.'}
+              {validationError || 'This assignment could not be loaded.'}
             </p>
             <button
               onClick={handleBack}
@@ -114,6 +134,10 @@ export default function AssignmentPage() {
         <ModeSelector
           assignmentNumber={assignmentNum}
           onBack={handleBack}
+          courseId={courseId}
+          title={assignmentDetails?.title}
+          examTimeLimit={getAssignmentTimeLimit(assignmentDetails)}
+          scoring={assignmentDetails?.scoring}
         />
       </div>
     </Container>
@@ -0,0 +1,6 @@
+/**
+ * Course Assignment Mode Selection Page
+ * Same page as /assignment/[id]; it reads the [course] parameter to pick the course
+ */
+
+export { default } from '../../../../assignment/[id]/page';
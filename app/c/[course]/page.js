@@ -0,0 +1,14 @@
+/**
+ * Course Home Page
+ * Assignment selection for one course of the manifest in public/courses.json
+ */
+
+'use client';
+
+import { useParams } from 'next/navigation';
+import HomePage from '../../../components/HomePage';
+
+export default function CoursePage() {
+  const params = useParams();
+  return <HomePage courseId={params.course} />;
+}
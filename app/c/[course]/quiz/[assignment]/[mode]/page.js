@@ -0,0 +1,6 @@
+/**
+ * Course Quiz Interface Page
+ * Same page as /quiz/[assignment]/[mode]; it reads the [course] parameter to pick the course
+ */
+
+export { default } from '../../../../../quiz/[assignment]/[mode]/page';
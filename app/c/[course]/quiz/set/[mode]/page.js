@@ -0,0 +1,6 @@
+/**
+ * Course Question Set Quiz Page
+ * Same page as /quiz/set/[mode]; it reads the [course] parameter to pick the course's bank
+ */
+
+export { default } from '../../../../../quiz/set/[mode]/page';
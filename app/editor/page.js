@@ -0,0 +1,19 @@
+/**
+ * Editor Page
+ * Authoring page for creating and editing the questions of a bank
+ */
+
+'use client';
+
+import { useEffect } from 'react';
+import QuestionEditor from '../../components/QuestionEditor';
+import { getUserName } from '../../utils/storageUtils';
+import { trackPageView } from '../../utils/analytics';
+
+export default function EditorPage() {
+  useEffect(() => {
+    trackPageView(window.location.href, getUserName());
+  }, []);
+
+  return <QuestionEditor />;
+}
@@ -0,0 +1,19 @@
+/**
+ * Export Page
+ * Exports an assignment to Moodle XML, IMS QTI 2.1 or a printable worksheet
+ */
+
+'use client';
+
+import { useEffect } from 'react';
+import BankExporter from '../../components/BankExporter';
+import { getUserName } from '../../utils/storageUtils';
+import { trackPageView } from '../../utils/analytics';
+
+export default function ExportPage() {
+  useEffect(() => {
+    trackPageView(window.location.href, getUserName());
+  }, []);
+
+  return <BankExporter />;
+}
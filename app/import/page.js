@@ -0,0 +1,19 @@
+/**
+ * Import Page
+ * Converts question files authored outside the app into the question bank format
+ */
+
+'use client';
+
+import { useEffect } from 'react';
+import BankImporter from '../../components/BankImporter';
+import { getUserName } from '../../utils/storageUtils';
+import { trackPageView } from '../../utils/analytics';
+
+export default function ImportPage() {
+  useEffect(() => {
+    trackPageView(window.location.href, getUserName());
+  }, []);
+
+  return <BankImporter />;
+}
@@ -1,6 +1,8 @@
 import { Geist, Geist_Mono } from "next/font/google";
 import "./globals.css";
 import ClientLayout from "../components/ClientLayout";
+import { getThemeScript } from "../utils/themes";
+import { USER_PREFERENCES_KEY } from "../utils/storageUtils";
 
 const geistSans = Geist({
   variable: "--font-geist-sans",
@@ -19,8 +21,10 @@ export const metadata = {
 
 export default function RootLayout({ children }) {
   return (
-    <html lang="en">
+    <html lang="en" suppressHydrationWarning>
       <head>
+        {/* Sets the colour theme before first paint; see utils/themes.js */}
+        <script dangerouslySetInnerHTML={{ __html: getThemeScript(USER_PREFERENCES_KEY) }} />
         {/* Google tag (gtag.js) */}
         <script async src="https://www.googletagmanager.com/gtag/js?id=G-MXE11CT2QV"></script>
         <script
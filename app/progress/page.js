@@ -0,0 +1,19 @@
+/**
+ * Progress Page
+ * Displays the current user's attempt history and weakest questions
+ */
+
+'use client';
+
+import { useEffect } from 'react';
+import ProgressDashboard from '../../components/ProgressDashboard';
+import { getUserName } from '../../utils/storageUtils';
+import { trackPageView } from '../../utils/analytics';
+
+export default function ProgressPage() {
+  useEffect(() => {
+    trackPageView(window.location.href, getUserName());
+  }, []);
+
+  return <ProgressDashboard />;
+}
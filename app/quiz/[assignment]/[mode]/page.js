@@ -2,41 +2,94 @@
  * Quiz Interface Page
  * Main quiz page that handles the complete quiz experience
  * Loads questions, prepares them based on mode, and manages quiz flow
+ * Also serves /c/[course]/quiz/[assignment]/[mode] for courses other than the default one
  */
 
 'use client';
 
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useMemo } from 'react';
 import { useRouter, useParams } from 'next/navigation';
 import Container from '../../../../components/Container';
 import Button from '../../../../components/Button';
 import QuizInterface from '../../../../components/QuizInterface';
 import QuizErrorBoundary from '../../../../components/QuizErrorBoundary';
 import DataErrorFallback from '../../../../components/DataErrorFallback';
-import { loadQuestions, DataLoadError, DataValidationError } from '../../../../utils/dataLoader';
+import { loadQuestionBank, DataLoadError, DataValidationError } from '../../../../utils/dataLoader';
 import { filterQuestionsByAssignment } from '../../../../utils/questionFilter';
-import { prepareQuestionsForMode } from '../../../../utils/shuffleUtils';
-import { validateQuizParams, navigate } from '../../../../utils/navigationUtils';
-import { getUserName } from '../../../../utils/storageUtils';
+import { prepareQuestionsForMode, isShuffledMode } from '../../../../utils/shuffleUtils';
+import { validateQuizParams, navigate, ROUTES, resolveUrlSeed } from '../../../../utils/navigationUtils';
+import { getUserName, getQuizProgress, clearQuizProgress } from '../../../../utils/storageUtils';
+import { restoreQuizState, isSnapshotCompatible, getSavedQuizSummary } from '../../../../utils/quizLogic';
+import { resolveCourse, getCourseScopedId } from '../../../../utils/courseManifest';
+import {
+  getReleasedAssignmentNumbers,
+  findAssignment,
+  getAssignmentTimeLimit,
+  getAssignmentScoringRules
+} from '../../../../utils/assignmentMetadata';
 import { trackPageView } from '../../../../utils/analytics';
 
 export default function QuizPage() {
   const router = useRouter();
   const params = useParams();
-  const { assignment, mode } = params;
+  const { assignment, mode, course: courseParam } = params;
   
+  const [bank, setBank] = useState(null);
+  const [courseId, setCourseId] = useState(null);
   const [questions, setQuestions] = useState(null);
+  const [seed, setSeed] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [savedProgress, setSavedProgress] = useState(null);
+  const [restoredState, setRestoredState] = useState(null);
+
+  // Load the course's bank first; its released assignments are the valid ones
+  useEffect(() => {
+    resolveCourse(courseParam)
+      .then(async resolved => {
+        setCourseId(resolved.courseId);
+        setBank(await loadQuestionBank(resolved.course.bank));
+      })
+      .catch(err => {
+        console.error('Error loading course:', err);
+        setError(err);
+        setLoading(false);
+      });
+  }, [courseParam]);
 
   // Validate route parameters
-  const paramValidation = validateQuizParams(assignment, mode);
-  const isValidParams = paramValidation.isValid;
+  const isReviewMode = mode === 'review';
+  const paramValidation = bank
+    ? validateQuizParams(assignment, mode, getReleasedAssignmentNumbers(bank.assignments))
+    : { isValid: false, errors: [] };
+  // Review sessions draw on the default course's answer history only
+  const paramErrors = courseId && isReviewMode
+    ? [...paramValidation.errors, 'Review sessions are only available for the default course.']
+    : paramValidation.errors;
+  const isValidParams = paramValidation.isValid && paramErrors.length === 0;
+  const progressId = getCourseScopedId(courseId, assignment);
+
+  // One object per bank and mode, so the quiz is not restarted on every render
+  const scoringRules = useMemo(
+    () => (bank ? getAssignmentScoringRules(findAssignment(bank.assignments, assignment), mode) : null),
+    [bank, assignment, mode]
+  );
+
+  // Review sessions only serve due questions, which live on their own route
+  useEffect(() => {
+    if (isValidParams && isReviewMode) {
+      navigate.replace(router, ROUTES.REVIEW(assignment));
+    }
+  }, [router, assignment, isValidParams, isReviewMode]);
 
   // Load and prepare questions
   useEffect(() => {
     async function loadAndPrepareQuestions() {
-      if (!isValidParams) {
+      if (!bank) {
+        return;
+      }
+
+      if (!isValidParams || isReviewMode) {
         setLoading(false);
         return;
       }
@@ -45,8 +98,7 @@ export default function QuizPage() {
         setLoading(true);
         setError(null);
 
-        // Load all questions with enhanced error handling
-        const allQuestions = await loadQuestions();
+        const allQuestions = bank.questions;
         
         // Filter questions for the specific assignment
         const assignmentQuestions = filterQuestionsByAssignment(allQuestions, assignment);
@@ -58,8 +110,12 @@ export default function QuizPage() {
           );
         }
 
+        // Shuffled modes keep their seed in the URL so the order can be replayed
+        const quizSeed = isShuffledMode(mode) ? resolveUrlSeed() : null;
+        setSeed(quizSeed);
+
         // Prepare questions based on the selected mode
-        const preparedQuestions = prepareQuestionsForMode(assignmentQuestions, mode);
+        const preparedQuestions = prepareQuestionsForMode(assignmentQuestions, mode, quizSeed);
         
         if (preparedQuestions.length === 0) {
           throw new DataValidationError(
@@ -68,6 +124,24 @@ export default function QuizPage() {
           );
         }
         
+        // Offer to continue a quiz the user left part-way through
+        const snapshot = getQuizProgress(progressId, mode);
+        const resumed = snapshot && restoreQuizState(snapshot);
+        const canResume = Boolean(resumed) && isSnapshotCompatible(snapshot, assignmentQuestions);
+        // Kept for the quiz to start from, unless the user discards it
+        setRestoredState(canResume ? resumed : null);
+        if (canResume) {
+          const autoResume = new URLSearchParams(window.location.search).get('resume') === '1';
+          if (autoResume) {
+            setQuestions(resumed.questions);
+            return;
+          }
+          setSavedProgress(snapshot);
+        } else if (snapshot) {
+          // The question bank changed since this was saved
+          clearQuizProgress(progressId, mode);
+        }
+        
         setQuestions(preparedQuestions);
       } catch (err) {
         console.error('Error loading questions:', err);
@@ -88,7 +162,7 @@ export default function QuizPage() {
     }
 
     loadAndPrepareQuestions();
-  }, [assignment, mode, isValidParams]);
+  }, [assignment, mode, bank, progressId, isValidParams, isReviewMode]);
 
   // Track page view when quiz loads successfully
   useEffect(() => {
@@ -98,30 +172,34 @@ export default function QuizPage() {
     }
   }, [loading, error, questions]);
 
-  // Handle quiz completion
-  const handleQuizComplete = ({ quizState, timeElapsed }) => {
-    // Quiz completion is now handled within QuizInterface component
-    // The ResultsScreen is displayed directly in the QuizInterface
-    console.log('Quiz completed:', { quizState, timeElapsed });
+  const handleResume = () => {
+    setQuestions(restoredState.questions);
+    setSavedProgress(null);
+  };
+
+  const handleDiscardProgress = () => {
+    clearQuizProgress(progressId, mode);
+    setRestoredState(null);
+    setSavedProgress(null);
   };
 
   const handleBack = () => {
-    navigate.toAssignment(router, assignment);
+    navigate.toAssignment(router, assignment, courseId);
   };
 
   const handleHome = () => {
-    navigate.toHome(router);
+    navigate.toHome(router, courseId);
   };
 
   // Invalid parameters
-  if (!isValidParams) {
+  if (bank && !isValidParams) {
     return (
       <Container>
         <div className="min-h-screen flex items-center justify-center">
           <div className="text-center">
             <h1 className="text-4xl font-bold text-red-600 mb-4">Invalid Parameters</h1>
             <p className="text-gray-600 mb-8">
-              {paramValidation.errors.join(' ')}
+              {paramErrors.join(' ')}
             </p>
             <div className="space-x-4">
               <Button onClick={handleBack} variant="outline">
@@ -138,7 +216,7 @@ export default function QuizPage() {
   }
 
   // Loading state
-  if (loading) {
+  if (loading || isReviewMode) {
     return (
       <Container>
         <div className="min-h-screen flex items-center justify-center">
@@ -168,6 +246,37 @@ export default function QuizPage() {
     );
   }
 
+  // Saved progress found: let the user resume or explicitly discard it
+  if (savedProgress) {
+    const summary = getSavedQuizSummary(savedProgress);
+    const minutes = Math.floor(summary.elapsedSeconds / 60);
+    const seconds = summary.elapsedSeconds % 60;
+
+    return (
+      <Container>
+        <div className="min-h-screen flex items-center justify-center">
+          <div className="text-center max-w-md">
+            <h1 className="text-3xl font-bold text-gray-900 mb-4">Resume where you left off?</h1>
+            <p className="text-gray-600 mb-2">
+              You were on question {summary.currentQuestion} of {summary.totalQuestions} with {summary.answeredCount} answered.
+            </p>
+            <p className="text-sm text-gray-500 mb-8">
+              Time so far: {minutes}:{seconds.toString().padStart(2, '0')}
+            </p>
+            <div className="flex flex-col sm:flex-row gap-3 justify-center">
+              <Button onClick={handleResume}>
+                Resume Quiz
+              </Button>
+              <Button onClick={handleDiscardProgress} variant="danger">
+                Discard and Start Over
+              </Button>
+            </div>
+          </div>
+        </div>
+      </Container>
+    );
+  }
+
   // Render quiz interface with error boundary
   return (
     <QuizErrorBoundary assignment={assignment} mode={mode}>
@@ -175,7 +284,14 @@ export default function QuizPage() {
         assignment={assignment}
         mode={mode}
         questions={questions}
-        onComplete={handleQuizComplete}
+        initialState={restoredState}
+        persistProgress={true}
+        allowReview={true}
+        seed={seed}
+        course={courseId}
+        examTimeLimit={getAssignmentTimeLimit(findAssignment(bank.assignments, assignment))}
+        scoringRules={scoringRules}
+        latexMacros={bank.latexMacros}
       />
     </QuizErrorBoundary>
   );
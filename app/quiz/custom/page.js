@@ -0,0 +1,140 @@
+/**
+ * Custom Quiz Page
+ * Without a complete config in the URL this shows the custom quiz builder;
+ * with one (/quiz/custom?weeks=1,3&count=10&mode=test-easy&seed=abc123) it runs the quiz
+ */
+
+'use client';
+
+import { Suspense, useState, useEffect } from 'react';
+import { useSearchParams } from 'next/navigation';
+import Container from '../../../components/Container';
+import QuizInterface from '../../../components/QuizInterface';
+import QuizErrorBoundary from '../../../components/QuizErrorBoundary';
+import DataErrorFallback from '../../../components/DataErrorFallback';
+import CustomQuizBuilder from '../../../components/CustomQuizBuilder';
+import { loadQuestionBank, DataLoadError, DataValidationError } from '../../../utils/dataLoader';
+import { getReleasedAssignmentNumbers } from '../../../utils/assignmentMetadata';
+import { prepareQuestionsForMode } from '../../../utils/shuffleUtils';
+import { parseCustomQuizParams, buildCustomQuiz } from '../../../utils/customQuiz';
+import { getUserName } from '../../../utils/storageUtils';
+import { trackPageView } from '../../../utils/analytics';
+
+function CustomQuiz() {
+  const searchParams = useSearchParams();
+  const query = searchParams.toString();
+
+  const [config, setConfig] = useState(null);
+  const [questions, setQuestions] = useState(null);
+  const [latexMacros, setLatexMacros] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  // Build the quiz described by the URL; its weeks must be released in the bank
+  useEffect(() => {
+    async function loadCustomQuiz() {
+      try {
+        setLoading(true);
+        setError(null);
+
+        const bank = await loadQuestionBank();
+        const quizConfig = parseCustomQuizParams(query, getReleasedAssignmentNumbers(bank.assignments));
+        setConfig(quizConfig);
+
+        if (!quizConfig) {
+          return;
+        }
+
+        const selectedQuestions = buildCustomQuiz(bank.questions, quizConfig);
+
+        if (selectedQuestions.length === 0) {
+          throw new DataValidationError(
+            'No questions match this custom quiz. Try other weeks or question types.',
+            { config: quizConfig }
+          );
+        }
+
+        setLatexMacros(bank.latexMacros);
+        setQuestions(prepareQuestionsForMode(selectedQuestions, quizConfig.mode, quizConfig.seed));
+      } catch (err) {
+        console.error('Error loading custom quiz:', err);
+
+        if (err instanceof DataLoadError || err instanceof DataValidationError) {
+          setError(err);
+        } else {
+          setError(new DataLoadError(
+            'An unexpected error occurred while loading the quiz.',
+            err
+          ));
+        }
+      } finally {
+        setLoading(false);
+      }
+    }
+
+    loadCustomQuiz();
+  }, [query]);
+
+  // Track page view when the quiz loads successfully
+  useEffect(() => {
+    if (!loading && !error && questions) {
+      const userName = getUserName();
+      trackPageView(window.location.href, userName);
+    }
+  }, [loading, error, questions]);
+
+  if (!loading && !error && !config) {
+    return <CustomQuizBuilder />;
+  }
+
+  if (loading || (!error && !questions)) {
+    return (
+      <Container>
+        <div className="min-h-screen flex items-center justify-center">
+          <div className="text-center">
+            <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600 mx-auto mb-4"></div>
+            <p className="text-gray-600">Building your custom quiz...</p>
+          </div>
+        </div>
+      </Container>
+    );
+  }
+
+  if (error) {
+    return (
+      <DataErrorFallback
+        error={error}
+        mode={config?.mode}
+        onRetry={() => {
+          setError(null);
+          setLoading(true);
+          window.location.reload();
+        }}
+      />
+    );
+  }
+
+  return (
+    <QuizErrorBoundary mode={config.mode}>
+      <QuizInterface
+        key={query}
+        assignment="custom"
+        mode={config.mode}
+        questions={questions}
+        title={`Custom Quiz - Week${config.weeks.length !== 1 ? 's' : ''} ${config.weeks.join(', ')}`}
+        allowReview={true}
+        seed={config.seed}
+        latexMacros={latexMacros}
+      />
+    </QuizErrorBoundary>
+  );
+}
+
+export default function CustomQuizPage() {
+  // useSearchParams needs a suspense boundary when the page is prerendered
+  return (
+    <Suspense fallback={null}>
+      <CustomQuiz />
+    </Suspense>
+  );
+}
@@ -1,6 +1,6 @@
 /**
  * Mega Test Quiz Page
- * Special quiz covering all 7 weeks with reward system
+ * Special quiz covering every released week with reward system
  */
 
 'use client';
@@ -10,14 +10,21 @@ import { useRouter } from 'next/navigation';
 import QuizInterface from '../../../../components/QuizInterface';
 import RewardModal from '../../../../components/RewardModal';
 import Container from '../../../../components/Container';
-import { loadQuestions } from '../../../../utils/dataLoader';
-import { shuffleArray } from '../../../../utils/shuffleUtils';
+import { loadQuestionBank } from '../../../../utils/dataLoader';
+import { getReleasedQuestions } from '../../../../utils/assignmentMetadata';
+import { getAvailableAssignments } from '../../../../utils/questionFilter';
+import { shuffleArray, createSeededRandom } from '../../../../utils/shuffleUtils';
+import { resolveUrlSeed } from '../../../../utils/navigationUtils';
 import { getUserName } from '../../../../utils/storageUtils';
 import { trackPageView } from '../../../../utils/analytics';
+import { QUIZ_THEMES } from '../../../../utils/themes';
 
 export default function MegaTestPage() {
   const router = useRouter();
   const [questions, setQuestions] = useState([]);
+  const [weekCount, setWeekCount] = useState(0);
+  const [seed, setSeed] = useState(null);
+  const [latexMacros, setLatexMacros] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState(null);
   const [showRewardModal, setShowRewardModal] = useState(false);
@@ -28,21 +35,22 @@ export default function MegaTestPage() {
     const loadMegaTestQuestions = async () => {
       try {
         setIsLoading(true);
-        const allQuestions = await loadQuestions();
+        const bank = await loadQuestionBank();
         
-        // Get questions from all assignments (1-8)
-        const megaQuestions = allQuestions.filter(q => {
-          const assignmentNum = parseInt(q.assignmentnumber);
-          return assignmentNum >= 1 && assignmentNum <= 8;
-        });
+        // Get questions from every released assignment
+        const megaQuestions = getReleasedQuestions(bank);
 
         if (megaQuestions.length === 0) {
           throw new Error('No questions available for mega test');
         }
 
-        // Shuffle questions for variety
-        const shuffledQuestions = shuffleArray([...megaQuestions]);
+        // Shuffle questions for variety; the seed in the URL replays the same order
+        const quizSeed = resolveUrlSeed();
+        const shuffledQuestions = shuffleArray([...megaQuestions], createSeededRandom(quizSeed));
         
+        setSeed(quizSeed);
+        setLatexMacros(bank.latexMacros);
+        setWeekCount(getAvailableAssignments(megaQuestions).length);
         setQuestions(shuffledQuestions);
       } catch (err) {
         console.error('Error loading mega test questions:', err);
@@ -119,15 +127,13 @@ export default function MegaTestPage() {
         assignmentNumber="mega"
         mode="practice"
         title="MEGA TEST - Ultimate ML Challenge"
-        subtitle={`All 8 weeks • ${questions.length} questions • Score 1+ for rewards!`}
+        subtitle={`All ${weekCount} weeks • ${questions.length} questions • Score 1+ for rewards!`}
         onComplete={handleQuizComplete}
         showProgress={true}
         allowReview={true}
-        customTheme={{
-          primary: 'from-yellow-500 to-orange-500',
-          accent: 'yellow-600',
-          background: 'from-yellow-50 to-orange-50'
-        }}
+        seed={seed}
+        customTheme={QUIZ_THEMES.MEGA}
+        latexMacros={latexMacros}
       />
       
       <RewardModal
@@ -0,0 +1,195 @@
+/**
+ * Review Quiz Page
+ * Serves only the questions that are due for spaced-repetition review,
+ * either across all assignments (/quiz/review/all) or for one assignment
+ */
+
+'use client';
+
+import { useState, useEffect } from 'react';
+import { useRouter, useParams } from 'next/navigation';
+import Container from '../../../../components/Container';
+import Button from '../../../../components/Button';
+import QuizInterface from '../../../../components/QuizInterface';
+import QuizErrorBoundary from '../../../../components/QuizErrorBoundary';
+import DataErrorFallback from '../../../../components/DataErrorFallback';
+import { loadQuestionBank, DataLoadError, DataValidationError } from '../../../../utils/dataLoader';
+import { filterQuestionsByAssignment } from '../../../../utils/questionFilter';
+import { getReleasedAssignmentNumbers, getReleasedQuestions } from '../../../../utils/assignmentMetadata';
+import { getDueQuestions, getNextDueTime } from '../../../../utils/reviewScheduler';
+import { isValidReviewScope, navigate } from '../../../../utils/navigationUtils';
+import { getUserName, getQuestionHistory } from '../../../../utils/storageUtils';
+import { trackPageView } from '../../../../utils/analytics';
+
+export default function ReviewPage() {
+  const router = useRouter();
+  const params = useParams();
+  const { scope } = params;
+  const isAllAssignments = scope === 'all';
+
+  const [questions, setQuestions] = useState(null);
+  const [nextDueTime, setNextDueTime] = useState(null);
+  const [latexMacros, setLatexMacros] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [isValidScope, setIsValidScope] = useState(true);
+
+  // Load questions and keep only the ones due for review
+  useEffect(() => {
+    async function loadDueQuestions() {
+      try {
+        setLoading(true);
+        setError(null);
+
+        // Only released assignments can be reviewed
+        const bank = await loadQuestionBank();
+
+        if (!isValidReviewScope(scope, getReleasedAssignmentNumbers(bank.assignments))) {
+          setIsValidScope(false);
+          return;
+        }
+        setIsValidScope(true);
+        setLatexMacros(bank.latexMacros);
+
+        const scopedQuestions = isAllAssignments
+          ? getReleasedQuestions(bank)
+          : filterQuestionsByAssignment(bank.questions, scope);
+
+        const history = getQuestionHistory();
+        const now = Date.now();
+
+        setQuestions(getDueQuestions(scopedQuestions, history, now));
+        setNextDueTime(getNextDueTime(scopedQuestions, history, now));
+      } catch (err) {
+        console.error('Error loading review questions:', err);
+
+        if (err instanceof DataLoadError || err instanceof DataValidationError) {
+          setError(err);
+        } else {
+          setError(new DataLoadError(
+            'An unexpected error occurred while loading the review session.',
+            err
+          ));
+        }
+      } finally {
+        setLoading(false);
+      }
+    }
+
+    loadDueQuestions();
+  }, [scope, isAllAssignments]);
+
+  // Track page view when review loads successfully
+  useEffect(() => {
+    if (!loading && !error && questions) {
+      const userName = getUserName();
+      trackPageView(window.location.href, userName);
+    }
+  }, [loading, error, questions]);
+
+  const handleBack = () => {
+    if (isAllAssignments || !isValidScope) {
+      navigate.toHome(router);
+    } else {
+      navigate.toAssignment(router, scope);
+    }
+  };
+
+  const handleHome = () => {
+    navigate.toHome(router);
+  };
+
+  // Invalid scope
+  if (!isValidScope) {
+    return (
+      <Container>
+        <div className="min-h-screen flex items-center justify-center">
+          <div className="text-center">
+            <h1 className="text-4xl font-bold text-red-600 mb-4">Invalid Review</h1>
+            <p className="text-gray-600 mb-8">
+              Review must be for all assignments or a valid assignment number.
+            </p>
+            <Button onClick={handleHome}>
+              Back to Home
+            </Button>
+          </div>
+        </div>
+      </Container>
+    );
+  }
+
+  // Loading state
+  if (loading) {
+    return (
+      <Container>
+        <div className="min-h-screen flex items-center justify-center">
+          <div className="text-center">
+            <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600 mx-auto mb-4"></div>
+            <p className="text-gray-600">Finding questions due for review...</p>
+          </div>
+        </div>
+      </Container>
+    );
+  }
+
+  if (error) {
+    return (
+      <DataErrorFallback
+        error={error}
+        assignment={isAllAssignments ? undefined : scope}
+        mode="review"
+        onRetry={() => {
+          setError(null);
+          setLoading(true);
+          window.location.reload();
+        }}
+      />
+    );
+  }
+
+  // Nothing due right now
+  if (!questions || questions.length === 0) {
+    return (
+      <Container>
+        <div className="min-h-screen flex items-center justify-center">
+          <div className="text-center max-w-md">
+            <h1 className="text-3xl font-bold text-gray-900 mb-4">All caught up!</h1>
+            <p className="text-gray-600 mb-2">
+              No questions are due for review right now.
+            </p>
+            <p className="text-sm text-gray-500 mb-8">
+              {nextDueTime
+                ? `Next review due ${new Date(nextDueTime).toLocaleString()}.`
+                : 'Answer questions in a test mode to build your review schedule.'}
+            </p>
+            <div className="space-x-4">
+              <Button onClick={handleBack} variant="outline">
+                {isAllAssignments ? 'Back to Home' : 'Back to Mode Selection'}
+              </Button>
+              {!isAllAssignments && (
+                <Button onClick={handleHome}>
+                  Back to Home
+                </Button>
+              )}
+            </div>
+          </div>
+        </div>
+      </Container>
+    );
+  }
+
+  return (
+    <QuizErrorBoundary assignment={isAllAssignments ? undefined : scope} mode="review">
+      <QuizInterface
+        assignment={isAllAssignments ? 'review' : scope}
+        mode="review"
+        questions={questions}
+        title={isAllAssignments
+          ? `Review - ${questions.length} due question${questions.length !== 1 ? 's' : ''}`
+          : undefined}
+        allowReview={true}
+        latexMacros={latexMacros}
+      />
+    </QuizErrorBoundary>
+  );
+}
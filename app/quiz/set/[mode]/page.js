@@ -0,0 +1,178 @@
+/**
+ * Question Set Quiz Page
+ * Runs a quiz over an arbitrary set of questions given in the URL
+ * (/quiz/set/[mode]?q=1-3,2-5), e.g. to retry the mistakes of the last attempt
+ * Also serves /c/[course]/quiz/set/[mode], whose question keys belong to that course's bank
+ */
+
+'use client';
+
+import { Suspense, useState, useEffect } from 'react';
+import { useRouter, useParams, useSearchParams } from 'next/navigation';
+import Container from '../../../../components/Container';
+import Button from '../../../../components/Button';
+import QuizInterface from '../../../../components/QuizInterface';
+import QuizErrorBoundary from '../../../../components/QuizErrorBoundary';
+import DataErrorFallback from '../../../../components/DataErrorFallback';
+import { loadQuestionBank, DataLoadError, DataValidationError } from '../../../../utils/dataLoader';
+import { filterQuestionsByKeys } from '../../../../utils/questionFilter';
+import { prepareQuestionsForMode, isShuffledMode } from '../../../../utils/shuffleUtils';
+import { isValidQuestionSetMode, parseQuestionKeys, navigate, resolveUrlSeed } from '../../../../utils/navigationUtils';
+import { getUserName } from '../../../../utils/storageUtils';
+import { resolveCourse } from '../../../../utils/courseManifest';
+import { trackPageView } from '../../../../utils/analytics';
+
+function QuestionSetQuiz() {
+  const router = useRouter();
+  const params = useParams();
+  const searchParams = useSearchParams();
+  const { mode, course: courseParam } = params;
+  const questionParam = searchParams.get('q');
+
+  const [courseId, setCourseId] = useState(null);
+  const [questions, setQuestions] = useState(null);
+  const [seed, setSeed] = useState(null);
+  const [latexMacros, setLatexMacros] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const isValidMode = isValidQuestionSetMode(mode);
+  const questionKeys = parseQuestionKeys(questionParam);
+  const isValidSet = isValidMode && questionKeys.length > 0;
+
+  // Load the requested questions and prepare them for the mode
+  useEffect(() => {
+    async function loadQuestionSet() {
+      const keys = parseQuestionKeys(questionParam);
+      if (!isValidQuestionSetMode(mode) || keys.length === 0) {
+        setLoading(false);
+        return;
+      }
+
+      try {
+        setLoading(true);
+        setError(null);
+
+        // Question keys only name an assignment and question, so use the course's own bank
+        const resolved = await resolveCourse(courseParam);
+        const bank = await loadQuestionBank(resolved.course.bank);
+        const selectedQuestions = filterQuestionsByKeys(bank.questions, keys);
+
+        if (selectedQuestions.length === 0) {
+          throw new DataValidationError(
+            'None of the requested questions exist any more. The question bank may have changed.',
+            { questionKeys: keys }
+          );
+        }
+
+        // Shuffled modes keep their seed in the URL so the order can be replayed
+        const quizSeed = isShuffledMode(mode) ? resolveUrlSeed() : null;
+        setSeed(quizSeed);
+        setCourseId(resolved.courseId);
+        setLatexMacros(bank.latexMacros);
+        setQuestions(prepareQuestionsForMode(selectedQuestions, mode, quizSeed));
+      } catch (err) {
+        console.error('Error loading question set:', err);
+
+        if (err instanceof DataLoadError || err instanceof DataValidationError) {
+          setError(err);
+        } else {
+          setError(new DataLoadError(
+            'An unexpected error occurred while loading the quiz.',
+            err
+          ));
+        }
+      } finally {
+        setLoading(false);
+      }
+    }
+
+    loadQuestionSet();
+  }, [mode, questionParam, courseParam]);
+
+  // Track page view when the quiz loads successfully
+  useEffect(() => {
+    if (!loading && !error && questions) {
+      const userName = getUserName();
+      trackPageView(window.location.href, userName);
+    }
+  }, [loading, error, questions]);
+
+  const handleHome = () => {
+    navigate.toHome(router, courseParam || null);
+  };
+
+  // Invalid mode or no questions requested
+  if (!isValidSet) {
+    return (
+      <Container>
+        <div className="min-h-screen flex items-center justify-center">
+          <div className="text-center">
+            <h1 className="text-4xl font-bold text-red-600 mb-4">Invalid Quiz</h1>
+            <p className="text-gray-600 mb-8">
+              {isValidMode
+                ? 'This link does not list any questions.'
+                : 'Mode must be learn, test-easy, test-difficult, or exam.'}
+            </p>
+            <Button onClick={handleHome}>
+              Back to Home
+            </Button>
+          </div>
+        </div>
+      </Container>
+    );
+  }
+
+  // Loading state
+  if (loading) {
+    return (
+      <Container>
+        <div className="min-h-screen flex items-center justify-center">
+          <div className="text-center">
+            <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600 mx-auto mb-4"></div>
+            <p className="text-gray-600">Loading quiz...</p>
+          </div>
+        </div>
+      </Container>
+    );
+  }
+
+  if (error) {
+    return (
+      <DataErrorFallback
+        error={error}
+        mode={mode}
+        onRetry={() => {
+          setError(null);
+          setLoading(true);
+          window.location.reload();
+        }}
+      />
+    );
+  }
+
+  return (
+    <QuizErrorBoundary mode={mode}>
+      <QuizInterface
+        key={questionParam}
+        assignment="retry"
+        mode={mode}
+        questions={questions}
+        title={`Retry Mistakes - ${questions.length} question${questions.length !== 1 ? 's' : ''}`}
+        allowReview={true}
+        seed={seed}
+        course={courseId}
+        latexMacros={latexMacros}
+      />
+    </QuizErrorBoundary>
+  );
+}
+
+export default function QuestionSetPage() {
+  // useSearchParams needs a suspense boundary when the page is prerendered
+  return (
+    <Suspense fallback={null}>
+      <QuestionSetQuiz />
+    </Suspense>
+  );
+}
@@ -0,0 +1,221 @@
+/**
+ * AnswerReview Component
+ * Walks through every question of a finished quiz, comparing the user's picks,
+ * typed answers or orders with the correct ones, with filters and a way to retry the wrong ones
+ */
+
+'use client';
+
+import { useMemo, useState } from 'react';
+import Button from './Button';
+import Container from './Container';
+import MarkdownRenderer from './MarkdownRenderer';
+import QuestionExplanation from './QuestionExplanation';
+import QuestionImage from './QuestionImage';
+import { getDetailedResults, filterDetailedResults, REVIEW_FILTERS } from '../utils/scoringUtils';
+import { QUESTION_TYPES, isTypedAnswerQuestion } from '../utils/questionTypes';
+
+const FILTER_LABELS = {
+  [REVIEW_FILTERS.ALL]: 'All',
+  [REVIEW_FILTERS.WRONG]: 'Wrong',
+  [REVIEW_FILTERS.RIGHT]: 'Right',
+  [REVIEW_FILTERS.UNANSWERED]: 'Unanswered',
+  [REVIEW_FILTERS.MULTI_ANSWER]: 'Multi-answer'
+};
+
+/**
+ * Gets the status badge for a reviewed question
+ * @param {Object} result - Detailed result for the question
+ * @returns {Object} Badge { label, className }
+ */
+function getStatusBadge(result) {
+  if (!result.isAnswered) {
+    return { label: 'Unanswered', className: 'bg-gray-100 text-gray-700' };
+  }
+  if (result.isCorrect) {
+    return { label: 'Correct', className: 'bg-green-100 text-green-800' };
+  }
+  return { label: 'Wrong', className: 'bg-red-100 text-red-800' };
+}
+
+/**
+ * Gets the styling for an option in the review
+ * @param {Object} option - Option details from getDetailedResults
+ * @returns {string} Tailwind classes
+ */
+function getOptionClass(option) {
+  if (option.isCorrect) {
+    return 'border-green-500 bg-green-50';
+  }
+  if (option.wasSelected) {
+    return 'border-red-500 bg-red-50';
+  }
+  return 'border-gray-200 bg-white';
+}
+
+export default function AnswerReview({
+  quizState,
+  onRetryWrong,
+  onBack
+}) {
+  const [filter, setFilter] = useState(REVIEW_FILTERS.ALL);
+
+  const detailedResults = useMemo(
+    () => getDetailedResults(quizState.userAnswers, quizState.questions),
+    [quizState]
+  );
+
+  const visibleResults = useMemo(
+    () => filterDetailedResults(detailedResults, filter),
+    [detailedResults, filter]
+  );
+
+  const wrongQuestions = useMemo(
+    () => filterDetailedResults(detailedResults, REVIEW_FILTERS.WRONG)
+      .map(result => quizState.questions[result.questionNumber - 1]),
+    [detailedResults, quizState.questions]
+  );
+
+  return (
+    <Container size="lg">
+      <div className="min-h-screen py-6 sm:py-8">
+        <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 mb-6">
+          <h1 className="text-2xl sm:text-3xl font-bold text-gray-900">Review Answers</h1>
+          <div className="flex gap-2">
+            <Button onClick={onBack} variant="outline" size="sm">
+              ← Back to Results
+            </Button>
+            {onRetryWrong && wrongQuestions.length > 0 && (
+              <Button onClick={() => onRetryWrong(wrongQuestions)} size="sm">
+                Retry {wrongQuestions.length} wrong question{wrongQuestions.length !== 1 ? 's' : ''}
+              </Button>
+            )}
+          </div>
+        </div>
+
+        {/* Filters */}
+        <div className="flex flex-wrap gap-2 mb-6" role="group" aria-label="Filter questions">
+          {Object.values(REVIEW_FILTERS).map(filterId => (
+            <button
+              key={filterId}
+              type="button"
+              onClick={() => setFilter(filterId)}
+              aria-pressed={filter === filterId}
+              className={`px-3 py-1.5 rounded-full text-sm font-medium border transition-colors ${
+                filter === filterId
+                  ? 'bg-blue-600 text-white border-blue-600'
+                  : 'bg-white text-gray-700 border-gray-300 hover:bg-gray-50'
+              }`}
+            >
+              {FILTER_LABELS[filterId]} ({filterDetailedResults(detailedResults, filterId).length})
+            </button>
+          ))}
+        </div>
+
+        {visibleResults.length === 0 ? (
+          <div className="text-center p-8 bg-blue-50 rounded-lg">
+            <p className="text-blue-800">No questions match this filter.</p>
+          </div>
+        ) : (
+          <ol className="space-y-4">
+            {visibleResults.map(result => {
+              const question = quizState.questions[result.questionNumber - 1];
+              const badge = getStatusBadge(result);
+
+              return (
+                <li key={result.questionNumber} className="bg-white rounded-lg shadow p-4 sm:p-6">
+                  <div className="flex items-start justify-between gap-3 mb-3">
+                    <h2 className="text-sm font-medium text-gray-500">
+                      Question {result.questionNumber}
+                      {result.isMultipleChoice && ' · multiple answers'}
+                    </h2>
+                    <span className={`flex-shrink-0 px-2 py-0.5 rounded-full text-xs font-semibold ${badge.className}`}>
+                      {badge.label}
+                    </span>
+                  </div>
+
+                  <div className="text-base sm:text-lg font-semibold text-gray-800 mb-3">
+                    <MarkdownRenderer>{result.question}</MarkdownRenderer>
+                  </div>
+
+                  <QuestionImage
+                    image={question.image}
+                    alt={question.imageAlt}
+                    description={question.imageDescription}
+                    maxWidth={400}
+                    className="mb-3"
+                  />
+
+                  {result.type === QUESTION_TYPES.MULTIPLE_CHOICE && (
+                    <ul className="space-y-2">
+                      {result.allOptions.map(option => (
+                        <li
+                          key={option.number}
+                          className={`flex items-start gap-3 p-2 sm:p-3 rounded border-2 ${getOptionClass(option)}`}
+                        >
+                          <span className="font-bold text-gray-700">{option.number}.</span>
+                          <span className="flex-1 text-gray-800">
+                            <MarkdownRenderer>{option.text}</MarkdownRenderer>
+                          </span>
+                          <span className="flex-shrink-0 text-xs font-medium text-gray-600">
+                            {option.wasSelected && 'Your answer'}
+                            {option.wasSelected && option.isCorrect && ' ✓'}
+                            {option.wasSelected && !option.isCorrect && ' ✗'}
+                            {!option.wasSelected && option.isCorrect && 'Correct answer'}
+                          </span>
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+
+                  {isTypedAnswerQuestion(question) && (
+                    <dl className="grid grid-cols-[auto_1fr] gap-x-3 gap-y-1 text-sm sm:text-base">
+                      <dt className="font-medium text-gray-600">Your answer</dt>
+                      <dd className={result.isCorrect ? 'text-green-800' : 'text-red-800'}>
+                        {result.isAnswered ? `${result.selectedOptions[0]} ${result.isCorrect ? '✓' : '✗'}` : '—'}
+                      </dd>
+                      <dt className="font-medium text-gray-600">
+                        {result.correctOptions.length > 1 ? 'Accepted answers' : 'Correct answer'}
+                      </dt>
+                      <dd className="text-gray-800">{result.correctOptions.join(', ')}</dd>
+                    </dl>
+                  )}
+
+                  {result.type === QUESTION_TYPES.ORDERING && (
+                    <ol className="space-y-2">
+                      {(result.isAnswered ? result.selectedOptions : result.correctOptions).map((optionNumber, index) => {
+                        const option = result.allOptions.find(o => o.number === optionNumber);
+                        const inPlace = result.correctOptions[index] === optionNumber;
+
+                        return (
+                          <li
+                            key={optionNumber}
+                            className={`flex items-start gap-3 p-2 sm:p-3 rounded border-2 ${
+                              !result.isAnswered || inPlace ? 'border-green-500 bg-green-50' : 'border-red-500 bg-red-50'
+                            }`}
+                          >
+                            <span className="font-bold text-gray-700">{index + 1}.</span>
+                            <span className="flex-1 text-gray-800">
+                              <MarkdownRenderer>{option.text}</MarkdownRenderer>
+                            </span>
+                            {result.isAnswered && !inPlace && (
+                              <span className="flex-shrink-0 text-xs font-medium text-gray-600">
+                                Belongs at {result.correctOptions.indexOf(optionNumber) + 1}
+                              </span>
+                            )}
+                          </li>
+                        );
+                      })}
+                    </ol>
+                  )}
+
+                  <QuestionExplanation question={question} selectedAnswers={result.selectedOptions} />
+                </li>
+              );
+            })}
+          </ol>
+        )}
+      </div>
+    </Container>
+  );
+}
@@ -1,6 +1,6 @@
 /**
  * AssignmentCard Component
- * Individual assignment selection card with number, description, and navigation
+ * Individual assignment selection card with number, description, topic tags, and navigation
  */
 
 'use client';
@@ -14,13 +14,17 @@ export default function AssignmentCard({
   title, 
   description,
   questionCount,
+  tags = [],
+  bestScore = null,
+  lastScore = null,
+  courseId = null,
   className = '' 
 }) {
   const router = useRouter();
 
   const handleAssignmentSelect = () => {
     // Navigate to assignment mode selection page
-    navigate.toAssignment(router, assignmentNumber);
+    navigate.toAssignment(router, assignmentNumber, courseId);
   };
 
   return (
@@ -51,14 +55,30 @@ export default function AssignmentCard({
           <p className="text-sm text-gray-600 leading-relaxed mb-2 line-clamp-2">
             {description || `Practice ML concepts from week ${assignmentNumber}`}
           </p>
+
+          {/* Topic Tags */}
+          {tags.length > 0 && (
+            <div className="flex flex-wrap gap-1 mb-2">
+              {tags.map(tag => (
+                <span key={tag} className="text-xs bg-blue-50 text-blue-700 px-2 py-0.5 rounded-full">
+                  {tag}
+                </span>
+              ))}
+            </div>
+          )}
           
-          {/* Bottom Row: Question count and Start indicator */}
+          {/* Bottom Row: Question count, past scores and Start indicator */}
           <div className="flex items-center justify-between">
             {questionCount && (
               <span className="text-xs text-gray-500">
                 {questionCount} questions
               </span>
             )}
+            {bestScore !== null && (
+              <span className="text-xs text-gray-500 ml-2">
+                Best {bestScore}% · Last {lastScore}%
+              </span>
+            )}
             <span className="text-sm text-blue-600 font-medium ml-auto">
               Start →
             </span>
@@ -0,0 +1,181 @@
+/**
+ * BankExporter Component
+ * Instructor page for taking an assignment out of the app: Moodle XML,
+ * an IMS QTI 2.1 package, or a printable worksheet with answer key
+ */
+
+'use client';
+
+import { useState, useEffect, useMemo } from 'react';
+import { useRouter } from 'next/navigation';
+import Card from './Card';
+import Button from './Button';
+import Container from './Container';
+import { loadCourseManifest, getDefaultCourse } from '../utils/courseManifest';
+import { loadQuestionBank } from '../utils/dataLoader';
+import { filterQuestionsByAssignment } from '../utils/questionFilter';
+import { toMoodleXml, toQtiPackage, toWorksheetHtml } from '../utils/bankExport';
+import { downloadFile } from '../utils/download';
+import { navigate } from '../utils/navigationUtils';
+
+export default function BankExporter() {
+  const router = useRouter();
+  const [courses, setCourses] = useState([]);
+  const [courseId, setCourseId] = useState('');
+  const [bank, setBank] = useState(null);
+  const [assignmentNumber, setAssignmentNumber] = useState('');
+  const [includeAnswerKey, setIncludeAnswerKey] = useState(true);
+  const [loadError, setLoadError] = useState(null);
+
+  useEffect(() => {
+    const loadCourses = async () => {
+      try {
+        const manifest = await loadCourseManifest();
+        setCourses(manifest.courses);
+        setCourseId(getDefaultCourse(manifest).id);
+      } catch (error) {
+        console.error('Error loading courses for export:', error);
+        setLoadError(error.message);
+      }
+    };
+
+    loadCourses();
+  }, []);
+
+  const course = courses.find(c => c.id === courseId) || null;
+
+  useEffect(() => {
+    if (!course) return;
+
+    const loadBank = async () => {
+      try {
+        // Instructors export every assignment, released or not
+        const courseBank = await loadQuestionBank(course.bank);
+        setBank(courseBank);
+        setAssignmentNumber(courseBank.assignments.length > 0 ? String(courseBank.assignments[0].number) : '');
+        setLoadError(null);
+      } catch (error) {
+        console.error('Error loading questions for export:', error);
+        setBank(null);
+        setLoadError(error.message);
+      }
+    };
+
+    loadBank();
+  }, [course]);
+
+  const assignment = bank ? bank.assignments.find(a => String(a.number) === assignmentNumber) : null;
+
+  const questions = useMemo(
+    () => (bank && assignmentNumber ? filterQuestionsByAssignment(bank.questions, assignmentNumber) : []),
+    [bank, assignmentNumber]
+  );
+
+  const title = assignment && course ? `${course.title} · ${assignment.title}` : '';
+  const fileBase = `${courseId}-assignment-${assignmentNumber}`;
+  const exportOptions = () => ({ title, imageBaseUrl: window.location.origin, latexMacros: bank.latexMacros });
+
+  const handleMoodleXml = () => {
+    downloadFile(toMoodleXml(questions, exportOptions()), `${fileBase}-moodle.xml`, 'application/xml');
+  };
+
+  const handleQti = () => {
+    downloadFile(toQtiPackage(questions, exportOptions()), `${fileBase}-qti.zip`, 'application/zip');
+  };
+
+  const handleWorksheet = () => {
+    const html = toWorksheetHtml(questions, { ...exportOptions(), includeAnswerKey });
+    downloadFile(html, `${fileBase}-worksheet.html`, 'text/html');
+  };
+
+  return (
+    <Container>
+      <div className="min-h-screen py-8">
+        <div className="text-center mb-8">
+          <h1 className="text-3xl sm:text-4xl font-bold text-gray-900 mb-3">Export Questions</h1>
+          <p className="text-base sm:text-lg text-gray-600">
+            Take an assignment to Moodle or another QTI-compatible LMS, or print it for offline practice
+          </p>
+        </div>
+
+        <Card padding="lg" className="max-w-2xl mx-auto space-y-6">
+          {loadError && (
+            <p className="text-sm text-red-700 bg-red-50 rounded-lg p-3">{loadError}</p>
+          )}
+
+          {courses.length > 1 && (
+            <div>
+              <label htmlFor="export-course" className="block text-lg font-semibold text-gray-800 mb-3">
+                Course
+              </label>
+              <select
+                id="export-course"
+                value={courseId}
+                onChange={(e) => setCourseId(e.target.value)}
+                className="px-3 py-2 border border-gray-300 rounded-lg bg-white"
+              >
+                {courses.map(c => (
+                  <option key={c.id} value={c.id}>{c.title}</option>
+                ))}
+              </select>
+            </div>
+          )}
+
+          {bank && (
+            <>
+              <div>
+                <label htmlFor="export-assignment" className="block text-lg font-semibold text-gray-800 mb-3">
+                  Assignment
+                </label>
+                <select
+                  id="export-assignment"
+                  value={assignmentNumber}
+                  onChange={(e) => setAssignmentNumber(e.target.value)}
+                  className="px-3 py-2 border border-gray-300 rounded-lg bg-white"
+                >
+                  {bank.assignments.map(a => (
+                    <option key={a.number} value={String(a.number)}>{a.title}</option>
+                  ))}
+                </select>
+                <p className="text-sm text-gray-500 mt-2">
+                  {questions.length} question{questions.length !== 1 ? 's' : ''}
+                </p>
+              </div>
+
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                <Button onClick={handleMoodleXml} variant="outline" disabled={questions.length === 0}>
+                  Moodle XML
+                </Button>
+                <Button onClick={handleQti} variant="outline" disabled={questions.length === 0}>
+                  QTI 2.1 package
+                </Button>
+              </div>
+
+              <div>
+                <h2 className="text-lg font-semibold text-gray-800 mb-2">Printable worksheet</h2>
+                <label className="flex items-center gap-2 text-gray-700 mb-3">
+                  <input
+                    type="checkbox"
+                    checked={includeAnswerKey}
+                    onChange={(e) => setIncludeAnswerKey(e.target.checked)}
+                  />
+                  Add an answer key on a separate page
+                </label>
+                <Button onClick={handleWorksheet} disabled={questions.length === 0} fullWidth>
+                  Download worksheet
+                </Button>
+                <p className="text-sm text-gray-500 mt-2">
+                  Open the worksheet in a browser and print it, or save it as PDF from the print dialog.
+                </p>
+              </div>
+            </>
+          )}
+
+          <Button onClick={() => navigate.toHome(router)} variant="outline" fullWidth>
+            ← Back to Home
+          </Button>
+        </Card>
+      </div>
+    </Container>
+  );
+}
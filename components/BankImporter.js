@@ -0,0 +1,175 @@
+/**
+ * BankImporter Component
+ * Upload page for TAs: converts CSV, Markdown quiz, GIFT and Moodle XML files
+ * into the data.json question format, lists the rows that could not be
+ * imported and offers the converted bank for download
+ */
+
+'use client';
+
+import { useState, useMemo } from 'react';
+import { useRouter } from 'next/navigation';
+import Card from './Card';
+import Button from './Button';
+import Container from './Container';
+import LaTeXRenderer from './LaTeXRenderer';
+import { importQuestions, detectImportFormat } from '../utils/bankImport';
+import { navigate } from '../utils/navigationUtils';
+import { downloadFile } from '../utils/download';
+
+const ACCEPTED_EXTENSIONS = '.csv,.md,.markdown,.gift,.txt,.xml';
+
+export default function BankImporter() {
+  const router = useRouter();
+  const [results, setResults] = useState([]);
+  const [defaultAssignment, setDefaultAssignment] = useState('');
+  const [copied, setCopied] = useState(false);
+
+  const questions = useMemo(() => results.flatMap(result => result.questions), [results]);
+  const bankJson = useMemo(() => JSON.stringify({ questions }, null, 4), [questions]);
+
+  const countsByAssignment = useMemo(() => {
+    const counts = {};
+    questions.forEach(question => {
+      counts[question.assignmentnumber] = (counts[question.assignmentnumber] || 0) + 1;
+    });
+    return Object.entries(counts).sort(([a], [b]) => parseInt(a) - parseInt(b));
+  }, [questions]);
+
+  const handleFiles = async (event) => {
+    const files = Array.from(event.target.files || []);
+    const converted = await Promise.all(files.map(async file => {
+      const format = detectImportFormat(file.name);
+      if (!format) {
+        return {
+          fileName: file.name,
+          questions: [],
+          errors: [{ line: null, message: 'Unknown format, expected .csv, .md, .gift, .txt or .xml' }]
+        };
+      }
+
+      const text = await file.text();
+      return {
+        fileName: file.name,
+        ...importQuestions(text, format, { defaultAssignment: defaultAssignment.trim() || null })
+      };
+    }));
+
+    setResults(converted);
+    setCopied(false);
+  };
+
+  const handleDownload = () => {
+    downloadFile(`${bankJson}\n`, 'data.json', 'application/json');
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(bankJson);
+      setCopied(true);
+    } catch (error) {
+      console.error('Error copying imported questions:', error);
+    }
+  };
+
+  return (
+    <Container>
+      <div className="min-h-screen py-8">
+        <div className="text-center mb-8">
+          <h1 className="text-3xl sm:text-4xl font-bold text-gray-900 mb-3">Import Questions</h1>
+          <p className="text-base sm:text-lg text-gray-600">
+            Convert CSV, Markdown, GIFT or Moodle XML files into the question bank format
+          </p>
+        </div>
+
+        <Card padding="lg" className="max-w-3xl mx-auto space-y-6">
+          <div>
+            <label htmlFor="default-assignment" className="block text-lg font-semibold text-gray-800 mb-3">
+              Default assignment
+            </label>
+            <input
+              id="default-assignment"
+              type="number"
+              min={1}
+              value={defaultAssignment}
+              onChange={(e) => setDefaultAssignment(e.target.value)}
+              className="w-28 px-3 py-2 border border-gray-300 rounded-lg"
+            />
+            <p className="text-sm text-gray-500 mt-2">
+              Used for questions whose file does not name an assignment. Choose it before the files.
+            </p>
+          </div>
+
+          <div>
+            <label htmlFor="import-files" className="block text-lg font-semibold text-gray-800 mb-3">
+              Question files
+            </label>
+            <input
+              id="import-files"
+              type="file"
+              multiple
+              accept={ACCEPTED_EXTENSIONS}
+              onChange={handleFiles}
+              className="block w-full text-sm text-gray-700"
+            />
+            <p className="text-sm text-gray-500 mt-2">
+              See docs/question-format.md for the columns and syntax each format expects.
+            </p>
+          </div>
+
+          {results.map(result => (
+            <section key={result.fileName}>
+              <h2 className="text-lg font-semibold text-gray-800 mb-2">
+                {result.fileName}
+                <span className="ml-2 text-sm font-normal text-gray-600">
+                  {result.questions.length} question{result.questions.length !== 1 ? 's' : ''} imported
+                </span>
+              </h2>
+              {result.errors.length > 0 && (
+                <ul className="text-sm text-red-700 bg-red-50 rounded-lg p-3 space-y-1">
+                  {result.errors.map((error, index) => (
+                    <li key={index}>
+                      {error.line !== null && <span className="font-mono font-semibold">Line {error.line}: </span>}
+                      {error.message}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </section>
+          ))}
+
+          {questions.length > 0 && (
+            <section>
+              <h2 className="text-lg font-semibold text-gray-800 mb-2">Preview</h2>
+              <p className="text-sm text-gray-600 mb-3">
+                {countsByAssignment.map(([assignment, count]) => `Assignment ${assignment}: ${count}`).join(' · ')}
+              </p>
+              <ul className="divide-y divide-gray-200 max-h-96 overflow-y-auto border border-gray-200 rounded-lg">
+                {questions.map((question, index) => (
+                  <li key={`${question.assignmentnumber}-${question.questionnumber}-${index}`} className="p-3 text-sm text-gray-800">
+                    <p className="text-xs text-gray-500 mb-1">
+                      Assignment {question.assignmentnumber} · Question {question.questionnumber}
+                    </p>
+                    <LaTeXRenderer>{question.question}</LaTeXRenderer>
+                  </li>
+                ))}
+              </ul>
+              <div className="flex flex-col sm:flex-row gap-3 mt-4">
+                <Button onClick={handleDownload} className="flex-1">
+                  Download data.json
+                </Button>
+                <Button onClick={handleCopy} variant="outline" className="flex-1">
+                  {copied ? 'Copied!' : 'Copy JSON'}
+                </Button>
+              </div>
+            </section>
+          )}
+
+          <Button onClick={() => navigate.toHome(router)} variant="outline" fullWidth>
+            ← Back to Home
+          </Button>
+        </Card>
+      </div>
+    </Container>
+  );
+}
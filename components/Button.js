@@ -9,13 +9,13 @@ export default function Button({
   className = '',
   fullWidth = false
 }) {
-  // Variant styles - Blue outline theme with enhanced text visibility
+  // Variant styles - outlined in the theme's colours (see app/globals.css)
   const variantClasses = {
-    primary: 'bg-white hover:bg-blue-50 active:bg-blue-100 text-black border-blue-600 border-2 focus:ring-blue-500 font-bold',
-    secondary: 'bg-white hover:bg-gray-50 active:bg-gray-100 text-black border-gray-400 border-2 focus:ring-gray-500 font-semibold',
-    outline: 'bg-white hover:bg-gray-50 active:bg-gray-100 text-black border-gray-300 border-2 focus:ring-gray-500 font-semibold',
-    success: 'bg-white hover:bg-green-50 active:bg-green-100 text-black border-green-600 border-2 focus:ring-green-500 font-semibold',
-    danger: 'bg-white hover:bg-red-50 active:bg-red-100 text-black border-red-600 border-2 focus:ring-red-500 font-semibold',
+    primary: 'bg-surface hover:bg-primary-soft active:bg-primary-soft text-foreground border-primary border-2 focus:ring-focus font-bold',
+    secondary: 'bg-surface hover:bg-surface-muted active:bg-surface-muted text-foreground border-muted border-2 focus:ring-focus font-semibold',
+    outline: 'bg-surface hover:bg-surface-muted active:bg-surface-muted text-foreground border-line border-2 focus:ring-focus font-semibold',
+    success: 'bg-surface hover:bg-success-soft active:bg-success-soft text-foreground border-success border-2 focus:ring-success font-semibold',
+    danger: 'bg-surface hover:bg-danger-soft active:bg-danger-soft text-foreground border-danger border-2 focus:ring-danger font-semibold',
     mega: 'bg-gradient-to-r from-yellow-400 to-orange-500 hover:from-yellow-500 hover:to-orange-600 text-black border-transparent border-2 focus:ring-yellow-500 shadow-lg font-bold'
   };
 
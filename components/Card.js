@@ -23,22 +23,23 @@ export default function Card({
     'lg': 'shadow-xl'
   };
 
-  // Build classes - Blue outline theme
+  // Build classes - outlined in the theme's colours
   let cardClasses = `
-    bg-white 
+    bg-surface 
+    text-foreground 
     rounded-lg 
     border-2 
-    border-blue-200 
+    border-primary/30 
     ${paddingClasses[padding]} 
     ${shadowClasses[shadow]}
     ${className}
   `.trim();
 
-  // Add interactive classes if clickable - Blue outline theme
+  // Add interactive classes if clickable
   if (onClick && !disabled) {
-    cardClasses += ' cursor-pointer transition-all duration-200 touch-manipulation focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2';
+    cardClasses += ' cursor-pointer transition-all duration-200 touch-manipulation focus:outline-none focus:ring-2 focus:ring-focus focus:ring-offset-2';
     if (hover) {
-      cardClasses += ' hover:shadow-xl hover:border-blue-400 hover:-translate-y-1 active:translate-y-0 active:shadow-lg';
+      cardClasses += ' hover:shadow-xl hover:border-primary hover:-translate-y-1 active:translate-y-0 active:shadow-lg';
     }
   }
 
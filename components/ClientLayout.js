@@ -10,6 +10,8 @@ import { useEffect, useState } from 'react';
 import ErrorBoundary from './ErrorBoundary';
 import AdminDashboard from './AdminDashboard';
 import { initializeScrollUtils } from '../utils/scrollUtils';
+import { getUserPreferences } from '../utils/storageUtils';
+import { THEME_PREFERENCE_KEY, applyThemePreference, watchSystemTheme } from '../utils/themes';
 
 export default function ClientLayout({ children }) {
   const [showAdmin, setShowAdmin] = useState(false);
@@ -23,6 +25,16 @@ export default function ClientLayout({ children }) {
     setShowAdmin(urlParams.get('admin') === 'true');
   }, []);
 
+  // Keep the colour theme in step with the system while users follow it
+  useEffect(() => {
+    const applyStoredTheme = () => {
+      applyThemePreference(getUserPreferences()?.[THEME_PREFERENCE_KEY]);
+    };
+
+    applyStoredTheme();
+    return watchSystemTheme(applyStoredTheme);
+  }, []);
+
   // Show admin dashboard if admin parameter is present
   if (showAdmin) {
     return (
@@ -0,0 +1,252 @@
+/**
+ * CustomQuizBuilder Component
+ * Lets the user pick weeks, a question count, a question type and a mode,
+ * then start the quiz or share a link that rebuilds exactly the same quiz
+ */
+
+'use client';
+
+import { useState, useEffect, useMemo } from 'react';
+import { useRouter } from 'next/navigation';
+import Card from './Card';
+import Button from './Button';
+import Container from './Container';
+import { loadQuestionBank } from '../utils/dataLoader';
+import { getReleasedQuestions } from '../utils/assignmentMetadata';
+import { getAvailableAssignments } from '../utils/questionFilter';
+import { generateSeed } from '../utils/shuffleUtils';
+import {
+  getCustomQuizPool,
+  buildCustomQuizParams,
+  CUSTOM_QUIZ_FILTERS,
+  DEFAULT_CUSTOM_QUIZ_COUNT
+} from '../utils/customQuiz';
+import { ROUTES, navigate, getModeDisplayName } from '../utils/navigationUtils';
+
+const QUIZ_MODES = ['learn', 'test-easy', 'test-difficult', 'exam'];
+
+const FILTER_OPTIONS = [
+  { id: CUSTOM_QUIZ_FILTERS.ALL, label: 'All questions' },
+  { id: CUSTOM_QUIZ_FILTERS.MULTI_ANSWER, label: 'Multi-answer only' },
+  { id: CUSTOM_QUIZ_FILTERS.IMAGE, label: 'Image questions only' }
+];
+
+export default function CustomQuizBuilder({ initialConfig = null }) {
+  const router = useRouter();
+  const [questions, setQuestions] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [weeks, setWeeks] = useState(initialConfig ? initialConfig.weeks : []);
+  const [count, setCount] = useState(initialConfig ? initialConfig.count : DEFAULT_CUSTOM_QUIZ_COUNT);
+  const [filter, setFilter] = useState(initialConfig ? initialConfig.filter : CUSTOM_QUIZ_FILTERS.ALL);
+  const [mode, setMode] = useState(initialConfig ? initialConfig.mode : 'test-easy');
+  const [seed, setSeed] = useState(initialConfig ? initialConfig.seed : '');
+  const [copied, setCopied] = useState(false);
+
+  useEffect(() => {
+    const loadBank = async () => {
+      try {
+        // Only released weeks can be mixed into a custom quiz
+        const allQuestions = getReleasedQuestions(await loadQuestionBank());
+        setQuestions(allQuestions);
+        // Start with every week selected
+        if (!initialConfig) {
+          setWeeks(getAvailableAssignments(allQuestions).map(week => parseInt(week)));
+        }
+      } catch (error) {
+        console.error('Error loading questions for custom quiz:', error);
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    loadBank();
+  }, [initialConfig]);
+
+  // Seeds are random, so create them on the client only
+  useEffect(() => {
+    if (!initialConfig) {
+      setSeed(generateSeed());
+    }
+  }, [initialConfig]);
+
+  const availableWeeks = useMemo(
+    () => getAvailableAssignments(questions).map(week => parseInt(week)),
+    [questions]
+  );
+
+  const poolSize = useMemo(
+    () => getCustomQuizPool(questions, { weeks, filter }).length,
+    [questions, weeks, filter]
+  );
+
+  const questionCount = Math.min(count, poolSize);
+  const query = buildCustomQuizParams({ weeks, count: questionCount, filter, mode, seed });
+  const canStart = weeks.length > 0 && questionCount > 0 && seed !== '';
+  const shareUrl = typeof window !== 'undefined'
+    ? `${window.location.origin}${ROUTES.CUSTOM_QUIZ(query)}`
+    : ROUTES.CUSTOM_QUIZ(query);
+
+  const toggleWeek = (week) => {
+    setWeeks(current => current.includes(week)
+      ? current.filter(w => w !== week)
+      : [...current, week]);
+    setCopied(false);
+  };
+
+  const handleCopyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(shareUrl);
+      setCopied(true);
+    } catch (error) {
+      console.error('Error copying custom quiz link:', error);
+    }
+  };
+
+  const handleStart = () => {
+    if (!canStart) return;
+    navigate.toCustomQuiz(router, query);
+  };
+
+  if (isLoading) {
+    return (
+      <Container>
+        <div className="min-h-screen flex items-center justify-center">
+          <div className="text-center">
+            <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600 mx-auto mb-4"></div>
+            <p className="text-gray-600">Loading questions...</p>
+          </div>
+        </div>
+      </Container>
+    );
+  }
+
+  return (
+    <Container>
+      <div className="min-h-screen py-8">
+        <div className="text-center mb-8">
+          <h1 className="text-3xl sm:text-4xl font-bold text-gray-900 mb-3">Custom Quiz</h1>
+          <p className="text-base sm:text-lg text-gray-600">
+            Mix any weeks, pick how many questions and share the exact same quiz with others
+          </p>
+        </div>
+
+        <Card padding="lg" className="max-w-2xl mx-auto space-y-6">
+          {/* Weeks */}
+          <fieldset>
+            <legend className="text-lg font-semibold text-gray-800 mb-3">Weeks</legend>
+            <div className="flex flex-wrap gap-2">
+              {availableWeeks.map(week => (
+                <button
+                  key={week}
+                  type="button"
+                  onClick={() => toggleWeek(week)}
+                  aria-pressed={weeks.includes(week)}
+                  className={`px-4 py-2 rounded-lg border-2 font-medium min-h-[44px] transition-colors ${
+                    weeks.includes(week)
+                      ? 'bg-blue-600 text-white border-blue-600'
+                      : 'bg-white text-gray-700 border-gray-300 hover:border-blue-400'
+                  }`}
+                >
+                  Week {week}
+                </button>
+              ))}
+            </div>
+          </fieldset>
+
+          {/* Question type */}
+          <fieldset>
+            <legend className="text-lg font-semibold text-gray-800 mb-3">Questions</legend>
+            <div className="space-y-2">
+              {FILTER_OPTIONS.map(option => (
+                <label key={option.id} className="flex items-center gap-2 text-gray-700">
+                  <input
+                    type="radio"
+                    name="filter"
+                    value={option.id}
+                    checked={filter === option.id}
+                    onChange={() => { setFilter(option.id); setCopied(false); }}
+                  />
+                  {option.label}
+                </label>
+              ))}
+            </div>
+          </fieldset>
+
+          {/* Count */}
+          <div>
+            <label htmlFor="question-count" className="block text-lg font-semibold text-gray-800 mb-3">
+              Number of questions
+            </label>
+            <input
+              id="question-count"
+              type="number"
+              min={1}
+              max={Math.max(poolSize, 1)}
+              value={count}
+              onChange={(e) => { setCount(Math.max(1, parseInt(e.target.value) || 1)); setCopied(false); }}
+              className="w-28 px-3 py-2 border border-gray-300 rounded-lg"
+            />
+            <p className="text-sm text-gray-500 mt-2">
+              {poolSize} matching question{poolSize !== 1 ? 's' : ''}
+              {count > poolSize && poolSize > 0 && ` — the quiz will use all ${poolSize}`}
+            </p>
+          </div>
+
+          {/* Mode */}
+          <div>
+            <label htmlFor="quiz-mode" className="block text-lg font-semibold text-gray-800 mb-3">
+              Mode
+            </label>
+            <select
+              id="quiz-mode"
+              value={mode}
+              onChange={(e) => { setMode(e.target.value); setCopied(false); }}
+              className="px-3 py-2 border border-gray-300 rounded-lg bg-white"
+            >
+              {QUIZ_MODES.map(modeId => (
+                <option key={modeId} value={modeId}>{getModeDisplayName(modeId)}</option>
+              ))}
+            </select>
+          </div>
+
+          {/* Seed and share link */}
+          <div>
+            <h2 className="text-lg font-semibold text-gray-800 mb-2">Share</h2>
+            <p className="text-sm text-gray-600 mb-2">
+              Seed <span className="font-mono font-semibold">{seed}</span>
+              <button
+                type="button"
+                onClick={() => { setSeed(generateSeed()); setCopied(false); }}
+                className="ml-3 text-blue-600 hover:text-blue-800 underline"
+              >
+                New sample
+              </button>
+            </p>
+            <div className="flex gap-2">
+              <input
+                type="text"
+                readOnly
+                value={shareUrl}
+                aria-label="Shareable link"
+                className="flex-1 min-w-0 px-3 py-2 border border-gray-300 rounded-lg bg-gray-50 text-sm font-mono"
+                onFocus={(e) => e.target.select()}
+              />
+              <Button onClick={handleCopyLink} variant="outline" size="sm" disabled={!canStart}>
+                {copied ? 'Copied!' : 'Copy link'}
+              </Button>
+            </div>
+          </div>
+
+          <div className="flex flex-col sm:flex-row gap-3 pt-2">
+            <Button onClick={() => navigate.toHome(router)} variant="outline" className="flex-1">
+              ← Back to Home
+            </Button>
+            <Button onClick={handleStart} disabled={!canStart} className="flex-1">
+              Start {questionCount} Question Quiz
+            </Button>
+          </div>
+        </Card>
+      </div>
+    </Container>
+  );
+}
@@ -76,6 +76,14 @@ export default function DataErrorFallback({
         };
 
       case 'DataValidationError':
+        if (error.invalidData?.availableCourses) {
+          return {
+            title: 'Course Not Found',
+            message: `${error.message} Check the link or pick a course from the home page.`,
+            icon: 'document-error',
+            showRetry: false
+          };
+        }
         if (error.message.includes('empty')) {
           return {
             title: 'No Quiz Data Available',
@@ -0,0 +1,122 @@
+/**
+ * Dialog Component
+ * Modal frame shared by the app's dialogs: it moves focus into the dialog,
+ * keeps Tab inside it, closes on Escape and gives focus back on close
+ */
+
+import { useEffect, useRef, useState } from 'react';
+
+const FOCUSABLE_SELECTOR = [
+  'a[href]',
+  'button:not([disabled])',
+  'input:not([disabled])',
+  'select:not([disabled])',
+  'textarea:not([disabled])',
+  '[tabindex]:not([tabindex="-1"])'
+].join(',');
+
+/**
+ * Lists the elements Tab can reach inside a container
+ * @param {HTMLElement} container - Dialog element
+ * @returns {Array<HTMLElement>} Focusable elements in document order
+ */
+function getFocusableElements(container) {
+  return [...container.querySelectorAll(FOCUSABLE_SELECTOR)];
+}
+
+/**
+ * @param {Object} props
+ * @param {string} props.titleId - Id of the dialog's heading, which names it
+ * @param {Function|null} props.onClose - Called on Escape (and on a backdrop click
+ *   with closeOnBackdrop); null while the dialog must stay open
+ * @param {boolean} props.closeOnBackdrop - Whether clicking outside closes the dialog
+ * @param {string} props.className - Classes of the dialog box
+ */
+export default function Dialog({ titleId, onClose = null, closeOnBackdrop = false, className = '', children }) {
+  const dialogRef = useRef(null);
+  const onCloseRef = useRef(onClose);
+  onCloseRef.current = onClose;
+
+  // Read on the first render, before an autoFocus input inside takes focus
+  const [previousFocus] = useState(() => (typeof document === 'undefined' ? null : document.activeElement));
+
+  // Focus the first control unless one inside (e.g. an autoFocus input) already
+  // has focus, and give focus back to where it was on close
+  useEffect(() => {
+    const dialog = dialogRef.current;
+
+    if (!dialog.contains(document.activeElement)) {
+      (getFocusableElements(dialog)[0] || dialog).focus();
+    }
+
+    return () => {
+      if (previousFocus && typeof previousFocus.focus === 'function') {
+        previousFocus.focus({ preventScroll: true });
+      }
+    };
+  }, [previousFocus]);
+
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      const dialog = dialogRef.current;
+
+      if (event.key === 'Escape') {
+        if (onCloseRef.current) {
+          event.preventDefault();
+          onCloseRef.current();
+        }
+        return;
+      }
+
+      if (event.key !== 'Tab') return;
+
+      // Wrap around at either end so focus never leaves the dialog
+      const focusable = getFocusableElements(dialog);
+      if (focusable.length === 0) {
+        event.preventDefault();
+        dialog.focus();
+        return;
+      }
+
+      const first = focusable[0];
+      const last = focusable[focusable.length - 1];
+      const inside = dialog.contains(document.activeElement);
+
+      if (event.shiftKey && (!inside || document.activeElement === first || document.activeElement === dialog)) {
+        event.preventDefault();
+        last.focus();
+      } else if (!event.shiftKey && (!inside || document.activeElement === last)) {
+        event.preventDefault();
+        first.focus();
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, []);
+
+  const handleBackdropClick = () => {
+    if (closeOnBackdrop && onClose) {
+      onClose();
+    }
+  };
+
+  return (
+    <div
+      className="fixed inset-0 bg-blue-900 bg-opacity-20 flex items-center justify-center p-4 z-50 touch-manipulation"
+      onClick={handleBackdropClick}
+    >
+      <div
+        ref={dialogRef}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby={titleId}
+        tabIndex={-1}
+        className={`focus:outline-none ${className}`}
+        onClick={(e) => e.stopPropagation()}
+      >
+        {children}
+      </div>
+    </div>
+  );
+}
@@ -2,89 +2,55 @@
  * HomePage Component
  * Main home page with assignment selection and personalized greeting
  * Handles first-time user name prompt and data loading errors
+ * Shows the default course, or the course given by courseId on /c/[course]
  */
 
 'use client';
 
 import { useState, useEffect } from 'react';
-import { getUserName, isFirstTimeUser } from '../utils/storageUtils';
+import { useRouter } from 'next/navigation';
+import { getUserName, isFirstTimeUser, getQuestionHistory, getAttemptHistory } from '../utils/storageUtils';
 import { getPersonalizedGreeting } from '../utils/personalizationUtils';
-import { loadQuestions, DataValidationError } from '../utils/dataLoader';
+import { loadQuestionBank } from '../utils/dataLoader';
 import { trackPageView } from '../utils/analytics';
+import { getDueQuestions } from '../utils/reviewScheduler';
+import { getAssignmentStats, getCourseAttempts } from '../utils/attemptHistory';
+import { resolveCourse, isDefaultCourse } from '../utils/courseManifest';
+import { getReleasedAssignments, getReleasedQuestions } from '../utils/assignmentMetadata';
+import { navigate } from '../utils/navigationUtils';
 import { signInUser, onAuthStateChange, autoLoginIfNeeded } from '../utils/firebase';
 import NamePrompt from './NamePrompt';
 import NameChangeModal from './NameChangeModal';
 import Container from './Container';
 import Grid from './Grid';
 import AssignmentCard from './AssignmentCard';
+import Button from './Button';
 import MegaTest from './MegaTest';
+import ThemeSelector from './ThemeSelector';
 import ErrorBoundary from './ErrorBoundary';
 import DataErrorFallback from './DataErrorFallback';
 
-// Default assignment data with descriptions
-const getDefaultAssignmentData = () => [
-  {
-    number: 1,
-    title: "Assignment 1",
-    description: "Introduction to Machine Learning fundamentals and basic concepts"
-  },
-  {
-    number: 2,
-    title: "Assignment 2", 
-    description: "Supervised Learning algorithms and classification techniques"
-  },
-  {
-    number: 3,
-    title: "Assignment 3",
-    description: "Regression analysis and predictive modeling methods"
-  },
-  {
-    number: 4,
-    title: "Assignment 4",
-    description: "Unsupervised Learning, clustering, and dimensionality reduction"
-  },
-  {
-    number: 5,
-    title: "Assignment 5",
-    description: "Neural Networks and deep learning fundamentals"
-  },
-  {
-    number: 6,
-    title: "Assignment 6",
-    description: "Model evaluation, validation, and performance metrics"
-  },
-  {
-    number: 7,
-    title: "Assignment 7",
-    description: "Advanced topics and real-world ML applications"
-  },
-  {
-    number: 8,
-    title: "Assignment 8",
-    description: "Advanced topics and real-world ML applications"
-  }
-];
-
-// Generate assignment data based on available questions
-const generateAssignmentData = (questions) => {
-  const defaultData = getDefaultAssignmentData();
-  const availableAssignments = [...new Set(questions.map(q => parseInt(q.assignmentnumber)))].sort();
-  
-  return defaultData.filter(assignment => 
-    availableAssignments.includes(assignment.number)
-  ).map(assignment => ({
+// Released assignments of the bank that have questions
+const generateAssignmentData = (bank) => {
+  return getReleasedAssignments(bank.assignments).map(assignment => ({
     ...assignment,
-    questionCount: questions.filter(q => parseInt(q.assignmentnumber) === assignment.number).length
-  }));
+    questionCount: bank.questions.filter(q => parseInt(q.assignmentnumber) === assignment.number).length
+  })).filter(assignment => assignment.questionCount > 0);
 };
 
-export default function HomePage() {
+export default function HomePage({ courseId: courseParam = null }) {
+  const router = useRouter();
+  const [course, setCourse] = useState(null);
+  const [courseId, setCourseId] = useState(null);
+  const [otherCourses, setOtherCourses] = useState([]);
   const [userName, setUserName] = useState('');
   const [showNamePrompt, setShowNamePrompt] = useState(false);
   const [showNameChangeModal, setShowNameChangeModal] = useState(false);
   const [isLoading, setIsLoading] = useState(true);
   const [assignmentData, setAssignmentData] = useState([]);
   const [dataError, setDataError] = useState(null);
+  const [dueReviewCount, setDueReviewCount] = useState(0);
+  const [assignmentStats, setAssignmentStats] = useState({});
   const [authState, setAuthState] = useState('loading'); // 'loading', 'authenticated', 'unauthenticated'
 
   useEffect(() => {
@@ -114,33 +80,48 @@ export default function HomePage() {
           }
         }
 
-        // Load questions to determine available assignments
+        // The course decides the bank, whose metadata lists the assignments
+        let resolved;
         try {
-          const questions = await loadQuestions();
-          const assignments = generateAssignmentData(questions);
-          setAssignmentData(assignments);
+          resolved = await resolveCourse(courseParam);
         } catch (error) {
-          console.warn('Could not load question data for assignment validation:', error);
-          // Fall back to default assignments if data loading fails
-          setAssignmentData(getDefaultAssignmentData());
-          
-          // Only show data error if it's a critical issue
-          if (error instanceof DataValidationError && error.message.includes('empty')) {
-            setDataError(error);
+          console.error('Error loading course:', error);
+          setDataError(error);
+          return;
+        }
+        setCourse(resolved.course);
+        setCourseId(resolved.courseId);
+        setOtherCourses(resolved.manifest.courses
+          .filter(c => c.id !== resolved.course.id)
+          .map(c => ({ id: c.id, title: c.title, isDefault: isDefaultCourse(resolved.manifest, c) })));
+
+        // Past attempts for best/last scores on each card
+        setAssignmentStats(getAssignmentStats(getCourseAttempts(getAttemptHistory(), resolved.courseId)));
+
+        // Load the bank to determine available assignments
+        try {
+          const bank = await loadQuestionBank(resolved.course.bank);
+          setAssignmentData(generateAssignmentData(bank));
+          // Review history only covers the default course
+          if (!resolved.courseId) {
+            setDueReviewCount(getDueQuestions(getReleasedQuestions(bank), getQuestionHistory()).length);
           }
+        } catch (error) {
+          // Without the bank there is no list of assignments to show
+          console.error('Could not load question data:', error);
+          setDataError(error);
         }
       } catch (error) {
         console.error('Error initializing app:', error);
         // If there's an error, show name prompt to be safe
         setShowNamePrompt(true);
-        setAssignmentData(getDefaultAssignmentData());
       } finally {
         setIsLoading(false);
       }
     };
 
     initializeApp();
-  }, []);
+  }, [courseParam]);
 
   // Set up auth state listener
   useEffect(() => {
@@ -246,20 +227,29 @@ export default function HomePage() {
           {/* Header Section */}
           <div className="text-center mb-12 sm:mb-16">
             <h1 className="text-4xl sm:text-5xl lg:text-6xl font-bold text-gray-900 mb-4 sm:mb-6">
-              ML Quiz App
+              {course?.title || 'ML Quiz App'}
             </h1>
             <div className="bg-gradient-to-r from-blue-50 to-indigo-50 rounded-2xl p-6 sm:p-8 mb-6 sm:mb-8 max-w-4xl mx-auto">
               <h2 className="text-2xl sm:text-3xl lg:text-4xl font-medium text-blue-600 mb-3 sm:mb-4">
                 {getPersonalizedGreeting(userName)}
               </h2>
               <p className="text-lg sm:text-xl text-gray-700 leading-relaxed">
-                Master machine learning concepts through interactive quizzes. 
-                Choose an assignment below to get started on your learning journey.
+                {course?.description || 'Choose an assignment below to get started on your learning journey.'}
               </p>
             </div>
           </div>
 
-         
+          {/* Spaced Repetition Review Section */}
+          {dueReviewCount > 0 && (
+            <div className="text-center mb-8 sm:mb-12 p-4 sm:p-6 bg-orange-50 rounded-lg max-w-md mx-auto">
+              <p className="text-base sm:text-lg text-orange-800 font-medium mb-3">
+                {dueReviewCount} question{dueReviewCount !== 1 ? 's' : ''} due for review
+              </p>
+              <Button onClick={() => navigate.toReview(router, 'all')} variant="primary">
+                Start Review →
+              </Button>
+            </div>
+          )}
 
           {/* Assignment Selection Section */}
           <div className="mb-8 sm:mb-12">
@@ -268,7 +258,7 @@ export default function HomePage() {
                 Choose Your Assignment
               </h3>
               <p className="text-base sm:text-lg text-gray-600 px-4">
-                Select from {assignmentData.length} comprehensive assignments covering all aspects of machine learning
+                Select from {assignmentData.length} comprehensive assignments
               </p>
             </div>
             
@@ -281,6 +271,10 @@ export default function HomePage() {
                     title={assignment.title}
                     description={assignment.description}
                     questionCount={assignment.questionCount}
+                    tags={assignment.tags}
+                    bestScore={assignmentStats[assignment.number]?.best ?? null}
+                    lastScore={assignmentStats[assignment.number]?.last ?? null}
+                    courseId={courseId}
                   />
                 ))}
               </Grid>
@@ -291,7 +285,8 @@ export default function HomePage() {
                 </p>
               </div>
             )}
-             {/* Mega Test Section */}
+             {/* Mega Test Section (the mega test and custom quizzes use the default course's bank) */}
+          {!courseId && (
           <div className="mb-12 sm:mb-16">
             <div className="text-center mb-6 sm:mb-8">
               <h3 className="text-xl sm:text-2xl lg:text-3xl font-bold text-gray-800 mb-2">
@@ -304,16 +299,56 @@ export default function HomePage() {
             
             <div className="max-w-md mx-auto">
               <MegaTest />
+              <div className="text-center mt-4">
+                <Button onClick={() => navigate.toCustomQuiz(router)} variant="outline">
+                  Build a Custom Quiz
+                </Button>
+                <p className="text-sm text-gray-500 mt-2">
+                  Mix weeks, choose the number and type of questions, and share the link
+                </p>
+              </div>
             </div>
           </div>
+          )}
           </div>
 
+          {/* Other Courses Section */}
+          {otherCourses.length > 0 && (
+            <div className="text-center mb-8 sm:mb-12">
+              <h3 className="text-lg sm:text-xl font-semibold text-gray-800 mb-3">
+                Other Courses
+              </h3>
+              <div className="flex flex-wrap justify-center gap-3">
+                {otherCourses.map(otherCourse => (
+                  <Button
+                    key={otherCourse.id}
+                    onClick={() => otherCourse.isDefault
+                      ? navigate.toHome(router)
+                      : navigate.toCourse(router, otherCourse.id)}
+                    variant="outline"
+                    size="sm"
+                  >
+                    {otherCourse.title}
+                  </Button>
+                ))}
+              </div>
+            </div>
+          )}
+
           {/* User Info Section */}
           {userName && (
             <div className="text-center mt-8 sm:mt-12 p-4 sm:p-6 bg-blue-50 rounded-lg max-w-md mx-auto">
               <p className="text-sm sm:text-base text-blue-800">
                 <span className="font-medium">Logged in as:</span> {userName}
               </p>
+              {!courseId && (
+                <button
+                  onClick={() => navigate.toProgress(router)}
+                  className="text-sm sm:text-xs text-blue-600 hover:text-blue-800 underline mt-2 sm:mt-1 mr-4 min-h-[44px] sm:min-h-auto py-2 sm:py-0 touch-manipulation"
+                >
+                  View progress
+                </button>
+              )}
               <button
                 onClick={handleShowNameChange}
                 className="text-sm sm:text-xs text-blue-600 hover:text-blue-800 underline mt-2 sm:mt-1 min-h-[44px] sm:min-h-auto py-2 sm:py-0 touch-manipulation"
@@ -322,6 +357,8 @@ export default function HomePage() {
               </button>
             </div>
           )}
+
+          <ThemeSelector className="mt-6" />
         </div>
       </Container>
     </ErrorBoundary>
@@ -0,0 +1,60 @@
+/**
+ * KeyboardShortcutsHelp Component
+ * Overlay listing the quiz's keyboard shortcuts, opened with ? or the header's
+ * ? button. Escape or ? closes it and focus goes back where it was
+ */
+
+import { useEffect } from 'react';
+import Button from './Button';
+import Dialog from './Dialog';
+import { QUIZ_SHORTCUTS } from '../utils/keyboardShortcuts';
+
+export default function KeyboardShortcutsHelp({ onClose }) {
+  // ? closes the overlay as well as opening it; Dialog handles Escape and Tab
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (event.key === '?') {
+        event.preventDefault();
+        onClose();
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  return (
+    <Dialog
+      titleId="keyboard-shortcuts-title"
+      onClose={onClose}
+      closeOnBackdrop
+      className="bg-white rounded-lg border-2 border-blue-600 shadow-lg w-full max-w-md p-4 sm:p-6"
+    >
+      <h2 id="keyboard-shortcuts-title" className="text-lg sm:text-xl font-bold text-gray-900 mb-4">
+        Keyboard shortcuts
+      </h2>
+
+      <dl className="space-y-2 text-sm mb-4">
+        {QUIZ_SHORTCUTS.map(shortcut => (
+          <div key={shortcut.description} className="flex items-start justify-between gap-4">
+            <dt className="flex flex-wrap gap-1 flex-shrink-0">
+              {shortcut.keys.map(key => (
+                <kbd
+                  key={key}
+                  className="min-w-[1.75rem] px-1.5 py-0.5 text-center font-mono text-xs text-gray-800 bg-gray-100 border border-gray-300 rounded"
+                >
+                  {key}
+                </kbd>
+              ))}
+            </dt>
+            <dd className="text-gray-700 text-right">{shortcut.description}</dd>
+          </div>
+        ))}
+      </dl>
+
+      <Button onClick={onClose} variant="primary" size="sm" fullWidth>
+        Close
+      </Button>
+    </Dialog>
+  );
+}
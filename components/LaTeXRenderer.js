@@ -1,53 +1,74 @@
-import { memo } from 'react';
+/**
+ * LaTeXRenderer Component
+ * Renders text with math typeset by KaTeX. Delimiters are read by
+ * utils/latexTokenizer.js: $...$ and \(...\) inline, $$...$$, \[...\] and
+ * \begin{env}...\end{env} on a line of their own, \$ for a dollar sign
+ * A bank's latexMacros reach every renderer below LaTeXMacrosContext.Provider
+ * Math is rendered as HTML for the eye and MathML for screen readers
+ * KaTeX's output is the only HTML inserted; it escapes the LaTeX it is given
+ * and, without its trust option, shows \href, \url and \html* commands as red text
+ */
+
+import { memo, useMemo, createContext, useContext } from 'react';
 import 'katex/dist/katex.min.css';
 import katex from 'katex';
+import { tokenizeLatex } from '../utils/latexTokenizer';
 
-const LaTeXRenderer = memo(function LaTeXRenderer({ children, inline = true }) {
-  if (!children || typeof children !== 'string') {
-    return <span>{children}</span>;
-  }
+// KaTeX macros of the bank being shown, e.g. { '\\R': '\\mathbb{R}' }
+export const LaTeXMacrosContext = createContext(null);
 
-  // Check if the text contains LaTeX (starts and ends with $)
-  const hasLatex = children.includes('$');
-  
-  if (!hasLatex) {
-    return <span>{children}</span>;
+/**
+ * One math expression, typeset with the macros of the surrounding bank
+ */
+export const MathExpression = memo(function MathExpression({ latex, display = false, raw = latex }) {
+  const macros = useContext(LaTeXMacrosContext);
+
+  const html = useMemo(() => {
+    try {
+      // KaTeX adds \gdef definitions to the macros it is given, so each render gets a copy
+      return katex.renderToString(latex, {
+        throwOnError: false,
+        displayMode: display,
+        output: 'htmlAndMathml',
+        macros: { ...macros }
+      });
+    } catch (error) {
+      console.warn('LaTeX rendering error:', error);
+      return null;
+    }
+  }, [latex, display, macros]);
+
+  if (html === null) {
+    return <span>{raw}</span>;
   }
 
-  try {
-    // Split text by $ to separate LaTeX from regular text
-    const parts = children.split(/(\$[^$]+\$)/g);
-    
-    return (
-      <span>
-        {parts.map((part, index) => {
-          if (part.startsWith('$') && part.endsWith('$')) {
-            // This is LaTeX - remove the $ delimiters and render
-            const latex = part.slice(1, -1);
-            const html = katex.renderToString(latex, {
-              throwOnError: false,
-              displayMode: !inline,
-              output: 'html'
-            });
-            
-            return (
-              <span
-                key={index}
-                dangerouslySetInnerHTML={{ __html: html }}
-                className="katex-rendered"
-              />
-            );
-          } else {
-            // Regular text
-            return <span key={index}>{part}</span>;
-          }
-        })}
-      </span>
-    );
-  } catch (error) {
-    console.warn('LaTeX rendering error:', error);
+  return (
+    <span
+      dangerouslySetInnerHTML={{ __html: html }}
+      className={display ? 'katex-rendered block overflow-x-auto' : 'katex-rendered'}
+    />
+  );
+});
+
+const LaTeXRenderer = memo(function LaTeXRenderer({ children }) {
+  const tokens = useMemo(
+    () => (children && typeof children === 'string' ? tokenizeLatex(children) : null),
+    [children]
+  );
+
+  if (!tokens) {
     return <span>{children}</span>;
   }
+
+  return (
+    <span>
+      {tokens.map((token, index) => (token.type === 'math' ? (
+        <MathExpression key={index} latex={token.text} display={token.display} raw={token.raw} />
+      ) : (
+        <span key={index}>{token.text}</span>
+      )))}
+    </span>
+  );
 });
 
-export default LaTeXRenderer;
\ No newline at end of file
+export default LaTeXRenderer;
@@ -0,0 +1,139 @@
+/**
+ * MarkdownRenderer Component
+ * Renders question, option and explanation text: Markdown parsed by
+ * utils/markdown.js, math typeset by LaTeXRenderer's MathExpression and code
+ * blocks highlighted by utils/syntaxHighlight.js
+ * Everything is built as React elements, so text from a bank is always escaped;
+ * KaTeX's output is the only HTML inserted
+ * Text that is a single paragraph renders inline, so it can sit in a heading,
+ * a button or next to an option letter
+ */
+
+import { memo, useMemo } from 'react';
+import { MathExpression } from './LaTeXRenderer';
+import { parseMarkdown, isSingleParagraph } from '../utils/markdown';
+import { highlightCode } from '../utils/syntaxHighlight';
+
+const CODE_TOKEN_CLASSES = {
+  keyword: 'text-purple-700 font-semibold',
+  builtin: 'text-blue-700',
+  string: 'text-green-700',
+  comment: 'text-gray-500 italic',
+  number: 'text-orange-700'
+};
+
+const ALIGN_CLASSES = { left: 'text-left', center: 'text-center', right: 'text-right' };
+
+/**
+ * Inline nodes: text, code, math, emphasis and line breaks
+ */
+export const MarkdownInlines = memo(function MarkdownInlines({ nodes }) {
+  return nodes.map((node, index) => {
+    switch (node.type) {
+      case 'code':
+        return <code key={index} className="font-mono text-[0.9em] bg-gray-100 rounded px-1">{node.text}</code>;
+      case 'math':
+        return <MathExpression key={index} latex={node.text} display={node.display} />;
+      case 'strong':
+        return <strong key={index}><MarkdownInlines nodes={node.children} /></strong>;
+      case 'emphasis':
+        return <em key={index}><MarkdownInlines nodes={node.children} /></em>;
+      case 'break':
+        return <br key={index} />;
+      default:
+        return <span key={index}>{node.text}</span>;
+    }
+  });
+});
+
+/**
+ * A code block, highlighted when its language is known
+ */
+const CodeBlock = memo(function CodeBlock({ language, text }) {
+  const tokens = useMemo(() => highlightCode(text, language), [text, language]);
+
+  return (
+    <pre className="my-2 p-3 bg-gray-50 border border-gray-200 rounded overflow-x-auto text-sm leading-snug text-left">
+      <code className="font-mono text-gray-800" data-language={language || undefined}>
+        {tokens.map((token, index) => (CODE_TOKEN_CLASSES[token.type]
+          ? <span key={index} className={CODE_TOKEN_CLASSES[token.type]}>{token.text}</span>
+          : token.text))}
+      </code>
+    </pre>
+  );
+});
+
+/**
+ * Block nodes: paragraphs, lists, tables and code blocks
+ */
+export const MarkdownBlocks = memo(function MarkdownBlocks({ blocks }) {
+  return blocks.map((block, index) => {
+    switch (block.type) {
+      case 'list': {
+        const items = block.items.map((item, itemIndex) => (
+          <li key={itemIndex}><MarkdownInlines nodes={item} /></li>
+        ));
+        return block.ordered
+          ? <ol key={index} start={block.start} className="list-decimal pl-6 my-2 space-y-1">{items}</ol>
+          : <ul key={index} className="list-disc pl-6 my-2 space-y-1">{items}</ul>;
+      }
+      case 'table':
+        return (
+          <div key={index} className="my-2 overflow-x-auto">
+            <table className="border-collapse text-sm font-normal">
+              <thead>
+                <tr>
+                  {block.header.map((cell, column) => (
+                    <th
+                      key={column}
+                      scope="col"
+                      className={`border border-gray-300 bg-gray-50 px-3 py-1 font-semibold ${ALIGN_CLASSES[block.align[column]] || 'text-left'}`}
+                    >
+                      <MarkdownInlines nodes={cell} />
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {block.rows.map((row, rowIndex) => (
+                  <tr key={rowIndex}>
+                    {row.map((cell, column) => (
+                      <td
+                        key={column}
+                        className={`border border-gray-300 px-3 py-1 ${ALIGN_CLASSES[block.align[column]] || 'text-left'}`}
+                      >
+                        <MarkdownInlines nodes={cell} />
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        );
+      case 'code':
+        return <CodeBlock key={index} language={block.language} text={block.text} />;
+      default:
+        return <p key={index} className="my-2 first:mt-0 last:mb-0"><MarkdownInlines nodes={block.children} /></p>;
+    }
+  });
+});
+
+const MarkdownRenderer = memo(function MarkdownRenderer({ children }) {
+  const blocks = useMemo(
+    () => (children && typeof children === 'string' ? parseMarkdown(children) : null),
+    [children]
+  );
+
+  if (!blocks) {
+    return <span>{children}</span>;
+  }
+
+  if (isSingleParagraph(blocks)) {
+    return <span><MarkdownInlines nodes={blocks[0].children} /></span>;
+  }
+
+  return <div><MarkdownBlocks blocks={blocks} /></div>;
+});
+
+export default MarkdownRenderer;
@@ -1,6 +1,6 @@
 /**
  * MegaTest Component
- * Special test covering all 7 weeks with reward system
+ * Special test covering every released week with reward system
  */
 
 'use client';
@@ -9,7 +9,9 @@ import { useState, useEffect } from 'react';
 import { useRouter } from 'next/navigation';
 import Card from './Card';
 import Button from './Button';
-import { loadQuestions } from '../utils/dataLoader';
+import { loadQuestionBank } from '../utils/dataLoader';
+import { getReleasedQuestions } from '../utils/assignmentMetadata';
+import { getAvailableAssignments } from '../utils/questionFilter';
 import { getUserName } from '../utils/storageUtils';
 import { trackMegaTestAttempt } from '../utils/analytics';
 import { logTestStart } from '../utils/firebase';
@@ -18,17 +20,18 @@ export default function MegaTest({ className = '' }) {
   const router = useRouter();
   const [isStarting, setIsStarting] = useState(false);
   const [totalQuestions, setTotalQuestions] = useState(0);
+  const [weekCount, setWeekCount] = useState(0);
   const userName = getUserName();
 
   useEffect(() => {
-    // Count total questions across all assignments
+    // Count the weeks and questions the mega test will cover
     const countQuestions = async () => {
       try {
-        const questions = await loadQuestions();
+        const questions = getReleasedQuestions(await loadQuestionBank());
         setTotalQuestions(questions.length);
+        setWeekCount(getAvailableAssignments(questions).length);
       } catch (error) {
         console.error('Error loading questions for mega test:', error);
-        setTotalQuestions(70); // Fallback estimate
       }
     };
     countQuestions();
@@ -71,11 +74,15 @@ export default function MegaTest({ className = '' }) {
         {/* Description */}
         <div className="mb-6 space-y-2">
           <p className="text-gray-700 font-medium">
-            Test your knowledge across all 8 weeks
-          </p>
-          <p className="text-sm text-gray-600">
-            {totalQuestions} questions • All topics covered
+            {weekCount > 0
+              ? `Test your knowledge across all ${weekCount} weeks`
+              : 'Test your knowledge across every week'}
           </p>
+          {totalQuestions > 0 && (
+            <p className="text-sm text-gray-600">
+              {totalQuestions} questions • All topics covered
+            </p>
+          )}
         </div>
 
         {/* Reward Section */}
@@ -1,17 +1,21 @@
 /**
  * ModeSelector Component
- * Displays three learning mode options with descriptions and visual indicators
+ * Displays the learning mode options with descriptions and visual indicators
  * Handles navigation to quiz interface with selected mode
  */
 
 'use client';
 
+import { useState, useEffect } from 'react';
 import { useRouter } from 'next/navigation';
-import { getUserName } from '../utils/storageUtils';
+import { getUserName, getQuizProgress, clearQuizProgress } from '../utils/storageUtils';
+import { getSavedQuizSummary, getExamTimeLimit } from '../utils/quizLogic';
+import { getScoringRules, getScoringPolicyDisplayName, SCORING_POLICIES } from '../utils/scoringUtils';
 import { trackModeSelection } from '../utils/analytics';
 import Card from './Card';
 import Button from './Button';
 import { navigate } from '../utils/navigationUtils';
+import { getCourseScopedId } from '../utils/courseManifest';
 
 const LEARNING_MODES = [
   {
@@ -49,19 +53,79 @@ const LEARNING_MODES = [
       'Feedback after each answer',
       'Maximum challenge level'
     ]
+  },
+  {
+    id: 'exam',
+    title: 'Exam Mode',
+    description: 'Rehearse real exam conditions: a fixed time limit, no feedback until you submit, and free navigation between questions.',
+    icon: '⏱️',
+    color: 'red',
+    features: [
+      'Countdown with auto-submit',
+      'Flag questions to revisit',
+      'Answers revealed only at the end'
+    ]
+  },
+  {
+    id: 'review',
+    title: 'Review Mode',
+    description: 'Revisit only the questions that are due based on your past answers. Missed questions come back sooner.',
+    icon: '🔁',
+    color: 'orange',
+    features: [
+      'Spaced repetition schedule',
+      'Missed questions repeat first',
+      'Builds long-term retention'
+    ]
   }
 ];
 
-export default function ModeSelector({ assignmentNumber, onBack }) {
+export default function ModeSelector({ assignmentNumber, onBack, courseId = null, title = null, examTimeLimit = null, scoring = null }) {
   const router = useRouter();
+  const [savedProgress, setSavedProgress] = useState({});
+  const progressId = getCourseScopedId(courseId, assignmentNumber);
+
+  // Review sessions draw on the default course's answer history only
+  const modes = courseId ? LEARNING_MODES.filter(mode => mode.id !== 'review') : LEARNING_MODES;
+
+  // Look up quizzes left in progress for each mode (client-only storage)
+  useEffect(() => {
+    const progress = {};
+    LEARNING_MODES.forEach(mode => {
+      const snapshot = getQuizProgress(progressId, mode.id);
+      if (snapshot && Array.isArray(snapshot.questions) && Array.isArray(snapshot.userAnswers)) {
+        progress[mode.id] = getSavedQuizSummary(snapshot);
+      }
+    });
+    setSavedProgress(progress);
+  }, [progressId]);
+
+  const handleResume = (mode) => {
+    navigate.resumeQuiz(router, assignmentNumber, mode, courseId);
+  };
+
+  const handleDiscard = (mode) => {
+    clearQuizProgress(progressId, mode);
+    setSavedProgress(prev => {
+      const next = { ...prev };
+      delete next[mode];
+      return next;
+    });
+  };
 
   const handleModeSelect = (mode) => {
     // Track mode selection
     const userName = getUserName();
     trackModeSelection(assignmentNumber, `Assignment ${assignmentNumber}`, mode, userName);
     
+    // Review sessions have their own route serving only due questions
+    if (mode === 'review') {
+      navigate.toReview(router, assignmentNumber);
+      return;
+    }
+
     // Navigate to quiz interface with assignment and mode parameters
-    navigate.toQuiz(router, assignmentNumber, mode);
+    navigate.toQuiz(router, assignmentNumber, mode, courseId);
   };
 
   const getColorClasses = (color) => {
@@ -83,6 +147,18 @@ export default function ModeSelector({ assignmentNumber, onBack }) {
         icon: 'text-purple-600',
         button: 'bg-purple-600 hover:bg-purple-700 focus:ring-purple-500',
         accent: 'text-purple-600'
+      },
+      red: {
+        border: 'border-red-200 hover:border-red-300',
+        icon: 'text-red-600',
+        button: 'bg-red-600 hover:bg-red-700 focus:ring-red-500',
+        accent: 'text-red-600'
+      },
+      orange: {
+        border: 'border-orange-200 hover:border-orange-300',
+        icon: 'text-orange-600',
+        button: 'bg-orange-600 hover:bg-orange-700 focus:ring-orange-500',
+        accent: 'text-orange-600'
       }
     };
     return colorMap[color] || colorMap.blue;
@@ -93,7 +169,7 @@ export default function ModeSelector({ assignmentNumber, onBack }) {
       {/* Header Section */}
       <div className="text-center mb-8 sm:mb-12 px-4">
         <h1 className="text-3xl sm:text-4xl lg:text-5xl font-bold text-gray-900 mb-3 sm:mb-4">
-          Assignment {assignmentNumber}
+          {title || `Assignment ${assignmentNumber}`}
         </h1>
         <h2 className="text-xl sm:text-2xl lg:text-3xl font-medium text-gray-700 mb-4 sm:mb-6">
           Choose Your Learning Mode
@@ -105,7 +181,7 @@ export default function ModeSelector({ assignmentNumber, onBack }) {
 
       {/* Mode Selection Cards */}
       <div className="space-y-4 sm:space-y-6 mb-8 sm:mb-12 max-w-4xl mx-auto">
-        {LEARNING_MODES.map((mode) => {
+        {modes.map((mode) => {
           const colors = getColorClasses(mode.color);
           
           return (
@@ -139,6 +215,16 @@ export default function ModeSelector({ assignmentNumber, onBack }) {
                   <p className="text-sm sm:text-base text-gray-600 leading-relaxed">
                     {mode.description}
                   </p>
+                  {mode.id === 'exam' && (
+                    <p className={`text-sm font-medium ${colors.accent} mt-2`}>
+                      Time limit: {Math.round((examTimeLimit || getExamTimeLimit(assignmentNumber)) / 60)} minutes
+                    </p>
+                  )}
+                  {mode.id !== 'learn' && getScoringRules(mode.id, scoring).policy !== SCORING_POLICIES.ALL_OR_NOTHING && (
+                    <p className={`text-sm font-medium ${colors.accent} mt-1`}>
+                      Scoring: {getScoringPolicyDisplayName(getScoringRules(mode.id, scoring).policy)}
+                    </p>
+                  )}
                 </div>
                 
                 {/* Features List */}
@@ -154,13 +240,31 @@ export default function ModeSelector({ assignmentNumber, onBack }) {
                 </div>
                 
                 {/* Select Button */}
-                <div className="flex justify-start">
-                  <button
-                    onClick={() => handleModeSelect(mode.id)}
-                    className={`${colors.button} text-white border-transparent px-6 py-3 text-base min-h-[48px] inline-flex items-center justify-center border rounded-lg font-semibold transition-all duration-200 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-opacity-50 touch-manipulation select-none`}
-                  >
-                    Start {mode.title} →
-                  </button>
+                <div className="flex flex-wrap items-center justify-start gap-3">
+                  {savedProgress[mode.id] ? (
+                    <>
+                      <button
+                        onClick={() => handleResume(mode.id)}
+                        className={`${colors.button} text-white border-transparent px-6 py-3 text-base min-h-[48px] inline-flex items-center justify-center border rounded-lg font-semibold transition-all duration-200 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-opacity-50 touch-manipulation select-none`}
+                      >
+                        Resume where you left off (Q{savedProgress[mode.id].currentQuestion}/{savedProgress[mode.id].totalQuestions}) →
+                      </button>
+                      <Button
+                        onClick={() => handleDiscard(mode.id)}
+                        variant="outline"
+                        size="sm"
+                      >
+                        Discard progress
+                      </Button>
+                    </>
+                  ) : (
+                    <button
+                      onClick={() => handleModeSelect(mode.id)}
+                      className={`${colors.button} text-white border-transparent px-6 py-3 text-base min-h-[48px] inline-flex items-center justify-center border rounded-lg font-semibold transition-all duration-200 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-opacity-50 touch-manipulation select-none`}
+                    >
+                      Start {mode.title} →
+                    </button>
+                  )}
                 </div>
               </div>
             </Card>
@@ -8,6 +8,7 @@ import { storeUserName, clearUserName } from '../utils/storageUtils';
 import { trackNameChange } from '../utils/analytics';
 import Button from './Button';
 import Card from './Card';
+import Dialog from './Dialog';
 
 export default function NameChangeModal({ currentName, onNameChange, onClose }) {
   const [name, setName] = useState(currentName || '');
@@ -92,10 +93,14 @@ export default function NameChangeModal({ currentName, onNameChange, onClose })
   };
 
   return (
-    <div className="fixed inset-0 bg-blue-900 bg-opacity-20 flex items-center justify-center p-4 z-50 touch-manipulation">
-      <Card className="w-full max-w-md mx-4 modal-scroll-fix">
+    <Dialog
+      titleId="name-change-title"
+      onClose={isSubmitting ? null : onClose}
+      className="w-full max-w-md mx-4"
+    >
+      <Card className="modal-scroll-fix">
         <div className="text-center mb-4 sm:mb-6">
-          <h2 className="text-xl sm:text-2xl font-bold text-gray-900 mb-2">
+          <h2 id="name-change-title" className="text-xl sm:text-2xl font-bold text-gray-900 mb-2">
             Change Your Name
           </h2>
           <p className="text-sm sm:text-base text-gray-600">
@@ -121,11 +126,13 @@ export default function NameChangeModal({ currentName, onNameChange, onClose })
                 error ? 'border-red-500' : 'border-gray-300'
               }`}
               disabled={isSubmitting}
+              aria-invalid={error ? true : undefined}
+              aria-describedby={error ? 'name-change-error' : undefined}
               autoFocus
               maxLength={50}
             />
             {error && (
-              <p className="mt-2 text-sm text-red-600" role="alert">
+              <p id="name-change-error" className="mt-2 text-sm text-red-600" role="alert">
                 {error}
               </p>
             )}
@@ -169,6 +176,6 @@ export default function NameChangeModal({ currentName, onNameChange, onClose })
           )}
         </form>
       </Card>
-    </div>
+    </Dialog>
   );
 }
\ No newline at end of file
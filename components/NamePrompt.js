@@ -8,6 +8,7 @@ import { storeUserName } from '../utils/storageUtils';
 import { trackNameChange } from '../utils/analytics';
 import Button from './Button';
 import Card from './Card';
+import Dialog from './Dialog';
 
 export default function NamePrompt({ onNameSubmit }) {
   const [name, setName] = useState('');
@@ -68,10 +69,10 @@ export default function NamePrompt({ onNameSubmit }) {
   };
 
   return (
-    <div className="fixed inset-0 bg-blue-900 bg-opacity-20 flex items-center justify-center p-4 z-50 touch-manipulation">
-      <Card className="w-full max-w-md mx-4 modal-scroll-fix">
+    <Dialog titleId="name-prompt-title" className="w-full max-w-md mx-4">
+      <Card className="modal-scroll-fix">
         <div className="text-center mb-4 sm:mb-6">
-          <h2 className="text-xl sm:text-2xl font-bold text-gray-900 mb-2">
+          <h2 id="name-prompt-title" className="text-xl sm:text-2xl font-bold text-gray-900 mb-2">
             Welcome to ML Quiz App!
           </h2>
           <p className="text-sm sm:text-base text-gray-600 leading-relaxed">
@@ -97,11 +98,13 @@ export default function NamePrompt({ onNameSubmit }) {
                 error ? 'border-red-500' : 'border-gray-300'
               }`}
               disabled={isSubmitting}
+              aria-invalid={error ? true : undefined}
+              aria-describedby={error ? 'name-error' : undefined}
               autoFocus
               maxLength={50}
             />
             {error && (
-              <p className="mt-2 text-sm text-red-600" role="alert">
+              <p id="name-error" className="mt-2 text-sm text-red-600" role="alert">
                 {error}
               </p>
             )}
@@ -121,6 +124,6 @@ export default function NamePrompt({ onNameSubmit }) {
           Your name will be stored locally in your browser for personalization.
         </p>
       </Card>
-    </div>
+    </Dialog>
   );
 }
\ No newline at end of file
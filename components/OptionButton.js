@@ -1,5 +1,5 @@
 import { memo, useCallback, useMemo } from 'react';
-import LaTeXRenderer from './LaTeXRenderer';
+import MarkdownRenderer from './MarkdownRenderer';
 
 const OptionButton = memo(function OptionButton({ 
   option, 
@@ -8,7 +8,8 @@ const OptionButton = memo(function OptionButton({
   isMultipleChoice, 
   onSelect, 
   disabled,
-  compact = false
+  compact = false,
+  tabIndex
 }) {
   const handleClick = useCallback(() => {
     if (!disabled) {
@@ -19,8 +20,8 @@ const OptionButton = memo(function OptionButton({
   // Memoized button styling based on state
   const buttonClasses = useMemo(() => {
     let baseClasses = compact ? 
-      "w-full p-2 text-left border rounded option-button cursor-pointer hover:shadow-sm focus:outline-none focus:ring-1 focus:ring-blue-500 touch-manipulation min-h-[36px] text-sm " :
-      "w-full p-4 sm:p-5 text-left border-2 rounded-lg option-button cursor-pointer hover:shadow-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 touch-manipulation min-h-[56px] sm:min-h-[48px] ";
+      "w-full p-2 text-left border rounded option-button cursor-pointer hover:shadow-sm focus:outline-none focus:ring-1 focus:ring-focus touch-manipulation min-h-[36px] text-sm " :
+      "w-full p-4 sm:p-5 text-left border-2 rounded-lg option-button cursor-pointer hover:shadow-md focus:outline-none focus:ring-2 focus:ring-focus focus:ring-offset-2 touch-manipulation min-h-[56px] sm:min-h-[48px] ";
     
     // Add animation classes based on state
     if (showFeedback && option.iscorrect) {
@@ -34,21 +35,21 @@ const OptionButton = memo(function OptionButton({
     if (showFeedback) {
       if (option.iscorrect) {
         // Correct answer - always green when feedback is shown
-        baseClasses += "border-green-500 bg-green-50 text-green-800 focus:ring-green-500 ";
+        baseClasses += "border-success bg-success-soft text-on-success-soft focus:ring-success ";
       } else if (isSelected && !option.iscorrect) {
         // Selected wrong answer - red
-        baseClasses += "border-red-500 bg-red-50 text-red-800 focus:ring-red-500 ";
+        baseClasses += "border-danger bg-danger-soft text-on-danger-soft focus:ring-danger ";
       } else {
         // Unselected options when feedback is shown
-        baseClasses += "border-gray-300 bg-gray-50 text-gray-600 focus:ring-gray-500 ";
+        baseClasses += "border-line bg-surface-muted text-muted focus:ring-focus ";
       }
     } else {
       if (isSelected) {
-        // Selected but no feedback yet - blue
-        baseClasses += "border-blue-500 bg-blue-50 text-blue-800 focus:ring-blue-500 ";
+        // Selected but no feedback yet - the theme's primary colour
+        baseClasses += "border-primary bg-primary-soft text-on-primary-soft focus:ring-focus ";
       } else {
         // Default unselected state
-        baseClasses += "border-gray-300 bg-white text-gray-700 hover:border-gray-400 hover:bg-gray-50 focus:ring-blue-500 ";
+        baseClasses += "border-line bg-surface text-foreground hover:border-muted hover:bg-surface-muted focus:ring-focus ";
       }
     }
 
@@ -61,22 +62,33 @@ const OptionButton = memo(function OptionButton({
 
   const containerClass = compact ? "mb-1" : "mb-3 sm:mb-4";
   const spacingClass = compact ? "space-x-2" : "space-x-3 sm:space-x-4";
-  const inputClass = compact ? 
-    "w-4 h-4 text-blue-600 border-gray-300 focus:ring-blue-500 touch-manipulation" :
-    "w-5 h-5 sm:w-4 sm:h-4 text-blue-600 border-gray-300 focus:ring-blue-500 touch-manipulation";
+  const indicatorClass = compact ?
+    "w-4 h-4 text-[10px]" :
+    "w-5 h-5 sm:w-4 sm:h-4 text-xs sm:text-[10px]";
   const textClass = compact ?
     "text-xs leading-tight break-words" :
     "text-base sm:text-sm leading-relaxed break-words";
   const numberClass = compact ?
-    "font-medium text-xs text-gray-800 mr-1" :
-    "font-medium text-base sm:text-sm text-gray-800 mr-2";
+    "font-medium text-xs mr-1" :
+    "font-medium text-base sm:text-sm mr-2";
+
+  // Feedback is spelled out next to the colours, for users who can't tell them apart
+  let feedback = null;
+  if (showFeedback && option.iscorrect) {
+    feedback = { icon: '✓', label: isSelected ? 'Correct' : 'Correct answer', className: 'text-on-success-soft' };
+  } else if (showFeedback && isSelected) {
+    feedback = { icon: '✗', label: 'Incorrect', className: 'text-on-danger-soft' };
+  }
 
   return (
     <div className={containerClass}>
       <button
         type="button"
+        role={isMultipleChoice ? 'checkbox' : 'radio'}
+        aria-checked={isSelected}
         onClick={handleClick}
         disabled={disabled}
+        tabIndex={tabIndex}
         className={buttonClasses}
         onKeyDown={(e) => {
           if (e.key === 'Enter' || e.key === ' ') {
@@ -84,42 +96,36 @@ const OptionButton = memo(function OptionButton({
             handleClick();
           }
         }}
-        aria-pressed={isSelected}
-        aria-describedby={`option-${option.optionnumber}-description`}
       >
         <div className={`flex items-start ${spacingClass}`}>
-          {/* Input element for visual consistency */}
-          <div className="flex-shrink-0 mt-0.5">
-            {isMultipleChoice ? (
-              <input
-                type="checkbox"
-                checked={isSelected}
-                onChange={() => {}} // Handled by button click
-                className={`${inputClass} ${compact ? 'rounded' : 'rounded'}`}
-                disabled={disabled}
-                tabIndex={-1}
-              />
-            ) : (
-              <input
-                type="radio"
-                checked={isSelected}
-                onChange={() => {}} // Handled by button click
-                className={inputClass}
-                disabled={disabled}
-                tabIndex={-1}
-              />
-            )}
-          </div>
+          {/* Radio or checkbox look; the button itself carries the checked state */}
+          <span
+            aria-hidden="true"
+            className={`flex-shrink-0 mt-0.5 flex items-center justify-center border ${indicatorClass} ${
+              isMultipleChoice ? 'rounded' : 'rounded-full'
+            } ${
+              isSelected ? 'bg-primary border-primary text-surface' : 'bg-surface border-muted'
+            }`}
+          >
+            {isSelected && (isMultipleChoice ? '✓' : <span className="w-1.5 h-1.5 rounded-full bg-surface" />)}
+          </span>
           
           {/* Option content */}
           <div className="flex-1 min-w-0">
             <span className={numberClass}>
               {option.optionnumber}.
             </span>
-            <span className={textClass} id={`option-${option.optionnumber}-description`}>
-              <LaTeXRenderer>{option.optiontext}</LaTeXRenderer>
+            <span className={textClass}>
+              <MarkdownRenderer>{option.optiontext}</MarkdownRenderer>
             </span>
           </div>
+
+          {feedback && (
+            <span className={`flex-shrink-0 font-semibold ${compact ? 'text-xs' : 'text-sm'} ${feedback.className}`}>
+              <span aria-hidden="true">{feedback.icon} </span>
+              {feedback.label}
+            </span>
+          )}
         </div>
       </button>
     </div>
@@ -0,0 +1,111 @@
+/**
+ * OrderingInput Component
+ * Answer list for ordering questions: items move up and down with buttons, so
+ * the order can be set from the keyboard too. Once feedback is shown each item
+ * is marked by whether it sits in its correct place
+ */
+
+import { memo, useMemo, useCallback } from 'react';
+import MarkdownRenderer from './MarkdownRenderer';
+import { getStartingOrder } from '../utils/shuffleUtils';
+
+const OrderingInput = memo(function OrderingInput({
+  question,
+  order = [],
+  showFeedback = false,
+  onChange,
+  disabled = false,
+  compact = false
+}) {
+  const isAnswered = order.length > 0;
+  const correctOrder = useMemo(() => question.options.map(option => option.optionnumber), [question.options]);
+  const startingOrder = useMemo(() => getStartingOrder(question), [question]);
+  const currentOrder = isAnswered ? order : startingOrder;
+
+  const optionsByNumber = useMemo(
+    () => Object.fromEntries(question.options.map(option => [option.optionnumber, option])),
+    [question.options]
+  );
+
+  const handleMove = useCallback((index, offset) => {
+    const target = index + offset;
+    if (disabled || target < 0 || target >= currentOrder.length) return;
+
+    const newOrder = [...currentOrder];
+    [newOrder[index], newOrder[target]] = [newOrder[target], newOrder[index]];
+    onChange(newOrder);
+  }, [disabled, currentOrder, onChange]);
+
+  const getItemClass = (optionNumber, index) => {
+    if (showFeedback && isAnswered) {
+      return correctOrder[index] === optionNumber
+        ? 'border-success bg-success-soft text-on-success-soft'
+        : 'border-danger bg-danger-soft text-on-danger-soft';
+    }
+    return 'border-line bg-surface text-foreground';
+  };
+
+  const itemClass = compact ?
+    'flex items-center gap-2 p-2 border rounded text-sm' :
+    'flex items-center gap-3 p-3 sm:p-4 border-2 rounded-lg';
+  const moveClass = compact ?
+    'px-1.5 py-0.5 text-xs border border-line rounded bg-surface hover:bg-surface-muted disabled:opacity-40' :
+    'px-2 py-1 text-sm border border-line rounded bg-surface hover:bg-surface-muted focus:outline-none focus:ring-2 focus:ring-focus disabled:opacity-40';
+
+  return (
+    <div>
+      <ol className={compact ? 'space-y-1' : 'space-y-2'} aria-label="Items in your order">
+        {currentOrder.map((optionNumber, index) => (
+          <li key={optionNumber} className={`${itemClass} ${getItemClass(optionNumber, index)}`}>
+            <span className="font-medium text-muted w-6 flex-shrink-0">{index + 1}.</span>
+            <span className="flex-1 min-w-0 break-words">
+              <MarkdownRenderer>{optionsByNumber[optionNumber].optiontext}</MarkdownRenderer>
+            </span>
+            {showFeedback && isAnswered && (
+              <span className="flex-shrink-0 font-semibold">
+                <span aria-hidden="true">{correctOrder[index] === optionNumber ? '✓' : '✗'}</span>
+                <span className="sr-only">
+                  {correctOrder[index] === optionNumber ? 'In the correct place' : 'Not in the correct place'}
+                </span>
+              </span>
+            )}
+            <span className="flex gap-1 flex-shrink-0">
+              <button
+                type="button"
+                onClick={() => handleMove(index, -1)}
+                disabled={disabled || index === 0}
+                className={moveClass}
+                aria-label={`Move item ${index + 1} up`}
+              >
+                ↑
+              </button>
+              <button
+                type="button"
+                onClick={() => handleMove(index, 1)}
+                disabled={disabled || index === currentOrder.length - 1}
+                className={moveClass}
+                aria-label={`Move item ${index + 1} down`}
+              >
+                ↓
+              </button>
+            </span>
+          </li>
+        ))}
+      </ol>
+
+      {showFeedback && (
+        <p className={`${compact ? 'mt-1 text-xs' : 'mt-3 text-sm sm:text-base'} text-foreground`}>
+          Correct order:{' '}
+          {correctOrder.map((optionNumber, index) => (
+            <span key={optionNumber}>
+              {index > 0 && ' → '}
+              <MarkdownRenderer>{optionsByNumber[optionNumber].optiontext}</MarkdownRenderer>
+            </span>
+          ))}
+        </p>
+      )}
+    </div>
+  );
+});
+
+export default OrderingInput;
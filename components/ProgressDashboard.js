@@ -0,0 +1,208 @@
+/**
+ * ProgressDashboard Component
+ * Shows the student's own attempt history: score trends per assignment,
+ * best and last scores, and the questions they miss most often
+ * Like review history, progress only covers the default course
+ */
+
+'use client';
+
+import { useState, useEffect, useMemo } from 'react';
+import { useRouter } from 'next/navigation';
+import Card from './Card';
+import Button from './Button';
+import Container from './Container';
+import Grid from './Grid';
+import LaTeXRenderer from './LaTeXRenderer';
+import { loadAttempts, getCourseAttempts, getAssignmentStats, getWeakestQuestions, getMissedQuestionKeys } from '../utils/attemptHistory';
+import { loadQuestions } from '../utils/dataLoader';
+import { getQuestionKey } from '../utils/reviewScheduler';
+import { ensureAuthenticated } from '../utils/firebase';
+import { getModeDisplayName, getAssignmentDisplayName, isValidQuestionSetMode, navigate } from '../utils/navigationUtils';
+
+function getScoreBarColor(percentage) {
+  if (percentage >= 80) return 'bg-green-500';
+  if (percentage >= 60) return 'bg-yellow-500';
+  return 'bg-red-500';
+}
+
+export default function ProgressDashboard() {
+  const router = useRouter();
+  const [attempts, setAttempts] = useState([]);
+  const [questionsByKey, setQuestionsByKey] = useState({});
+  const [isLoading, setIsLoading] = useState(true);
+
+  useEffect(() => {
+    const loadProgress = async () => {
+      try {
+        await ensureAuthenticated();
+        const [allAttempts, questions] = await Promise.all([
+          loadAttempts(),
+          loadQuestions().catch(() => [])
+        ]);
+
+        // Question details come from the default course's bank
+        setAttempts(getCourseAttempts(allAttempts));
+        setQuestionsByKey(Object.fromEntries(questions.map(q => [getQuestionKey(q), q])));
+      } catch (error) {
+        console.error('Error loading progress:', error);
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    loadProgress();
+  }, []);
+
+  const assignmentStats = useMemo(() => getAssignmentStats(attempts), [attempts]);
+  const weakestQuestions = useMemo(() => getWeakestQuestions(attempts), [attempts]);
+  const recentAttempts = useMemo(() => [...attempts].reverse().slice(0, 10), [attempts]);
+
+  const sortedAssignments = Object.keys(assignmentStats).sort((a, b) => {
+    const aNum = parseInt(a);
+    const bNum = parseInt(b);
+    if (isNaN(aNum) || isNaN(bNum)) return isNaN(aNum) - isNaN(bNum);
+    return aNum - bNum;
+  });
+
+  const handleRetryMistakes = (attempt, missedKeys) => {
+    const retryMode = isValidQuestionSetMode(attempt.mode) ? attempt.mode : 'test-easy';
+    navigate.toQuestionSet(router, retryMode, missedKeys);
+  };
+
+  if (isLoading) {
+    return (
+      <Container>
+        <div className="min-h-screen flex items-center justify-center">
+          <div className="text-center">
+            <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600 mx-auto mb-4"></div>
+            <p className="text-gray-600">Loading your progress...</p>
+          </div>
+        </div>
+      </Container>
+    );
+  }
+
+  return (
+    <Container size="lg">
+      <div className="min-h-screen py-8">
+        <div className="text-center mb-8 sm:mb-12">
+          <h1 className="text-3xl sm:text-4xl lg:text-5xl font-bold text-gray-900 mb-3">
+            Your Progress
+          </h1>
+          <p className="text-base sm:text-lg text-gray-600">
+            {attempts.length} completed attempt{attempts.length !== 1 ? 's' : ''}
+          </p>
+        </div>
+
+        {attempts.length === 0 ? (
+          <div className="text-center p-8 bg-blue-50 rounded-lg max-w-md mx-auto mb-8">
+            <p className="text-blue-800">
+              You have not completed any quizzes yet. Finish a quiz to start tracking your progress.
+            </p>
+          </div>
+        ) : (
+          <>
+            {/* Score trends per assignment */}
+            <section className="mb-10">
+              <h2 className="text-xl sm:text-2xl font-bold text-gray-800 mb-4">Score Trends</h2>
+              <Grid cols="3" gap="default">
+                {sortedAssignments.map(assignment => {
+                  const stats = assignmentStats[assignment];
+                  return (
+                    <Card key={assignment} padding="default">
+                      <h3 className="text-lg font-semibold text-gray-800 mb-2">
+                        {getAssignmentDisplayName(assignment)}
+                      </h3>
+                      <div className="flex items-end gap-1 h-16 mb-3" aria-label="Score trend">
+                        {stats.trend.slice(-12).map((percentage, index) => (
+                          <div
+                            key={index}
+                            className={`flex-1 rounded-t ${getScoreBarColor(percentage)}`}
+                            style={{ height: `${Math.max(percentage, 4)}%` }}
+                            title={`${percentage}%`}
+                          ></div>
+                        ))}
+                      </div>
+                      <div className="flex justify-between text-sm text-gray-600">
+                        <span>Best: <strong>{stats.best}%</strong></span>
+                        <span>Last: <strong>{stats.last}%</strong></span>
+                        <span>{stats.attempts} tr{stats.attempts !== 1 ? 'ies' : 'y'}</span>
+                      </div>
+                    </Card>
+                  );
+                })}
+              </Grid>
+            </section>
+
+            {/* Weakest questions */}
+            {weakestQuestions.length > 0 && (
+              <section className="mb-10">
+                <h2 className="text-xl sm:text-2xl font-bold text-gray-800 mb-4">Weakest Questions</h2>
+                <Card padding="default">
+                  <ul className="divide-y divide-gray-200">
+                    {weakestQuestions.map(entry => {
+                      const question = questionsByKey[entry.questionKey];
+                      return (
+                        <li key={entry.questionKey} className="py-3 flex items-start justify-between gap-4">
+                          <div className="min-w-0">
+                            <p className="text-xs text-gray-500 mb-1">
+                              Assignment {entry.questionKey.split('-')[0]} · Question {entry.questionKey.split('-')[1]}
+                            </p>
+                            <p className="text-sm text-gray-800">
+                              {question ? <LaTeXRenderer>{question.question}</LaTeXRenderer> : entry.questionKey}
+                            </p>
+                          </div>
+                          <span className="flex-shrink-0 text-sm font-semibold text-red-600">
+                            missed {entry.misses}/{entry.attempts}
+                          </span>
+                        </li>
+                      );
+                    })}
+                  </ul>
+                </Card>
+              </section>
+            )}
+
+            {/* Recent attempts */}
+            <section className="mb-10">
+              <h2 className="text-xl sm:text-2xl font-bold text-gray-800 mb-4">Recent Attempts</h2>
+              <Card padding="default">
+                <ul className="divide-y divide-gray-200">
+                  {recentAttempts.map(attempt => {
+                    const missedKeys = getMissedQuestionKeys(attempt);
+                    return (
+                      <li key={attempt.id} className="py-2 flex flex-wrap items-center justify-between gap-2 text-sm text-gray-700">
+                        <span>
+                          {getAssignmentDisplayName(attempt.assignment)} · {getModeDisplayName(attempt.mode)}
+                        </span>
+                        <span className="flex items-center gap-3">
+                          {attempt.correct}/{attempt.total} ({attempt.percentage}%) · {new Date(attempt.completedAt).toLocaleDateString()}
+                          {missedKeys.length > 0 && (
+                            <button
+                              type="button"
+                              onClick={() => handleRetryMistakes(attempt, missedKeys)}
+                              className="text-blue-600 hover:text-blue-800 underline"
+                            >
+                              Retry {missedKeys.length} mistake{missedKeys.length !== 1 ? 's' : ''}
+                            </button>
+                          )}
+                        </span>
+                      </li>
+                    );
+                  })}
+                </ul>
+              </Card>
+            </section>
+          </>
+        )}
+
+        <div className="text-center">
+          <Button onClick={() => navigate.toHome(router)} variant="outline" size="lg">
+            ← Back to Home
+          </Button>
+        </div>
+      </div>
+    </Container>
+  );
+}
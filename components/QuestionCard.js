@@ -1,7 +1,20 @@
-import { memo, useMemo, useCallback } from 'react';
-import Image from 'next/image';
+import { memo, useMemo, useCallback, useState, useId } from 'react';
 import OptionButton from './OptionButton';
-import LaTeXRenderer from './LaTeXRenderer';
+import TextAnswerInput from './TextAnswerInput';
+import OrderingInput from './OrderingInput';
+import { MarkdownInlines, MarkdownBlocks } from './MarkdownRenderer';
+import QuestionExplanation from './QuestionExplanation';
+import QuestionImage from './QuestionImage';
+import { QUESTION_TYPES, getQuestionType, isTypedAnswerQuestion } from '../utils/questionTypes';
+import { parseMarkdown, splitLeadParagraph } from '../utils/markdown';
+import { toggleOptionSelection } from '../utils/quizLogic';
+
+// What each question type asks the user to do
+const TYPE_INSTRUCTIONS = {
+  [QUESTION_TYPES.NUMERIC]: 'Enter a number:',
+  [QUESTION_TYPES.SHORT_TEXT]: 'Type your answer:',
+  [QUESTION_TYPES.ORDERING]: 'Put the items in the correct order:'
+};
 
 const QuestionCard = memo(function QuestionCard({
   question,
@@ -12,9 +25,18 @@ const QuestionCard = memo(function QuestionCard({
   disabled = false,
   compact = false
 }) {
+  const questionType = getQuestionType(question);
+  const titleId = useId();
+
+  // The first paragraph is the heading; tables, lists and code follow it
+  const { lead, rest } = useMemo(() =>
+    splitLeadParagraph(parseMarkdown(question.question || '')),
+    [question.question]
+  );
+
   // Memoized calculations to prevent unnecessary recalculations
   const correctAnswers = useMemo(() =>
-    question.options.filter(opt => opt.iscorrect),
+    (question.options || []).filter(opt => opt.iscorrect),
     [question.options]
   );
 
@@ -27,22 +49,46 @@ const QuestionCard = memo(function QuestionCard({
   const handleAnswerSelect = useCallback((optionNumber) => {
     if (disabled) return;
 
-    let newSelectedAnswers;
-
-    if (isMultipleChoice) {
-      // Multiple choice: toggle selection
-      if (selectedAnswers.includes(optionNumber)) {
-        newSelectedAnswers = selectedAnswers.filter(ans => ans !== optionNumber);
-      } else {
-        newSelectedAnswers = [...selectedAnswers, optionNumber];
-      }
-    } else {
-      // Single choice: replace selection
-      newSelectedAnswers = [optionNumber];
+    onAnswerSelect(toggleOptionSelection(selectedAnswers, optionNumber, isMultipleChoice));
+  }, [disabled, isMultipleChoice, selectedAnswers, onAnswerSelect]);
+
+  // Typed answers are stored as a one-item list, and a blank box as no answer
+  const handleTextChange = useCallback((text) => {
+    if (disabled) return;
+    onAnswerSelect(text.trim() === '' ? [] : [text]);
+  }, [disabled, onAnswerSelect]);
+
+  // Options are one tab stop; the arrow keys move between them
+  const [focusedOption, setFocusedOption] = useState(null);
+  const options = question.options || [];
+  const selectedIndex = options.findIndex(option => selectedAnswers.includes(option.optionnumber));
+  const tabStop = focusedOption !== null && focusedOption < options.length
+    ? focusedOption
+    : Math.max(selectedIndex, 0);
+
+  const handleOptionKeyDown = useCallback((event) => {
+    const buttons = [...event.currentTarget.querySelectorAll('button:not([disabled])')];
+    const index = buttons.indexOf(event.target);
+    if (index === -1) return;
+
+    const targets = { ArrowDown: index + 1, ArrowUp: index - 1, Home: 0, End: buttons.length - 1 };
+    if (!(event.key in targets)) return;
+
+    event.preventDefault();
+    buttons[(targets[event.key] + buttons.length) % buttons.length].focus();
+  }, []);
+
+  const handleOptionFocus = useCallback((event) => {
+    const index = [...event.currentTarget.querySelectorAll('button')].indexOf(event.target);
+    if (index !== -1) {
+      setFocusedOption(index);
     }
+  }, []);
 
-    onAnswerSelect(newSelectedAnswers);
-  }, [disabled, isMultipleChoice, selectedAnswers, onAnswerSelect]);
+  const handleOrderChange = useCallback((order) => {
+    if (disabled) return;
+    onAnswerSelect(order);
+  }, [disabled, onAnswerSelect]);
 
   // In learn mode, show feedback immediately
   const shouldShowFeedback = useMemo(() =>
@@ -70,61 +116,96 @@ const QuestionCard = memo(function QuestionCard({
     <div className={containerClass}>
       {/* Question text */}
       <div className={questionClass}>
-        <h2 className={titleClass}>
-          <LaTeXRenderer>{question.question}</LaTeXRenderer>
-        </h2>
-
-        {/* Question image if present */}
-        {question.image && question.image.trim() !== '' && (
-          <div className={compact ? "mb-2 flex justify-center" : "mb-4 flex justify-center"}>
-            <div className="relative max-w-full">
-              <Image
-                src={`/${question.image}`}
-                alt="Question illustration"
-                width={compact ? 300 : 600}
-                height={compact ? 200 : 400}
-                className="rounded border border-gray-200"
-                style={{ width: 'auto', height: 'auto', maxWidth: '100%' }}
-                priority={false}
-                placeholder="blur"
-                blurDataURL="data:image/jpeg;base64,/9j/4AAQSkZJRgABAQAAAQABAAD/2wBDAAYEBQYFBAYGBQYHBwYIChAKCgkJChQODwwQFxQYGBcUFhYaHSUfGhsjHBYWICwgIyYnKSopGR8tMC0oMCUoKSj/2wBDAQcHBwoIChMKChMoGhYaKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCj/wAARCAABAAEDASIAAhEBAxEB/8QAFQABAQAAAAAAAAAAAAAAAAAAAAv/xAAUEAEAAAAAAAAAAAAAAAAAAAAA/8QAFQEBAQAAAAAAAAAAAAAAAAAAAAX/xAAUEQEAAAAAAAAAAAAAAAAAAAAA/9oADAMBAAIRAxEAPwCdABmX/9k="
-                onError={(e) => {
-                  e.target.style.display = 'none';
-                }}
-              />
-            </div>
+        {lead && (
+          <h2 id={titleId} className={`${titleClass} focus:outline-none`} tabIndex={-1}>
+            <MarkdownInlines nodes={lead} />
+          </h2>
+        )}
+        {rest.length > 0 && (
+          <div className={compact ? "text-sm text-gray-800 mb-2" : "text-base sm:text-lg text-gray-800 mb-3 sm:mb-4"}>
+            <MarkdownBlocks blocks={rest} />
           </div>
         )}
+
+        {/* Question image if present */}
+        <QuestionImage
+          image={question.image}
+          alt={question.imageAlt}
+          description={question.imageDescription}
+          maxWidth={compact ? 300 : 600}
+          className={compact ? "mb-2" : "mb-4"}
+        />
       </div>
 
       {/* Selection type indicator */}
       {!compact && (
         <div className="mb-4 sm:mb-6">
           <p className="text-sm sm:text-base text-gray-600 font-medium">
-            {isMultipleChoice ?
+            {TYPE_INSTRUCTIONS[questionType] || (isMultipleChoice ?
               'Select all correct answers:' :
               'Select the correct answer:'
-            }
+            )}
           </p>
         </div>
       )}
 
-      {/* Answer options */}
-      <div className={optionsClass}>
-        {question.options.map((option) => (
-          <OptionButton
-            key={option.optionnumber}
-            option={option}
-            isSelected={selectedAnswers.includes(option.optionnumber)}
-            isCorrect={option.iscorrect}
-            showFeedback={shouldShowFeedback}
-            isMultipleChoice={isMultipleChoice}
-            onSelect={handleAnswerSelect}
-            disabled={disabled}
-            compact={compact}
-          />
-        ))}
-      </div>
+      {/* Answer input: a typed answer, an order of items or options to pick */}
+      {isTypedAnswerQuestion(question) && (
+        <TextAnswerInput
+          question={question}
+          value={selectedAnswers[0] || ''}
+          showFeedback={shouldShowFeedback}
+          onChange={handleTextChange}
+          disabled={disabled}
+          compact={compact}
+        />
+      )}
+
+      {questionType === QUESTION_TYPES.ORDERING && (
+        <OrderingInput
+          question={question}
+          order={selectedAnswers}
+          showFeedback={shouldShowFeedback}
+          onChange={handleOrderChange}
+          disabled={disabled}
+          compact={compact}
+        />
+      )}
+
+      {questionType === QUESTION_TYPES.MULTIPLE_CHOICE && (
+        <div
+          className={optionsClass}
+          role={isMultipleChoice ? 'group' : 'radiogroup'}
+          aria-labelledby={lead ? titleId : undefined}
+          aria-label={lead ? undefined : 'Options'}
+          onKeyDown={handleOptionKeyDown}
+          onFocus={handleOptionFocus}
+        >
+          {question.options.map((option, index) => (
+            <OptionButton
+              key={option.optionnumber}
+              tabIndex={index === tabStop ? 0 : -1}
+              option={option}
+              isSelected={selectedAnswers.includes(option.optionnumber)}
+              isCorrect={option.iscorrect}
+              showFeedback={shouldShowFeedback}
+              isMultipleChoice={isMultipleChoice}
+              onSelect={handleAnswerSelect}
+              disabled={disabled}
+              compact={compact}
+            />
+          ))}
+        </div>
+      )}
+
+      {/* Explanation, option rationales and references once the answer is revealed */}
+      {shouldShowFeedback && (
+        <QuestionExplanation
+          question={question}
+          selectedAnswers={selectedAnswers}
+          compact={compact}
+        />
+      )}
 
       {/* Selection summary for multiple choice - only show if not compact */}
       {!compact && isMultipleChoice && selectedAnswers.length > 0 && (
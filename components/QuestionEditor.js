@@ -0,0 +1,661 @@
+/**
+ * QuestionEditor Component
+ * Authoring page for a question bank: pick or add a question, edit its text,
+ * type, options or answer, image and explanation with a live preview, and
+ * download the resulting data.json. Questions are checked with the same
+ * rules the loader applies as they are typed
+ */
+
+'use client';
+
+import { useState, useEffect, useMemo, useRef } from 'react';
+import { useRouter } from 'next/navigation';
+import Card from './Card';
+import Button from './Button';
+import Container from './Container';
+import QuestionCard from './QuestionCard';
+import { LaTeXMacrosContext } from './LaTeXRenderer';
+import { loadCourseManifest, getDefaultCourse } from '../utils/courseManifest';
+import { getAvailableAssignments } from '../utils/questionFilter';
+import {
+  createQuestion,
+  duplicateQuestion,
+  addOption,
+  removeOption,
+  moveOption,
+  updateOption,
+  toBankQuestion,
+  validateEditedQuestions,
+  parseBankFile,
+  serializeBank,
+  changeQuestionType,
+  MAX_OPTIONS
+} from '../utils/questionEditor';
+import { QUESTION_TYPES, getQuestionType } from '../utils/questionTypes';
+import { createZipArchive } from '../utils/zipArchive';
+import { downloadFile } from '../utils/download';
+import { navigate } from '../utils/navigationUtils';
+
+const INPUT_CLASS = 'w-full px-3 py-2 border border-gray-300 rounded-lg';
+const LABEL_CLASS = 'block text-sm font-semibold text-gray-800 mb-1';
+
+const TYPE_LABELS = {
+  [QUESTION_TYPES.MULTIPLE_CHOICE]: 'Multiple choice',
+  [QUESTION_TYPES.NUMERIC]: 'Numeric answer',
+  [QUESTION_TYPES.SHORT_TEXT]: 'Short text answer',
+  [QUESTION_TYPES.ORDERING]: 'Ordering'
+};
+
+export default function QuestionEditor() {
+  const router = useRouter();
+  const [courses, setCourses] = useState([]);
+  const [courseId, setCourseId] = useState('');
+  const [bank, setBank] = useState({});
+  const [questions, setQuestions] = useState([]);
+  const [selectedIndex, setSelectedIndex] = useState(0);
+  const [assignmentFilter, setAssignmentFilter] = useState('all');
+  const [isDirty, setIsDirty] = useState(false);
+  const [loadError, setLoadError] = useState(null);
+  const [attachments, setAttachments] = useState({});
+  const [previewAnswers, setPreviewAnswers] = useState([]);
+  const [showAnswers, setShowAnswers] = useState(true);
+  const attachmentsRef = useRef(attachments);
+
+  const loadCourseBank = async (course) => {
+    try {
+      const response = await fetch(course.bank);
+      if (!response.ok) {
+        throw new Error(`Failed to load ${course.bank}: ${response.status} ${response.statusText}`);
+      }
+      const file = parseBankFile(await response.text());
+      setBank(file.bank);
+      setQuestions(file.questions);
+      setSelectedIndex(0);
+      setIsDirty(false);
+      setLoadError(null);
+    } catch (error) {
+      console.error('Error loading question bank for editing:', error);
+      setLoadError(error.message);
+    }
+  };
+
+  useEffect(() => {
+    const loadCourses = async () => {
+      try {
+        const manifest = await loadCourseManifest();
+        const defaultCourse = getDefaultCourse(manifest);
+        setCourses(manifest.courses);
+        setCourseId(defaultCourse.id);
+        await loadCourseBank(defaultCourse);
+      } catch (error) {
+        console.error('Error loading courses for editing:', error);
+        setLoadError(error.message);
+      }
+    };
+
+    loadCourses();
+  }, []);
+
+  // Warn before leaving with edits that were not downloaded
+  useEffect(() => {
+    if (!isDirty) return undefined;
+
+    const handleBeforeUnload = (event) => {
+      event.preventDefault();
+      event.returnValue = '';
+    };
+    window.addEventListener('beforeunload', handleBeforeUnload);
+    return () => window.removeEventListener('beforeunload', handleBeforeUnload);
+  }, [isDirty]);
+
+  // Release the preview URLs of attached images when leaving the page
+  useEffect(() => {
+    attachmentsRef.current = attachments;
+  }, [attachments]);
+
+  useEffect(() => () => {
+    Object.values(attachmentsRef.current).forEach(attachment => URL.revokeObjectURL(attachment.url));
+  }, []);
+
+  const errorsByQuestion = useMemo(() => validateEditedQuestions(questions), [questions]);
+  const invalidCount = errorsByQuestion.filter(errors => errors.length > 0).length;
+  const assignments = useMemo(() => getAvailableAssignments(questions), [questions]);
+
+  const visibleIndexes = questions
+    .map((question, index) => index)
+    .filter(index => assignmentFilter === 'all' || questions[index].assignmentnumber === assignmentFilter);
+
+  const selected = questions[selectedIndex] || null;
+  const selectedErrors = selected ? errorsByQuestion[selectedIndex] : [];
+  const previewQuestion = useMemo(() => (selected ? toBankQuestion(selected) : null), [selected]);
+
+  const confirmDiscard = () => !isDirty || window.confirm('Discard the changes you have not downloaded?');
+
+  const selectQuestion = (index) => {
+    setSelectedIndex(index);
+    setPreviewAnswers([]);
+  };
+
+  const replaceSelected = (question) => {
+    setQuestions(current => current.map((q, index) => (index === selectedIndex ? question : q)));
+    setIsDirty(true);
+  };
+
+  const updateField = (field, value) => replaceSelected({ ...selected, [field]: value });
+
+  const updateAnswer = (changes) => replaceSelected({ ...selected, answer: { ...selected.answer, ...changes } });
+
+  const handleTypeChange = (type) => {
+    replaceSelected(changeQuestionType(selected, type));
+    setPreviewAnswers([]);
+  };
+
+  const handleLoadCourse = () => {
+    const course = courses.find(c => c.id === courseId);
+    if (course && confirmDiscard()) {
+      loadCourseBank(course);
+    }
+  };
+
+  const handleOpenFile = async (event) => {
+    const file = event.target.files && event.target.files[0];
+    event.target.value = '';
+    if (!file || !confirmDiscard()) return;
+
+    try {
+      const opened = parseBankFile(await file.text());
+      setBank(opened.bank);
+      setQuestions(opened.questions);
+      setSelectedIndex(0);
+      setIsDirty(false);
+      setLoadError(null);
+    } catch (error) {
+      setLoadError(`${file.name}: ${error.message}`);
+    }
+  };
+
+  const handleAddQuestion = () => {
+    let assignment = '1';
+    if (assignmentFilter !== 'all') {
+      assignment = assignmentFilter;
+    } else if (selected) {
+      assignment = selected.assignmentnumber;
+    }
+    setQuestions(current => [...current, createQuestion(current, assignment)]);
+    selectQuestion(questions.length);
+    setIsDirty(true);
+  };
+
+  const handleDuplicate = () => {
+    setQuestions(current => [...current, duplicateQuestion(current, selected)]);
+    selectQuestion(questions.length);
+    setIsDirty(true);
+  };
+
+  const handleDelete = () => {
+    if (!window.confirm(`Delete question ${selected.assignmentnumber}.${selected.questionnumber}?`)) return;
+    setQuestions(current => current.filter((_, index) => index !== selectedIndex));
+    selectQuestion(Math.max(0, selectedIndex - 1));
+    setIsDirty(true);
+  };
+
+  const handleAttachImage = (event) => {
+    const file = event.target.files && event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+
+    const path = `images/${file.name}`;
+    setAttachments(current => {
+      if (current[path]) URL.revokeObjectURL(current[path].url);
+      return { ...current, [path]: { file, url: URL.createObjectURL(file) } };
+    });
+    updateField('image', path);
+  };
+
+  const handleDownloadBank = () => {
+    downloadFile(serializeBank(bank, questions), 'data.json', 'application/json');
+    setIsDirty(false);
+  };
+
+  const handleDownloadImages = async () => {
+    const files = await Promise.all(Object.entries(attachments).map(async ([path, attachment]) => ({
+      path,
+      content: new Uint8Array(await attachment.file.arrayBuffer())
+    })));
+    downloadFile(createZipArchive(files), 'images.zip', 'application/zip');
+  };
+
+  const attachmentCount = Object.keys(attachments).length;
+  const selectedType = selected ? getQuestionType(selected) : QUESTION_TYPES.MULTIPLE_CHOICE;
+  const isOrdering = selectedType === QUESTION_TYPES.ORDERING;
+
+  return (
+    <Container size="xl">
+      <div className="min-h-screen py-8">
+        <div className="text-center mb-8">
+          <h1 className="text-3xl sm:text-4xl font-bold text-gray-900 mb-3">Question Editor</h1>
+          <p className="text-base sm:text-lg text-gray-600">
+            Edit a question bank with a live preview, then download the new data.json
+          </p>
+        </div>
+
+        {/* Bank toolbar */}
+        <Card padding="default" className="mb-6">
+          <div className="flex flex-wrap items-end gap-4">
+            {courses.length > 0 && (
+              <div>
+                <label htmlFor="editor-course" className={LABEL_CLASS}>Course bank</label>
+                <div className="flex gap-2">
+                  <select
+                    id="editor-course"
+                    value={courseId}
+                    onChange={(e) => setCourseId(e.target.value)}
+                    className="px-3 py-2 border border-gray-300 rounded-lg bg-white"
+                  >
+                    {courses.map(c => (
+                      <option key={c.id} value={c.id}>{c.title}</option>
+                    ))}
+                  </select>
+                  <Button onClick={handleLoadCourse} variant="outline" size="sm">Load</Button>
+                </div>
+              </div>
+            )}
+            <div>
+              <label htmlFor="editor-open-file" className={LABEL_CLASS}>Or open a bank file</label>
+              <input
+                id="editor-open-file"
+                type="file"
+                accept=".json,application/json"
+                onChange={handleOpenFile}
+                className="text-sm text-gray-700"
+              />
+            </div>
+            <div className="flex gap-2 ml-auto">
+              {attachmentCount > 0 && (
+                <Button onClick={handleDownloadImages} variant="outline" size="sm">
+                  Download images ({attachmentCount})
+                </Button>
+              )}
+              <Button onClick={handleDownloadBank} size="sm" disabled={questions.length === 0}>
+                Download data.json
+              </Button>
+            </div>
+          </div>
+          <p className="text-sm text-gray-600 mt-3">
+            {questions.length} question{questions.length !== 1 ? 's' : ''}
+            {invalidCount > 0 && (
+              <span className="text-red-700">
+                {' '}· {invalidCount} with problems, which the app will skip
+              </span>
+            )}
+            {isDirty && ' · unsaved changes'}
+          </p>
+          {attachmentCount > 0 && (
+            <p className="text-sm text-gray-600 mt-1">
+              Unzip the downloaded images into <span className="font-mono">public/</span> next to data.json.
+            </p>
+          )}
+          {loadError && (
+            <p className="text-sm text-red-700 bg-red-50 rounded-lg p-3 mt-3">{loadError}</p>
+          )}
+        </Card>
+
+        <div className="grid grid-cols-1 lg:grid-cols-12 gap-6">
+          {/* Question list */}
+          <Card padding="default" className="lg:col-span-3">
+            <div className="flex items-center gap-2 mb-3">
+              <label htmlFor="editor-assignment-filter" className="sr-only">Assignment</label>
+              <select
+                id="editor-assignment-filter"
+                value={assignmentFilter}
+                onChange={(e) => setAssignmentFilter(e.target.value)}
+                className="flex-1 min-w-0 px-3 py-2 border border-gray-300 rounded-lg bg-white text-sm"
+              >
+                <option value="all">All assignments</option>
+                {assignments.map(assignment => (
+                  <option key={assignment} value={assignment}>Assignment {assignment}</option>
+                ))}
+              </select>
+              <Button onClick={handleAddQuestion} variant="outline" size="sm">+ New</Button>
+            </div>
+            <ul className="max-h-[70vh] overflow-y-auto divide-y divide-gray-100">
+              {visibleIndexes.map(index => {
+                const question = questions[index];
+                const hasErrors = errorsByQuestion[index].length > 0;
+                return (
+                  <li key={index}>
+                    <button
+                      type="button"
+                      onClick={() => selectQuestion(index)}
+                      aria-current={index === selectedIndex ? 'true' : undefined}
+                      className={`w-full text-left px-2 py-2 text-sm rounded ${
+                        index === selectedIndex ? 'bg-blue-50 text-blue-900' : 'text-gray-700 hover:bg-gray-50'
+                      }`}
+                    >
+                      <span className="font-mono text-xs text-gray-500 mr-2">
+                        {question.assignmentnumber}.{question.questionnumber}
+                      </span>
+                      {hasErrors && <span className="text-red-600 mr-1" title="Has problems">●</span>}
+                      <span className="line-clamp-2">{question.question || 'Untitled question'}</span>
+                    </button>
+                  </li>
+                );
+              })}
+            </ul>
+          </Card>
+
+          {/* Question form */}
+          <Card padding="default" className="lg:col-span-5 space-y-4">
+            {!selected ? (
+              <p className="text-gray-600">Add a question or open a bank to start editing.</p>
+            ) : (
+              <>
+                {selectedErrors.length > 0 && (
+                  <ul className="text-sm text-red-700 bg-red-50 rounded-lg p-3 space-y-1">
+                    {selectedErrors.map(error => <li key={error}>{error}</li>)}
+                  </ul>
+                )}
+
+                <div className="grid grid-cols-2 gap-3">
+                  <div>
+                    <label htmlFor="editor-assignment" className={LABEL_CLASS}>Assignment</label>
+                    <input
+                      id="editor-assignment"
+                      type="number"
+                      min={1}
+                      value={selected.assignmentnumber}
+                      onChange={(e) => updateField('assignmentnumber', e.target.value)}
+                      className={INPUT_CLASS}
+                    />
+                  </div>
+                  <div>
+                    <label htmlFor="editor-number" className={LABEL_CLASS}>Question number</label>
+                    <input
+                      id="editor-number"
+                      type="text"
+                      value={selected.questionnumber}
+                      onChange={(e) => updateField('questionnumber', e.target.value)}
+                      className={INPUT_CLASS}
+                    />
+                  </div>
+                </div>
+
+                <div>
+                  <label htmlFor="editor-type" className={LABEL_CLASS}>Type</label>
+                  <select
+                    id="editor-type"
+                    value={selectedType}
+                    onChange={(e) => handleTypeChange(e.target.value)}
+                    className="px-3 py-2 border border-gray-300 rounded-lg bg-white"
+                  >
+                    {Object.values(QUESTION_TYPES).map(type => (
+                      <option key={type} value={type}>{TYPE_LABELS[type]}</option>
+                    ))}
+                  </select>
+                </div>
+
+                <div>
+                  <label htmlFor="editor-question" className={LABEL_CLASS}>Question (LaTeX between $ signs)</label>
+                  <textarea
+                    id="editor-question"
+                    rows={4}
+                    value={selected.question}
+                    onChange={(e) => updateField('question', e.target.value)}
+                    className={`${INPUT_CLASS} font-mono text-sm`}
+                  />
+                </div>
+
+                <div>
+                  <label htmlFor="editor-image" className={LABEL_CLASS}>Image (manifest id or path under public/)</label>
+                  <div className="flex gap-2">
+                    <input
+                      id="editor-image"
+                      type="text"
+                      value={selected.image || ''}
+                      onChange={(e) => updateField('image', e.target.value)}
+                      className={`${INPUT_CLASS} flex-1 min-w-0`}
+                    />
+                    <label className="inline-flex items-center px-3 py-2 border-2 border-gray-300 rounded-lg text-sm font-semibold cursor-pointer hover:bg-gray-50">
+                      Attach
+                      <input type="file" accept="image/*" onChange={handleAttachImage} className="sr-only" />
+                    </label>
+                  </div>
+                  {attachments[selected.image] && (
+                    // eslint-disable-next-line @next/next/no-img-element
+                    <img
+                      src={attachments[selected.image].url}
+                      alt="Attached image"
+                      className="mt-2 max-h-32 rounded border border-gray-200"
+                    />
+                  )}
+                </div>
+
+                {selected.image && selected.image.trim() !== '' && (
+                  <>
+                    <div>
+                      <label htmlFor="editor-image-alt" className={LABEL_CLASS}>Image alt text (optional)</label>
+                      <input
+                        id="editor-image-alt"
+                        type="text"
+                        value={selected.imageAlt || ''}
+                        onChange={(e) => updateField('imageAlt', e.target.value)}
+                        className={INPUT_CLASS}
+                      />
+                    </div>
+
+                    <div>
+                      <label htmlFor="editor-image-description" className={LABEL_CLASS}>Image description (optional)</label>
+                      <textarea
+                        id="editor-image-description"
+                        rows={3}
+                        value={selected.imageDescription || ''}
+                        onChange={(e) => updateField('imageDescription', e.target.value)}
+                        className={`${INPUT_CLASS} font-mono text-sm`}
+                      />
+                    </div>
+                  </>
+                )}
+
+                {Array.isArray(selected.options) && (
+                  <fieldset>
+                    <legend className={LABEL_CLASS}>
+                      {isOrdering ? 'Items, in the correct order' : 'Options (tick every correct answer)'}
+                    </legend>
+                    <div className="space-y-3">
+                      {selected.options.map((option, optionIndex) => (
+                        <div key={optionIndex} className="border border-gray-200 rounded-lg p-2 space-y-2">
+                          <div className="flex items-center gap-2">
+                            {!isOrdering && (
+                              <input
+                                type="checkbox"
+                                checked={option.iscorrect === true}
+                                onChange={(e) => replaceSelected(updateOption(selected, optionIndex, { iscorrect: e.target.checked }))}
+                                aria-label={`Option ${option.optionnumber} is correct`}
+                              />
+                            )}
+                            <span className="font-mono font-semibold text-gray-700">{option.optionnumber}</span>
+                            <input
+                              type="text"
+                              value={option.optiontext}
+                              onChange={(e) => replaceSelected(updateOption(selected, optionIndex, { optiontext: e.target.value }))}
+                              aria-label={`Option ${option.optionnumber} text`}
+                              className={`${INPUT_CLASS} flex-1 min-w-0 font-mono text-sm`}
+                            />
+                            <button
+                              type="button"
+                              onClick={() => replaceSelected(moveOption(selected, optionIndex, -1))}
+                              disabled={optionIndex === 0}
+                              aria-label={`Move option ${option.optionnumber} up`}
+                              className="px-1 text-gray-500 hover:text-gray-800 disabled:opacity-30"
+                            >
+                              ↑
+                            </button>
+                            <button
+                              type="button"
+                              onClick={() => replaceSelected(moveOption(selected, optionIndex, 1))}
+                              disabled={optionIndex === selected.options.length - 1}
+                              aria-label={`Move option ${option.optionnumber} down`}
+                              className="px-1 text-gray-500 hover:text-gray-800 disabled:opacity-30"
+                            >
+                              ↓
+                            </button>
+                            <button
+                              type="button"
+                              onClick={() => replaceSelected(removeOption(selected, optionIndex))}
+                              aria-label={`Remove option ${option.optionnumber}`}
+                              className="px-1 text-red-600 hover:text-red-800"
+                            >
+                              ✕
+                            </button>
+                          </div>
+                          <input
+                            type="text"
+                            value={option.rationale || ''}
+                            onChange={(e) => replaceSelected(updateOption(selected, optionIndex, { rationale: e.target.value }))}
+                            placeholder={isOrdering ? 'Why this item goes here (optional)' : 'Why this option is right or wrong (optional)'}
+                            aria-label={`Option ${option.optionnumber} rationale`}
+                            className={`${INPUT_CLASS} text-sm`}
+                          />
+                        </div>
+                      ))}
+                    </div>
+                    <button
+                      type="button"
+                      onClick={() => replaceSelected(addOption(selected))}
+                      disabled={selected.options.length >= MAX_OPTIONS}
+                      className="mt-2 text-sm text-blue-600 hover:text-blue-800 underline disabled:opacity-50"
+                    >
+                      + Add option
+                    </button>
+                  </fieldset>
+                )}
+
+                {selectedType === QUESTION_TYPES.NUMERIC && selected.answer && (
+                  <fieldset>
+                    <legend className={LABEL_CLASS}>Answer</legend>
+                    <select
+                      value={selected.answer.value === undefined ? 'range' : 'tolerance'}
+                      onChange={(e) => replaceSelected({
+                        ...selected,
+                        answer: e.target.value === 'range' ? { min: '', max: '' } : { value: '', tolerance: '' }
+                      })}
+                      aria-label="How the answer is checked"
+                      className="mb-2 px-3 py-2 border border-gray-300 rounded-lg bg-white text-sm"
+                    >
+                      <option value="tolerance">A value, give or take a tolerance</option>
+                      <option value="range">Any value in a range</option>
+                    </select>
+                    <div className="grid grid-cols-2 gap-3">
+                      {(selected.answer.value === undefined ? ['min', 'max'] : ['value', 'tolerance']).map(field => (
+                        <div key={field}>
+                          <label htmlFor={`editor-answer-${field}`} className="block text-xs text-gray-600 mb-1 capitalize">{field}</label>
+                          <input
+                            id={`editor-answer-${field}`}
+                            type="text"
+                            inputMode="decimal"
+                            value={selected.answer[field] ?? ''}
+                            onChange={(e) => updateAnswer({ [field]: e.target.value })}
+                            className={`${INPUT_CLASS} font-mono text-sm`}
+                          />
+                        </div>
+                      ))}
+                    </div>
+                  </fieldset>
+                )}
+
+                {selectedType === QUESTION_TYPES.SHORT_TEXT && selected.answer && (
+                  <fieldset className="space-y-2">
+                    <legend className={LABEL_CLASS}>Answer</legend>
+                    <div>
+                      <label htmlFor="editor-accepted" className="block text-xs text-gray-600 mb-1">
+                        Accepted answers, one per line
+                      </label>
+                      <textarea
+                        id="editor-accepted"
+                        rows={3}
+                        value={(selected.answer.accepted || []).join('\n')}
+                        onChange={(e) => updateAnswer({ accepted: e.target.value.split('\n') })}
+                        className={`${INPUT_CLASS} font-mono text-sm`}
+                      />
+                    </div>
+                    <div>
+                      <label htmlFor="editor-pattern" className="block text-xs text-gray-600 mb-1">
+                        Or any answer matching this regular expression (optional)
+                      </label>
+                      <input
+                        id="editor-pattern"
+                        type="text"
+                        value={selected.answer.pattern || ''}
+                        onChange={(e) => updateAnswer({ pattern: e.target.value })}
+                        className={`${INPUT_CLASS} font-mono text-sm`}
+                      />
+                    </div>
+                    <label className="flex items-center gap-2 text-sm text-gray-700">
+                      <input
+                        type="checkbox"
+                        checked={selected.answer.caseSensitive === true}
+                        onChange={(e) => updateAnswer({ caseSensitive: e.target.checked })}
+                      />
+                      Case matters
+                    </label>
+                  </fieldset>
+                )}
+
+                <div>
+                  <label htmlFor="editor-explanation" className={LABEL_CLASS}>Explanation (optional)</label>
+                  <textarea
+                    id="editor-explanation"
+                    rows={3}
+                    value={selected.explanation || ''}
+                    onChange={(e) => updateField('explanation', e.target.value)}
+                    className={`${INPUT_CLASS} font-mono text-sm`}
+                  />
+                </div>
+
+                <div className="flex gap-3 pt-2">
+                  <Button onClick={handleDuplicate} variant="outline" size="sm" className="flex-1">
+                    Duplicate
+                  </Button>
+                  <Button onClick={handleDelete} variant="danger" size="sm" className="flex-1">
+                    Delete
+                  </Button>
+                </div>
+              </>
+            )}
+          </Card>
+
+          {/* Live preview */}
+          <div className="lg:col-span-4">
+            <div className="flex items-center justify-between mb-2">
+              <h2 className="text-lg font-semibold text-gray-800">Preview</h2>
+              <label className="flex items-center gap-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={showAnswers}
+                  onChange={(e) => setShowAnswers(e.target.checked)}
+                />
+                Show answers
+              </label>
+            </div>
+            {previewQuestion && (
+              <LaTeXMacrosContext.Provider value={bank.latexMacros || null}>
+                <QuestionCard
+                  question={previewQuestion}
+                  selectedAnswers={previewAnswers}
+                  mode={showAnswers ? 'learn' : 'test-easy'}
+                  onAnswerSelect={setPreviewAnswers}
+                />
+              </LaTeXMacrosContext.Provider>
+            )}
+          </div>
+        </div>
+
+        <div className="text-center mt-8">
+          <Button onClick={() => navigate.toHome(router)} variant="outline" size="lg">
+            ← Back to Home
+          </Button>
+        </div>
+      </div>
+    </Container>
+  );
+}
@@ -0,0 +1,114 @@
+/**
+ * QuestionExplanation Component
+ * Explains why the answer is right once feedback is shown: the question's
+ * explanation, the rationale behind each option and links back to the lecture
+ */
+
+import { memo } from 'react';
+import MarkdownRenderer from './MarkdownRenderer';
+import { QUESTION_TYPES, getQuestionType } from '../utils/questionTypes';
+
+/**
+ * Formats a reference as "Week 3 · Lecture name · 12:30"
+ * @param {Object} reference - Reference { lecture, week, timestamp, url }
+ * @returns {string} Display label for the reference
+ */
+function formatReference(reference) {
+  const parts = [];
+  if (reference.week !== undefined) parts.push(`Week ${reference.week}`);
+  if (reference.lecture) parts.push(reference.lecture);
+  if (reference.timestamp) parts.push(reference.timestamp);
+  return parts.length > 0 ? parts.join(' · ') : reference.url;
+}
+
+/**
+ * Checks whether a question has anything to explain
+ * @param {Object} question - Question object
+ * @returns {boolean} True if the question has an explanation, option rationales or references
+ */
+export function hasExplanation(question) {
+  return Boolean(
+    question.explanation ||
+    (Array.isArray(question.references) && question.references.length > 0) ||
+    (question.options || []).some(option => option.rationale)
+  );
+}
+
+const QuestionExplanation = memo(function QuestionExplanation({
+  question,
+  selectedAnswers = [],
+  compact = false
+}) {
+  if (!hasExplanation(question)) {
+    return null;
+  }
+
+  const optionsWithRationale = (question.options || []).filter(option => option.rationale);
+  // Ordering options are neither right nor wrong picks, so they go by their place in the correct order
+  const isChoice = getQuestionType(question) === QUESTION_TYPES.MULTIPLE_CHOICE;
+  const references = Array.isArray(question.references) ? question.references : [];
+
+  return (
+    <div
+      className={`${compact ? 'mt-2 p-2 text-xs' : 'mt-4 sm:mt-6 p-3 sm:p-4 text-sm sm:text-base'} bg-amber-50 border border-amber-200 rounded-lg text-gray-800 animate-fadeIn`}
+      aria-label="Explanation"
+    >
+      {question.explanation && (
+        <div className={compact ? 'mb-1' : 'mb-3'}>
+          <h3 className="font-semibold text-amber-900 mb-1">Why?</h3>
+          <div className="leading-relaxed">
+            <MarkdownRenderer>{question.explanation}</MarkdownRenderer>
+          </div>
+        </div>
+      )}
+
+      {optionsWithRationale.length > 0 && (
+        <ul className={`space-y-1 ${compact ? 'mb-1' : 'mb-3'}`}>
+          {optionsWithRationale.map(option => (
+            <li key={option.optionnumber} className="flex gap-2">
+              {isChoice ? (
+                <span className={`font-semibold flex-shrink-0 ${option.iscorrect ? 'text-green-700' : 'text-red-700'}`}>
+                  {option.optionnumber}{option.iscorrect ? ' ✓' : ' ✗'}
+                </span>
+              ) : (
+                <span className="font-semibold flex-shrink-0 text-gray-700">{question.options.indexOf(option) + 1}.</span>
+              )}
+              <span className={isChoice && selectedAnswers.includes(option.optionnumber) ? 'font-medium' : ''}>
+                <MarkdownRenderer>{option.rationale}</MarkdownRenderer>
+                {isChoice && selectedAnswers.includes(option.optionnumber) && (
+                  <span className="ml-1 text-gray-500">(your pick)</span>
+                )}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {references.length > 0 && (
+        <div>
+          <h3 className="font-semibold text-amber-900 mb-1">Revisit</h3>
+          <ul className="space-y-1">
+            {references.map((reference, index) => (
+              <li key={index}>
+                {reference.url ? (
+                  <a
+                    href={reference.url}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    className="text-blue-700 underline hover:text-blue-900"
+                  >
+                    {formatReference(reference)}
+                  </a>
+                ) : (
+                  <span>{formatReference(reference)}</span>
+                )}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+});
+
+export default QuestionExplanation;
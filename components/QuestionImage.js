@@ -0,0 +1,112 @@
+/**
+ * QuestionImage Component
+ * Shows a question's figure, resolved through the image manifest
+ * (public/images/manifest.json) to its file, size, alt text and dark-mode
+ * variant. A question's imageAlt overrides the manifest's alt text, and its
+ * imageDescription can be shown under the figure and is read with it by screen
+ * readers. A figure that has no file, or fails to load, is shown as a notice
+ * and its description instead of disappearing, since the question may not make
+ * sense without it
+ */
+
+import { memo, useMemo, useState, useId } from 'react';
+import Image from 'next/image';
+import MarkdownRenderer from './MarkdownRenderer';
+import imageManifest from '../public/images/manifest.json';
+import { resolveQuestionImage } from '../utils/imageAssets';
+
+// Shown while a figure loads
+const BLUR_DATA_URL = 'data:image/jpeg;base64,/9j/4AAQSkZJRgABAQAAAQABAAD/2wBDAAYEBQYFBAYGBQYHBwYIChAKCgkJChQODwwQFxQYGBcUFhYaHSUfGhsjHBYWICwgIyYnKSopGR8tMC0oMCUoKSj/2wBDAQcHBwoIChMKChMoGhYaKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCgoKCj/wAARCAABAAEDASIAAhEBAxEB/8QAFQABAQAAAAAAAAAAAAAAAAAAAAv/xAAUEAEAAAAAAAAAAAAAAAAAAAAA/8QAFQEBAQAAAAAAAAAAAAAAAAAAAAX/xAAUEQEAAAAAAAAAAAAAAAAAAAAA/9oADAMBAAIRAxEAPwCdABmX/9k=';
+
+const QuestionImage = memo(function QuestionImage({
+  image,
+  alt = null,
+  description = null,
+  maxWidth = 600,
+  className = ''
+}) {
+  // The image that failed to load, so the next question's figure is tried afresh
+  const [failedImage, setFailedImage] = useState(null);
+  const [showDescription, setShowDescription] = useState(false);
+  const descriptionId = useId();
+  const resolved = useMemo(() => resolveQuestionImage(image, imageManifest), [image]);
+
+  if (typeof image !== 'string' || image.trim() === '') {
+    return null;
+  }
+
+  const hasDescription = typeof description === 'string' && description.trim() !== '';
+
+  // Without the figure, its description is all there is to go on
+  if (!resolved || failedImage === image) {
+    return (
+      <div className={`flex flex-col items-center ${className}`}>
+        <p className="px-4 py-3 border-2 border-dashed border-gray-300 rounded text-sm text-gray-600 text-center">
+          The figure for this question is not available.
+        </p>
+        {hasDescription && (
+          <div className="mt-2 p-3 max-w-prose bg-gray-50 border border-gray-200 rounded text-sm text-gray-800">
+            <MarkdownRenderer>{description}</MarkdownRenderer>
+          </div>
+        )}
+      </div>
+    );
+  }
+
+  // Figures keep their aspect ratio, scaled down to fit maxWidth
+  const scale = Math.min(1, maxWidth / resolved.width);
+  const imageAlt = alt || resolved.alt || 'Question illustration';
+  const imageProps = {
+    width: Math.round(resolved.width * scale),
+    height: Math.round(resolved.height * scale),
+    style: { width: 'auto', height: 'auto', maxWidth: '100%' },
+    placeholder: 'blur',
+    blurDataURL: BLUR_DATA_URL,
+    // Screen readers read the description with the figure, shown or not
+    'aria-describedby': hasDescription ? descriptionId : undefined,
+    onError: () => setFailedImage(image)
+  };
+
+  return (
+    <div className={`flex flex-col items-center ${className}`}>
+      <div className="relative max-w-full">
+        <Image
+          {...imageProps}
+          src={resolved.src}
+          alt={imageAlt}
+          className={`rounded border border-gray-200${resolved.darkSrc ? ' dark:hidden' : ''}`}
+        />
+        {resolved.darkSrc && (
+          <Image
+            {...imageProps}
+            src={resolved.darkSrc}
+            alt={imageAlt}
+            className="rounded border border-gray-700 hidden dark:block"
+          />
+        )}
+      </div>
+      {hasDescription && (
+        <>
+          <button
+            type="button"
+            onClick={() => setShowDescription(shown => !shown)}
+            aria-expanded={showDescription}
+            aria-controls={descriptionId}
+            className="mt-2 px-2 py-1 text-sm font-medium text-blue-700 underline rounded hover:text-blue-900 focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            {showDescription ? 'Hide figure description' : 'Show figure description'}
+          </button>
+          <div
+            id={descriptionId}
+            hidden={!showDescription}
+            className="mt-2 p-3 max-w-prose bg-gray-50 border border-gray-200 rounded text-sm text-gray-800"
+          >
+            <MarkdownRenderer>{description}</MarkdownRenderer>
+          </div>
+        </>
+      )}
+    </div>
+  );
+});
+
+export default QuestionImage;
@@ -6,16 +6,25 @@
 
 'use client';
 
-import { useState, useEffect, useCallback, useMemo } from 'react';
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
 import { useRouter } from 'next/navigation';
 import ProgressBar from './ProgressBar';
 import QuestionCard from './QuestionCard';
 import Button from './Button';
 import Container from './Container';
 import ResultsScreen from './ResultsScreen';
-import { navigate, getModeDisplayName } from '../utils/navigationUtils';
+import KeyboardShortcutsHelp from './KeyboardShortcutsHelp';
+import { LaTeXMacrosContext } from './LaTeXRenderer';
+import { navigate, getModeDisplayName, getAssignmentDisplayName, isValidQuestionSetMode } from '../utils/navigationUtils';
 import { scrollToTop } from '../utils/scrollUtils';
-import { getUserName } from '../utils/storageUtils';
+import { getUserName, storeQuizProgress, clearQuizProgress } from '../utils/storageUtils';
+import { recordQuestionAnswer, getQuestionKey } from '../utils/reviewScheduler';
+import { getCourseScopedId } from '../utils/courseManifest';
+import { createAttemptRecord, saveAttempt } from '../utils/attemptHistory';
+import { scoreQuiz, validateAnswer, isMultipleChoice, describeAnswerResult } from '../utils/scoringUtils';
+import { QUESTION_TYPES, getQuestionType, isTypedAnswerQuestion } from '../utils/questionTypes';
+import { SHORTCUT_ACTIONS, getShortcutAction, getOptionForKey } from '../utils/keyboardShortcuts';
+import { QUIZ_THEMES } from '../utils/themes';
 import { 
   trackAssignmentAttempt, 
   trackAssignmentCompletion, 
@@ -33,9 +42,29 @@ import {
   isCurrentQuestionAnswered,
   getCurrentQuestion,
   getCurrentQuestionAnswer,
-  calculateTimeElapsed
+  calculateTimeElapsed,
+  serializeQuizState,
+  navigateToQuestion,
+  toggleQuestionFlag,
+  toggleOptionSelection,
+  submitQuiz,
+  getRemainingTime
 } from '../utils/quizLogic';
 
+// Quizzes spanning several assignments have no mode selection page to return to
+const CROSS_ASSIGNMENT_IDS = ['mega', 'review', 'retry', 'custom'];
+
+/**
+ * Lists the questions a quiz state has answers for
+ * @param {Object} quizState - Quiz state
+ * @returns {Array<number>} Question indexes
+ */
+function getAnsweredIndexes(quizState) {
+  return quizState.userAnswers
+    .map((answer, index) => (answer && answer.selectedOptions.length > 0 ? index : null))
+    .filter(index => index !== null);
+}
+
 export default function QuizInterface({ 
   assignment, 
   assignmentNumber,
@@ -46,13 +75,26 @@ export default function QuizInterface({
   onComplete,
   showProgress = true,
   allowReview = false,
-  customTheme = null
+  customTheme = null,
+  initialState = null,
+  persistProgress = false,
+  seed = null,
+  course = null,
+  examTimeLimit = null,
+  scoringRules = null,
+  latexMacros = null
 }) {
   const router = useRouter();
   const [quizState, setQuizState] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
   const [currentTime, setCurrentTime] = useState(new Date());
   const [completionData, setCompletionData] = useState(null);
+  const [confirmSubmit, setConfirmSubmit] = useState(false);
+  const [showShortcuts, setShowShortcuts] = useState(false);
+
+  // Indexes of the questions this attempt has put in the review history; learn
+  // mode reveals answers as they are given, so each question counts once
+  const reviewedQuestions = useRef(new Set());
 
   // Initialize quiz state when component mounts
   useEffect(() => {
@@ -67,17 +109,21 @@ export default function QuizInterface({
         }
         
         const assignmentId = assignment || assignmentNumber || 'mega';
-        const initialState = createInitialQuizState(questions, assignmentId, mode);
-        setQuizState(initialState);
+        // A restored state continues a quiz the user left part-way through;
+        // its answers were revealed, and recorded, before it was saved
+        setQuizState(initialState || createInitialQuizState(questions, assignmentId, mode, seed, course, examTimeLimit, scoringRules));
+        reviewedQuestions.current = new Set(initialState ? getAnsweredIndexes(initialState) : []);
         setIsLoading(false);
 
-        // Track assignment attempt
         const userName = getUserName();
-        const assignmentName = assignmentId === 'mega' ? 'Mega Test' : `Assignment ${assignmentId}`;
-        trackAssignmentAttempt(assignmentId, assignmentName, userName, mode);
-        
-        // Log test start to Firebase
-        logTestStart(userName, assignmentName, questions.length);
+        if (!initialState) {
+          // Track assignment attempt
+          const assignmentName = getAssignmentDisplayName(assignmentId);
+          trackAssignmentAttempt(assignmentId, assignmentName, userName, mode);
+
+          // Log test start to Firebase
+          logTestStart(userName, assignmentName, questions.length);
+        }
         
         // Track page view
         trackPageView(window.location.href, userName);
@@ -85,7 +131,55 @@ export default function QuizInterface({
     };
 
     initializeQuiz();
-  }, [questions, assignment, assignmentNumber, mode]);
+  }, [questions, assignment, assignmentNumber, mode, seed, course, examTimeLimit, scoringRules, initialState]);
+
+  // Review history is keyed by assignment and question number, which only the
+  // default course's review sessions read, so other courses don't record into it
+  const recordReviewAnswer = useCallback((question, selectedOptions) => {
+    if (!course) {
+      recordQuestionAnswer(question, selectedOptions);
+    }
+  }, [course]);
+
+  // Learn mode shows the answer as soon as one is given, so the first answer
+  // to each question is the one that counts towards the review schedule
+  const recordLearnAnswer = useCallback((state, questionIndex, selectedOptions) => {
+    if (state.mode !== 'learn' || selectedOptions.length === 0 || reviewedQuestions.current.has(questionIndex)) {
+      return;
+    }
+    reviewedQuestions.current.add(questionIndex);
+    recordReviewAnswer(state.questions[questionIndex], selectedOptions);
+  }, [recordReviewAnswer]);
+
+  // Save progress after every change so a reload or navigation can resume
+  const saveProgress = useCallback((state) => {
+    if (!persistProgress || !state) return;
+
+    const progressId = getCourseScopedId(course, assignment || assignmentNumber);
+    if (state.isComplete) {
+      clearQuizProgress(progressId, mode);
+    } else {
+      storeQuizProgress(progressId, mode, serializeQuizState(state));
+    }
+  }, [persistProgress, assignment, assignmentNumber, mode, course]);
+
+  const latestQuizState = useRef(null);
+
+  useEffect(() => {
+    latestQuizState.current = quizState;
+    saveProgress(quizState);
+  }, [quizState, saveProgress]);
+
+  // Also save when leaving, so the timer resumes from the moment the user left
+  useEffect(() => {
+    const handlePageHide = () => saveProgress(latestQuizState.current);
+    window.addEventListener('pagehide', handlePageHide);
+
+    return () => {
+      window.removeEventListener('pagehide', handlePageHide);
+      handlePageHide();
+    };
+  }, [saveProgress]);
 
   // Update current time every second for timer display
   useEffect(() => {
@@ -100,22 +194,43 @@ export default function QuizInterface({
   const currentQuestion = quizState ? getCurrentQuestion(quizState) : null;
   const currentAnswer = quizState ? getCurrentQuestionAnswer(quizState) : [];
   const isAnswered = quizState ? isCurrentQuestionAnswered(quizState) : false;
-  const canGoNext = quizState ? (quizState.mode === 'learn' || isAnswered) : false;
+  const isExam = quizState ? quizState.mode === 'exam' : false;
+  const canGoNext = quizState ? (quizState.mode === 'learn' || isExam || isAnswered) : false;
   const canGoPrevious = quizState ? quizState.currentQuestionIndex > 0 : false;
   const progressPercentage = quizState ? Math.round(((quizState.currentQuestionIndex + 1) / quizState.questions.length) * 100) : 0;
   
-  // Calculate elapsed time for display
+  // Timed quizzes count down, others show elapsed time
+  const remainingTime = quizState ? getRemainingTime(quizState, currentTime) : null;
+
+  // Calculate elapsed (or remaining) time for display
   const timeDisplay = useMemo(() => {
     if (!quizState) return '0:00';
-    const elapsedSeconds = Math.floor((currentTime - quizState.startTime) / 1000);
-    const elapsedMinutes = Math.floor(elapsedSeconds / 60);
-    const remainingSeconds = elapsedSeconds % 60;
-    return `${elapsedMinutes}:${remainingSeconds.toString().padStart(2, '0')}`;
-  }, [currentTime, quizState]);
+    const displaySeconds = remainingTime !== null
+      ? remainingTime
+      : Math.floor((currentTime - quizState.startTime) / 1000);
+    const displayMinutes = Math.floor(displaySeconds / 60);
+    const remainingSeconds = displaySeconds % 60;
+    return `${displayMinutes}:${remainingSeconds.toString().padStart(2, '0')}`;
+  }, [currentTime, quizState, remainingTime]);
+
+  // Screen readers hear the result once the answer is revealed. In learn mode
+  // that is on every pick, so typed answers, which change per keystroke, are left
+  // to their own feedback text
+  const isResultShown = quizState && currentQuestion && isAnswered && !isExam && (
+    quizState.mode === 'learn' ? !isTypedAnswerQuestion(currentQuestion) : quizState.showFeedback
+  );
+  const resultAnnouncement = isResultShown ? describeAnswerResult(currentAnswer, currentQuestion) : '';
+
+  const unansweredCount = quizState
+    ? quizState.userAnswers.filter(answer => !answer || answer.selectedOptions.length === 0).length
+    : 0;
 
   // Determine button text based on mode and state
   const nextButtonText = useMemo(() => {
     if (!quizState) return 'Next';
+    if (quizState.mode === 'exam') {
+      return quizState.currentQuestionIndex === quizState.questions.length - 1 ? 'Submit Exam' : 'Next';
+    }
     if (quizState.mode !== 'learn' && isAnswered && !quizState.showFeedback) {
       return 'Show Answer';
     }
@@ -136,18 +251,14 @@ export default function QuizInterface({
     );
     setQuizState(updatedState);
 
-    // Track question answer
+    // Track question answer; typed answers change with every keystroke, so
+    // they are only counted in the results and recorded for review on moving on
     const userName = getUserName();
     const currentQ = getCurrentQuestion(quizState);
-    if (currentQ && selectedOptions.length > 0) {
-      // Check if answer is correct
-      const correctOptions = currentQ.options.filter(opt => opt.iscorrect);
-      const selectedCorrect = selectedOptions.filter(selected => 
-        correctOptions.some(correct => correct.optionnumber === selected.optionNumber)
-      );
-      const isCorrect = selectedCorrect.length === correctOptions.length && 
-                       selectedCorrect.length === selectedOptions.length;
-      
+    if (currentQ && selectedOptions.length > 0 && !isTypedAnswerQuestion(currentQ)) {
+      recordLearnAnswer(quizState, quizState.currentQuestionIndex, selectedOptions);
+
+      const isCorrect = validateAnswer(selectedOptions, currentQ);
       const assignmentId = assignment || assignmentNumber || 'mega';
       trackQuestionAnswer(
         currentQ.questionnumber, 
@@ -157,7 +268,7 @@ export default function QuizInterface({
         quizState.currentQuestionIndex + 1
       );
     }
-  }, [quizState, assignment, assignmentNumber]);
+  }, [quizState, assignment, assignmentNumber, recordLearnAnswer]);
 
   const handleQuizComplete = useCallback((nextState) => {
     const timeElapsed = calculateTimeElapsed(nextState);
@@ -171,23 +282,11 @@ export default function QuizInterface({
     // Track quiz completion
     const userName = getUserName();
     const assignmentId = assignment || assignmentNumber || 'mega';
-    const assignmentName = assignmentId === 'mega' ? 'Mega Test' : `Assignment ${assignmentId}`;
+    const assignmentName = getAssignmentDisplayName(assignmentId);
     
-    // Calculate score
-    const score = nextState.userAnswers.reduce((total, answer, index) => {
-      if (answer && answer.selectedOptions && answer.selectedOptions.length > 0) {
-        const question = nextState.questions[index];
-        if (question) {
-          const correctOptions = question.options.filter(opt => opt.iscorrect);
-          const selectedCorrect = answer.selectedOptions.filter(selectedOpt => 
-            correctOptions.some(correct => correct.optionnumber === selectedOpt)
-          );
-          return total + (selectedCorrect.length === correctOptions.length && 
-                        selectedCorrect.length === answer.selectedOptions.length ? 1 : 0);
-        }
-      }
-      return total;
-    }, 0);
+    // Score once so analytics, Firebase, attempt history and onComplete all agree
+    const scoreBreakdown = scoreQuiz(nextState);
+    const score = scoreBreakdown.correct;
 
     // Track completion
     trackAssignmentCompletion(
@@ -199,33 +298,101 @@ export default function QuizInterface({
       nextState.questions.length
     );
 
-    // Log test completion to Firebase
-    logTestComplete(userName, assignmentName, score, nextState.questions.length, Math.floor(timeElapsed / 1000));
+    // Log test completion to Firebase, including the scoring policy that applied
+    logTestComplete(userName, assignmentName, score, nextState.questions.length, Math.floor(timeElapsed / 1000), scoreBreakdown);
 
     // Track engagement time
     trackEngagementTime(assignmentId, Math.floor(timeElapsed / 1000), userName);
+
+    // Keep the attempt so the student can follow their own progress
+    saveAttempt(createAttemptRecord(nextState, timeElapsed, nextState.endTime || new Date()));
     
     if (onComplete) {
-      // For mega test, pass score and total questions
+      // For mega test, pass score and total questions (plus the full breakdown)
       if (assignmentNumber === 'mega' || assignment === 'mega') {
-        onComplete(score, nextState.questions.length, nextState.userAnswers);
+        onComplete(score, nextState.questions.length, nextState.userAnswers, scoreBreakdown);
       } else {
         onComplete(completionInfo);
       }
     }
   }, [onComplete, assignmentNumber, assignment, mode]);
 
+  // Submit the whole quiz (exam mode), asking once for confirmation if questions are unanswered
+  const handleSubmit = useCallback((isAutoSubmit = false) => {
+    if (!quizState || quizState.isComplete) return;
+
+    if (!isAutoSubmit && unansweredCount > 0 && !confirmSubmit) {
+      setConfirmSubmit(true);
+      return;
+    }
+
+    // Answers were never revealed during the exam, so they count towards review now
+    quizState.userAnswers.forEach((answer, index) => {
+      if (answer && answer.selectedOptions.length > 0) {
+        recordReviewAnswer(quizState.questions[index], answer.selectedOptions);
+      }
+    });
+
+    const endTime = isAutoSubmit
+      ? new Date(quizState.startTime.getTime() + quizState.timeLimit * 1000)
+      : new Date();
+    const nextState = submitQuiz(quizState, endTime);
+    setQuizState(nextState);
+    setConfirmSubmit(false);
+    scrollToTop();
+    handleQuizComplete(nextState);
+  }, [quizState, unansweredCount, confirmSubmit, handleQuizComplete, recordReviewAnswer]);
+
+  // Auto-submit when the time limit runs out
+  useEffect(() => {
+    if (quizState && !quizState.isComplete && remainingTime === 0) {
+      handleSubmit(true);
+    }
+  }, [quizState, remainingTime, handleSubmit]);
+
+  // Jump to any question (exam mode question palette)
+  const handleJumpToQuestion = useCallback((questionIndex) => {
+    if (!quizState) return;
+
+    setQuizState(navigateToQuestion(quizState, questionIndex));
+    scrollToTop();
+  }, [quizState]);
+
+  // Flag the current question to come back to it later
+  const handleToggleFlag = useCallback(() => {
+    if (!quizState) return;
+
+    setQuizState(toggleQuestionFlag(quizState, quizState.currentQuestionIndex));
+  }, [quizState]);
+
   // Handle next question navigation
   const handleNext = useCallback(() => {
     if (!quizState) return;
 
+    // Exams never reveal answers; the last question submits
+    if (quizState.mode === 'exam') {
+      if (quizState.currentQuestionIndex === quizState.questions.length - 1) {
+        handleSubmit();
+      } else {
+        setQuizState(navigateToQuestion(quizState, quizState.currentQuestionIndex + 1));
+        scrollToTop();
+      }
+      return;
+    }
+
     // In test modes, show feedback first if not already shown
     if (quizState.mode !== 'learn' && !quizState.showFeedback && isCurrentQuestionAnswered(quizState)) {
+      // The revealed answer is final, so it counts towards the review schedule
+      recordReviewAnswer(getCurrentQuestion(quizState), getCurrentQuestionAnswer(quizState));
+
       const stateWithFeedback = showQuestionFeedback(quizState);
       setQuizState(stateWithFeedback);
       return;
     }
 
+    // Typed answers in learn mode count once the user moves on
+    recordLearnAnswer(quizState, quizState.currentQuestionIndex, getCurrentQuestionAnswer(quizState));
+
     // Navigate to next question
     const nextState = navigateToNextQuestion(quizState);
     setQuizState(nextState);
@@ -237,7 +404,7 @@ export default function QuizInterface({
     if (nextState.isComplete) {
       handleQuizComplete(nextState);
     }
-  }, [quizState, handleQuizComplete]);
+  }, [quizState, handleQuizComplete, handleSubmit, recordReviewAnswer, recordLearnAnswer]);
 
   // Handle previous question navigation
   const handlePrevious = useCallback(() => {
@@ -253,6 +420,8 @@ export default function QuizInterface({
   // Handle skip question (for learn mode)
   const handleSkip = useCallback(() => {
     if (!quizState) return;
+
+    recordLearnAnswer(quizState, quizState.currentQuestionIndex, getCurrentQuestionAnswer(quizState));
     
     const nextState = navigateToNextQuestion(quizState);
     setQuizState(nextState);
@@ -264,45 +433,120 @@ export default function QuizInterface({
     if (nextState.isComplete) {
       handleQuizComplete(nextState);
     }
-  }, [quizState, handleQuizComplete]);
+  }, [quizState, handleQuizComplete, recordLearnAnswer]);
 
   // Handle back to mode selection
   const handleBackToModeSelection = useCallback(() => {
     const assignmentId = assignment || assignmentNumber;
-    if (assignmentId === 'mega') {
-      navigate.toHome(router);
+    if (CROSS_ASSIGNMENT_IDS.includes(assignmentId)) {
+      navigate.toHome(router, course);
     } else {
-      navigate.toAssignment(router, assignmentId);
+      navigate.toAssignment(router, assignmentId, course);
     }
-  }, [router, assignment, assignmentNumber]);
+  }, [router, assignment, assignmentNumber, course]);
 
   // Handle back to home
   const handleBackToHome = useCallback(() => {
-    navigate.toHome(router);
-  }, [router]);
+    navigate.toHome(router, course);
+  }, [router, course]);
 
   // Handle retake quiz
   const handleRetakeQuiz = useCallback(() => {
     // Reset quiz state to initial state
     const assignmentId = assignment || assignmentNumber || 'mega';
-    const initialState = createInitialQuizState(questions, assignmentId, mode);
+    const initialState = createInitialQuizState(questions, assignmentId, mode, seed, course, examTimeLimit, scoringRules);
     setQuizState(initialState);
+    reviewedQuestions.current = new Set();
     setCompletionData(null);
-  }, [questions, assignment, assignmentNumber, mode]);
+    setConfirmSubmit(false);
+  }, [questions, assignment, assignmentNumber, mode, seed, course, examTimeLimit, scoringRules]);
+
+  // Start a new quiz over just the questions answered wrong
+  const handleRetryWrong = useCallback((wrongQuestions) => {
+    // Review sessions and the mega test have no mode of their own to repeat
+    const retryMode = isValidQuestionSetMode(mode) ? mode : 'test-easy';
+    navigate.toQuestionSet(router, retryMode, wrongQuestions.map(getQuestionKey), course);
+  }, [router, mode, course]);
 
   // Handle results screen navigation
   const handleResultsBackToModeSelection = useCallback(() => {
     const assignmentId = assignment || assignmentNumber;
-    if (assignmentId === 'mega') {
-      navigate.toHome(router);
+    if (CROSS_ASSIGNMENT_IDS.includes(assignmentId)) {
+      navigate.toHome(router, course);
     } else {
-      navigate.toAssignment(router, assignmentId);
+      navigate.toAssignment(router, assignmentId, course);
     }
-  }, [router, assignment, assignmentNumber]);
+  }, [router, assignment, assignmentNumber, course]);
 
   const handleResultsBackToHome = useCallback(() => {
-    navigate.toHome(router);
-  }, [router]);
+    navigate.toHome(router, course);
+  }, [router, course]);
+
+  // Keyboard shortcuts: letters and numbers pick options, Enter and the arrows move on
+  useEffect(() => {
+    if (!quizState || quizState.isComplete || showShortcuts) return;
+
+    const handleKeyDown = (event) => {
+      const shortcut = getShortcutAction(event);
+      if (!shortcut) return;
+
+      const question = getCurrentQuestion(quizState);
+      const answersLocked = quizState.mode !== 'learn' && quizState.showFeedback;
+      let handled = true;
+
+      if (shortcut.action === SHORTCUT_ACTIONS.HELP) {
+        setShowShortcuts(true);
+      } else if (shortcut.action === SHORTCUT_ACTIONS.SELECT) {
+        const optionNumber = question && getQuestionType(question) === QUESTION_TYPES.MULTIPLE_CHOICE
+          ? getOptionForKey(question.options, shortcut.key)
+          : null;
+        handled = optionNumber !== null && !answersLocked;
+        if (handled) {
+          const selected = getCurrentQuestionAnswer(quizState);
+          handleAnswerSelect(toggleOptionSelection(selected, optionNumber, isMultipleChoice(question)));
+        }
+      } else if (shortcut.action === SHORTCUT_ACTIONS.NEXT) {
+        handled = canGoNext;
+        if (handled) handleNext();
+      } else if (shortcut.action === SHORTCUT_ACTIONS.PREVIOUS) {
+        handled = canGoPrevious;
+        if (handled) handlePrevious();
+      } else if (shortcut.action === SHORTCUT_ACTIONS.SKIP) {
+        handled = quizState.mode === 'learn';
+        if (handled) handleSkip();
+      } else if (shortcut.action === SHORTCUT_ACTIONS.FLAG) {
+        handled = isExam;
+        if (handled) handleToggleFlag();
+      }
+
+      if (handled) {
+        event.preventDefault();
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [quizState, showShortcuts, canGoNext, canGoPrevious, isExam,
+      handleAnswerSelect, handleNext, handlePrevious, handleSkip, handleToggleFlag]);
+
+  // Move focus to each new question, so keyboard and screen reader users start there
+  const questionRegionRef = useRef(null);
+  const shownQuestionIndex = useRef(null);
+  const currentQuestionIndex = quizState ? quizState.currentQuestionIndex : null;
+
+  useEffect(() => {
+    if (currentQuestionIndex === null) return;
+
+    const region = questionRegionRef.current;
+    if (region && shownQuestionIndex.current !== null && shownQuestionIndex.current !== currentQuestionIndex) {
+      // The page is already scrolling to the top, so focusing must not scroll
+      (region.querySelector('h2') || region).focus({ preventScroll: true });
+    }
+    shownQuestionIndex.current = currentQuestionIndex;
+  }, [currentQuestionIndex]);
+
+  // A quiz theme (see utils/themes.js) recolours the quiz and its results
+  const quizTheme = Object.values(QUIZ_THEMES).includes(customTheme) ? customTheme : undefined;
 
   // Loading state
   if (isLoading || !quizState) {
@@ -321,114 +565,214 @@ export default function QuizInterface({
   // Quiz completion state
   if (quizState.isComplete && completionData) {
     return (
-      <ResultsScreen
-        quizState={completionData.quizState}
-        timeElapsed={completionData.timeElapsed}
-        onRetakeQuiz={handleRetakeQuiz}
-        onBackToModeSelection={handleResultsBackToModeSelection}
-        onBackToHome={handleResultsBackToHome}
-      />
+      <LaTeXMacrosContext.Provider value={latexMacros}>
+        <div data-quiz-theme={quizTheme} className="min-h-screen bg-background text-foreground">
+          <ResultsScreen
+            quizState={completionData.quizState}
+            timeElapsed={completionData.timeElapsed}
+            onRetakeQuiz={handleRetakeQuiz}
+            onBackToModeSelection={handleResultsBackToModeSelection}
+            onBackToHome={handleResultsBackToHome}
+            allowReview={allowReview}
+            onRetryWrong={handleRetryWrong}
+          />
+        </div>
+      </LaTeXMacrosContext.Provider>
     );
   }
 
 
 
   return (
-    <Container compact={true} size="full">
-      <div className="single-viewport">
-        {/* Compact Header */}
-        <div className="single-viewport-header">
-          <div className="flex items-center justify-between mb-2">
-            <div>
-              <h1 className="compact-title text-gray-900">
-                {title || `Assignment ${assignment || assignmentNumber} - ${getModeDisplayName(mode)}`}
-              </h1>
-              <div className="flex items-center gap-4 text-xs text-gray-600">
-                <span>Time: {timeDisplay}</span>
-                <span>Q{quizState.currentQuestionIndex + 1}/{quizState.questions.length}</span>
+    <LaTeXMacrosContext.Provider value={latexMacros}>
+      <div data-quiz-theme={quizTheme} className="bg-background text-foreground">
+      <Container compact={true} size="full">
+        <div className="single-viewport">
+          {/* Compact Header */}
+          <div className="single-viewport-header">
+            <div className="flex items-center justify-between mb-2">
+              <div>
+                <h1 className="compact-title text-gray-900">
+                  {title || `Assignment ${assignment || assignmentNumber} - ${getModeDisplayName(mode)}`}
+                </h1>
+                <div className="flex items-center gap-4 text-xs text-gray-600">
+                  {remainingTime !== null ? (
+                    <span className={remainingTime <= 60 ? 'text-red-600 font-semibold' : ''}>
+                      Time left: {timeDisplay}
+                    </span>
+                  ) : (
+                    <span>Time: {timeDisplay}</span>
+                  )}
+                  <span>Q{quizState.currentQuestionIndex + 1}/{quizState.questions.length}</span>
+                </div>
               </div>
-            </div>
-            <div className="flex gap-1">
-              {(assignment !== 'mega' && assignmentNumber !== 'mega') && (
+              <div className="flex gap-1">
+                {isExam && (
+                  <Button 
+                    onClick={() => handleSubmit()} 
+                    variant={confirmSubmit ? 'danger' : 'primary'} 
+                    size="sm"
+                    className="px-2 py-1 text-xs"
+                  >
+                    {confirmSubmit ? `Submit with ${unansweredCount} unanswered?` : 'Submit'}
+                  </Button>
+                )}
+                {!CROSS_ASSIGNMENT_IDS.includes(assignment || assignmentNumber) && (
+                  <Button 
+                    onClick={handleBackToModeSelection} 
+                    variant="outline" 
+                    size="sm"
+                    className="px-2 py-1 text-xs"
+                  >
+                    Mode
+                  </Button>
+                )}
                 <Button 
-                  onClick={handleBackToModeSelection} 
+                  onClick={handleBackToHome} 
                   variant="outline" 
                   size="sm"
                   className="px-2 py-1 text-xs"
                 >
-                  Mode
+                  Home
                 </Button>
-              )}
-              <Button 
-                onClick={handleBackToHome} 
-                variant="outline" 
-                size="sm"
-                className="px-2 py-1 text-xs"
-              >
-                Home
-              </Button>
+                <Button
+                  onClick={() => setShowShortcuts(true)}
+                  variant="outline"
+                  size="sm"
+                  className="px-2 py-1 text-xs"
+                >
+                  <span aria-hidden="true">?</span>
+                  <span className="sr-only">Keyboard shortcuts</span>
+                </Button>
+              </div>
             </div>
+
+            {/* Compact Progress Bar */}
+            {showProgress && (
+              <div
+                className="w-full bg-gray-200 rounded-full h-1.5"
+                role="progressbar"
+                aria-label="Quiz progress"
+                aria-valuemin={1}
+                aria-valuemax={quizState.questions.length}
+                aria-valuenow={quizState.currentQuestionIndex + 1}
+                aria-valuetext={`Question ${quizState.currentQuestionIndex + 1} of ${quizState.questions.length}`}
+              >
+                <div 
+                  className="bg-primary h-1.5 rounded-full transition-all duration-300"
+                  style={{ width: `${progressPercentage}%` }}
+                ></div>
+              </div>
+            )}
+
+            {/* Question palette for free navigation in exams */}
+            {isExam && (
+              <div className="flex flex-wrap gap-1 mt-2">
+                {quizState.questions.map((question, index) => {
+                  const answer = quizState.userAnswers[index];
+                  const isQuestionAnswered = answer && answer.selectedOptions.length > 0;
+                  const isFlagged = quizState.flaggedQuestions.includes(index);
+                  const isCurrent = index === quizState.currentQuestionIndex;
+
+                  return (
+                    <button
+                      key={index}
+                      type="button"
+                      onClick={() => handleJumpToQuestion(index)}
+                      aria-label={`Question ${index + 1}${isQuestionAnswered ? ', answered' : ''}${isFlagged ? ', flagged' : ''}`}
+                      aria-current={isCurrent ? 'step' : undefined}
+                      className={`relative w-7 h-7 text-xs rounded border font-medium touch-manipulation ${
+                        isCurrent ? 'ring-2 ring-blue-500 ' : ''
+                      }${
+                        isQuestionAnswered ? '' : 'border-dashed '
+                      }${
+                        isFlagged
+                          ? 'bg-yellow-100 border-yellow-500 text-yellow-800'
+                          : isQuestionAnswered
+                            ? 'bg-blue-100 border-blue-500 text-blue-800'
+                            : 'bg-white border-gray-300 text-gray-700'
+                      }`}
+                    >
+                      {index + 1}
+                      {/* Unanswered questions have dashed borders and flagged ones a flag, besides their colour */}
+                      {isFlagged && (
+                        <span className="absolute -top-1.5 -right-1 text-[10px] leading-none" aria-hidden="true">⚑</span>
+                      )}
+                    </button>
+                  );
+                })}
+              </div>
+            )}
           </div>
 
-          {/* Compact Progress Bar */}
-          {showProgress && (
-            <div className="w-full bg-gray-200 rounded-full h-1.5">
-              <div 
-                className="bg-blue-600 h-1.5 rounded-full transition-all duration-300"
-                style={{ width: `${progressPercentage}%` }}
-              ></div>
-            </div>
-          )}
-        </div>
+          {/* Announces whether the revealed answer was right */}
+          <div className="sr-only" role="status" aria-live="polite">
+            {resultAnnouncement}
+          </div>
 
-        {/* Question Content */}
-        <div className="single-viewport-content">
-          {currentQuestion && (
-            <QuestionCard
-              question={currentQuestion}
-              selectedAnswers={currentAnswer}
-              showFeedback={quizState.showFeedback}
-              mode={quizState.mode}
-              onAnswerSelect={handleAnswerSelect}
-              disabled={quizState.mode !== 'learn' && quizState.showFeedback}
-              compact={true}
-            />
-          )}
-        </div>
+          {/* Question Content */}
+          <div className="single-viewport-content focus:outline-none" ref={questionRegionRef} tabIndex={-1}>
+            {currentQuestion && (
+              <QuestionCard
+                key={quizState.currentQuestionIndex}
+                question={currentQuestion}
+                selectedAnswers={currentAnswer}
+                showFeedback={quizState.showFeedback}
+                mode={quizState.mode}
+                onAnswerSelect={handleAnswerSelect}
+                disabled={quizState.mode !== 'learn' && quizState.showFeedback}
+                compact={true}
+              />
+            )}
+          </div>
 
-        {/* Floating Translucent Navigation */}
-        <div className="floating-nav">
-          <div className="flex justify-between items-center gap-2">
-            <Button
-              onClick={handlePrevious}
-              disabled={!canGoPrevious}
-              variant="outline"
-              className="floating-nav-button-outline px-3 py-2 text-sm font-medium"
-            >
-              ← Prev
-            </Button>
-
-            {quizState.mode === 'learn' && (
+          {/* Floating Translucent Navigation */}
+          <div className="floating-nav">
+            <div className="flex justify-between items-center gap-2">
               <Button
-                onClick={handleSkip}
-                variant="secondary"
-                className="floating-nav-button-outline px-3 py-2 text-sm"
+                onClick={handlePrevious}
+                disabled={!canGoPrevious}
+                variant="outline"
+                className="floating-nav-button-outline px-3 py-2 text-sm font-medium"
               >
-                Skip
+                ← Prev
               </Button>
-            )}
 
-            <Button
-              onClick={handleNext}
-              disabled={!canGoNext}
-              variant="primary"
-              className="floating-nav-button px-4 py-2 text-sm font-semibold"
-            >
-              {nextButtonText} →
-            </Button>
+              {isExam && (
+                <Button
+                  onClick={handleToggleFlag}
+                  variant="secondary"
+                  className="floating-nav-button-outline px-3 py-2 text-sm"
+                >
+                  {quizState.flaggedQuestions.includes(quizState.currentQuestionIndex) ? 'Unflag' : 'Flag'}
+                </Button>
+              )}
+
+              {quizState.mode === 'learn' && (
+                <Button
+                  onClick={handleSkip}
+                  variant="secondary"
+                  className="floating-nav-button-outline px-3 py-2 text-sm"
+                >
+                  Skip
+                </Button>
+              )}
+
+              <Button
+                onClick={handleNext}
+                disabled={!canGoNext}
+                variant="primary"
+                className="floating-nav-button px-4 py-2 text-sm font-semibold"
+              >
+                {nextButtonText} →
+              </Button>
+            </div>
           </div>
         </div>
+
+        {showShortcuts && <KeyboardShortcutsHelp onClose={() => setShowShortcuts(false)} />}
+      </Container>
       </div>
-    </Container>
+    </LaTeXMacrosContext.Provider>
   );
 }
\ No newline at end of file
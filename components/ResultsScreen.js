@@ -9,19 +9,26 @@
 import { useEffect, useState } from 'react';
 import Button from './Button';
 import Container from './Container';
+import AnswerReview from './AnswerReview';
 import { getUserName } from '../utils/storageUtils';
-import { calculateTotalScore } from '../utils/scoringUtils';
-import { getModeDisplayName } from '../utils/navigationUtils';
+import { scoreQuiz, getScoringPolicyDisplayName, SCORING_POLICIES } from '../utils/scoringUtils';
+import { getModeDisplayName, getAssignmentDisplayName, buildSeededUrl } from '../utils/navigationUtils';
+import { buildResultsExport, resultsToCsv, resultsToJson, getResultsFileName } from '../utils/resultsExport';
+import { downloadFile } from '../utils/download';
 
 export default function ResultsScreen({
   quizState,
   timeElapsed,
   onRetakeQuiz,
   onBackToModeSelection,
-  onBackToHome
+  onBackToHome,
+  allowReview = false,
+  onRetryWrong
 }) {
   const [userName, setUserName] = useState('');
   const [score, setScore] = useState(null);
+  const [showReview, setShowReview] = useState(false);
+  const [replayLinkCopied, setReplayLinkCopied] = useState(false);
 
   // Load user name and calculate score on component mount
   useEffect(() => {
@@ -29,8 +36,7 @@ export default function ResultsScreen({
     setUserName(storedName || 'Student');
 
     if (quizState && quizState.userAnswers && quizState.questions) {
-      const calculatedScore = calculateTotalScore(quizState.userAnswers, quizState.questions);
-      setScore(calculatedScore);
+      setScore(scoreQuiz(quizState));
     }
   }, [quizState]);
 
@@ -52,6 +58,26 @@ export default function ResultsScreen({
 
 
 
+  // Copy a link that rebuilds this quiz with the same question order
+  const handleCopyReplayLink = async () => {
+    try {
+      await navigator.clipboard.writeText(buildSeededUrl(window.location.href, quizState.seed));
+      setReplayLinkCopied(true);
+    } catch (error) {
+      console.error('Error copying replay link:', error);
+    }
+  };
+
+  // Save this attempt as a file the student can keep
+  const handleDownloadResults = (format) => {
+    const record = buildResultsExport(quizState, { userName });
+    if (format === 'csv') {
+      downloadFile(resultsToCsv(record), getResultsFileName(record, 'csv'), 'text/csv');
+    } else {
+      downloadFile(resultsToJson(record), getResultsFileName(record, 'json'), 'application/json');
+    }
+  };
+
   // Get personalized completion message based on score
   const getCompletionMessage = () => {
     if (!score) return `Great job, ${userName}!`;
@@ -86,6 +112,12 @@ export default function ResultsScreen({
     }
   };
 
+  // Questions answered wrong (or left unanswered), for a "retry mistakes" quiz
+  const wrongQuestions = score
+    ? score.questionScores.filter(questionScore => !questionScore.isCorrect)
+      .map(questionScore => quizState.questions[questionScore.questionIndex])
+    : [];
+
   // Loading state
   if (!score) {
     return (
@@ -100,6 +132,16 @@ export default function ResultsScreen({
     );
   }
 
+  if (showReview) {
+    return (
+      <AnswerReview
+        quizState={quizState}
+        onRetryWrong={onRetryWrong}
+        onBack={() => setShowReview(false)}
+      />
+    );
+  }
+
   return (
     <Container>
       <div className="min-h-screen flex items-center justify-center py-6 sm:py-8">
@@ -132,7 +174,7 @@ export default function ResultsScreen({
 
             {/* Assignment and Mode Info */}
             <p className="text-base sm:text-lg text-gray-600 mb-4 sm:mb-6">
-              Assignment {quizState.assignment} - {getModeDisplayName(quizState.mode)}
+              {getAssignmentDisplayName(quizState.assignment)} - {getModeDisplayName(quizState.mode)}
             </p>
 
             {/* Personalized Message */}
@@ -154,6 +196,11 @@ export default function ResultsScreen({
                   <p className="text-sm sm:text-base text-gray-600">
                     {score.correct} out of {score.total} correct
                   </p>
+                  {(score.policy !== SCORING_POLICIES.ALL_OR_NOTHING || score.maxPoints !== score.total) && (
+                    <p className="text-sm text-gray-600">
+                      {score.points} / {score.maxPoints} points
+                    </p>
+                  )}
                 </div>
 
                 {/* Time */}
@@ -171,6 +218,33 @@ export default function ResultsScreen({
               </div>
             </div>
 
+            {/* Scoring Policy */}
+            <div className="mb-6 sm:mb-8 text-sm text-gray-600">
+              <p>
+                Scored with <span className="font-medium text-gray-800">{getScoringPolicyDisplayName(score.policy)}</span>
+                {score.policy === SCORING_POLICIES.NEGATIVE_MARKING && quizState.scoringRules && (
+                  <> (−{Math.round(quizState.scoringRules.negativeMark * 100)}% of a question&apos;s marks per wrong pick)</>
+                )}
+                {' '}· Pass mark {score.passPercentage}%
+              </p>
+              <p className={`font-semibold ${score.passed ? 'text-green-600' : 'text-red-600'}`}>
+                {score.passed ? 'Passed' : 'Not passed yet'}
+              </p>
+              {quizState.seed && (
+                <p className="mt-1">
+                  Question order seed <span className="font-mono font-medium text-gray-800">{quizState.seed}</span>
+                  {' '}·{' '}
+                  <button
+                    type="button"
+                    onClick={handleCopyReplayLink}
+                    className="text-blue-600 hover:text-blue-800 underline"
+                  >
+                    {replayLinkCopied ? 'Link copied!' : 'Copy replay link'}
+                  </button>
+                </p>
+              )}
+            </div>
+
             {/* Performance Badge */}
             {score.percentage >= 80 && (
               <div className="mb-6 sm:mb-8">
@@ -213,6 +287,30 @@ export default function ResultsScreen({
                 </Button>
               </div>
 
+              {/* Retry Mistakes */}
+              {onRetryWrong && wrongQuestions.length > 0 && (
+                <Button
+                  onClick={() => onRetryWrong(wrongQuestions)}
+                  variant="outline"
+                  className="w-full min-h-[48px] touch-manipulation"
+                  size="lg"
+                >
+                  Retry Mistakes ({wrongQuestions.length})
+                </Button>
+              )}
+
+              {/* Answer Review */}
+              {allowReview && (
+                <Button
+                  onClick={() => setShowReview(true)}
+                  variant="outline"
+                  className="w-full min-h-[48px] touch-manipulation"
+                  size="lg"
+                >
+                  Review Answers
+                </Button>
+              )}
+
               {/* Secondary Action */}
               <Button
                 onClick={onBackToHome}
@@ -230,6 +328,24 @@ export default function ResultsScreen({
             <p>
               Want to improve your score? Try the quiz again or explore other assignments!
             </p>
+            <p className="mt-2">
+              Keep a copy of your answers:{' '}
+              <button
+                type="button"
+                onClick={() => handleDownloadResults('csv')}
+                className="text-blue-600 hover:text-blue-800 underline"
+              >
+                CSV
+              </button>
+              {' '}·{' '}
+              <button
+                type="button"
+                onClick={() => handleDownloadResults('json')}
+                className="text-blue-600 hover:text-blue-800 underline"
+              >
+                JSON
+              </button>
+            </p>
           </div>
         </div>
       </div>
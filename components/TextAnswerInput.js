@@ -0,0 +1,69 @@
+/**
+ * TextAnswerInput Component
+ * Answer box for numeric and short-text questions; once feedback is shown it
+ * turns green or red and gives the answer the question accepts
+ */
+
+import { memo } from 'react';
+import { getCorrectOptions, validateAnswer } from '../utils/scoringUtils';
+import { QUESTION_TYPES, getQuestionType } from '../utils/questionTypes';
+
+const TextAnswerInput = memo(function TextAnswerInput({
+  question,
+  value = '',
+  showFeedback = false,
+  onChange,
+  disabled = false,
+  compact = false
+}) {
+  const isNumeric = getQuestionType(question) === QUESTION_TYPES.NUMERIC;
+  const isAnswered = value.trim() !== '';
+  const isCorrect = isAnswered && validateAnswer([value], question);
+  const inputId = `answer-${question.assignmentnumber}-${question.questionnumber}`;
+  const correctAnswers = getCorrectOptions(question);
+
+  let stateClass = 'border-gray-300 bg-white focus:ring-blue-500';
+  if (showFeedback && isAnswered) {
+    stateClass = isCorrect
+      ? 'border-green-500 bg-green-50 text-green-800 focus:ring-green-500'
+      : 'border-red-500 bg-red-50 text-red-800 focus:ring-red-500';
+  }
+
+  const inputClass = compact ?
+    'w-full p-2 text-sm border rounded focus:outline-none focus:ring-1' :
+    'w-full p-3 sm:p-4 text-base border-2 rounded-lg focus:outline-none focus:ring-2 focus:ring-offset-2';
+
+  return (
+    <div className={compact ? 'mb-1' : 'mb-3 sm:mb-4'}>
+      <label htmlFor={inputId} className="sr-only">Your answer</label>
+      <input
+        id={inputId}
+        type="text"
+        inputMode={isNumeric ? 'decimal' : 'text'}
+        autoComplete="off"
+        spellCheck={false}
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        disabled={disabled}
+        placeholder={isNumeric ? 'e.g. 0.25' : 'Your answer'}
+        className={`${inputClass} ${stateClass} ${disabled ? 'cursor-not-allowed opacity-75' : ''}`}
+        aria-invalid={showFeedback && isAnswered && !isCorrect}
+        aria-describedby={showFeedback ? `${inputId}-feedback` : undefined}
+      />
+
+      {showFeedback && (
+        <p id={`${inputId}-feedback`} className={`${compact ? 'mt-1 text-xs' : 'mt-2 text-sm sm:text-base'} text-gray-700`}>
+          {isAnswered && (
+            <span className={`font-semibold ${isCorrect ? 'text-green-700' : 'text-red-700'}`}>
+              {isCorrect ? 'Correct. ' : 'Not quite. '}
+            </span>
+          )}
+          {correctAnswers.length > 1 ? 'Accepted answers: ' : 'Correct answer: '}
+          <span className="font-medium">{correctAnswers.join(', ')}</span>
+        </p>
+      )}
+    </div>
+  );
+});
+
+export default TextAnswerInput;
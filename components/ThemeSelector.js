@@ -0,0 +1,57 @@
+/**
+ * ThemeSelector Component
+ * Lets users pick the colour theme, or follow their system settings.
+ * The choice is kept in their preferences and shown straight away
+ */
+
+import { memo, useEffect, useId, useState } from 'react';
+import { getUserPreferences, updateUserPreference } from '../utils/storageUtils';
+import {
+  THEME_OPTIONS,
+  THEME_PREFERENCE_KEY,
+  SYSTEM_THEME,
+  isValidThemePreference,
+  applyThemePreference
+} from '../utils/themes';
+
+const ThemeSelector = memo(function ThemeSelector({ className = '' }) {
+  const selectId = useId();
+  const [preference, setPreference] = useState(SYSTEM_THEME);
+
+  // Preferences live in local storage, so read them once mounted
+  useEffect(() => {
+    const stored = getUserPreferences()?.[THEME_PREFERENCE_KEY];
+    if (isValidThemePreference(stored)) {
+      setPreference(stored);
+    }
+  }, []);
+
+  const handleChange = (e) => {
+    const value = e.target.value;
+    setPreference(value);
+    updateUserPreference(THEME_PREFERENCE_KEY, value);
+    applyThemePreference(value);
+  };
+
+  return (
+    <div className={`flex items-center justify-center gap-2 ${className}`}>
+      <label htmlFor={selectId} className="text-sm font-medium text-foreground">
+        Theme
+      </label>
+      <select
+        id={selectId}
+        value={preference}
+        onChange={handleChange}
+        className="min-h-[44px] sm:min-h-0 px-3 py-1 text-sm border border-line rounded-lg bg-surface text-foreground focus:outline-none focus:ring-2 focus:ring-focus touch-manipulation"
+      >
+        {THEME_OPTIONS.map(option => (
+          <option key={option.value} value={option.value}>
+            {option.label}
+          </option>
+        ))}
+      </select>
+    </div>
+  );
+});
+
+export default ThemeSelector;
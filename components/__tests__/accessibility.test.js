@@ -0,0 +1,259 @@
+/**
+ * Accessibility Tests
+ * Runs axe over every page of the app, and over the quiz as it is answered,
+ * shows feedback and finishes, so WCAG 2.1 AA problems fail the build
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { render, screen, fireEvent, act, waitFor } from '@testing-library/react';
+import { axe, toHaveNoViolations } from 'jest-axe';
+import { useParams, useSearchParams } from 'next/navigation';
+import HomePage from '../../app/page';
+import CoursePage from '../../app/c/[course]/page';
+import AssignmentPage from '../../app/assignment/[id]/page';
+import QuizPage from '../../app/quiz/[assignment]/[mode]/page';
+import ReviewPage from '../../app/quiz/review/[scope]/page';
+import CustomQuizPage from '../../app/quiz/custom/page';
+import QuestionSetPage from '../../app/quiz/set/[mode]/page';
+import MegaTestPage from '../../app/quiz/mega/practice/page';
+import ProgressPage from '../../app/progress/page';
+import EditorPage from '../../app/editor/page';
+import ImportPage from '../../app/import/page';
+import ExportPage from '../../app/export/page';
+import QuizInterface from '../QuizInterface';
+import RewardModal from '../RewardModal';
+import NameChangeModal from '../NameChangeModal';
+import KeyboardShortcutsHelp from '../KeyboardShortcutsHelp';
+import { clearQuestionsCache } from '../../utils/dataLoader';
+import { clearCourseManifestCache } from '../../utils/courseManifest';
+
+expect.extend(toHaveNoViolations);
+
+// Only WCAG 2.1 A and AA rules; jsdom has no layout, so colour contrast is left to the browser
+const WCAG_AA = {
+  runOnly: { type: 'tag', values: ['wcag2a', 'wcag2aa', 'wcag21a', 'wcag21aa'] }
+};
+
+const expectNoViolations = async (container) => {
+  expect(await axe(container, WCAG_AA)).toHaveNoViolations();
+};
+
+jest.mock('next/navigation', () => ({
+  useRouter: () => ({ push: jest.fn(), replace: jest.fn(), back: jest.fn() }),
+  useParams: jest.fn(() => ({})),
+  useSearchParams: jest.fn(() => new URLSearchParams())
+}));
+
+jest.mock('../../utils/analytics', () => ({
+  trackAssignmentAttempt: jest.fn(),
+  trackAssignmentCompletion: jest.fn(),
+  trackQuestionAnswer: jest.fn(),
+  trackEngagementTime: jest.fn(),
+  trackPageView: jest.fn(),
+  trackNameChange: jest.fn()
+}));
+
+jest.mock('../../utils/firebase', () => ({
+  signInUser: jest.fn(() => Promise.resolve({})),
+  onAuthStateChange: jest.fn(() => () => {}),
+  autoLoginIfNeeded: jest.fn(() => Promise.resolve(null)),
+  ensureAuthenticated: jest.fn(() => Promise.resolve({})),
+  getUserAttempts: jest.fn(() => Promise.resolve([])),
+  saveUserAttempt: jest.fn(() => Promise.resolve()),
+  logTestStart: jest.fn(),
+  logTestComplete: jest.fn()
+}));
+
+// Pages load the course list and question bank from public/
+const readPublicFile = (url) => {
+  const file = path.join(process.cwd(), 'public', decodeURIComponent(url.split('?')[0]));
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null;
+};
+
+beforeEach(() => {
+  clearQuestionsCache();
+  clearCourseManifestCache();
+  global.fetch = jest.fn(url => {
+    const data = readPublicFile(url);
+    return Promise.resolve({
+      ok: data !== null,
+      status: data !== null ? 200 : 404,
+      statusText: data !== null ? 'OK' : 'Not Found',
+      json: () => Promise.resolve(data),
+      text: () => Promise.resolve(JSON.stringify(data))
+    });
+  });
+  useParams.mockReturnValue({});
+  useSearchParams.mockReturnValue(new URLSearchParams());
+});
+
+afterEach(() => {
+  delete global.fetch;
+});
+
+// Renders a page and waits for its data to load
+const renderPage = async (Page, params = {}, query = '') => {
+  useParams.mockReturnValue(params);
+  useSearchParams.mockReturnValue(new URLSearchParams(query));
+
+  let result;
+  await act(async () => {
+    result = render(<Page />);
+  });
+  await waitFor(() => expect(screen.queryByText(/^Loading/)).not.toBeInTheDocument());
+  return result;
+};
+
+describe('Accessibility', () => {
+  describe('pages', () => {
+    test.each([
+      ['home', HomePage, {}],
+      ['course home', CoursePage, { course: 'ml' }],
+      ['assignment', AssignmentPage, { id: '1' }],
+      ['progress', ProgressPage, {}],
+      ['editor', EditorPage, {}],
+      ['import', ImportPage, {}],
+      ['export', ExportPage, {}],
+      ['custom quiz builder', CustomQuizPage, {}],
+      ['review with nothing due', ReviewPage, { scope: 'all' }]
+    ])('%s page has no violations', async (name, Page, params) => {
+      const { container } = await renderPage(Page, params);
+      await expectNoViolations(container);
+    });
+
+    test.each([
+      ['learn', QuizPage, { assignment: '1', mode: 'learn' }, ''],
+      ['test', QuizPage, { assignment: '1', mode: 'test-easy' }, ''],
+      ['exam', QuizPage, { assignment: '1', mode: 'exam' }, ''],
+      ['question set', QuestionSetPage, { mode: 'test-easy' }, 'q=1-1,1-2'],
+      ['custom', CustomQuizPage, {}, 'weeks=1&count=3&mode=test-easy&seed=abc123'],
+      ['mega test', MegaTestPage, {}, '']
+    ])('%s quiz page has no violations', async (name, Page, params, query) => {
+      const { container } = await renderPage(Page, params, query);
+      expect(screen.getByRole('heading', { level: 2 })).toBeInTheDocument();
+      await expectNoViolations(container);
+    });
+  });
+
+  describe('quiz flow', () => {
+    const questions = [
+      {
+        assignmentnumber: "1",
+        questionnumber: "1",
+        question: "What is machine learning?",
+        image: "",
+        options: [
+          { optionnumber: "A", optiontext: "A subset of AI", iscorrect: true },
+          { optionnumber: "B", optiontext: "A programming language", iscorrect: false }
+        ]
+      }
+    ];
+
+    const renderQuiz = async (mode = 'test-easy') => {
+      let result;
+      await act(async () => {
+        result = render(<QuizInterface questions={questions} assignmentNumber="1" mode={mode} allowReview />);
+      });
+      return result;
+    };
+
+    test('options are a labelled radio group', async () => {
+      await renderQuiz();
+
+      const group = screen.getByRole('radiogroup', { name: 'What is machine learning?' });
+      const option = screen.getByRole('radio', { name: /A subset of AI/ });
+      expect(group).toContainElement(option);
+      expect(option).toHaveAttribute('aria-checked', 'false');
+
+      fireEvent.click(option);
+      expect(option).toHaveAttribute('aria-checked', 'true');
+    });
+
+    test('progress bar reports the current question', async () => {
+      await renderQuiz();
+
+      expect(screen.getByRole('progressbar', { name: 'Quiz progress' }))
+        .toHaveAttribute('aria-valuetext', 'Question 1 of 1');
+    });
+
+    test('feedback is announced and spelled out, not only coloured', async () => {
+      const { container } = await renderQuiz();
+      const status = screen.getByRole('status');
+
+      fireEvent.click(screen.getByRole('radio', { name: /A programming language/ }));
+      expect(status).toBeEmptyDOMElement();
+
+      fireEvent.click(screen.getByRole('button', { name: /Show Answer/ }));
+
+      expect(status).toHaveTextContent('Incorrect. The correct answer is A.');
+      expect(screen.getByRole('radio', { name: /A subset of AI.*Correct answer/ })).toBeInTheDocument();
+      expect(screen.getByRole('radio', { name: /A programming language.*Incorrect/ })).toBeInTheDocument();
+      await expectNoViolations(container);
+    });
+
+    test('results and answer review have no violations', async () => {
+      const { container } = await renderQuiz('learn');
+
+      fireEvent.click(screen.getByRole('radio', { name: /A subset of AI/ }));
+      expect(screen.getByRole('status')).toHaveTextContent('Correct.');
+      await act(async () => {
+        fireEvent.click(screen.getByRole('button', { name: /Finish Quiz/ }));
+      });
+      await expectNoViolations(container);
+
+      fireEvent.click(screen.getByRole('button', { name: 'Review Answers' }));
+      await expectNoViolations(container);
+    });
+  });
+
+  describe('dialogs', () => {
+    test('reward dialog has no violations', async () => {
+      const { container } = render(<RewardModal isOpen onClose={jest.fn()} score={3} totalQuestions={5} />);
+
+      expect(screen.getByRole('dialog', { name: 'Mega Test Complete!' })).toBeInTheDocument();
+      await expectNoViolations(container);
+    });
+
+    test('name change dialog has no violations', async () => {
+      const { container } = render(
+        <NameChangeModal currentName="Asha" onNameChange={jest.fn()} onClose={jest.fn()} />
+      );
+
+      expect(screen.getByRole('dialog', { name: 'Change Your Name' })).toBeInTheDocument();
+      await expectNoViolations(container);
+    });
+
+    test('shortcut overlay has no violations', async () => {
+      const { container } = render(<KeyboardShortcutsHelp onClose={jest.fn()} />);
+      await expectNoViolations(container);
+    });
+
+    test('keeps focus inside, closes on Escape and gives focus back', () => {
+      const opener = document.createElement('button');
+      document.body.appendChild(opener);
+      opener.focus();
+      const onClose = jest.fn();
+
+      const { unmount } = render(
+        <NameChangeModal currentName="Asha" onNameChange={jest.fn()} onClose={onClose} />
+      );
+      const input = screen.getByRole('textbox', { name: 'Your Name' });
+      const clear = screen.getByRole('button', { name: /Clear Name/ });
+      expect(input).toHaveFocus();
+
+      clear.focus();
+      fireEvent.keyDown(clear, { key: 'Tab' });
+      expect(input).toHaveFocus();
+      fireEvent.keyDown(input, { key: 'Tab', shiftKey: true });
+      expect(clear).toHaveFocus();
+
+      fireEvent.keyDown(clear, { key: 'Escape' });
+      expect(onClose).toHaveBeenCalledTimes(1);
+
+      unmount();
+      expect(opener).toHaveFocus();
+      opener.remove();
+    });
+  });
+});
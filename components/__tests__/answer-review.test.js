@@ -0,0 +1,123 @@
+/**
+ * Answer Review Tests
+ * Opens the review from ResultsScreen, filters questions and retries the wrong ones
+ */
+
+import { render, screen, fireEvent } from '@testing-library/react';
+import ResultsScreen from '../ResultsScreen';
+import { createInitialQuizState } from '../../utils/quizLogic';
+
+jest.mock('../../utils/storageUtils', () => ({
+  getUserName: jest.fn(() => 'Test User'),
+}));
+
+const mockQuestions = [
+  {
+    assignmentnumber: "1",
+    questionnumber: "1",
+    question: "What is machine learning?",
+    image: "",
+    explanation: "It learns patterns from data.",
+    options: [
+      { optionnumber: "A", optiontext: "A subset of AI", iscorrect: true },
+      { optionnumber: "B", optiontext: "A programming language", iscorrect: false }
+    ]
+  },
+  {
+    assignmentnumber: "1",
+    questionnumber: "2",
+    question: "Which are supervised learning algorithms?",
+    image: "",
+    options: [
+      { optionnumber: "A", optiontext: "Linear Regression", iscorrect: true },
+      { optionnumber: "B", optiontext: "Decision Trees", iscorrect: true },
+      { optionnumber: "C", optiontext: "K-means", iscorrect: false }
+    ]
+  },
+  {
+    assignmentnumber: "1",
+    questionnumber: "3",
+    question: "What is overfitting?",
+    image: "",
+    options: [
+      { optionnumber: "A", optiontext: "Memorising the training data", iscorrect: true },
+      { optionnumber: "B", optiontext: "Training too quickly", iscorrect: false }
+    ]
+  }
+];
+
+const buildCompletedState = () => ({
+  ...createInitialQuizState(mockQuestions, '1', 'test-easy'),
+  userAnswers: [
+    { selectedOptions: ['A'], timestamp: new Date() },
+    { selectedOptions: ['A', 'C'], timestamp: new Date() },
+    null
+  ],
+  isComplete: true
+});
+
+const renderResults = (props = {}) => render(
+  <ResultsScreen
+    quizState={buildCompletedState()}
+    timeElapsed={90}
+    onRetakeQuiz={jest.fn()}
+    onBackToModeSelection={jest.fn()}
+    onBackToHome={jest.fn()}
+    {...props}
+  />
+);
+
+describe('Answer review', () => {
+  test('is hidden unless the quiz allows review', () => {
+    renderResults();
+
+    expect(screen.queryByRole('button', { name: 'Review Answers' })).not.toBeInTheDocument();
+  });
+
+  test('walks through every question with the picks and correct options', () => {
+    renderResults({ allowReview: true });
+
+    fireEvent.click(screen.getByRole('button', { name: 'Review Answers' }));
+
+    expect(screen.getByText('What is machine learning?')).toBeInTheDocument();
+    expect(screen.getByText('Which are supervised learning algorithms?')).toBeInTheDocument();
+    expect(screen.getByText('What is overfitting?')).toBeInTheDocument();
+    expect(screen.getByText('It learns patterns from data.')).toBeInTheDocument();
+    expect(screen.getByText('Unanswered')).toBeInTheDocument();
+  });
+
+  test('filters questions by outcome', () => {
+    renderResults({ allowReview: true });
+    fireEvent.click(screen.getByRole('button', { name: 'Review Answers' }));
+
+    fireEvent.click(screen.getByRole('button', { name: 'Right (1)' }));
+    expect(screen.getByText('What is machine learning?')).toBeInTheDocument();
+    expect(screen.queryByText('What is overfitting?')).not.toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Unanswered (1)' }));
+    expect(screen.getByText('What is overfitting?')).toBeInTheDocument();
+    expect(screen.queryByText('What is machine learning?')).not.toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Multi-answer (1)' }));
+    expect(screen.getByText('Which are supervised learning algorithms?')).toBeInTheDocument();
+  });
+
+  test('retries only the questions answered wrong', () => {
+    const onRetryWrong = jest.fn();
+    renderResults({ allowReview: true, onRetryWrong });
+    fireEvent.click(screen.getByRole('button', { name: 'Review Answers' }));
+
+    fireEvent.click(screen.getByRole('button', { name: 'Retry 2 wrong questions' }));
+
+    expect(onRetryWrong).toHaveBeenCalledWith([mockQuestions[1], mockQuestions[2]]);
+  });
+
+  test('offers to retry mistakes straight from the results', () => {
+    const onRetryWrong = jest.fn();
+    renderResults({ onRetryWrong });
+
+    fireEvent.click(screen.getByRole('button', { name: 'Retry Mistakes (2)' }));
+
+    expect(onRetryWrong).toHaveBeenCalledWith([mockQuestions[1], mockQuestions[2]]);
+  });
+});
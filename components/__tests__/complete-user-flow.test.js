@@ -127,8 +127,8 @@ describe('Complete User Flow Tests', () => {
       const correctButton = correctOption.closest('button');
       
       // Check that the correct option has green styling (learn mode feedback)
-      expect(correctButton).toHaveClass('bg-green-50');
-      expect(correctButton).toHaveClass('border-green-500');
+      expect(correctButton).toHaveClass('bg-success-soft');
+      expect(correctButton).toHaveClass('border-success');
 
       // Progress should show 1 of 1
       expect(screen.getByText('Question 1 of 1')).toBeInTheDocument();
@@ -226,7 +226,7 @@ describe('Complete User Flow Tests', () => {
       // Initially, no answers should be highlighted
       const correctOption = screen.getByText('A subset of AI');
       const correctButton = correctOption.closest('button');
-      expect(correctButton).not.toHaveClass('bg-green-50');
+      expect(correctButton).not.toHaveClass('bg-success-soft');
 
       // Select the correct answer
       fireEvent.click(correctButton);
@@ -242,7 +242,7 @@ describe('Complete User Flow Tests', () => {
 
       // Now correct answer should be highlighted
       await waitFor(() => {
-        expect(correctButton).toHaveClass('bg-green-50');
+        expect(correctButton).toHaveClass('bg-success-soft');
       });
 
       // Next button should now show "Finish Quiz"
@@ -303,8 +303,8 @@ describe('Complete User Flow Tests', () => {
 
       // Both correct answers should be highlighted
       await waitFor(() => {
-        expect(linearRegression.closest('button')).toHaveClass('bg-green-50');
-        expect(decisionTrees.closest('button')).toHaveClass('bg-green-50');
+        expect(linearRegression.closest('button')).toHaveClass('bg-success-soft');
+        expect(decisionTrees.closest('button')).toHaveClass('bg-success-soft');
       });
     });
   });
@@ -0,0 +1,154 @@
+/**
+ * Keyboard Shortcut Tests
+ * Takes a quiz through QuizInterface from the keyboard: picking options,
+ * showing answers, moving between questions, flagging, roving focus across
+ * options and the help overlay
+ */
+
+import { render, screen, fireEvent, act } from '@testing-library/react';
+import QuizInterface from '../QuizInterface';
+
+jest.mock('next/navigation', () => ({
+  useRouter: () => ({ push: jest.fn(), replace: jest.fn() }),
+}));
+
+jest.mock('../../utils/analytics', () => ({
+  trackAssignmentAttempt: jest.fn(),
+  trackAssignmentCompletion: jest.fn(),
+  trackQuestionAnswer: jest.fn(),
+  trackEngagementTime: jest.fn(),
+  trackPageView: jest.fn(),
+}));
+
+jest.mock('../../utils/firebase', () => ({
+  logTestStart: jest.fn(),
+  logTestComplete: jest.fn(),
+  ensureAuthenticated: jest.fn(() => Promise.resolve({})),
+}));
+
+const mockQuestions = [
+  {
+    assignmentnumber: "1",
+    questionnumber: "1",
+    question: "What is machine learning?",
+    image: "",
+    options: [
+      { optionnumber: "A", optiontext: "A subset of AI", iscorrect: true },
+      { optionnumber: "B", optiontext: "A programming language", iscorrect: false },
+      { optionnumber: "C", optiontext: "A database system", iscorrect: false }
+    ]
+  },
+  {
+    assignmentnumber: "1",
+    questionnumber: "2",
+    question: "Which are supervised learning algorithms?",
+    image: "",
+    options: [
+      { optionnumber: "A", optiontext: "Linear Regression", iscorrect: true },
+      { optionnumber: "B", optiontext: "Decision Trees", iscorrect: true },
+      { optionnumber: "C", optiontext: "K-means", iscorrect: false }
+    ]
+  }
+];
+
+const renderQuiz = async (mode = 'test-easy') => {
+  await act(async () => {
+    render(<QuizInterface questions={mockQuestions} assignmentNumber="1" mode={mode} />);
+  });
+};
+
+const pressKey = (key, target = document.body) => fireEvent.keyDown(target, { key });
+
+// Options are radios, or checkboxes when several answers are correct
+const option = text => screen.queryByRole('radio', { name: new RegExp(text) }) ||
+  screen.getByRole('checkbox', { name: new RegExp(text) });
+
+describe('Keyboard shortcuts', () => {
+  test('picks options by letter and by number', async () => {
+    await renderQuiz();
+
+    pressKey('b');
+    expect(option('A programming language')).toHaveAttribute('aria-checked', 'true');
+
+    pressKey('1');
+    expect(option('A subset of AI')).toHaveAttribute('aria-checked', 'true');
+    expect(option('A programming language')).toHaveAttribute('aria-checked', 'false');
+  });
+
+  test('shows the answer, moves on and back, and focuses each new question', async () => {
+    await renderQuiz();
+
+    pressKey('a');
+    pressKey('Enter');
+    expect(screen.getByRole('button', { name: /Next/ })).toBeInTheDocument();
+
+    // Answers are locked once shown
+    pressKey('b');
+    expect(option('A programming language')).toHaveAttribute('aria-checked', 'false');
+
+    pressKey('ArrowRight');
+    const heading = screen.getByRole('heading', { name: 'Which are supervised learning algorithms?' });
+    expect(heading).toHaveFocus();
+
+    // Both picks of a multiple-answer question stay picked
+    pressKey('a');
+    pressKey('b');
+    expect(option('Linear Regression')).toHaveAttribute('aria-checked', 'true');
+    expect(option('Decision Trees')).toHaveAttribute('aria-checked', 'true');
+
+    pressKey('ArrowLeft');
+    expect(screen.getByRole('heading', { name: 'What is machine learning?' })).toHaveFocus();
+  });
+
+  test('does not move on before the question is answered', async () => {
+    await renderQuiz();
+
+    pressKey('Enter');
+    pressKey('n');
+
+    expect(screen.getByText('Q1/2')).toBeInTheDocument();
+  });
+
+  test('flags questions in exams', async () => {
+    await renderQuiz('exam');
+
+    pressKey('m');
+
+    expect(screen.getByRole('button', { name: 'Question 1, flagged' })).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'Unflag' })).toBeInTheDocument();
+  });
+
+  test('moves focus between options with the arrow keys, as one tab stop', async () => {
+    await renderQuiz();
+
+    const options = screen.getAllByRole('radio');
+    expect(options.map(button => button.tabIndex)).toEqual([0, -1, -1]);
+
+    options[0].focus();
+    pressKey('ArrowDown', options[0]);
+    expect(options[1]).toHaveFocus();
+    pressKey('ArrowUp', options[1]);
+    pressKey('ArrowUp', options[0]);
+    expect(options[2]).toHaveFocus();
+    expect(options.map(button => button.tabIndex)).toEqual([-1, -1, 0]);
+  });
+
+  test('opens and closes the shortcut overlay', async () => {
+    await renderQuiz();
+
+    pressKey('?');
+    const dialog = screen.getByRole('dialog', { name: 'Keyboard shortcuts' });
+    expect(dialog).toHaveTextContent('Previous question');
+    expect(screen.getByRole('button', { name: 'Close' })).toHaveFocus();
+
+    // Shortcuts wait while the overlay is open
+    pressKey('a');
+    expect(option('A subset of AI')).toHaveAttribute('aria-checked', 'false');
+
+    pressKey('Escape');
+    expect(screen.queryByRole('dialog')).not.toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Keyboard shortcuts' }));
+    expect(screen.getByRole('dialog')).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,54 @@
+/**
+ * LaTeX Renderer Tests
+ * Renders inline and display math, escaped dollars, the bank's macros and MathML
+ */
+
+import { render, screen } from '@testing-library/react';
+import LaTeXRenderer, { LaTeXMacrosContext } from '../LaTeXRenderer';
+
+describe('LaTeXRenderer', () => {
+  test('renders inline math inline and display math on its own line', () => {
+    const { container } = render(
+      <LaTeXRenderer>{'Let $x$ be $$\\begin{bmatrix} 1 & 0 \\\\ 0 & 1 \\end{bmatrix}$$'}</LaTeXRenderer>
+    );
+
+    const rendered = container.querySelectorAll('.katex-rendered');
+    expect(rendered).toHaveLength(2);
+    expect(rendered[0].querySelector('.katex-display')).toBeNull();
+    expect(rendered[1].querySelector('.katex-display')).not.toBeNull();
+    expect(rendered[1].querySelector('.katex-error')).toBeNull();
+  });
+
+  test('leaves prices and escaped dollars as text', () => {
+    const { container } = render(<LaTeXRenderer>{'It costs $5, or \\$10 with $y$'}</LaTeXRenderer>);
+
+    expect(screen.getByText('It costs $5, or $10 with')).toBeInTheDocument();
+    expect(container.querySelectorAll('.katex-rendered')).toHaveLength(1);
+  });
+
+  test('expands the macros of the bank it is given', () => {
+    const { container } = render(
+      <LaTeXMacrosContext.Provider value={{ '\\vect': '\\mathbf{#1}' }}>
+        <LaTeXRenderer>{'$\\vect{w}$'}</LaTeXRenderer>
+      </LaTeXMacrosContext.Provider>
+    );
+
+    expect(container.querySelector('.mathbf')).not.toBeNull();
+    expect(container.querySelector('.katex-error')).toBeNull();
+  });
+
+  test('adds MathML for screen readers', () => {
+    const { container } = render(<LaTeXRenderer>{'$\\frac{a}{b}$'}</LaTeXRenderer>);
+
+    const math = container.querySelector('.katex-mathml math');
+    expect(math).not.toBeNull();
+    expect(math.querySelector('mfrac')).not.toBeNull();
+    expect(container.querySelector('.katex-html')).toHaveAttribute('aria-hidden', 'true');
+  });
+
+  test('renders text without math as it is', () => {
+    render(<LaTeXRenderer>{'Plain text'}</LaTeXRenderer>);
+
+    expect(screen.getByText('Plain text')).toBeInTheDocument();
+  });
+});
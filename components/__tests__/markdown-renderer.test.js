@@ -0,0 +1,113 @@
+/**
+ * Markdown Renderer Tests
+ * Renders tables, lists and highlighted code in questions and options, and
+ * shows HTML and unsafe LaTeX from a bank as text
+ */
+
+import { render, screen } from '@testing-library/react';
+import MarkdownRenderer from '../MarkdownRenderer';
+import QuestionCard from '../QuestionCard';
+
+const tableQuestion = {
+  assignmentnumber: "1",
+  questionnumber: "4",
+  question: "What is $J(\\theta)$ for the data in the table?\n\n| X | y |\n|---|---|\n| 6 | 7 |\n| 5 | 4 |",
+  image: "",
+  options: [
+    { optionnumber: "A", optiontext: "`np.mean(y)`", iscorrect: true },
+    { optionnumber: "B", optiontext: "**Not** defined", iscorrect: false }
+  ]
+};
+
+const codeQuestion = {
+  assignmentnumber: "1",
+  questionnumber: "5",
+  question: "What does this print?\n\n```python\nprint(len([1, 2]))  # list\n```",
+  image: "",
+  options: [
+    { optionnumber: "A", optiontext: "2", iscorrect: true },
+    { optionnumber: "B", optiontext: "- Class", iscorrect: false }
+  ]
+};
+
+describe('MarkdownRenderer', () => {
+  test('renders a single paragraph inline', () => {
+    const { container } = render(<MarkdownRenderer>{'A **bold** $x$ word'}</MarkdownRenderer>);
+
+    expect(container.firstChild.tagName).toBe('SPAN');
+    expect(container.querySelector('strong')).toHaveTextContent('bold');
+    expect(container.querySelector('.katex-rendered')).not.toBeNull();
+  });
+
+  test('renders lists and tables as blocks', () => {
+    render(<MarkdownRenderer>{'Steps:\n1. Fit\n2. Predict\n\n| a | b |\n|---|--:|\n| 1 | 2 |'}</MarkdownRenderer>);
+
+    expect(screen.getAllByRole('listitem').map(item => item.textContent)).toEqual(['Fit', 'Predict']);
+    expect(screen.getAllByRole('columnheader').map(cell => cell.textContent)).toEqual(['a', 'b']);
+    expect(screen.getByRole('cell', { name: '2' })).toHaveClass('text-right');
+  });
+
+  test('highlights code blocks', () => {
+    const { container } = render(<MarkdownRenderer>{'```py\nfor i in range(3):\n    pass\n```'}</MarkdownRenderer>);
+
+    const code = container.querySelector('pre code');
+    expect(code).toHaveAttribute('data-language', 'py');
+    expect(code).toHaveTextContent('for i in range(3): pass');
+    expect(screen.getByText('for')).toHaveClass('text-purple-700');
+    expect(screen.getByText('range')).toHaveClass('text-blue-700');
+  });
+
+  test('shows HTML and links from a bank as text', () => {
+    const { container } = render(
+      <MarkdownRenderer>{'<img src=x onerror="alert(1)"> [link](javascript:alert(1))'}</MarkdownRenderer>
+    );
+
+    expect(container.querySelector('img')).toBeNull();
+    expect(container.querySelector('a')).toBeNull();
+    expect(container).toHaveTextContent('<img src=x onerror="alert(1)"> [link](javascript:alert(1))');
+  });
+
+  test('renders private-use characters, such as icon glyphs, as text', () => {
+    const { container } = render(<MarkdownRenderer>{'Press \uE001 then `\uE002`'}</MarkdownRenderer>);
+
+    expect(container).toHaveTextContent('Press \uE001 then \uE002');
+    expect(container.querySelector('code')).toHaveTextContent('\uE002');
+  });
+
+  test('shows unsafe LaTeX commands as text, not links', () => {
+    const { container } = render(
+      <MarkdownRenderer>{'$\\href{javascript:alert(1)}{x}$ and $\\htmlClass{x}{y}$'}</MarkdownRenderer>
+    );
+
+    expect(container.querySelector('a')).toBeNull();
+    expect(container.querySelector('[href]')).toBeNull();
+    expect(container).toHaveTextContent('\\href');
+    expect(container).toHaveTextContent('\\htmlClass');
+  });
+});
+
+describe('QuestionCard with Markdown', () => {
+  test('keeps the first paragraph as the heading and renders the table after it', () => {
+    render(<QuestionCard question={tableQuestion} onAnswerSelect={() => {}} />);
+
+    const heading = screen.getByRole('heading', { level: 2 });
+    expect(heading).toHaveTextContent('for the data in the table?');
+    expect(heading.querySelector('table')).toBeNull();
+    expect(screen.getAllByRole('row')).toHaveLength(3);
+  });
+
+  test('renders Markdown in options', () => {
+    render(<QuestionCard question={tableQuestion} onAnswerSelect={() => {}} />);
+
+    expect(screen.getByText('np.mean(y)').tagName).toBe('CODE');
+    expect(screen.getByText('Not').closest('strong')).not.toBeNull();
+  });
+
+  test('renders code blocks in questions and options as written', () => {
+    const { container } = render(<QuestionCard question={codeQuestion} onAnswerSelect={() => {}} />);
+
+    expect(screen.getByRole('heading', { name: 'What does this print?' })).toBeInTheDocument();
+    expect(container.querySelector('pre code')).toHaveTextContent('print(len([1, 2])) # list');
+    expect(screen.getByText('- Class')).toBeInTheDocument();
+  });
+});
@@ -353,7 +353,7 @@ describe('Performance Tests', () => {
         />
       );
 
-      const button = screen.getByRole('button');
+      const button = screen.getByRole('radio');
       expect(button).toHaveClass('touch-manipulation');
     });
   });
@@ -0,0 +1,94 @@
+/**
+ * Question Image Tests
+ * Resolves figures through the image manifest, uses the question's alt text
+ * and long description, and shows a notice for figures that are missing or
+ * fail to load
+ */
+
+import { render, screen, fireEvent } from '@testing-library/react';
+import QuestionImage from '../QuestionImage';
+
+jest.mock('../../public/images/manifest.json', () => ({
+  images: {
+    'Assignment week 2.pdf-2': {
+      src: '/images/week-2/figure-2.png',
+      width: 1200,
+      height: 600,
+      alt: 'Decision tree splitting on outlook',
+      darkSrc: '/images/week-2/figure-2-dark.png'
+    }
+  }
+}));
+
+describe('QuestionImage', () => {
+  test('resolves an id to its file, alt text and dark variant', () => {
+    render(<QuestionImage image="Assignment week 2.pdf-2" maxWidth={600} />);
+
+    const [light, dark] = screen.getAllByRole('img', { name: 'Decision tree splitting on outlook' });
+    expect(light.getAttribute('src')).toContain(encodeURIComponent('/images/week-2/figure-2.png'));
+    expect(light).toHaveAttribute('width', '600');
+    expect(light).toHaveAttribute('height', '300');
+    expect(light).toHaveClass('dark:hidden');
+    expect(dark.getAttribute('src')).toContain(encodeURIComponent('/images/week-2/figure-2-dark.png'));
+    expect(dark).toHaveClass('hidden', 'dark:block');
+  });
+
+  test('prefers the question\'s alt text', () => {
+    render(<QuestionImage image="Assignment week 2.pdf-2" alt="Tree of the weather data" />);
+
+    expect(screen.getAllByRole('img', { name: 'Tree of the weather data' })).toHaveLength(2);
+  });
+
+  test('toggles the long description and describes the figure with it', () => {
+    render(<QuestionImage image="images/plot.png" description={'Points at $(1, 2)$ and **(3, 4)**'} />);
+
+    const toggle = screen.getByRole('button', { name: 'Show figure description' });
+    const description = document.getElementById(toggle.getAttribute('aria-controls'));
+    expect(toggle).toHaveAttribute('aria-expanded', 'false');
+    expect(description).not.toBeVisible();
+    expect(screen.getByRole('img')).toHaveAttribute('aria-describedby', description.id);
+
+    fireEvent.click(toggle);
+
+    expect(screen.getByRole('button', { name: 'Hide figure description' })).toHaveAttribute('aria-expanded', 'true');
+    expect(description).toBeVisible();
+    expect(description.querySelector('.katex-rendered')).not.toBeNull();
+    expect(description.querySelector('strong')).toHaveTextContent('(3, 4)');
+  });
+
+  test('shows the description in place of a missing figure', () => {
+    render(<QuestionImage image="Assignment week 5.pdf-0" description="A tree with three leaves" />);
+
+    expect(screen.getByText('The figure for this question is not available.')).toBeInTheDocument();
+    expect(screen.getByText('A tree with three leaves')).toBeVisible();
+    expect(screen.queryByRole('button')).not.toBeInTheDocument();
+  });
+
+  test('shows paths under public/ as before', () => {
+    render(<QuestionImage image="images/plot.png" />);
+
+    expect(screen.getByRole('img', { name: 'Question illustration' }).getAttribute('src'))
+      .toContain(encodeURIComponent('/images/plot.png'));
+  });
+
+  test('shows a notice for an id with no manifest entry', () => {
+    render(<QuestionImage image="Assignment week 5.pdf-0" />);
+
+    expect(screen.queryByRole('img')).not.toBeInTheDocument();
+    expect(screen.getByText('The figure for this question is not available.')).toBeInTheDocument();
+  });
+
+  test('shows a notice when the figure fails to load', () => {
+    render(<QuestionImage image="images/plot.png" />);
+
+    fireEvent.error(screen.getByRole('img'));
+
+    expect(screen.getByText('The figure for this question is not available.')).toBeInTheDocument();
+  });
+
+  test('renders nothing without an image', () => {
+    const { container } = render(<QuestionImage image="" />);
+
+    expect(container).toBeEmptyDOMElement();
+  });
+});
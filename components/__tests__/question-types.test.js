@@ -0,0 +1,106 @@
+/**
+ * Question Type Tests
+ * Answers numeric, short-text and ordering questions through QuestionCard
+ */
+
+import { render, screen, fireEvent } from '@testing-library/react';
+import QuestionCard from '../QuestionCard';
+
+const numericQuestion = {
+  assignmentnumber: "2",
+  questionnumber: "1",
+  question: "What is the entropy of a fair coin, in bits?",
+  image: "",
+  type: "numeric",
+  answer: { value: 1, tolerance: 0.05 }
+};
+
+const textQuestion = {
+  assignmentnumber: "2",
+  questionnumber: "2",
+  question: "Name the algorithm that follows the negative gradient",
+  image: "",
+  type: "short-text",
+  answer: { accepted: ["Gradient descent", "GD"] }
+};
+
+const orderingQuestion = {
+  assignmentnumber: "2",
+  questionnumber: "3",
+  question: "Order the steps of training a model",
+  image: "",
+  type: "ordering",
+  options: [
+    { optionnumber: "A", optiontext: "Collect data" },
+    { optionnumber: "B", optiontext: "Fit the model" },
+    { optionnumber: "C", optiontext: "Evaluate it" }
+  ]
+};
+
+// Option numbers of the ordering items, top to bottom
+const shownOrder = () => screen.getAllByRole('listitem').map(item =>
+  orderingQuestion.options.find(option => item.textContent.includes(option.optiontext)).optionnumber
+);
+
+describe('Question types', () => {
+  test('typing a number stores it as the answer and a cleared box as none', () => {
+    const onAnswerSelect = jest.fn();
+    render(<QuestionCard question={numericQuestion} onAnswerSelect={onAnswerSelect} />);
+
+    const input = screen.getByLabelText('Your answer');
+    expect(input).toHaveAttribute('inputmode', 'decimal');
+
+    fireEvent.change(input, { target: { value: '0.98' } });
+    expect(onAnswerSelect).toHaveBeenLastCalledWith(['0.98']);
+
+    fireEvent.change(input, { target: { value: '  ' } });
+    expect(onAnswerSelect).toHaveBeenLastCalledWith([]);
+  });
+
+  test('feedback marks a typed answer and gives the accepted ones', () => {
+    const { rerender } = render(
+      <QuestionCard question={textQuestion} selectedAnswers={['gd']} showFeedback onAnswerSelect={jest.fn()} />
+    );
+
+    expect(screen.getByText('Correct.')).toBeInTheDocument();
+    expect(screen.getByText('Gradient descent, GD')).toBeInTheDocument();
+
+    rerender(
+      <QuestionCard question={numericQuestion} selectedAnswers={['1.2']} showFeedback onAnswerSelect={jest.fn()} />
+    );
+    expect(screen.getByText('Not quite.')).toBeInTheDocument();
+    expect(screen.getByText('1 ± 0.05')).toBeInTheDocument();
+    expect(screen.getByLabelText('Your answer')).toHaveAttribute('aria-invalid', 'true');
+  });
+
+  test('ordering items start out of order and move with the arrow buttons', () => {
+    const onAnswerSelect = jest.fn();
+    render(<QuestionCard question={orderingQuestion} onAnswerSelect={onAnswerSelect} />);
+
+    const startingOrder = shownOrder();
+    expect([...startingOrder].sort()).toEqual(['A', 'B', 'C']);
+    expect(startingOrder).not.toEqual(['A', 'B', 'C']);
+    expect(screen.getByRole('button', { name: 'Move item 1 up' })).toBeDisabled();
+    expect(screen.getByRole('button', { name: 'Move item 3 down' })).toBeDisabled();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Move item 1 down' }));
+    expect(onAnswerSelect).toHaveBeenCalledWith([startingOrder[1], startingOrder[0], startingOrder[2]]);
+  });
+
+  test('feedback marks each ordering item and shows the correct order', () => {
+    render(
+      <QuestionCard
+        question={orderingQuestion}
+        selectedAnswers={['A', 'C', 'B']}
+        showFeedback
+        onAnswerSelect={jest.fn()}
+      />
+    );
+
+    const items = screen.getAllByRole('listitem');
+    expect(items[0]).toHaveClass('border-success');
+    expect(items[1]).toHaveClass('border-danger');
+    expect(items[2]).toHaveClass('border-danger');
+    expect(screen.getByText(/Correct order:/)).toHaveTextContent('Correct order: Collect data → Fit the model → Evaluate it');
+  });
+});
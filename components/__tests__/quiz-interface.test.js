@@ -0,0 +1,129 @@
+/**
+ * QuizInterface Tests
+ * Takes short quizzes through to their results: retrying mistakes keeps the course,
+ * and learn-mode answers reach the review schedule
+ */
+
+import { render, screen, fireEvent, act } from '@testing-library/react';
+import QuizInterface from '../QuizInterface';
+import { recordQuestionAnswer } from '../../utils/reviewScheduler';
+
+const mockPush = jest.fn();
+
+jest.mock('next/navigation', () => ({
+  useRouter: () => ({ push: mockPush, replace: jest.fn() }),
+}));
+
+jest.mock('../../utils/analytics', () => ({
+  trackAssignmentAttempt: jest.fn(),
+  trackAssignmentCompletion: jest.fn(),
+  trackQuestionAnswer: jest.fn(),
+  trackEngagementTime: jest.fn(),
+  trackPageView: jest.fn(),
+}));
+
+jest.mock('../../utils/firebase', () => ({
+  logTestStart: jest.fn(),
+  logTestComplete: jest.fn(),
+  ensureAuthenticated: jest.fn(() => Promise.resolve({})),
+  saveUserAttempt: jest.fn(() => Promise.resolve()),
+  getUserAttempts: jest.fn(() => Promise.resolve([])),
+}));
+
+jest.mock('../../utils/reviewScheduler', () => ({
+  ...jest.requireActual('../../utils/reviewScheduler'),
+  recordQuestionAnswer: jest.fn(),
+}));
+
+const mockQuestions = [
+  {
+    assignmentnumber: "2",
+    questionnumber: "4",
+    question: "What is machine learning?",
+    image: "",
+    options: [
+      { optionnumber: "A", optiontext: "A subset of AI", iscorrect: true },
+      { optionnumber: "B", optiontext: "A programming language", iscorrect: false }
+    ]
+  }
+];
+
+const textQuestion = {
+  assignmentnumber: "2",
+  questionnumber: "5",
+  question: "Name the algorithm that follows the negative gradient",
+  image: "",
+  type: "short-text",
+  answer: { accepted: ["Gradient descent", "GD"] }
+};
+
+const renderQuiz = async (props = {}) => {
+  await act(async () => {
+    render(<QuizInterface questions={mockQuestions} assignmentNumber="2" mode="test-easy" {...props} />);
+  });
+};
+
+// Answers the only question wrong and finishes the quiz
+const finishWithWrongAnswer = async () => {
+  fireEvent.click(screen.getByRole('radio', { name: /A programming language/ }));
+  fireEvent.click(screen.getByRole('button', { name: /Show Answer/ }));
+  await act(async () => {
+    fireEvent.click(screen.getByRole('button', { name: /Finish Quiz/ }));
+  });
+};
+
+describe('QuizInterface', () => {
+  beforeEach(() => {
+    mockPush.mockClear();
+    recordQuestionAnswer.mockClear();
+  });
+
+  describe('Retrying mistakes', () => {
+    test('retries in the default course without a course prefix', async () => {
+      await renderQuiz();
+      await finishWithWrongAnswer();
+
+      fireEvent.click(await screen.findByRole('button', { name: 'Retry Mistakes (1)' }));
+      expect(mockPush).toHaveBeenCalledWith('/quiz/set/test-easy?q=2-4');
+    });
+
+    test("retries a course's quiz from that course's bank", async () => {
+      await renderQuiz({ course: 'dl' });
+      await finishWithWrongAnswer();
+
+      fireEvent.click(await screen.findByRole('button', { name: 'Retry Mistakes (1)' }));
+      expect(mockPush).toHaveBeenCalledWith('/c/dl/quiz/set/test-easy?q=2-4');
+    });
+  });
+
+  describe('Review history in learn mode', () => {
+    test('records the first pick, which reveals the answer', async () => {
+      await renderQuiz({ mode: 'learn' });
+
+      fireEvent.click(screen.getByRole('radio', { name: /A programming language/ }));
+      fireEvent.click(screen.getByRole('radio', { name: /A subset of AI/ }));
+
+      expect(recordQuestionAnswer).toHaveBeenCalledTimes(1);
+      expect(recordQuestionAnswer).toHaveBeenCalledWith(mockQuestions[0], ['B']);
+    });
+
+    test('records typed answers once the user moves on', async () => {
+      await renderQuiz({ mode: 'learn', questions: [textQuestion, ...mockQuestions] });
+
+      fireEvent.change(screen.getByLabelText('Your answer'), { target: { value: 'Gradient' } });
+      fireEvent.change(screen.getByLabelText('Your answer'), { target: { value: 'Gradient descent' } });
+      expect(recordQuestionAnswer).not.toHaveBeenCalled();
+
+      fireEvent.click(screen.getByRole('button', { name: /Next/ }));
+      expect(recordQuestionAnswer).toHaveBeenCalledTimes(1);
+      expect(recordQuestionAnswer).toHaveBeenCalledWith(textQuestion, ['Gradient descent']);
+    });
+
+    test("leaves the review history alone for a course's quiz", async () => {
+      await renderQuiz({ mode: 'learn', course: 'dl' });
+
+      fireEvent.click(screen.getByRole('radio', { name: /A programming language/ }));
+      expect(recordQuestionAnswer).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * Scoring Consistency Tests
+ * Plays a quiz through QuizInterface and checks that analytics, Firebase logging,
+ * attempt history, the mega test callback and ResultsScreen all report the same score
+ */
+
+import { render, screen, fireEvent, act } from '@testing-library/react';
+import QuizInterface from '../QuizInterface';
+import { scoreQuiz } from '../../utils/scoringUtils';
+import { trackQuestionAnswer, trackAssignmentCompletion } from '../../utils/analytics';
+import { logTestComplete } from '../../utils/firebase';
+import { saveAttempt } from '../../utils/attemptHistory';
+
+jest.mock('next/navigation', () => ({
+  useRouter: () => ({ push: jest.fn(), replace: jest.fn() }),
+}));
+
+jest.mock('../../utils/analytics', () => ({
+  trackAssignmentAttempt: jest.fn(),
+  trackAssignmentCompletion: jest.fn(),
+  trackQuestionAnswer: jest.fn(),
+  trackEngagementTime: jest.fn(),
+  trackPageView: jest.fn(),
+}));
+
+jest.mock('../../utils/firebase', () => ({
+  logTestStart: jest.fn(),
+  logTestComplete: jest.fn(),
+  ensureAuthenticated: jest.fn(() => Promise.resolve({})),
+}));
+
+jest.mock('../../utils/attemptHistory', () => ({
+  ...jest.requireActual('../../utils/attemptHistory'),
+  saveAttempt: jest.fn(() => Promise.resolve(true)),
+}));
+
+const mockQuestions = [
+  {
+    assignmentnumber: "1",
+    questionnumber: "1",
+    question: "What is machine learning?",
+    image: "",
+    options: [
+      { optionnumber: "A", optiontext: "A subset of AI", iscorrect: true },
+      { optionnumber: "B", optiontext: "A programming language", iscorrect: false }
+    ]
+  },
+  {
+    assignmentnumber: "2",
+    questionnumber: "1",
+    question: "Which are supervised learning algorithms?",
+    image: "",
+    options: [
+      { optionnumber: "A", optiontext: "Linear Regression", iscorrect: true },
+      { optionnumber: "B", optiontext: "Decision Trees", iscorrect: true },
+      { optionnumber: "C", optiontext: "K-means", iscorrect: false }
+    ]
+  }
+];
+
+describe('Scoring consistency', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  const answerAndContinue = (optionTexts, nextLabel) => {
+    optionTexts.forEach(text => fireEvent.click(screen.getByText(text)));
+    fireEvent.click(screen.getByRole('button', { name: /Show Answer/ }));
+    fireEvent.click(screen.getByRole('button', { name: nextLabel }));
+  };
+
+  test('every consumer reports the score from the scoring engine', async () => {
+    const onComplete = jest.fn();
+
+    await act(async () => {
+      render(
+        <QuizInterface
+          questions={mockQuestions}
+          assignmentNumber="mega"
+          mode="practice"
+          onComplete={onComplete}
+        />
+      );
+    });
+
+    // Right answer to the first question, half of the second one
+    answerAndContinue(['A subset of AI'], /Next/);
+    answerAndContinue(['Linear Regression'], /Finish Quiz/);
+
+    // Per-answer analytics use the same correctness check as the final score
+    expect(trackQuestionAnswer.mock.calls.map(call => call[1])).toEqual([true, false]);
+
+    const [score, total, answers, breakdown] = onComplete.mock.calls[0];
+    const expected = scoreQuiz({ questions: mockQuestions, userAnswers: answers });
+
+    expect(score).toBe(1);
+    expect(total).toBe(2);
+    expect(breakdown.correct).toBe(expected.correct);
+    expect(breakdown.percentage).toBe(expected.percentage);
+
+    // Analytics and Firebase receive the same score
+    expect(trackAssignmentCompletion.mock.calls[0].slice(-2)).toEqual([score, total]);
+    const firebaseCall = logTestComplete.mock.calls[0];
+    expect(firebaseCall[2]).toBe(score);
+    expect(firebaseCall[5].percentage).toBe(breakdown.percentage);
+
+    // So does the stored attempt
+    const attempt = saveAttempt.mock.calls[0][0];
+    expect(attempt.correct).toBe(score);
+    expect(attempt.percentage).toBe(breakdown.percentage);
+
+    // And the results screen
+    expect(screen.getByText(`${score} out of ${total} correct`)).toBeInTheDocument();
+    expect(screen.getByText(`${breakdown.percentage}%`)).toBeInTheDocument();
+  });
+});
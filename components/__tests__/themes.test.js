@@ -0,0 +1,100 @@
+/**
+ * Theme Tests
+ * Picks a colour theme from the selector and checks quizzes carry their own theme
+ */
+
+import { render, screen, fireEvent } from '@testing-library/react';
+import ThemeSelector from '../ThemeSelector';
+import QuizInterface from '../QuizInterface';
+import { USER_PREFERENCES_KEY } from '../../utils/storageUtils';
+import { QUIZ_THEMES } from '../../utils/themes';
+
+jest.mock('next/navigation', () => ({
+  useRouter: () => ({ push: jest.fn(), replace: jest.fn() }),
+}));
+
+jest.mock('../../utils/analytics', () => ({
+  trackAssignmentAttempt: jest.fn(),
+  trackAssignmentCompletion: jest.fn(),
+  trackQuestionAnswer: jest.fn(),
+  trackEngagementTime: jest.fn(),
+  trackPageView: jest.fn(),
+}));
+
+jest.mock('../../utils/firebase', () => ({
+  logTestStart: jest.fn(),
+  logTestComplete: jest.fn(),
+  ensureAuthenticated: jest.fn(() => Promise.resolve({})),
+}));
+
+const mockQuestions = [
+  {
+    assignmentnumber: "1",
+    questionnumber: "1",
+    question: "What is machine learning?",
+    image: "",
+    options: [
+      { optionnumber: "A", optiontext: "A subset of AI", iscorrect: true },
+      { optionnumber: "B", optiontext: "A programming language", iscorrect: false }
+    ]
+  }
+];
+
+describe('Themes', () => {
+  afterEach(() => {
+    localStorage.getItem.mockReset();
+    delete document.documentElement.dataset.theme;
+  });
+
+  describe('ThemeSelector', () => {
+    it('should follow the system until a theme is picked', () => {
+      render(<ThemeSelector />);
+      expect(screen.getByLabelText('Theme')).toHaveValue('system');
+    });
+
+    it('should store and apply the picked theme', () => {
+      render(<ThemeSelector />);
+      fireEvent.change(screen.getByLabelText('Theme'), { target: { value: 'dark' } });
+
+      expect(localStorage.setItem).toHaveBeenCalledWith(USER_PREFERENCES_KEY, JSON.stringify({ theme: 'dark' }));
+      expect(document.documentElement.dataset.theme).toBe('dark');
+    });
+
+    it('should show the stored theme and keep other preferences', () => {
+      localStorage.getItem.mockReturnValue(JSON.stringify({ theme: 'high-contrast', other: true }));
+      render(<ThemeSelector />);
+      const select = screen.getByLabelText('Theme');
+      expect(select).toHaveValue('high-contrast');
+
+      fireEvent.change(select, { target: { value: 'light' } });
+      expect(localStorage.setItem).toHaveBeenCalledWith(
+        USER_PREFERENCES_KEY,
+        JSON.stringify({ theme: 'light', other: true })
+      );
+    });
+  });
+
+  describe('Quiz themes', () => {
+    const renderQuiz = (customTheme) => render(
+      <QuizInterface
+        questions={mockQuestions}
+        assignmentNumber="mega"
+        mode="practice"
+        title="Test Quiz"
+        customTheme={customTheme}
+      />
+    );
+
+    it('should mark the quiz with its theme', async () => {
+      const { container } = renderQuiz(QUIZ_THEMES.MEGA);
+      await screen.findByText('What is machine learning?');
+      expect(container.querySelector('[data-quiz-theme="mega"]')).toBeInTheDocument();
+    });
+
+    it('should ignore unknown quiz themes', async () => {
+      const { container } = renderQuiz('neon');
+      await screen.findByText('What is machine learning?');
+      expect(container.querySelector('[data-quiz-theme]')).not.toBeInTheDocument();
+    });
+  });
+});
@@ -176,7 +176,7 @@ describe('User Flow Integration Tests', () => {
       });
 
       // In test mode, answers should not be pre-highlighted
-      const options = screen.getAllByRole('button', { name: /^[A-D]\./i });
+      const options = screen.getAllByRole('radio', { name: /^[A-D]\./i });
       options.forEach(option => {
         expect(option).not.toHaveClass('bg-green-100');
       });
@@ -307,7 +307,7 @@ describe('User Flow Integration Tests', () => {
       // Complete the quiz by answering all questions
       for (let i = 0; i < shuffledQuestions.length; i++) {
         // Select first option (for testing purposes)
-        const options = screen.getAllByRole('button', { name: /^[A-D]\./i });
+        const options = screen.getAllByRole('radio', { name: /^[A-D]\./i });
         fireEvent.click(options[0]);
 
         // Show answer
@@ -9,6 +9,25 @@ const compat = new FlatCompat({
   baseDirectory: __dirname,
 });
 
-const eslintConfig = [...compat.extends("next/core-web-vitals")];
+const eslintConfig = [
+  ...compat.extends("next/core-web-vitals"),
+  {
+    // The scripts and the utils they import run under plain Node, which only
+    // resolves relative imports written with their file extension
+    files: [
+      "scripts/**/*.mjs",
+      "utils/bankImport.js",
+      "utils/bankLinter.js",
+      "utils/imageAssets.js",
+      "utils/latexTokenizer.js",
+      "utils/questionTypes.js",
+      "utils/questionValidation.js",
+      "utils/scoringUtils.js",
+    ],
+    rules: {
+      "import/extensions": ["error", "ignorePackages"],
+    },
+  },
+];
 
 export default eslintConfig;
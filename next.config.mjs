@@ -1,4 +1,9 @@
 /** @type {import('next').NextConfig} */
-const nextConfig = {};
+const nextConfig = {
+  eslint: {
+    // utils and scripts are linted too, for the import rules in eslint.config.mjs
+    dirs: ['app', 'components', 'utils', 'scripts']
+  }
+};
 
 export default nextConfig;
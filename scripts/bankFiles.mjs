@@ -0,0 +1,32 @@
+/**
+ * Bank files of the courses this app hosts, shared by the bank scripts
+ */
+
+import { readFileSync, existsSync } from 'node:fs';
+import path from 'node:path';
+
+export const PUBLIC_DIR = path.resolve('public');
+
+/**
+ * Maps a URL under public/, e.g. a bank URL from the course manifest, to its file
+ * @param {string} url - URL, e.g. /data.json
+ * @returns {string} File path
+ */
+export function publicUrlToFile(url) {
+  return path.join(PUBLIC_DIR, url.replace(/^\//, ''));
+}
+
+/**
+ * Lists the bank files of every course in public/courses.json, or
+ * public/data.json when there is no manifest
+ * @returns {Array<string>} File paths
+ */
+export function getDefaultBankFiles() {
+  const manifestFile = path.join(PUBLIC_DIR, 'courses.json');
+  if (!existsSync(manifestFile)) {
+    return [publicUrlToFile('/data.json')];
+  }
+
+  const manifest = JSON.parse(readFileSync(manifestFile, 'utf8'));
+  return [...new Set(manifest.courses.map(course => publicUrlToFile(course.bank)))];
+}
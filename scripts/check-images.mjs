@@ -0,0 +1,40 @@
+/**
+ * Image asset check, run before every build
+ * Usage: npm run check-images [-- [--strict] path/to/bank.json ...]
+ * Without bank files it checks the banks of every course in public/courses.json
+ * Checks public/images/manifest.json and that every image a question uses has
+ * a file under public/, printing one line per problem. Figures with no manifest
+ * entry yet are warnings, or errors with --strict; exits with 1 if there are errors
+ */
+
+import { readFileSync, existsSync } from 'node:fs';
+import { IMAGE_MANIFEST_FILE, checkImageAssets } from '../utils/imageAssets.js';
+import { getDefaultBankFiles, publicUrlToFile } from './bankFiles.mjs';
+
+const args = process.argv.slice(2);
+const strict = args.includes('--strict');
+const bankArgs = args.filter(arg => arg !== '--strict');
+const files = bankArgs.length > 0 ? bankArgs : getDefaultBankFiles();
+
+const manifestFile = publicUrlToFile(IMAGE_MANIFEST_FILE);
+const manifest = existsSync(manifestFile) ? JSON.parse(readFileSync(manifestFile, 'utf8')) : { images: {} };
+
+// Banks are an array of questions or an object with a questions array
+const questions = files.flatMap(file => {
+  const data = JSON.parse(readFileSync(file, 'utf8'));
+  return Array.isArray(data) ? data : data.questions || [];
+});
+
+const { errors, warnings } = checkImageAssets(questions, manifest, url => existsSync(publicUrlToFile(url)));
+const problems = strict ? [...errors, ...warnings] : errors;
+problems.forEach(problem => console.error(problem));
+if (!strict) {
+  warnings.forEach(warning => console.warn(`Warning: ${warning}`));
+}
+
+const imageCount = new Set(questions.map(question => question && question.image).filter(Boolean)).size;
+const warningCount = strict ? 0 : warnings.length;
+console.log(`${imageCount} image${imageCount !== 1 ? 's' : ''} used by ${questions.length} questions, ${problems.length} problem${problems.length !== 1 ? 's' : ''}` +
+  (warningCount > 0 ? `, ${warningCount} warning${warningCount !== 1 ? 's' : ''}` : ''));
+
+process.exitCode = problems.length > 0 ? 1 : 0;
@@ -0,0 +1,73 @@
+/**
+ * Question bank importer CLI
+ * Usage: npm run import-bank -- [--assignment N] [--out bank.json] file.csv|.md|.gift|.xml ...
+ * Converts CSV, Markdown quiz, GIFT and Moodle XML files into the data.json
+ * question format; the format is picked from each file's extension
+ * --assignment sets the assignment of questions whose file names none
+ * Writes { "questions": [...] } to --out, or to stdout without it
+ * Prints one line per skipped question as file:line and exits with 1 if there are any
+ */
+
+import { readFileSync, writeFileSync, existsSync } from 'node:fs';
+import path from 'node:path';
+import { importQuestions, detectImportFormat } from '../utils/bankImport.js';
+
+const args = process.argv.slice(2);
+const files = [];
+let defaultAssignment = null;
+let outFile = null;
+
+for (let index = 0; index < args.length; index++) {
+  if (args[index] === '--assignment') {
+    defaultAssignment = args[++index];
+  } else if (args[index] === '--out') {
+    outFile = args[++index];
+  } else {
+    files.push(args[index]);
+  }
+}
+
+if (files.length === 0) {
+  console.error('Usage: npm run import-bank -- [--assignment N] [--out bank.json] file.csv|.md|.gift|.xml ...');
+  process.exit(1);
+}
+
+const questions = [];
+let problemCount = 0;
+
+files.forEach(file => {
+  const relativeName = path.relative(process.cwd(), file);
+  const displayName = relativeName && !relativeName.startsWith('..') ? relativeName : file;
+  const format = detectImportFormat(file);
+
+  if (!existsSync(file)) {
+    console.error(`${displayName}: file not found`);
+    problemCount++;
+    return;
+  }
+  if (!format) {
+    console.error(`${displayName}: unknown format, expected .csv, .md, .gift, .txt or .xml`);
+    problemCount++;
+    return;
+  }
+
+  const result = importQuestions(readFileSync(file, 'utf8'), format, { defaultAssignment });
+
+  result.errors.forEach(({ line, message }) => {
+    console.error(`${displayName}:${line}  ${message}`);
+  });
+  problemCount += result.errors.length;
+  questions.push(...result.questions);
+
+  console.error(`${displayName}: ${result.questions.length} questions imported, ${result.errors.length} problem${result.errors.length !== 1 ? 's' : ''}`);
+});
+
+const bank = `${JSON.stringify({ questions }, null, 4)}\n`;
+if (outFile) {
+  writeFileSync(outFile, bank);
+  console.error(`Wrote ${questions.length} questions to ${outFile}`);
+} else {
+  process.stdout.write(bank);
+}
+
+process.exitCode = problemCount > 0 ? 1 : 0;
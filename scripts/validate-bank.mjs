@@ -0,0 +1,53 @@
+/**
+ * Question bank linter CLI
+ * Usage: npm run validate-bank [-- [--strict] path/to/bank.json ...]
+ * Without bank files it checks the bank of every course in public/courses.json
+ * (or public/data.json when there is no manifest)
+ * Prints one line per problem as file:line and exits with 1 if there are any.
+ * Figures with no image manifest entry yet are warnings, as in check-images,
+ * or problems with --strict
+ */
+
+import { readFileSync, existsSync } from 'node:fs';
+import path from 'node:path';
+import { lintQuestionBank } from '../utils/bankLinter.js';
+import { IMAGE_MANIFEST_FILE, getImageStatus } from '../utils/imageAssets.js';
+import { getDefaultBankFiles, publicUrlToFile } from './bankFiles.mjs';
+
+const manifestFile = publicUrlToFile(IMAGE_MANIFEST_FILE);
+const imageManifest = existsSync(manifestFile) ? JSON.parse(readFileSync(manifestFile, 'utf8')) : { images: {} };
+
+const args = process.argv.slice(2);
+const strict = args.includes('--strict');
+const bankArgs = args.filter(arg => arg !== '--strict');
+const files = bankArgs.length > 0 ? bankArgs : getDefaultBankFiles();
+let problemCount = 0;
+
+files.forEach(file => {
+  const relativeName = path.relative(process.cwd(), file);
+  const displayName = relativeName && !relativeName.startsWith('..') ? relativeName : file;
+
+  if (!existsSync(file)) {
+    console.error(`${displayName}: file not found`);
+    problemCount++;
+    return;
+  }
+
+  // Images are files under public/, named by the image manifest or by their path
+  const imageStatus = image => getImageStatus(image, imageManifest, url => existsSync(publicUrlToFile(url)));
+  const { questionCount, diagnostics, warnings } = lintQuestionBank(readFileSync(file, 'utf8'), { imageStatus });
+
+  const format = ({ line, path: valuePath, message }) => `${displayName}:${line}  ${valuePath ? `${valuePath}: ` : ''}${message}`;
+  const problems = strict ? [...diagnostics, ...warnings].sort((a, b) => a.line - b.line) : diagnostics;
+  problems.forEach(problem => console.error(format(problem)));
+  if (!strict) {
+    warnings.forEach(warning => console.warn(`Warning: ${format(warning)}`));
+  }
+  problemCount += problems.length;
+
+  const warningCount = strict ? 0 : warnings.length;
+  console.log(`${displayName}: ${questionCount} questions, ${problems.length} problem${problems.length !== 1 ? 's' : ''}` +
+    (warningCount > 0 ? `, ${warningCount} warning${warningCount !== 1 ? 's' : ''}` : ''));
+});
+
+process.exitCode = problemCount > 0 ? 1 : 0;
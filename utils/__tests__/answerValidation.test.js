@@ -1,6 +1,6 @@
 /**
  * Unit tests for answer validation logic
- * Tests validation including multiple-choice scenarios
+ * Tests validation including multiple-choice, typed-answer and ordering scenarios
  */
 
 import {
@@ -225,6 +225,44 @@ describe('answerValidation', () => {
     });
   });
 
+  describe('numeric, short-text and ordering questions', () => {
+    const numericQuestion = {
+      assignmentnumber: "1",
+      questionnumber: "3",
+      question: "Entropy of a fair coin, in bits?",
+      type: "numeric",
+      answer: { value: 1 }
+    };
+    const textQuestion = { ...numericQuestion, type: "short-text", answer: { accepted: ["one"] } };
+    const orderingQuestion = {
+      ...numericQuestion,
+      type: "ordering",
+      answer: undefined,
+      options: [
+        { optionnumber: "A", optiontext: "First" },
+        { optionnumber: "B", optiontext: "Second" }
+      ]
+    };
+
+    it('should accept a single typed answer, which must be a number for numeric questions', () => {
+      expect(validateSelectedOptions(["0.5"], numericQuestion).isValid).toBe(true);
+      expect(validateSelectedOptions(["half"], numericQuestion).errors).toEqual(['Answer must be a number']);
+      expect(validateSelectedOptions(["half"], textQuestion).isValid).toBe(true);
+      expect(validateSelectedOptions(["a", "b"], textQuestion).errors).toEqual(['Answer must be a single piece of text']);
+    });
+
+    it('should require every item in an order', () => {
+      expect(validateSelectedOptions(["B", "A"], orderingQuestion).isValid).toBe(true);
+      expect(validateSelectedOptions(["B"], orderingQuestion).errors).toEqual(['Every option must be placed in the order']);
+    });
+
+    it('should sanitize typed answers to the trimmed text', () => {
+      expect(sanitizeOptionSelection(" 0.5 ", numericQuestion)).toEqual(["0.5"]);
+      expect(sanitizeOptionSelection(["  "], textQuestion)).toEqual([]);
+      expect(sanitizeOptionSelection(["B", "A", "B"], orderingQuestion)).toEqual(["B", "A"]);
+    });
+  });
+
   describe('isAnswerComplete', () => {
     it('should return true for learn mode regardless of selection', () => {
       expect(isAnswerComplete([], singleChoiceQuestion, 'learn')).toBe(true);
@@ -0,0 +1,129 @@
+/**
+ * Unit tests for assignment metadata utilities
+ * Tests the derived assignment list, release dates, time limits and scoring rules
+ */
+
+import {
+  buildAssignmentList,
+  isAssignmentReleased,
+  getReleasedAssignmentNumbers,
+  getReleasedQuestions,
+  findAssignment,
+  getAssignmentTimeLimit,
+  getAssignmentScoringRules
+} from '../assignmentMetadata.js';
+import { EXAM_TIME_LIMITS, createInitialQuizState } from '../quizLogic.js';
+import { SCORING_POLICIES, DEFAULT_NEGATIVE_MARK, scoreQuiz } from '../scoringUtils.js';
+
+describe('assignmentMetadata', () => {
+  const makeQuestion = (assignment, number) => ({
+    assignmentnumber: String(assignment),
+    questionnumber: String(number),
+    question: `Question ${assignment}.${number}`
+  });
+
+  const questions = [makeQuestion(1, 1), makeQuestion(2, 1), makeQuestion(2, 2), makeQuestion(3, 1)];
+
+  const metadata = [
+    { number: 1, title: 'Basics', description: 'Where it starts', tags: ['intro'] },
+    { number: 3, title: 'Trees', releaseDate: '2025-03-10', timeLimitMinutes: 45 }
+  ];
+
+  describe('buildAssignmentList', () => {
+    it('should list every assignment with metadata or questions', () => {
+      const assignments = buildAssignmentList(metadata, questions);
+
+      expect(assignments.map(a => a.number)).toEqual([1, 2, 3]);
+      expect(assignments[1]).toEqual({
+        number: 2,
+        title: 'Assignment 2',
+        description: '',
+        tags: [],
+        releaseDate: null,
+        timeLimitMinutes: null,
+        scoring: null
+      });
+    });
+
+    it('should keep assignments that have metadata but no questions yet', () => {
+      expect(buildAssignmentList([{ number: 5 }], []).map(a => a.number)).toEqual([5]);
+    });
+  });
+
+  describe('release dates', () => {
+    const assignments = buildAssignmentList(metadata, questions);
+
+    it('should open assignments on their release day', () => {
+      expect(isAssignmentReleased(assignments[2], new Date(2025, 2, 9, 23, 59))).toBe(false);
+      expect(isAssignmentReleased(assignments[2], new Date(2025, 2, 10))).toBe(true);
+      expect(isAssignmentReleased(assignments[0], new Date(2000, 0, 1))).toBe(true);
+    });
+
+    it('should leave unreleased assignments out of routing and question pools', () => {
+      const before = new Date(2025, 0, 1);
+      const bank = { questions, assignments };
+
+      expect(getReleasedAssignmentNumbers(assignments, before)).toEqual([1, 2]);
+      expect(getReleasedQuestions(bank, before).map(q => q.assignmentnumber)).toEqual(['1', '2', '2']);
+      expect(getReleasedQuestions(bank, new Date(2025, 5, 1))).toHaveLength(4);
+    });
+  });
+
+  describe('time limits', () => {
+    const assignments = buildAssignmentList(metadata, questions);
+
+    it('should use the metadata time limit in seconds', () => {
+      expect(getAssignmentTimeLimit(findAssignment(assignments, '3'))).toBe(45 * 60);
+    });
+
+    it('should fall back to the default exam time limit', () => {
+      expect(getAssignmentTimeLimit(findAssignment(assignments, 1))).toBe(EXAM_TIME_LIMITS.default);
+      expect(getAssignmentTimeLimit(findAssignment(assignments, 9))).toBe(EXAM_TIME_LIMITS.default);
+    });
+  });
+
+  describe('scoring rules', () => {
+    const scoredMetadata = [
+      { number: 1, scoring: { policy: 'partial-credit', modes: { exam: { negativeMark: 0.5 } } } },
+      { number: 2 }
+    ];
+    const assignments = buildAssignmentList(scoredMetadata, questions);
+
+    it('should pick the policy from the assignment metadata', () => {
+      expect(getAssignmentScoringRules(findAssignment(assignments, '1'), 'test-easy').policy)
+        .toBe(SCORING_POLICIES.PARTIAL_CREDIT);
+      expect(getAssignmentScoringRules(findAssignment(assignments, '1'), 'exam')).toEqual(expect.objectContaining({
+        policy: SCORING_POLICIES.PARTIAL_CREDIT,
+        negativeMark: 0.5
+      }));
+    });
+
+    it('should fall back to the mode rules', () => {
+      expect(getAssignmentScoringRules(findAssignment(assignments, '2'), 'test-easy').policy)
+        .toBe(SCORING_POLICIES.ALL_OR_NOTHING);
+      expect(getAssignmentScoringRules(findAssignment(assignments, 9), 'exam')).toEqual(expect.objectContaining({
+        policy: SCORING_POLICIES.NEGATIVE_MARKING,
+        negativeMark: DEFAULT_NEGATIVE_MARK
+      }));
+    });
+
+    it('should score quizzes with partial credit when the metadata picks it', () => {
+      const question = {
+        ...makeQuestion(1, 2),
+        options: [
+          { optionnumber: 'A', optiontext: 'a', iscorrect: true },
+          { optionnumber: 'B', optiontext: 'b', iscorrect: true },
+          { optionnumber: 'C', optiontext: 'c', iscorrect: false }
+        ]
+      };
+      const rules = getAssignmentScoringRules(findAssignment(assignments, 1), 'test-easy');
+      const state = createInitialQuizState([question], '1', 'test-easy', null, null, null, rules);
+      state.userAnswers = [{ selectedOptions: ['A'] }];
+
+      expect(scoreQuiz(state)).toEqual(expect.objectContaining({
+        policy: SCORING_POLICIES.PARTIAL_CREDIT,
+        points: 0.5
+      }));
+    });
+  });
+});
@@ -0,0 +1,229 @@
+/**
+ * Unit tests for attempt history utilities
+ * Tests attempt records, persistence and progress statistics
+ */
+
+jest.mock('../firebase', () => ({
+  saveUserAttempt: jest.fn(() => Promise.resolve('remote-id')),
+  getUserAttempts: jest.fn(() => Promise.resolve([]))
+}));
+
+import {
+  createAttemptRecord,
+  saveAttempt,
+  loadAttempts,
+  mergeAttempts,
+  getAttemptsForAssignment,
+  getAssignmentStats,
+  getCourseAttempts,
+  getWeakestQuestions,
+  getMissedQuestionKeys,
+  MAX_STORED_ATTEMPTS
+} from '../attemptHistory.js';
+import { saveUserAttempt, getUserAttempts } from '../firebase';
+
+describe('attemptHistory', () => {
+  const questions = [
+    {
+      assignmentnumber: "1",
+      questionnumber: "1",
+      question: "What is machine learning?",
+      options: [
+        { optionnumber: "A", optiontext: "Option A", iscorrect: true },
+        { optionnumber: "B", optiontext: "Option B", iscorrect: false }
+      ]
+    },
+    {
+      assignmentnumber: "1",
+      questionnumber: "2",
+      question: "Which are supervised?",
+      options: [
+        { optionnumber: "A", optiontext: "Regression", iscorrect: true },
+        { optionnumber: "B", optiontext: "K-means", iscorrect: false },
+        { optionnumber: "C", optiontext: "Trees", iscorrect: true }
+      ]
+    }
+  ];
+
+  const makeAttempt = (id, assignment, percentage, completedAt, questionScores = []) => ({
+    id,
+    assignment,
+    mode: 'test-easy',
+    correct: 0,
+    total: 0,
+    percentage,
+    timeElapsed: 60,
+    completedAt,
+    questionScores
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('createAttemptRecord', () => {
+    it('should capture per-question scores keyed by question', () => {
+      const quizState = {
+        assignment: 1,
+        mode: 'test-easy',
+        questions,
+        userAnswers: [{ selectedOptions: ['A'] }, { selectedOptions: ['A'] }]
+      };
+
+      const attempt = createAttemptRecord(quizState, 95, new Date('2025-01-01T00:00:00Z'));
+
+      expect(attempt.assignment).toBe('1');
+      expect(attempt.mode).toBe('test-easy');
+      expect(attempt.correct).toBe(1);
+      expect(attempt.total).toBe(2);
+      expect(attempt.percentage).toBe(50);
+      expect(attempt.timeElapsed).toBe(95);
+      expect(attempt.completedAt).toBe('2025-01-01T00:00:00.000Z');
+      expect(attempt.questionScores).toEqual([
+        expect.objectContaining({ questionKey: '1-1', isCorrect: true, selectedOptions: ['A'] }),
+        expect.objectContaining({ questionKey: '1-2', isCorrect: false, correctOptions: ['A', 'C'] })
+      ]);
+    });
+  });
+
+  describe('saveAttempt', () => {
+    it('should append to local history and save remotely', async () => {
+      const existing = makeAttempt('a1', '1', 50, '2025-01-01T00:00:00Z');
+      const attempt = makeAttempt('a2', '1', 80, '2025-01-02T00:00:00Z');
+      localStorage.getItem.mockReturnValueOnce(JSON.stringify([existing]));
+
+      const result = await saveAttempt(attempt);
+
+      expect(result).toBe(true);
+      expect(localStorage.setItem).toHaveBeenCalledWith(
+        'ml_quiz_attempt_history',
+        JSON.stringify([existing, attempt])
+      );
+      expect(saveUserAttempt).toHaveBeenCalledWith(attempt);
+    });
+
+    it('should keep only the most recent attempts', async () => {
+      const existing = Array.from({ length: MAX_STORED_ATTEMPTS }, (_, i) =>
+        makeAttempt(`a${i}`, '1', 50, '2025-01-01T00:00:00Z')
+      );
+      localStorage.getItem.mockReturnValueOnce(JSON.stringify(existing));
+
+      await saveAttempt(makeAttempt('latest', '1', 90, '2025-01-02T00:00:00Z'));
+
+      const stored = JSON.parse(localStorage.setItem.mock.calls[0][1]);
+      expect(stored).toHaveLength(MAX_STORED_ATTEMPTS);
+      expect(stored[0].id).toBe('a1');
+      expect(stored[stored.length - 1].id).toBe('latest');
+    });
+  });
+
+  describe('loadAttempts', () => {
+    it('should merge local and remote attempts without duplicates', async () => {
+      const shared = makeAttempt('shared', '1', 60, '2025-01-02T00:00:00Z');
+      const localOnly = makeAttempt('local', '2', 70, '2025-01-03T00:00:00Z');
+      const remoteOnly = makeAttempt('remote', '1', 40, '2025-01-01T00:00:00Z');
+      localStorage.getItem.mockReturnValueOnce(JSON.stringify([shared, localOnly]));
+      getUserAttempts.mockResolvedValueOnce([remoteOnly, shared]);
+
+      const attempts = await loadAttempts();
+
+      expect(attempts.map(a => a.id)).toEqual(['remote', 'shared', 'local']);
+    });
+  });
+
+  describe('mergeAttempts', () => {
+    it('should ignore invalid lists and entries', () => {
+      expect(mergeAttempts(null, [null, { completedAt: 'x' }])).toEqual([]);
+    });
+  });
+
+  describe('getAttemptsForAssignment', () => {
+    it('should filter by assignment number', () => {
+      const attempts = [
+        makeAttempt('a', '1', 50, '2025-01-01T00:00:00Z'),
+        makeAttempt('b', '2', 50, '2025-01-01T00:00:00Z')
+      ];
+
+      expect(getAttemptsForAssignment(attempts, 2).map(a => a.id)).toEqual(['b']);
+    });
+  });
+
+  describe('getAssignmentStats', () => {
+    it('should compute best, last and trend per assignment', () => {
+      const attempts = [
+        makeAttempt('a', '1', 50, '2025-01-01T00:00:00Z'),
+        makeAttempt('b', '1', 90, '2025-01-02T00:00:00Z'),
+        makeAttempt('c', '1', 70, '2025-01-03T00:00:00Z'),
+        makeAttempt('d', '3', 20, '2025-01-03T00:00:00Z')
+      ];
+
+      expect(getAssignmentStats(attempts)).toEqual({
+        '1': { attempts: 3, best: 90, last: 70, trend: [50, 90, 70] },
+        '3': { attempts: 1, best: 20, last: 20, trend: [20] }
+      });
+    });
+  });
+
+  describe('getCourseAttempts', () => {
+    it('should keep the attempts of one course', () => {
+      const attempts = [
+        makeAttempt('a', '1', 50, '2025-01-01T00:00:00Z'),
+        { ...makeAttempt('b', '1', 60, '2025-01-02T00:00:00Z'), course: 'dl' },
+        { ...makeAttempt('c', '2', 70, '2025-01-03T00:00:00Z'), course: null }
+      ];
+
+      expect(getCourseAttempts(attempts).map(a => a.id)).toEqual(['a', 'c']);
+      expect(getCourseAttempts(attempts, 'dl').map(a => a.id)).toEqual(['b']);
+    });
+  });
+
+  describe('getWeakestQuestions', () => {
+    it('should rank questions by miss rate', () => {
+      const attempts = [
+        makeAttempt('a', '1', 50, '2025-01-01T00:00:00Z', [
+          { questionKey: '1-1', isCorrect: false },
+          { questionKey: '1-2', isCorrect: false },
+          { questionKey: '1-3', isCorrect: true }
+        ]),
+        makeAttempt('b', '1', 50, '2025-01-02T00:00:00Z', [
+          { questionKey: '1-1', isCorrect: false },
+          { questionKey: '1-2', isCorrect: true },
+          { questionKey: '1-3', isCorrect: true }
+        ])
+      ];
+
+      expect(getWeakestQuestions(attempts)).toEqual([
+        { questionKey: '1-1', attempts: 2, misses: 2, missRate: 100 },
+        { questionKey: '1-2', attempts: 2, misses: 1, missRate: 50 }
+      ]);
+    });
+
+    it('should respect the limit', () => {
+      const attempts = [
+        makeAttempt('a', '1', 0, '2025-01-01T00:00:00Z', [
+          { questionKey: '1-1', isCorrect: false },
+          { questionKey: '1-2', isCorrect: false }
+        ])
+      ];
+
+      expect(getWeakestQuestions(attempts, 1)).toHaveLength(1);
+    });
+  });
+
+  describe('getMissedQuestionKeys', () => {
+    it('should list the questions answered wrong in quiz order', () => {
+      const attempt = makeAttempt('a', '1', 50, '2025-01-01T00:00:00Z', [
+        { questionKey: '1-4', isCorrect: false },
+        { questionKey: '1-2', isCorrect: true },
+        { questionKey: '1-1', isCorrect: false }
+      ]);
+
+      expect(getMissedQuestionKeys(attempt)).toEqual(['1-4', '1-1']);
+    });
+
+    it('should handle attempts without question scores', () => {
+      expect(getMissedQuestionKeys(null)).toEqual([]);
+      expect(getMissedQuestionKeys({})).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,262 @@
+/**
+ * Unit tests for the question bank exporters
+ * Tests Moodle XML, QTI 2.1 items and packages, and the printable worksheet,
+ * for every question type
+ * TextEncoder is not available in jsdom, so these run in the node environment
+ *
+ * @jest-environment node
+ */
+
+import { toMoodleXml, toQtiItem, toQtiPackageFiles, toQtiPackage, toWorksheetHtml } from '../bankExport.js';
+import { importQuestions, parseXml, IMPORT_FORMATS } from '../bankImport.js';
+
+describe('bankExport', () => {
+  const singleAnswer = {
+    assignmentnumber: '3',
+    questionnumber: '1',
+    question: 'What is $w^T x$ when w & x are vectors?',
+    image: 'images/plot.png',
+    explanation: 'It is a dot product',
+    options: [
+      { optionnumber: 'A', optiontext: 'A scalar', iscorrect: true, rationale: 'Sum of products' },
+      { optionnumber: 'B', optiontext: 'A <matrix>', iscorrect: false }
+    ]
+  };
+
+  const multiAnswer = {
+    assignmentnumber: '3',
+    questionnumber: '2',
+    question: 'Which are even?\n\nPick every one.',
+    image: '',
+    options: [
+      { optionnumber: 'A', optiontext: '2', iscorrect: true },
+      { optionnumber: 'B', optiontext: '3', iscorrect: false },
+      { optionnumber: 'C', optiontext: '4', iscorrect: true }
+    ]
+  };
+
+  const numericAnswer = {
+    assignmentnumber: '3',
+    questionnumber: '3',
+    question: 'Entropy of a fair coin, in bits?',
+    type: 'numeric',
+    answer: { min: 0.9, max: 1.1 }
+  };
+
+  const textAnswer = {
+    assignmentnumber: '3',
+    questionnumber: '4',
+    question: 'Name the algorithm',
+    type: 'short-text',
+    answer: { accepted: ['gradient descent', 'GD'], caseSensitive: true }
+  };
+
+  const ordering = {
+    assignmentnumber: '3',
+    questionnumber: '5',
+    question: 'Order the steps',
+    type: 'ordering',
+    options: [
+      { optionnumber: 'A', optiontext: 'Collect data' },
+      { optionnumber: 'B', optiontext: 'Train' },
+      { optionnumber: 'C', optiontext: 'Evaluate' }
+    ]
+  };
+
+  describe('toMoodleXml', () => {
+    it('should write multichoice questions under an assignment category', () => {
+      const xml = toMoodleXml([singleAnswer, multiAnswer], { imageBaseUrl: 'https://quiz.example.com/' });
+
+      expect(xml).toContain('<text>$course$/top/Assignment 3</text>');
+      expect(xml).toContain('<single>true</single>');
+      expect(xml).toContain('<single>false</single>');
+      expect(xml).toContain('\\(w^T x\\) when w &amp; x are vectors?');
+      expect(xml).toContain('<img src="https://quiz.example.com/images/plot.png" alt="">');
+      expect(xml).toContain('<answer fraction="50" format="html">');
+      expect(xml).toContain('<answer fraction="-100" format="html">');
+    });
+
+    it('should import back into the same questions', () => {
+      const { questions, errors } = importQuestions(toMoodleXml([singleAnswer, multiAnswer]), IMPORT_FORMATS.MOODLE_XML);
+
+      expect(errors).toEqual([]);
+      expect(questions[0]).toEqual(singleAnswer);
+      expect(questions[1]).toEqual(multiAnswer);
+    });
+
+    it('should write the question weight as its default mark', () => {
+      const weighted = { ...singleAnswer, weight: 2 };
+      const xml = toMoodleXml([singleAnswer, weighted]);
+
+      expect(xml.match(/<defaultgrade>\w+<\/defaultgrade>/g)).toEqual(['<defaultgrade>1</defaultgrade>', '<defaultgrade>2</defaultgrade>']);
+      expect(importQuestions(xml, IMPORT_FORMATS.MOODLE_XML).questions).toEqual([singleAnswer, weighted]);
+    });
+
+    it('should write Markdown as HTML', () => {
+      const question = {
+        ...singleAnswer,
+        question: 'Is **$w$** `sparse`?\n\n| x | y |\n|---|--:|\n| 1 | 2 |\n\n```python\nprint(x < 1)\n```',
+        explanation: '*Yes*',
+        options: [
+          { optionnumber: 'A', optiontext: '- one\n- two', iscorrect: true },
+          { optionnumber: 'B', optiontext: 'three', iscorrect: true }
+        ]
+      };
+      const xml = toMoodleXml([question]);
+
+      expect(xml).toContain('<p>Is <strong>\\(w\\)</strong> <code>sparse</code>?</p><table><thead><tr><th>x</th>');
+      expect(xml).toContain('<th style="text-align: right">y</th></tr></thead><tbody><tr><td>1</td>');
+      expect(xml).toContain('<pre><code>print(x &lt; 1)</code></pre>');
+      expect(xml).toContain('<![CDATA[<p><em>Yes</em></p>]]>');
+      expect(xml).toContain('<![CDATA[<ul><li>one</li><li>two</li></ul>]]>');
+      expect(toWorksheetHtml([question])).toContain('<pre><code>print(x &lt; 1)</code></pre><p><span class="hint">');
+      expect(toQtiItem(question)).toContain('<code>sparse</code>');
+    });
+  });
+
+  describe('question types', () => {
+    it('should write numerical, shortanswer and ordering Moodle questions', () => {
+      const questions = parseXml(toMoodleXml([numericAnswer, textAnswer, ordering])).children[0].children.slice(1);
+      const answers = question => question.children.filter(child => child.name === 'answer');
+      const field = (question, name) => question.children.find(child => child.name === name).text;
+
+      expect(questions.map(question => question.attributes.type)).toEqual(['numerical', 'shortanswer', 'ordering']);
+      expect(field(answers(questions[0])[0], 'text')).toBe('1');
+      expect(field(answers(questions[0])[0], 'tolerance')).toBe('0.1');
+      expect(field(questions[1], 'usecase')).toBe('1');
+      expect(answers(questions[1]).map(answer => field(answer, 'text'))).toEqual(['gradient descent', 'GD']);
+      expect(answers(questions[2]).map(answer => answer.attributes.fraction)).toEqual(['1', '2', '3']);
+    });
+
+    it('should import numerical, shortanswer and ordering questions back', () => {
+      const starred = { ...textAnswer, questionnumber: '6', answer: { accepted: ['w*x'] } };
+      const { questions, errors } = importQuestions(
+        toMoodleXml([numericAnswer, textAnswer, ordering, starred]),
+        IMPORT_FORMATS.MOODLE_XML
+      );
+
+      expect(errors).toEqual([]);
+      expect(questions).toEqual([
+        { ...numericAnswer, image: '', answer: { value: 1, tolerance: 0.1 } },
+        { ...textAnswer, image: '' },
+        { ...ordering, image: '' },
+        { ...starred, image: '' }
+      ]);
+    });
+
+    it('should write text entry and order QTI items', () => {
+      const numericXml = toQtiItem(numericAnswer);
+      const textXml = toQtiItem(textAnswer);
+      const orderItem = parseXml(toQtiItem(ordering)).children[0];
+      const response = orderItem.children.find(child => child.name === 'responseDeclaration');
+
+      expect(numericXml).toContain('<textEntryInteraction responseIdentifier="RESPONSE"');
+      expect(numericXml).toContain('<gte><variable identifier="RESPONSE"/><baseValue baseType="float">0.9</baseValue></gte>');
+      expect(textXml).toContain('<mapEntry mapKey="GD" mappedValue="1" caseSensitive="true"/>');
+      expect(textXml).toContain('rptemplates/map_response"/>');
+      expect(response.attributes.cardinality).toBe('ordered');
+      expect(response.children[0].children.map(value => value.text)).toEqual(['CHOICE_A', 'CHOICE_B', 'CHOICE_C']);
+      [numericXml, textXml].forEach(xml => expect(() => parseXml(xml)).not.toThrow());
+    });
+
+    it('should print answer lines, ordering items out of order and their key', () => {
+      const html = toWorksheetHtml([numericAnswer, textAnswer, ordering]);
+      const items = html.match(/<li><span class="box"><\/span>(\w)\./g).map(item => item.slice(-2, -1));
+
+      expect(html.match(/class="answer-line"/g)).toHaveLength(2);
+      expect(html).toContain('(number the items in order)');
+      expect(items).not.toEqual(['A', 'B', 'C']);
+      expect(html).toContain('<strong>0.9 to 1.1</strong>');
+      expect(html).toContain('<strong>gradient descent, GD</strong>');
+      expect(html).toContain('<strong>A → B → C</strong>');
+    });
+  });
+
+  describe('QTI', () => {
+    it('should write a choice item with its correct response', () => {
+      const root = parseXml(toQtiItem(multiAnswer));
+      const item = root.children[0];
+      const response = item.children.find(child => child.name === 'responseDeclaration');
+      const interaction = item.children.find(child => child.name === 'itemBody')
+        .children.find(child => child.name === 'choiceInteraction');
+
+      expect(item.attributes.identifier).toBe('Q-3-2');
+      expect(response.attributes.cardinality).toBe('multiple');
+      expect(response.children[0].children.map(value => value.text)).toEqual(['CHOICE_A', 'CHOICE_C']);
+      expect(interaction.attributes.maxChoices).toBe('0');
+      expect(interaction.children.map(choice => choice.text)).toEqual(['2', '3', '4']);
+    });
+
+    it('should write LaTeX as MathML', () => {
+      expect(toQtiItem(singleAnswer)).toMatch(/<math xmlns="http:\/\/www.w3.org\/1998\/Math\/MathML"/);
+    });
+
+    it('should write display math as block MathML and expand the bank macros', () => {
+      const question = { ...singleAnswer, question: 'Is $$\\vect{w}$$ a \\$5 vector?' };
+      const xml = toQtiItem(question, { latexMacros: { '\\vect': '\\mathbf{#1}' } });
+
+      expect(xml).toContain('display="block"');
+      expect(xml).toContain('mathvariant="bold"');
+      expect(xml).toContain(' a $5 vector?');
+    });
+
+    it('should list every item in the manifest and the test', () => {
+      const files = toQtiPackageFiles([singleAnswer, multiAnswer], { title: 'Week 3' });
+
+      expect(files.map(file => file.path)).toEqual([
+        'imsmanifest.xml', 'test.xml', 'items/Q-3-1.xml', 'items/Q-3-2.xml'
+      ]);
+      expect(files[0].content).toContain('href="items/Q-3-2.xml"');
+      expect(files[1].content).toContain('title="Week 3"');
+      files.forEach(file => expect(() => parseXml(file.content)).not.toThrow());
+    });
+
+    it('should zip the package', () => {
+      const archive = toQtiPackage([singleAnswer]);
+
+      expect(Array.from(archive.slice(0, 4))).toEqual([0x50, 0x4b, 0x03, 0x04]);
+    });
+  });
+
+  describe('toWorksheetHtml', () => {
+    it('should pre-render LaTeX and escape text', () => {
+      const html = toWorksheetHtml([singleAnswer], { title: 'Week 3' });
+
+      expect(html).toContain('<title>Week 3</title>');
+      expect(html).toContain('class="katex"');
+      expect(html).not.toContain('$w^T x$');
+      expect(html).toContain('A &lt;matrix&gt;');
+    });
+
+    it('should render display math and the bank macros, and keep display math for Moodle', () => {
+      const question = { ...singleAnswer, question: 'Given \\[\\vect{w}\\] and \\(x\\), what costs \\$5?' };
+      const html = toWorksheetHtml([question], { latexMacros: { '\\vect': '\\mathbf{#1}' } });
+      const xml = toMoodleXml([question]);
+
+      expect(html).toContain('class="katex-display"');
+      // The macro is expanded; MathML keeps the source in its annotation
+      expect(html).toContain('class="mord mathbf"');
+      expect(html).toContain('<mi mathvariant="bold">w</mi>');
+      expect(html).toContain('what costs $5?');
+      expect(xml).toContain('Given \\[\\vect{w}\\] and \\(x\\), what costs $5?');
+    });
+
+    it('should use the question\'s image alt text', () => {
+      const question = { ...singleAnswer, image: 'images/tree.png', imageAlt: 'Tree with "yes" & "no" leaves' };
+      const alt = 'alt="Tree with &quot;yes&quot; &amp; &quot;no&quot; leaves"';
+
+      expect(toWorksheetHtml([question])).toContain(alt);
+      expect(toMoodleXml([question])).toContain(alt);
+      expect(toWorksheetHtml([singleAnswer])).toContain('<img src="images/plot.png" alt="">');
+    });
+
+    it('should add the answer key only when asked', () => {
+      const questions = [singleAnswer, multiAnswer];
+
+      expect(toWorksheetHtml(questions)).toContain('<strong>A, C</strong>');
+      expect(toWorksheetHtml(questions)).toContain('A: Sum of products');
+      expect(toWorksheetHtml(questions, { includeAnswerKey: false })).not.toContain('Answer key');
+      expect(toWorksheetHtml(questions)).toContain('(select all that apply)');
+    });
+  });
+});
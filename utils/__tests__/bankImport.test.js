@@ -0,0 +1,399 @@
+/**
+ * Unit tests for the question bank importers
+ * Tests CSV, Markdown, GIFT and Moodle XML conversion, numbering and per-row errors
+ */
+
+import {
+  importQuestions,
+  detectImportFormat,
+  parseCsvRows,
+  parseXml,
+  IMPORT_FORMATS
+} from '../bankImport.js';
+
+describe('bankImport', () => {
+  describe('detectImportFormat', () => {
+    it('should pick the format from the file extension', () => {
+      expect(detectImportFormat('week3.CSV')).toBe(IMPORT_FORMATS.CSV);
+      expect(detectImportFormat('quiz.md')).toBe(IMPORT_FORMATS.MARKDOWN);
+      expect(detectImportFormat('quiz.gift')).toBe(IMPORT_FORMATS.GIFT);
+      expect(detectImportFormat('moodle-export.xml')).toBe(IMPORT_FORMATS.MOODLE_XML);
+      expect(detectImportFormat('notes.docx')).toBeNull();
+    });
+  });
+
+  describe('parseCsvRows', () => {
+    it('should handle quoted commas, quotes and line breaks', () => {
+      const rows = parseCsvRows('a,b\r\n"x, y","say ""hi"""\n"two\nlines",z\n');
+
+      expect(rows).toEqual([
+        { line: 1, cells: ['a', 'b'] },
+        { line: 2, cells: ['x, y', 'say "hi"'] },
+        { line: 3, cells: ['two\nlines', 'z'] }
+      ]);
+    });
+  });
+
+  describe('CSV', () => {
+    const header = 'Assignment,Number,Question,A,B,C,Correct,Explanation';
+
+    it('should convert rows into questions', () => {
+      const { questions, errors } = importQuestions(
+        `${header}\n2,4,What is $w^T x$?,A dot product,A matrix,,A,Because\n`,
+        IMPORT_FORMATS.CSV
+      );
+
+      expect(errors).toEqual([]);
+      expect(questions).toEqual([{
+        assignmentnumber: '2',
+        questionnumber: '4',
+        question: 'What is $w^T x$?',
+        image: '',
+        explanation: 'Because',
+        options: [
+          { optionnumber: 'A', optiontext: 'A dot product', iscorrect: true },
+          { optionnumber: 'B', optiontext: 'A matrix', iscorrect: false }
+        ]
+      }]);
+    });
+
+    it('should accept several correct letters and number questions without one', () => {
+      const { questions } = importQuestions(
+        `${header}\n1,3,First,Yes,No,Maybe,A;C,\n1,,Second,Yes,No,,b,\n`,
+        IMPORT_FORMATS.CSV
+      );
+
+      expect(questions[0].options.map(o => o.iscorrect)).toEqual([true, false, true]);
+      expect(questions[1].questionnumber).toBe('4');
+    });
+
+    it('should report rows by line and keep the valid ones', () => {
+      const { questions, errors } = importQuestions(
+        `${header}\n1,1,Fine,Yes,No,,A,\n1,2,Bad letter,Yes,No,,D,\n1,3,No answer,Yes,No,,,\n`,
+        IMPORT_FORMATS.CSV
+      );
+
+      expect(questions).toHaveLength(1);
+      expect(errors).toEqual([
+        { line: 3, message: 'Correct answer D has no option text' },
+        { line: 4, message: 'Question must have at least one correct answer' }
+      ]);
+    });
+
+    it('should require the question, correct and option columns', () => {
+      expect(importQuestions('Question,Answer\nx,y\n', IMPORT_FORMATS.CSV).errors[0].message)
+        .toMatch(/header row needs/);
+    });
+
+    it('should use the default assignment when the sheet has none', () => {
+      const text = 'Question,A,B,Correct\nWhat?,Yes,No,A\n';
+
+      expect(importQuestions(text, IMPORT_FORMATS.CSV).errors[0].message).toMatch(/no assignment/);
+      expect(importQuestions(text, IMPORT_FORMATS.CSV, { defaultAssignment: 5 }).questions[0].assignmentnumber).toBe('5');
+    });
+  });
+
+  describe('Markdown', () => {
+    it('should convert headings, options, images and explanations', () => {
+      const text = [
+        '# Week 3',
+        '',
+        '## 2. What is \\(x^2\\)?',
+        '![plot](images/plot.png)',
+        '- [x] A square',
+        '- [ ] A cube',
+        '> Explanation: $x$ times $x$.',
+        '',
+        '## Another one',
+        '- [ ] No',
+        '* [X] Yes'
+      ].join('\n');
+      const { questions, errors } = importQuestions(text, IMPORT_FORMATS.MARKDOWN);
+
+      expect(errors).toEqual([]);
+      expect(questions[0]).toMatchObject({
+        assignmentnumber: '3',
+        questionnumber: '2',
+        question: 'What is $x^2$?',
+        image: 'images/plot.png',
+        explanation: '$x$ times $x$.'
+      });
+      expect(questions[1].questionnumber).toBe('3');
+      expect(questions[1].options.map(o => o.iscorrect)).toEqual([false, true]);
+    });
+
+    it('should report the line of invalid questions and stray text', () => {
+      const { errors } = importQuestions('# Assignment 1\nstray\n## No options\n', IMPORT_FORMATS.MARKDOWN);
+
+      expect(errors).toEqual([
+        { line: 2, message: 'Text outside a question; start questions with "## "' },
+        { line: 3, message: 'Question must have at least one option' }
+      ]);
+    });
+  });
+
+  describe('GIFT', () => {
+    it('should convert multiple choice and true/false questions', () => {
+      const text = [
+        '// Week 4 questions',
+        '$CATEGORY: $course$/Week 4',
+        '',
+        '::7:: What is 2+2 \\{in base 10\\}? {',
+        '  =4 # Right',
+        '  ~3 # Off by one',
+        '  #### Basic arithmetic',
+        '}',
+        '',
+        'The sky is blue. {T}',
+        '',
+        'Pick the primes {~%50%2 ~%50%3 ~%-100%4}'
+      ].join('\n');
+      const { questions, errors } = importQuestions(text, IMPORT_FORMATS.GIFT);
+
+      expect(errors).toEqual([]);
+      expect(questions[0]).toEqual({
+        assignmentnumber: '4',
+        questionnumber: '7',
+        question: 'What is 2+2 {in base 10}?',
+        image: '',
+        explanation: 'Basic arithmetic',
+        options: [
+          { optionnumber: 'A', optiontext: '4', iscorrect: true, rationale: 'Right' },
+          { optionnumber: 'B', optiontext: '3', iscorrect: false, rationale: 'Off by one' }
+        ]
+      });
+      expect(questions[1].options).toEqual([
+        { optionnumber: 'A', optiontext: 'True', iscorrect: true },
+        { optionnumber: 'B', optiontext: 'False', iscorrect: false }
+      ]);
+      expect(questions[2].options.map(o => o.iscorrect)).toEqual([true, true, false]);
+    });
+
+    it('should convert numerical questions to numeric answers', () => {
+      const text = [
+        '::2:: Entropy of a fair coin? {#1:0.05}',
+        '',
+        'A probability {#0..1 #### Any value in the range}',
+        '',
+        'Pi to two places {#=3.14 =%50%3 ~3.2#Too big}',
+        '',
+        'Not a number {#three}',
+        '',
+        'Two answers {#=1 =2}'
+      ].join('\n');
+      const { questions, errors } = importQuestions(text, IMPORT_FORMATS.GIFT, { defaultAssignment: 6 });
+
+      expect(questions).toEqual([
+        {
+          assignmentnumber: '6',
+          questionnumber: '2',
+          question: 'Entropy of a fair coin?',
+          image: '',
+          type: 'numeric',
+          answer: { value: 1, tolerance: 0.05 }
+        },
+        {
+          assignmentnumber: '6',
+          questionnumber: '3',
+          question: 'A probability',
+          image: '',
+          explanation: 'Any value in the range',
+          type: 'numeric',
+          answer: { min: 0, max: 1 }
+        },
+        {
+          assignmentnumber: '6',
+          questionnumber: '4',
+          question: 'Pi to two places',
+          image: '',
+          type: 'numeric',
+          answer: { value: 3.14 }
+        }
+      ]);
+      expect(errors).toEqual([
+        { line: 7, message: 'Numerical answers must be a number, a number with a tolerance such as 3.5:0.1, or a range such as 1..2' },
+        { line: 9, message: 'Numerical questions need exactly one answer worth full marks' }
+      ]);
+    });
+
+    it('should convert short answer questions to short-text answers', () => {
+      const text = 'Name the algorithm {=Gradient descent =GD#Short for it =%50%Descent}\n\nAny word {=gr*}';
+      const { questions, errors } = importQuestions(text, IMPORT_FORMATS.GIFT, { defaultAssignment: 6 });
+
+      expect(questions).toEqual([{
+        assignmentnumber: '6',
+        questionnumber: '1',
+        question: 'Name the algorithm',
+        image: '',
+        type: 'short-text',
+        answer: { accepted: ['Gradient descent', 'GD'] }
+      }]);
+      expect(errors).toEqual([{ line: 3, message: 'Short answer wildcards (*) are not supported' }]);
+    });
+
+    it('should report question types the app cannot show', () => {
+      const text = 'Match {=a -> 1 =b -> 2}\n\nWrite an essay {}';
+      const { errors } = importQuestions(text, IMPORT_FORMATS.GIFT, { defaultAssignment: 1 });
+
+      expect(errors).toEqual([
+        { line: 1, message: 'Matching questions are not supported' },
+        { line: 3, message: 'Essay questions are not supported' }
+      ]);
+    });
+  });
+
+  describe('Moodle XML', () => {
+    const xml = `<?xml version="1.0" encoding="UTF-8"?>
+<quiz>
+  <question type="category">
+    <category><text>$course$/top/Week 5</text></category>
+  </question>
+  <question type="multichoice">
+    <name><text>2</text></name>
+    <questiontext format="html">
+      <text><![CDATA[<p>What is <b>\\(a+b\\)</b> &amp; why?</p><img src="@@PLUGINFILE@@/sum%20plot.png">]]></text>
+    </questiontext>
+    <generalfeedback format="html"><text>It adds</text></generalfeedback>
+    <answer fraction="100" format="html"><text>A sum</text><feedback><text>Yes</text></feedback></answer>
+    <answer fraction="0" format="html"><text>A product</text></answer>
+  </question>
+  <question type="truefalse">
+    <questiontext format="moodle_auto_format"><text>Is 1 &lt; 2?</text></questiontext>
+    <answer fraction="100"><text>true</text></answer>
+    <answer fraction="0"><text>false</text></answer>
+  </question>
+  <question type="matching">
+    <questiontext><text>Match</text></questiontext>
+  </question>
+</quiz>`;
+
+    it('should convert multichoice and truefalse questions', () => {
+      const { questions } = importQuestions(xml, IMPORT_FORMATS.MOODLE_XML);
+
+      expect(questions[0]).toEqual({
+        assignmentnumber: '5',
+        questionnumber: '2',
+        question: 'What is $a+b$ & why?',
+        image: 'sum plot.png',
+        explanation: 'It adds',
+        options: [
+          { optionnumber: 'A', optiontext: 'A sum', iscorrect: true, rationale: 'Yes' },
+          { optionnumber: 'B', optiontext: 'A product', iscorrect: false }
+        ]
+      });
+      expect(questions[1]).toMatchObject({ questionnumber: '3', question: 'Is 1 < 2?' });
+      expect(questions[1].options.map(o => o.optiontext)).toEqual(['True', 'False']);
+    });
+
+    it('should report unsupported question types and malformed XML by line', () => {
+      expect(importQuestions(xml, IMPORT_FORMATS.MOODLE_XML).errors).toEqual([
+        { line: 20, message: 'Moodle question type "matching" is not supported' }
+      ]);
+      expect(importQuestions('<quiz>\n<question>\n</quiz>', IMPORT_FORMATS.MOODLE_XML).errors[0])
+        .toMatchObject({ line: 3 });
+    });
+
+    it('should convert numerical and shortanswer questions to typed answers', () => {
+      const typedXml = `<quiz>
+  <question type="numerical">
+    <name><text>7</text></name>
+    <questiontext format="html"><text>Entropy of a fair coin?</text></questiontext>
+    <answer fraction="100"><text>1</text><tolerance>0.05</tolerance></answer>
+    <answer fraction="50"><text>2</text><tolerance>0</tolerance></answer>
+  </question>
+  <question type="shortanswer">
+    <questiontext format="html"><text>Name the algorithm</text></questiontext>
+    <usecase>1</usecase>
+    <answer fraction="100"><text>Gradient descent</text></answer>
+    <answer fraction="100"><text>GD</text></answer>
+    <answer fraction="0"><text>Newton</text></answer>
+  </question>
+  <question type="shortanswer">
+    <questiontext format="html"><text>Any word</text></questiontext>
+    <answer fraction="100"><text>gr*</text></answer>
+  </question>
+  <question type="numerical">
+    <questiontext format="html"><text>Anything</text></questiontext>
+    <answer fraction="100"><text>*</text></answer>
+  </question>
+</quiz>`;
+      const { questions, errors } = importQuestions(typedXml, IMPORT_FORMATS.MOODLE_XML, { defaultAssignment: 2 });
+
+      expect(questions).toEqual([
+        {
+          assignmentnumber: '2',
+          questionnumber: '7',
+          question: 'Entropy of a fair coin?',
+          image: '',
+          type: 'numeric',
+          answer: { value: 1, tolerance: 0.05 }
+        },
+        {
+          assignmentnumber: '2',
+          questionnumber: '8',
+          question: 'Name the algorithm',
+          image: '',
+          type: 'short-text',
+          answer: { accepted: ['Gradient descent', 'GD'], caseSensitive: true }
+        }
+      ]);
+      expect(errors).toEqual([
+        { line: 15, message: 'Short answer wildcards (*) are not supported' },
+        { line: 19, message: 'Numerical answers must be a number with a number tolerance' }
+      ]);
+    });
+
+    it('should put the options of ordering questions in the order of their fractions', () => {
+      const orderingXml = `<quiz>
+  <question type="ordering">
+    <questiontext format="html"><text>Order the steps</text></questiontext>
+    <answer fraction="3" format="html"><text><![CDATA[<p>Evaluate</p>]]></text></answer>
+    <answer fraction="1" format="html"><text><![CDATA[<p>Collect data</p>]]></text></answer>
+    <answer fraction="2" format="html"><text><![CDATA[<p>Train</p>]]></text></answer>
+  </question>
+</quiz>`;
+      const { questions, errors } = importQuestions(orderingXml, IMPORT_FORMATS.MOODLE_XML, { defaultAssignment: 3 });
+
+      expect(errors).toEqual([]);
+      expect(questions).toEqual([{
+        assignmentnumber: '3',
+        questionnumber: '1',
+        question: 'Order the steps',
+        image: '',
+        type: 'ordering',
+        options: [
+          { optionnumber: 'A', optiontext: 'Collect data' },
+          { optionnumber: 'B', optiontext: 'Train' },
+          { optionnumber: 'C', optiontext: 'Evaluate' }
+        ]
+      }]);
+    });
+
+    it('should keep numeric entities past the last code point as written', () => {
+      const entityXml = `<quiz>
+  <question type="shortanswer">
+    <questiontext format="html"><text><![CDATA[<p>Decode &#x41;&#66; and &#99999999;</p>]]></text></questiontext>
+    <answer fraction="100"><text>AB &#x110000;</text></answer>
+  </question>
+</quiz>`;
+      const { questions, errors } = importQuestions(entityXml, IMPORT_FORMATS.MOODLE_XML, { defaultAssignment: 1 });
+
+      expect(errors).toEqual([]);
+      expect(questions[0].question).toBe('Decode AB and &#99999999;');
+      expect(questions[0].answer.accepted).toEqual(['AB &#x110000;']);
+    });
+
+    it('should parse nested elements with their lines', () => {
+      const root = parseXml('<a x="1">\n  <b/>\n  <c>t &amp; u</c>\n</a>');
+      const a = root.children[0];
+
+      expect(a.attributes).toEqual({ x: '1' });
+      expect(a.children.map(child => [child.name, child.line])).toEqual([['b', 2], ['c', 3]]);
+      expect(a.children[1].text).toBe('t & u');
+    });
+  });
+
+  it('should reject unknown formats', () => {
+    expect(() => importQuestions('', 'docx')).toThrow('Unknown import format: docx');
+  });
+});
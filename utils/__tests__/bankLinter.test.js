@@ -0,0 +1,168 @@
+/**
+ * Unit tests for the question bank linter
+ * Tests line numbers, duplicates, images, LaTeX checks and identical options
+ */
+
+import {
+  lintQuestionBank,
+  getJsonValueLines,
+  getLatexExpressions,
+  findIdenticalOptions
+} from '../bankLinter.js';
+import { IMAGE_STATUS } from '../imageAssets.js';
+
+describe('bankLinter', () => {
+  const makeQuestion = (overrides = {}) => ({
+    assignmentnumber: "1",
+    questionnumber: "1",
+    question: "What is $w^T x$?",
+    image: "",
+    options: [
+      { optionnumber: "A", optiontext: "A dot product", iscorrect: true },
+      { optionnumber: "B", optiontext: "A matrix", iscorrect: false }
+    ],
+    ...overrides
+  });
+
+  const toBank = (questions, extra = {}) => JSON.stringify({ ...extra, questions }, null, 2);
+
+  describe('getJsonValueLines', () => {
+    it('should find the line of every value', () => {
+      const lines = getJsonValueLines('{\n  "a": [\n    1,\n    { "b": "x" }\n  ],\n  "c": {}\n}');
+
+      expect(lines.get('')).toBe(1);
+      expect(lines.get('a')).toBe(2);
+      expect(lines.get('a[0]')).toBe(3);
+      expect(lines.get('a[1].b')).toBe(4);
+      expect(lines.get('c')).toBe(6);
+    });
+
+    it('should not be confused by brackets and escaped quotes in strings', () => {
+      const lines = getJsonValueLines('[\n  "a \\" ] {",\n  "b"\n]');
+
+      expect(lines.get('[1]')).toBe(3);
+    });
+  });
+
+  describe('LaTeX helpers', () => {
+    it('should extract the expressions LaTeXRenderer renders', () => {
+      expect(getLatexExpressions('Let $x$ and $y^2$ be')).toEqual(['x', 'y^2']);
+      expect(getLatexExpressions('Costs \\$5, so $$c = 5$$ and \\(d\\)')).toEqual(['c = 5', 'd']);
+    });
+  });
+
+  describe('findIdenticalOptions', () => {
+    it('should report single-answer questions with repeated option texts', () => {
+      const question = makeQuestion({
+        options: [
+          { optionnumber: "A", optiontext: "Yes", iscorrect: true },
+          { optionnumber: "B", optiontext: " yes ", iscorrect: false },
+          { optionnumber: "C", optiontext: "No", iscorrect: false }
+        ]
+      });
+
+      expect(findIdenticalOptions(question)).toEqual([['A', 'B']]);
+    });
+
+    it('should ignore multi-answer questions', () => {
+      const question = makeQuestion({
+        options: [
+          { optionnumber: "A", optiontext: "Yes", iscorrect: true },
+          { optionnumber: "B", optiontext: "Yes", iscorrect: true }
+        ]
+      });
+
+      expect(findIdenticalOptions(question)).toEqual([]);
+    });
+  });
+
+  describe('lintQuestionBank', () => {
+    it('should accept a clean bank in either format', () => {
+      expect(lintQuestionBank(toBank([makeQuestion()])).diagnostics).toEqual([]);
+      expect(lintQuestionBank(JSON.stringify([makeQuestion()])).questionCount).toBe(1);
+    });
+
+    it('should report structural errors on the line of the question', () => {
+      const text = toBank([makeQuestion(), makeQuestion({ questionnumber: "2", options: [] })]);
+      const { diagnostics } = lintQuestionBank(text);
+
+      expect(diagnostics).toEqual([{
+        line: getJsonValueLines(text).get('questions[1]'),
+        path: 'questions[1]',
+        message: 'Question must have at least one option'
+      }]);
+    });
+
+    it('should report duplicate question numbers', () => {
+      const text = toBank([makeQuestion(), makeQuestion()]);
+      const lines = getJsonValueLines(text);
+
+      expect(lintQuestionBank(text).diagnostics).toEqual([{
+        line: lines.get('questions[1].questionnumber'),
+        path: 'questions[1].questionnumber',
+        message: `Duplicate question 1.1, first defined on line ${lines.get('questions[0].questionnumber')}`
+      }]);
+    });
+
+    it('should report missing images only when it can check them', () => {
+      const text = toBank([makeQuestion({ image: 'plots/missing.png' })]);
+
+      expect(lintQuestionBank(text).diagnostics).toEqual([]);
+      expect(lintQuestionBank(text, { imageStatus: () => IMAGE_STATUS.MISSING }).diagnostics[0].message)
+        .toBe('Image not found: plots/missing.png');
+      expect(lintQuestionBank(text, { imageStatus: () => IMAGE_STATUS.FOUND }).diagnostics).toEqual([]);
+    });
+
+    it('should only warn about figures with no manifest entry', () => {
+      const text = toBank([makeQuestion({ image: 'Assignment week 2.pdf-2' })]);
+      const { diagnostics, warnings } = lintQuestionBank(text, { imageStatus: () => IMAGE_STATUS.UNLISTED });
+
+      expect(diagnostics).toEqual([]);
+      expect(warnings).toEqual([{
+        line: getJsonValueLines(text).get('questions[0].image'),
+        path: 'questions[0].image',
+        message: 'Image has no entry in the image manifest: Assignment week 2.pdf-2'
+      }]);
+    });
+
+    it('should report unbalanced delimiters and LaTeX KaTeX cannot parse', () => {
+      const text = toBank([makeQuestion({
+        question: "Is $x unbalanced?",
+        explanation: "Because $\\frac{1}$ is incomplete"
+      })]);
+      const messages = lintQuestionBank(text).diagnostics.map(d => d.message);
+
+      expect(messages[0]).toBe('question has an unbalanced $ delimiter');
+      expect(messages[1]).toMatch(/^explanation has LaTeX KaTeX cannot parse: \$\\frac\{1\}\$/);
+    });
+
+    it('should accept prices and escaped dollars, and report other unclosed delimiters', () => {
+      const text = toBank([
+        makeQuestion({ question: "Is $5 or \\$10 a fair price for $x$?" }),
+        makeQuestion({ questionnumber: "2", question: "Where does \\[x^2 end?" })
+      ]);
+
+      expect(lintQuestionBank(text).diagnostics.map(d => d.message))
+        .toEqual(['question has an unbalanced \\[ delimiter']);
+    });
+
+    it('should check LaTeX against the bank macros and report invalid ones', () => {
+      const question = makeQuestion({ question: "Is $\\vect{w}$ normalised?" });
+
+      expect(lintQuestionBank(toBank([question], { latexMacros: { '\\vect': '\\mathbf{#1}' } })).diagnostics).toEqual([]);
+
+      const messages = lintQuestionBank(toBank([question], { latexMacros: { vect: '\\mathbf{#1}' } }))
+        .diagnostics.map(d => d.message);
+      expect(messages[0]).toBe('LaTeX macro vect must be named like \\R: a backslash and a command name');
+      expect(messages[1]).toMatch(/^question has LaTeX KaTeX cannot parse: \$\\vect\{w\}\$/);
+    });
+
+    it('should report invalid assignment metadata and invalid JSON', () => {
+      const text = toBank([makeQuestion()], { assignments: [{ number: 0 }] });
+
+      expect(lintQuestionBank(text).diagnostics.map(d => d.message))
+        .toEqual(['Assignment 1: number must be a positive integer']);
+      expect(lintQuestionBank('[\n{ "a": 1, }\n]').diagnostics[0]).toMatchObject({ line: 2 });
+    });
+  });
+});
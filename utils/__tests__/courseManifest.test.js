@@ -0,0 +1,156 @@
+/**
+ * Unit tests for course manifest utilities
+ * Tests manifest validation, loading and course lookups
+ */
+
+import {
+  validateCourseManifest,
+  loadCourseManifest,
+  clearCourseManifestCache,
+  getCourse,
+  getDefaultCourse,
+  isDefaultCourse,
+  getCourseScopedId,
+  resolveCourse
+} from '../courseManifest.js';
+import { DataLoadError, DataValidationError } from '../dataLoader.js';
+
+describe('courseManifest', () => {
+  const manifest = {
+    defaultCourse: 'ml',
+    courses: [
+      {
+        id: 'ml',
+        title: 'Machine Learning',
+        bank: '/data.json'
+      },
+      {
+        id: 'dl',
+        title: 'Deep Learning',
+        bank: '/banks/dl.json'
+      }
+    ]
+  };
+
+  const mockFetch = (response) => {
+    global.fetch = jest.fn(() => Promise.resolve(response));
+  };
+
+  beforeEach(() => {
+    clearCourseManifestCache();
+  });
+
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  describe('validateCourseManifest', () => {
+    it('should accept a valid manifest', () => {
+      expect(validateCourseManifest(manifest)).toEqual({ isValid: true, errors: [] });
+    });
+
+    it('should require at least one course', () => {
+      expect(validateCourseManifest({ courses: [] }).isValid).toBe(false);
+      expect(validateCourseManifest(null).isValid).toBe(false);
+    });
+
+    it('should report invalid course entries', () => {
+      const result = validateCourseManifest({
+        courses: [{ id: 'Bad Id', title: '', bank: '' }]
+      });
+
+      expect(result.isValid).toBe(false);
+      expect(result.errors).toEqual([
+        'Course 1 id must contain only lowercase letters, digits and dashes',
+        'Course 1 is missing a title',
+        'Course 1 is missing the URL of its question bank'
+      ]);
+    });
+
+    it('should reject duplicate ids and an unknown default course', () => {
+      const result = validateCourseManifest({
+        defaultCourse: 'stats',
+        courses: [manifest.courses[0], manifest.courses[0]]
+      });
+
+      expect(result.errors).toEqual([
+        'Duplicate course ids: ml',
+        'Default course "stats" is not listed'
+      ]);
+    });
+  });
+
+  describe('course lookups', () => {
+    it('should find courses by id and fall back to the default course', () => {
+      expect(getCourse(manifest, 'dl').title).toBe('Deep Learning');
+      expect(getCourse(manifest).id).toBe('ml');
+      expect(getCourse(manifest, 'unknown')).toBeNull();
+    });
+
+    it('should use the first course when no default is named', () => {
+      expect(getDefaultCourse({ courses: manifest.courses.slice(1) }).id).toBe('dl');
+      expect(isDefaultCourse(manifest, manifest.courses[0])).toBe(true);
+      expect(isDefaultCourse(manifest, manifest.courses[1])).toBe(false);
+    });
+
+    it('should scope storage ids of non-default courses only', () => {
+      expect(getCourseScopedId(null, 3)).toBe('3');
+      expect(getCourseScopedId('dl', 3)).toBe('dl/3');
+    });
+  });
+
+  describe('loadCourseManifest', () => {
+    it('should load and cache the manifest', async () => {
+      mockFetch({ ok: true, status: 200, json: () => Promise.resolve(manifest) });
+
+      await expect(loadCourseManifest()).resolves.toEqual(manifest);
+      await loadCourseManifest();
+
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+      expect(global.fetch).toHaveBeenCalledWith('/courses.json');
+    });
+
+    it('should fall back to the single default bank without a courses.json', async () => {
+      mockFetch({ ok: false, status: 404, statusText: 'Not Found' });
+
+      const loaded = await loadCourseManifest();
+
+      expect(loaded.courses).toHaveLength(1);
+      expect(getDefaultCourse(loaded).bank).toBe('/data.json');
+    });
+
+    it('should reject an invalid manifest', async () => {
+      mockFetch({ ok: true, status: 200, json: () => Promise.resolve({ courses: [] }) });
+
+      await expect(loadCourseManifest()).rejects.toBeInstanceOf(DataValidationError);
+    });
+
+    it('should report server errors', async () => {
+      mockFetch({ ok: false, status: 500, statusText: 'Server Error' });
+
+      await expect(loadCourseManifest()).rejects.toBeInstanceOf(DataLoadError);
+    });
+  });
+
+  describe('resolveCourse', () => {
+    beforeEach(() => {
+      mockFetch({ ok: true, status: 200, json: () => Promise.resolve(manifest) });
+    });
+
+    it('should resolve unprefixed routes to the default course', async () => {
+      const resolved = await resolveCourse(undefined);
+
+      expect(resolved.course.id).toBe('ml');
+      expect(resolved.courseId).toBeNull();
+    });
+
+    it('should treat the default course id like an unprefixed route', async () => {
+      expect((await resolveCourse('ml')).courseId).toBeNull();
+      expect((await resolveCourse('dl')).courseId).toBe('dl');
+    });
+
+    it('should reject unknown courses', async () => {
+      await expect(resolveCourse('unknown')).rejects.toThrow('Course "unknown" was not found.');
+    });
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * Unit tests for custom quiz utilities
+ * Tests question pools, seeded sampling and the shareable URL format
+ */
+
+import {
+  getCustomQuizPool,
+  buildCustomQuiz,
+  buildCustomQuizParams,
+  parseCustomQuizParams,
+  CUSTOM_QUIZ_FILTERS
+} from '../customQuiz.js';
+
+describe('customQuiz', () => {
+  const makeQuestion = (assignment, number, { multi = false, image = '' } = {}) => ({
+    assignmentnumber: String(assignment),
+    questionnumber: String(number),
+    question: `Question ${assignment}.${number}`,
+    image,
+    options: [
+      { optionnumber: "A", optiontext: "Option A", iscorrect: true },
+      { optionnumber: "B", optiontext: "Option B", iscorrect: multi },
+      { optionnumber: "C", optiontext: "Option C", iscorrect: false }
+    ]
+  });
+
+  const questions = [
+    makeQuestion(1, 1),
+    makeQuestion(1, 2, { multi: true }),
+    makeQuestion(2, 1, { image: 'plot.png' }),
+    makeQuestion(2, 2),
+    makeQuestion(3, 1, { multi: true, image: 'tree.png' }),
+    makeQuestion(3, 2),
+    makeQuestion(3, 3)
+  ];
+
+  const config = {
+    weeks: [1, 3],
+    count: 3,
+    filter: CUSTOM_QUIZ_FILTERS.ALL,
+    mode: 'test-easy',
+    seed: 'abc123'
+  };
+
+  describe('getCustomQuizPool', () => {
+    it('should keep only the selected weeks', () => {
+      const pool = getCustomQuizPool(questions, config);
+
+      expect(pool.map(q => q.assignmentnumber)).toEqual(['1', '1', '3', '3', '3']);
+    });
+
+    it('should filter multi-answer and image questions', () => {
+      const weeks = [1, 2, 3];
+
+      expect(getCustomQuizPool(questions, { weeks, filter: CUSTOM_QUIZ_FILTERS.MULTI_ANSWER })
+        .map(q => q.question)).toEqual(['Question 1.2', 'Question 3.1']);
+      expect(getCustomQuizPool(questions, { weeks, filter: CUSTOM_QUIZ_FILTERS.IMAGE })
+        .map(q => q.question)).toEqual(['Question 2.1', 'Question 3.1']);
+    });
+  });
+
+  describe('buildCustomQuiz', () => {
+    it('should sample the requested number of questions', () => {
+      expect(buildCustomQuiz(questions, config)).toHaveLength(3);
+    });
+
+    it('should give the same sample for the same seed', () => {
+      const first = buildCustomQuiz(questions, config);
+      const second = buildCustomQuiz(questions, { ...config });
+
+      expect(second).toEqual(first);
+    });
+
+    it('should keep the pool order within the sample', () => {
+      const sample = buildCustomQuiz(questions, config);
+      const pool = getCustomQuizPool(questions, config);
+
+      const positions = sample.map(q => pool.indexOf(q));
+      expect(positions).toEqual([...positions].sort((a, b) => a - b));
+    });
+
+    it('should use the whole pool when the count is larger', () => {
+      expect(buildCustomQuiz(questions, { ...config, count: 50 })).toHaveLength(5);
+    });
+  });
+
+  describe('URL parameters', () => {
+    it('should round-trip a config', () => {
+      const query = buildCustomQuizParams({ ...config, weeks: [3, 1], filter: CUSTOM_QUIZ_FILTERS.IMAGE });
+
+      expect(query).toBe('weeks=1%2C3&count=3&only=image&mode=test-easy&seed=abc123');
+      expect(parseCustomQuizParams(query)).toEqual({ ...config, filter: CUSTOM_QUIZ_FILTERS.IMAGE });
+    });
+
+    it('should leave out the filter when all questions are allowed', () => {
+      expect(buildCustomQuizParams(config)).not.toContain('only=');
+      expect(parseCustomQuizParams(buildCustomQuizParams(config))).toEqual(config);
+    });
+
+    it('should reject incomplete or invalid configs', () => {
+      expect(parseCustomQuizParams('')).toBeNull();
+      expect(parseCustomQuizParams('weeks=1&count=5&mode=test-easy')).toBeNull();
+      expect(parseCustomQuizParams('weeks=99&count=5&mode=test-easy&seed=a1')).toBeNull();
+      expect(parseCustomQuizParams('weeks=1&count=0&mode=test-easy&seed=a1')).toBeNull();
+      expect(parseCustomQuizParams('weeks=1&count=5&mode=review&seed=a1')).toBeNull();
+      expect(parseCustomQuizParams('weeks=1&count=5&mode=learn&seed=a1&only=odd')).toBeNull();
+    });
+
+    it('should only accept the given weeks', () => {
+      const query = 'weeks=1,9&count=5&mode=learn&seed=a1';
+
+      expect(parseCustomQuizParams(query, [1, 2, 3, 4, 5, 6, 7, 8, 9, 10]).weeks).toEqual([1, 9]);
+      expect(parseCustomQuizParams(query, [2, 3])).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,117 @@
+/**
+ * Unit tests for question data loading
+ * Tests loading banks by URL, with or without assignment metadata
+ */
+
+import {
+  loadQuestions,
+  loadQuestionBank,
+  clearQuestionsCache,
+  DataValidationError
+} from '../dataLoader.js';
+
+describe('dataLoader', () => {
+  const baseQuestion = {
+    assignmentnumber: "1",
+    questionnumber: "1",
+    question: "What is $w^T x$?",
+    image: "",
+    options: [
+      { optionnumber: "A", optiontext: "A dot product", iscorrect: true },
+      { optionnumber: "B", optiontext: "A matrix", iscorrect: false }
+    ]
+  };
+
+  describe('loadQuestions', () => {
+    beforeEach(() => {
+      clearQuestionsCache();
+      global.fetch = jest.fn(url => Promise.resolve({
+        ok: true,
+        status: 200,
+        json: () => Promise.resolve([{ ...baseQuestion, question: `From ${url}` }])
+      }));
+    });
+
+    afterEach(() => {
+      delete global.fetch;
+    });
+
+    it('should load public/data.json by default', async () => {
+      const questions = await loadQuestions();
+
+      expect(global.fetch).toHaveBeenCalledWith('/data.json');
+      expect(questions[0].question).toBe('From /data.json');
+    });
+
+    it('should load and cache each bank separately', async () => {
+      const defaultBank = await loadQuestions();
+      const otherBank = await loadQuestions('/banks/dl.json');
+      await loadQuestions('/banks/dl.json');
+
+      expect(defaultBank[0].question).toBe('From /data.json');
+      expect(otherBank[0].question).toBe('From /banks/dl.json');
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('loadQuestionBank', () => {
+    const mockBank = (data) => {
+      global.fetch = jest.fn(() => Promise.resolve({
+        ok: true,
+        status: 200,
+        json: () => Promise.resolve(data)
+      }));
+    };
+
+    beforeEach(() => {
+      clearQuestionsCache();
+    });
+
+    afterEach(() => {
+      delete global.fetch;
+    });
+
+    it('should read the assignments block next to the questions', async () => {
+      mockBank({
+        assignments: [{ number: 1, title: 'Basics', tags: ['intro'], timeLimitMinutes: 20, scoring: { policy: 'partial-credit' } }],
+        questions: [baseQuestion, { ...baseQuestion, assignmentnumber: "2" }]
+      });
+
+      const bank = await loadQuestionBank();
+
+      expect(bank.questions).toHaveLength(2);
+      expect(bank.assignments).toEqual([
+        { number: 1, title: 'Basics', description: '', tags: ['intro'], releaseDate: null, timeLimitMinutes: 20, scoring: { policy: 'partial-credit' } },
+        { number: 2, title: 'Assignment 2', description: '', tags: [], releaseDate: null, timeLimitMinutes: null, scoring: null }
+      ]);
+    });
+
+    it('should derive the assignments of a bank without metadata', async () => {
+      mockBank([baseQuestion]);
+
+      const bank = await loadQuestionBank();
+
+      expect(bank.assignments.map(a => a.number)).toEqual([1]);
+      expect(await loadQuestions()).toEqual([baseQuestion]);
+    });
+
+    it('should reject invalid assignment metadata', async () => {
+      mockBank({ assignments: [{ number: 1, releaseDate: 'next week' }], questions: [baseQuestion] });
+
+      await expect(loadQuestionBank()).rejects.toBeInstanceOf(DataValidationError);
+    });
+
+    it('should read the LaTeX macros of a bank, and reject invalid ones', async () => {
+      mockBank({ latexMacros: { '\\vect': '\\mathbf{#1}' }, questions: [baseQuestion] });
+      expect((await loadQuestionBank()).latexMacros).toEqual({ '\\vect': '\\mathbf{#1}' });
+
+      clearQuestionsCache();
+      mockBank([baseQuestion]);
+      expect((await loadQuestionBank()).latexMacros).toEqual({});
+
+      clearQuestionsCache();
+      mockBank({ latexMacros: { vect: 1 }, questions: [baseQuestion] });
+      await expect(loadQuestionBank()).rejects.toBeInstanceOf(DataValidationError);
+    });
+  });
+});
@@ -22,6 +22,9 @@ jest.mock('firebase/firestore', () => ({
   getFirestore: jest.fn(() => ({})),
   collection: jest.fn(() => 'mock-collection'),
   addDoc: jest.fn(() => Promise.resolve({ id: 'test-doc-id' })),
+  getDocs: jest.fn(() => Promise.resolve({ docs: [] })),
+  query: jest.fn(() => 'mock-query'),
+  orderBy: jest.fn(() => 'mock-order'),
   serverTimestamp: jest.fn(() => new Date())
 }));
 
@@ -113,6 +116,82 @@ describe('Firebase Integration', () => {
     );
   });
 
+  test('should include the scoring policy in the test completion event', async () => {
+    const { addDoc } = await import('firebase/firestore');
+    firebaseModule = await import('../firebase.js');
+
+    firebaseModule.auth.currentUser = { uid: 'test-user-id' };
+
+    await firebaseModule.logTestComplete('Test User', 'Assignment 1', 8, 10, 120, {
+      policy: 'negative-marking',
+      points: 7.5,
+      maxPoints: 10,
+      percentage: 75,
+      passPercentage: 70,
+      passed: true
+    });
+
+    expect(addDoc).toHaveBeenCalledWith(
+      'mock-collection',
+      expect.objectContaining({
+        event_type: 'test_complete',
+        score: 8,
+        percentage: 75,
+        scoring_policy: 'negative-marking',
+        points: 7.5,
+        max_points: 10,
+        pass_percentage: 70,
+        passed: true
+      })
+    );
+  });
+
+  test('should save attempts under the user attempts subcollection', async () => {
+    const { addDoc, collection } = await import('firebase/firestore');
+    firebaseModule = await import('../firebase.js');
+
+    firebaseModule.auth.currentUser = { uid: 'test-user-id' };
+
+    const id = await firebaseModule.saveUserAttempt({ id: 'a1', assignment: '1', percentage: 80 });
+
+    expect(id).toBe('test-doc-id');
+    expect(collection).toHaveBeenCalledWith(expect.anything(), 'users', 'test-user-id', 'attempts');
+    expect(addDoc).toHaveBeenCalledWith(
+      'mock-collection',
+      expect.objectContaining({
+        id: 'a1',
+        assignment: '1',
+        percentage: 80,
+        user_id: 'test-user-id',
+        timestamp: expect.anything()
+      })
+    );
+  });
+
+  test('should load attempts without server-only fields', async () => {
+    const { getDocs } = await import('firebase/firestore');
+    getDocs.mockResolvedValueOnce({
+      docs: [{ data: () => ({ id: 'a1', percentage: 80, user_id: 'test-user-id', timestamp: new Date() }) }]
+    });
+    firebaseModule = await import('../firebase.js');
+
+    firebaseModule.auth.currentUser = { uid: 'test-user-id' };
+
+    await expect(firebaseModule.getUserAttempts()).resolves.toEqual([{ id: 'a1', percentage: 80 }]);
+  });
+
+  test('should not touch attempts when user is not authenticated', async () => {
+    const { addDoc, getDocs } = await import('firebase/firestore');
+    firebaseModule = await import('../firebase.js');
+
+    firebaseModule.auth.currentUser = null;
+
+    await expect(firebaseModule.saveUserAttempt({ id: 'a1' })).resolves.toBeNull();
+    await expect(firebaseModule.getUserAttempts()).resolves.toEqual([]);
+    expect(addDoc).not.toHaveBeenCalled();
+    expect(getDocs).not.toHaveBeenCalled();
+  });
+
   test('should handle Firebase errors gracefully', async () => {
     const { signInAnonymously } = await import('firebase/auth');
     signInAnonymously.mockRejectedValueOnce(new Error('Firebase error'));
@@ -0,0 +1,140 @@
+/**
+ * Unit tests for question image assets
+ * Tests manifest validation, resolving image ids and paths, and the build check
+ */
+
+import {
+  validateImageManifest,
+  resolveQuestionImage,
+  getImageStatus,
+  checkImageAssets,
+  IMAGE_STATUS
+} from '../imageAssets.js';
+
+const manifest = {
+  images: {
+    'Assignment week 2.pdf-2': {
+      src: '/images/week-2/figure-2.png',
+      width: 800,
+      height: 500,
+      alt: 'Decision tree splitting on outlook',
+      darkSrc: '/images/week-2/figure-2-dark.png'
+    },
+    'Assignment week 4.pdf-0': {
+      src: '/images/week-4/figure-0.svg',
+      width: 400,
+      height: 300,
+      alt: 'Two classes separated by a margin'
+    }
+  }
+};
+
+describe('imageAssets', () => {
+  describe('validateImageManifest', () => {
+    it('should accept a valid manifest', () => {
+      expect(validateImageManifest(manifest)).toEqual({ isValid: true, errors: [] });
+      expect(validateImageManifest({ images: {} }).isValid).toBe(true);
+    });
+
+    it('should reject a manifest without an images object', () => {
+      expect(validateImageManifest(null).errors).toEqual(['Image manifest must have an images object']);
+      expect(validateImageManifest({ images: [] }).isValid).toBe(false);
+    });
+
+    it('should report every problem with an entry', () => {
+      const result = validateImageManifest({
+        images: {
+          figure: { src: 'images/figure', width: 0, height: 2.5, alt: ' ', darkSrc: '//cdn/x.png' }
+        }
+      });
+
+      expect(result.isValid).toBe(false);
+      expect(result.errors).toEqual([
+        'Image "figure" src must be a path under public/ starting with / and ending in an image extension',
+        'Image "figure" width must be a positive whole number of pixels',
+        'Image "figure" height must be a positive whole number of pixels',
+        'Image "figure" is missing alt text',
+        'Image "figure" darkSrc must be a path under public/ starting with / and ending in an image extension'
+      ]);
+    });
+  });
+
+  describe('resolveQuestionImage', () => {
+    it('should resolve an id through the manifest', () => {
+      expect(resolveQuestionImage('Assignment week 2.pdf-2', manifest)).toEqual({
+        src: '/images/week-2/figure-2.png',
+        darkSrc: '/images/week-2/figure-2-dark.png',
+        width: 800,
+        height: 500,
+        alt: 'Decision tree splitting on outlook'
+      });
+      expect(resolveQuestionImage('Assignment week 4.pdf-0', manifest).darkSrc).toBeNull();
+    });
+
+    it('should resolve a path under public/ without a manifest entry', () => {
+      expect(resolveQuestionImage('images/plot.png', manifest)).toEqual({
+        src: '/images/plot.png',
+        darkSrc: null,
+        width: 600,
+        height: 400,
+        alt: null
+      });
+    });
+
+    it('should return null for blank values and ids without an entry', () => {
+      expect(resolveQuestionImage('', manifest)).toBeNull();
+      expect(resolveQuestionImage(undefined, manifest)).toBeNull();
+      expect(resolveQuestionImage('Assignment week 5.pdf-0', manifest)).toBeNull();
+    });
+  });
+
+  const files = new Set(['/images/week-2/figure-2.png', '/images/week-2/figure-2-dark.png', '/images/plot.png']);
+  const fileExists = url => files.has(url);
+
+  describe('getImageStatus', () => {
+    it('should tell found, unlisted and missing images apart', () => {
+      expect(getImageStatus('Assignment week 2.pdf-2', manifest, fileExists)).toBe(IMAGE_STATUS.FOUND);
+      expect(getImageStatus('images/plot.png', manifest, fileExists)).toBe(IMAGE_STATUS.FOUND);
+      expect(getImageStatus('Assignment week 5.pdf-0', manifest, fileExists)).toBe(IMAGE_STATUS.UNLISTED);
+      expect(getImageStatus('Assignment week 4.pdf-0', manifest, fileExists)).toBe(IMAGE_STATUS.MISSING);
+      expect(getImageStatus('images/missing.png', manifest, fileExists)).toBe(IMAGE_STATUS.MISSING);
+    });
+  });
+
+  describe('checkImageAssets', () => {
+
+    it('should pass when every image has a file', () => {
+      const questions = [
+        { assignmentnumber: '2', questionnumber: '5', image: 'Assignment week 2.pdf-2' },
+        { assignmentnumber: '3', questionnumber: '1', image: 'images/plot.png' },
+        { assignmentnumber: '3', questionnumber: '2', image: '' }
+      ];
+
+      expect(checkImageAssets(questions, { images: { 'Assignment week 2.pdf-2': manifest.images['Assignment week 2.pdf-2'] } }, fileExists))
+        .toEqual({ errors: [], warnings: [] });
+    });
+
+    it('should report missing files and paths, and warn about ids without an entry', () => {
+      const questions = [
+        { assignmentnumber: '5', questionnumber: '9', image: 'Assignment week 5.pdf-4' },
+        { assignmentnumber: '5', questionnumber: '10', image: 'Assignment week 5.pdf-4' },
+        { assignmentnumber: '6', questionnumber: '1', image: 'images/missing.png' }
+      ];
+
+      expect(checkImageAssets(questions, manifest, fileExists)).toEqual({
+        errors: [
+          'Image "Assignment week 4.pdf-0": file not found: public/images/week-4/figure-0.svg',
+          'Image "images/missing.png" (used by question 6.1): file not found: public/images/missing.png'
+        ],
+        warnings: [
+          'Image "Assignment week 5.pdf-4" (used by questions 5.9, 5.10) has no entry in public/images/manifest.json'
+        ]
+      });
+    });
+
+    it('should report an invalid manifest', () => {
+      expect(checkImageAssets([], { images: null }, fileExists))
+        .toEqual({ errors: ['Image manifest must have an images object'], warnings: [] });
+    });
+  });
+});
@@ -0,0 +1,103 @@
+/**
+ * Unit tests for quiz keyboard shortcuts
+ * Tests which key presses are shortcuts, where, and which option a key picks
+ */
+
+import { getShortcutAction, getOptionForKey, SHORTCUT_ACTIONS } from '../keyboardShortcuts.js';
+
+// A key press on an element, as the window listener sees it
+const press = (key, target = document.body, extra = {}) => ({
+  key,
+  target,
+  defaultPrevented: false,
+  ctrlKey: false,
+  metaKey: false,
+  altKey: false,
+  ...extra
+});
+
+const actionOf = (...args) => {
+  const shortcut = getShortcutAction(press(...args));
+  return shortcut && shortcut.action;
+};
+
+describe('keyboardShortcuts', () => {
+  describe('getShortcutAction', () => {
+    it('should map navigation, skip, flag and help keys', () => {
+      expect(actionOf('Enter')).toBe(SHORTCUT_ACTIONS.NEXT);
+      expect(actionOf('ArrowRight')).toBe(SHORTCUT_ACTIONS.NEXT);
+      expect(actionOf('N')).toBe(SHORTCUT_ACTIONS.NEXT);
+      expect(actionOf('ArrowLeft')).toBe(SHORTCUT_ACTIONS.PREVIOUS);
+      expect(actionOf('p')).toBe(SHORTCUT_ACTIONS.PREVIOUS);
+      expect(actionOf('s')).toBe(SHORTCUT_ACTIONS.SKIP);
+      expect(actionOf('m')).toBe(SHORTCUT_ACTIONS.FLAG);
+      expect(actionOf('?')).toBe(SHORTCUT_ACTIONS.HELP);
+    });
+
+    it('should map other letters and numbers to picking an option', () => {
+      expect(getShortcutAction(press('b'))).toEqual({ action: SHORTCUT_ACTIONS.SELECT, key: 'b' });
+      expect(getShortcutAction(press('3'))).toEqual({ action: SHORTCUT_ACTIONS.SELECT, key: '3' });
+      expect(actionOf('Tab')).toBeNull();
+      expect(actionOf('!')).toBeNull();
+    });
+
+    it('should ignore modified and already handled key presses', () => {
+      expect(actionOf('a', document.body, { ctrlKey: true })).toBeNull();
+      expect(actionOf('a', document.body, { metaKey: true })).toBeNull();
+      expect(actionOf('Enter', document.body, { defaultPrevented: true })).toBeNull();
+    });
+
+    it('should leave typing to answer boxes, except Enter in an input', () => {
+      const input = document.createElement('input');
+      const textarea = document.createElement('textarea');
+
+      expect(actionOf('a', input)).toBeNull();
+      expect(actionOf('?', input)).toBeNull();
+      expect(actionOf('Enter', input)).toBe(SHORTCUT_ACTIONS.NEXT);
+      expect(actionOf('Enter', textarea)).toBeNull();
+    });
+
+    it('should leave Enter and Space to focused buttons and links', () => {
+      const button = document.createElement('button');
+
+      expect(actionOf('Enter', button)).toBeNull();
+      expect(actionOf(' ', document.createElement('a'))).toBeNull();
+      expect(actionOf('a', button)).toBe(SHORTCUT_ACTIONS.SELECT);
+    });
+  });
+
+  describe('getOptionForKey', () => {
+    const options = [
+      { optionnumber: 'A' },
+      { optionnumber: 'B' },
+      { optionnumber: 'C' }
+    ];
+
+    it('should pick options by letter or by place', () => {
+      expect(getOptionForKey(options, 'b')).toBe('B');
+      expect(getOptionForKey(options, 'C')).toBe('C');
+      expect(getOptionForKey(options, '1')).toBe('A');
+      expect(getOptionForKey(options, '3')).toBe('C');
+    });
+
+    it('should follow the labels of shuffled options', () => {
+      const shuffled = [{ optionnumber: 'C' }, { optionnumber: 'A' }, { optionnumber: 'B' }];
+
+      expect(getOptionForKey(shuffled, 'a')).toBe('A');
+      expect(getOptionForKey(shuffled, '1')).toBe('C');
+    });
+
+    it('should pick numbered options by their number', () => {
+      const numbered = [{ optionnumber: '2' }, { optionnumber: '1' }];
+
+      expect(getOptionForKey(numbered, '1')).toBe('1');
+      expect(getOptionForKey(numbered, 'a')).toBe('2');
+    });
+
+    it('should return null when no option matches', () => {
+      expect(getOptionForKey(options, 'd')).toBeNull();
+      expect(getOptionForKey(options, '4')).toBeNull();
+      expect(getOptionForKey(undefined, 'a')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,98 @@
+/**
+ * Unit tests for the LaTeX tokenizer
+ * Tests delimiters, escapes and prices, and every text of the real question bank
+ */
+
+import katex from 'katex';
+import bank from '../../public/data.json';
+import { tokenizeLatex, findUnclosedDelimiter, hasLatex } from '../latexTokenizer.js';
+
+// Every field of the bank LaTeXRenderer renders
+const bankTexts = bank.questions.flatMap(question => [
+  question.question,
+  question.explanation,
+  ...(question.options || []).flatMap(option => [option.optiontext, option.rationale])
+]).filter(text => typeof text === 'string');
+
+const math = (text, display = false, raw = display ? `$$${text}$$` : `$${text}$`) =>
+  ({ type: 'math', text, display, raw });
+
+describe('latexTokenizer', () => {
+  describe('tokenizeLatex', () => {
+    it('should split inline and display math from text', () => {
+      expect(tokenizeLatex('Let $x$ be $$\\sum_i x_i$$ and \\(y\\) or \\[z\\]')).toEqual([
+        { type: 'text', text: 'Let ' },
+        math('x'),
+        { type: 'text', text: ' be ' },
+        math('\\sum_i x_i', true),
+        { type: 'text', text: ' and ' },
+        math('y', false, '\\(y\\)'),
+        { type: 'text', text: ' or ' },
+        math('z', true, '\\[z\\]')
+      ]);
+    });
+
+    it('should keep multi-line math and environments together', () => {
+      const matrix = '\\begin{bmatrix} 1 & 0 \\\\\n 0 & 1 \\end{bmatrix}';
+
+      expect(tokenizeLatex(`$$A = ${matrix}$$`)).toEqual([math(`A = ${matrix}`, true)]);
+      expect(tokenizeLatex(`so ${matrix}.`)).toEqual([
+        { type: 'text', text: 'so ' },
+        math(matrix, true, matrix),
+        { type: 'text', text: '.' }
+      ]);
+    });
+
+    it('should read \\$ as a dollar sign, inside and outside math', () => {
+      expect(tokenizeLatex('It costs \\$5')).toEqual([{ type: 'text', text: 'It costs $5' }]);
+      expect(tokenizeLatex('$a \\$ b$')).toEqual([math('a \\$ b')]);
+    });
+
+    it('should leave prices as text', () => {
+      expect(tokenizeLatex('Pay $5 or $10 today')).toEqual([{ type: 'text', text: 'Pay $5 or $10 today' }]);
+      expect(tokenizeLatex('Pay $5 for $x$')).toEqual([{ type: 'text', text: 'Pay $5 for ' }, math('x')]);
+    });
+
+    it('should leave unclosed and empty delimiters as text', () => {
+      ['$x', 'a $ b $ c', '$$ $$', '\\(x'].forEach(text => {
+        expect(tokenizeLatex(text)).toEqual([{ type: 'text', text }]);
+      });
+    });
+  });
+
+  describe('findUnclosedDelimiter', () => {
+    it('should report the first delimiter left open, but not prices', () => {
+      expect(findUnclosedDelimiter('$x$ and $y')).toBe('$');
+      expect(findUnclosedDelimiter('$$x')).toBe('$$');
+      expect(findUnclosedDelimiter('see \\[x')).toBe('\\[');
+      expect(findUnclosedDelimiter('\\begin{matrix} 1')).toBe('\\begin{matrix}');
+      expect(findUnclosedDelimiter('$x$ and $y$ cost $5')).toBeNull();
+    });
+  });
+
+  describe('the question bank', () => {
+    it('should find the same math as the old $...$ split', () => {
+      bankTexts.filter(text => text.includes('$')).forEach(text => {
+        const expected = (text.match(/\$[^$]+\$/g) || []).map(part => part.slice(1, -1));
+        expect(tokenizeLatex(text).filter(token => token.type === 'math').map(token => token.text)).toEqual(expected);
+      });
+    });
+
+    it('should keep every text intact and leave no delimiter open', () => {
+      bankTexts.forEach(text => {
+        expect(tokenizeLatex(text).map(token => token.raw || token.text).join('')).toBe(text);
+        expect(findUnclosedDelimiter(text)).toBeNull();
+      });
+    });
+
+    it('should have only math KaTeX can render', () => {
+      const expressions = bankTexts.flatMap(tokenizeLatex).filter(token => token.type === 'math');
+
+      expect(expressions.length).toBeGreaterThan(0);
+      expressions.forEach(token => {
+        expect(() => katex.renderToString(token.text, { throwOnError: true, displayMode: token.display })).not.toThrow();
+      });
+      expect(bankTexts.filter(hasLatex).length).toBe(bankTexts.filter(text => text.includes('$')).length);
+    });
+  });
+});
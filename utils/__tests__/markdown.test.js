@@ -0,0 +1,174 @@
+/**
+ * Unit tests for the Markdown parser
+ * Tests blocks, inlines, how Markdown and LaTeX compose, text that must stay
+ * text, and every text of the real question bank
+ */
+
+import bank from '../../public/data.json';
+import { parseMarkdown, isSingleParagraph, splitLeadParagraph } from '../markdown.js';
+
+// Every field of the bank MarkdownRenderer renders
+const bankTexts = bank.questions.flatMap(question => [
+  question.question,
+  question.explanation,
+  ...(question.options || []).flatMap(option => [option.optiontext, option.rationale])
+]).filter(text => typeof text === 'string');
+
+const text = value => ({ type: 'text', text: value });
+const paragraph = (...children) => ({ type: 'paragraph', children });
+
+// Node types anywhere in a parsed tree
+const nodeTypes = blocks => {
+  const types = new Set();
+  const visit = node => {
+    types.add(node.type);
+    [node.children, node.items, node.header, node.rows]
+      .filter(Array.isArray)
+      .forEach(list => list.flat(2).forEach(visit));
+  };
+  blocks.forEach(visit);
+  return types;
+};
+
+describe('markdown', () => {
+  describe('parseMarkdown', () => {
+    it('should parse a single line as one paragraph', () => {
+      expect(parseMarkdown('What is overfitting?')).toEqual([paragraph(text('What is overfitting?'))]);
+    });
+
+    it('should keep single line breaks and split paragraphs on blank lines', () => {
+      expect(parseMarkdown('First line\nSecond line\n\nNext paragraph')).toEqual([
+        paragraph(text('First line'), { type: 'break' }, text('Second line')),
+        paragraph(text('Next paragraph'))
+      ]);
+    });
+
+    it('should parse strong, emphasis and inline code', () => {
+      expect(parseMarkdown('A **bold** and _slanted_ `len(x)` call')).toEqual([paragraph(
+        text('A '),
+        { type: 'strong', children: [text('bold')] },
+        text(' and '),
+        { type: 'emphasis', children: [text('slanted')] },
+        text(' '),
+        { type: 'code', text: 'len(x)' },
+        text(' call')
+      )]);
+    });
+
+    it('should parse bullet and numbered lists', () => {
+      expect(parseMarkdown('Pick one:\n- ReLU\n- tanh\n  (scaled)')).toEqual([
+        paragraph(text('Pick one:')),
+        { type: 'list', ordered: false, start: null, items: [
+          [text('ReLU')],
+          [text('tanh'), { type: 'break' }, text('(scaled)')]
+        ] }
+      ]);
+      expect(parseMarkdown('3. Fit\n4. Predict')).toEqual([
+        { type: 'list', ordered: true, start: 3, items: [[text('Fit')], [text('Predict')]] }
+      ]);
+    });
+
+    it('should parse pipe tables with alignment and escaped pipes', () => {
+      expect(parseMarkdown('| x | P(x\\|y) |\n|:--|--:|\n| 1 | $0.5$ |\n| 2 |')).toEqual([{
+        type: 'table',
+        align: ['left', 'right'],
+        header: [[text('x')], [text('P(x|y)')]],
+        rows: [
+          [[text('1')], [{ type: 'math', text: '0.5', display: false }]],
+          [[text('2')], []]
+        ]
+      }]);
+    });
+
+    it('should parse fenced code blocks with their language', () => {
+      expect(parseMarkdown('Output?\n```python\nprint("$x$ *y*")\n```\nExplain.')).toEqual([
+        paragraph(text('Output?')),
+        { type: 'code', language: 'python', text: 'print("$x$ *y*")' },
+        paragraph(text('Explain.'))
+      ]);
+      expect(parseMarkdown('~~~\nunclosed')).toEqual([{ type: 'code', language: null, text: 'unclosed' }]);
+    });
+
+    it('should read code before math and math before emphasis', () => {
+      expect(parseMarkdown('`$x$` and $a_1 * b_2 * c$')).toEqual([paragraph(
+        { type: 'code', text: '$x$' },
+        text(' and '),
+        { type: 'math', text: 'a_1 * b_2 * c', display: false }
+      )]);
+      expect(parseMarkdown('$$\\sum_i x_i$$')).toEqual([paragraph({ type: 'math', text: '\\sum_i x_i', display: true })]);
+    });
+
+    it('should leave options, blanks and arithmetic as text', () => {
+      expect(parseMarkdown('- Class')).toEqual([paragraph(text('- Class'))]);
+      expect(parseMarkdown('The ________ layer')).toEqual([paragraph(text('The ________ layer'))]);
+      expect(parseMarkdown('2*3*4 and snake_case_name')).toEqual([paragraph(text('2*3*4 and snake_case_name'))]);
+      expect(parseMarkdown('\\*not emphasis\\*')).toEqual([paragraph(text('*not emphasis*'))]);
+    });
+
+    it('should keep private-use characters, such as icon glyphs, as written', () => {
+      expect(parseMarkdown('Click \uE001 then **\uF8FF**')).toEqual([paragraph(
+        text('Click \uE001 then '),
+        { type: 'strong', children: [text('\uF8FF')] }
+      )]);
+      expect(parseMarkdown('\uE000 `a\uE000` $x\uE000$')).toEqual([paragraph(
+        text('\uE000 '),
+        { type: 'code', text: 'a\uE000' },
+        text(' '),
+        { type: 'math', text: 'x\uE000', display: false }
+      )]);
+      expect(parseMarkdown('- \uE000 one\n- two')).toEqual([
+        { type: 'list', ordered: false, start: null, items: [[text('\uE000 one')], [text('two')]] }
+      ]);
+    });
+
+    it('should leave HTML, links and images as text', () => {
+      const attacks = [
+        '<img src=x onerror=alert(1)>',
+        '<script>alert(1)</script>',
+        '[click](javascript:alert(1))',
+        '![x](javascript:alert(1))'
+      ];
+
+      attacks.forEach(attack => {
+        expect(parseMarkdown(attack)).toEqual([paragraph(text(attack))]);
+      });
+    });
+
+    it('should parse every text of the bank to paragraphs, math and its two tables', () => {
+      const types = new Set();
+      let tables = 0;
+      bankTexts.forEach(bankText => {
+        const blocks = parseMarkdown(bankText);
+        tables += blocks.filter(block => block.type === 'table').length;
+        nodeTypes(blocks).forEach(type => types.add(type));
+      });
+
+      expect(tables).toBe(2);
+      expect([...types].sort()).toEqual(['break', 'math', 'paragraph', 'table', 'text']);
+    });
+  });
+
+  describe('isSingleParagraph', () => {
+    it('should tell one paragraph from several blocks', () => {
+      expect(isSingleParagraph(parseMarkdown('One line\nand another'))).toBe(true);
+      expect(isSingleParagraph(parseMarkdown('One\n\nTwo'))).toBe(false);
+      expect(isSingleParagraph(parseMarkdown('```\ncode\n```'))).toBe(false);
+    });
+  });
+
+  describe('splitLeadParagraph', () => {
+    it('should split the first paragraph from the blocks after it', () => {
+      const { lead, rest } = splitLeadParagraph(parseMarkdown('Intro\n\n| a |\n|---|\n| 1 |'));
+
+      expect(lead).toEqual([text('Intro')]);
+      expect(rest.map(block => block.type)).toEqual(['table']);
+    });
+
+    it('should have no lead when the text starts with another block', () => {
+      const { lead, rest } = splitLeadParagraph(parseMarkdown('```\ncode\n```\nThen text'));
+
+      expect(lead).toBeNull();
+      expect(rest.map(block => block.type)).toEqual(['code', 'paragraph']);
+    });
+  });
+});
@@ -9,8 +9,14 @@ import {
   VALID_MODES,
   isValidAssignment,
   isValidMode,
+  isValidReviewScope,
+  isValidQuestionSetMode,
+  parseQuestionKeys,
+  buildSeededUrl,
+  resolveUrlSeed,
   validateQuizParams,
   getModeDisplayName,
+  getAssignmentDisplayName,
   getBreadcrumbs,
   validateCurrentRoute
 } from '../navigationUtils';
@@ -21,6 +27,20 @@ describe('navigationUtils', () => {
       expect(ROUTES.HOME).toBe('/');
       expect(ROUTES.ASSIGNMENT(1)).toBe('/assignment/1');
       expect(ROUTES.QUIZ(1, 'learn')).toBe('/quiz/1/learn');
+      expect(ROUTES.REVIEW()).toBe('/quiz/review/all');
+      expect(ROUTES.REVIEW(3)).toBe('/quiz/review/3');
+      expect(ROUTES.QUESTION_SET('test-easy', ['1-3', '2-5'])).toBe('/quiz/set/test-easy?q=1-3,2-5');
+      expect(ROUTES.CUSTOM_QUIZ()).toBe('/quiz/custom');
+    });
+
+    test('course routes should be prefixed only for a course id', () => {
+      expect(ROUTES.COURSE('dl')).toBe('/c/dl');
+      expect(ROUTES.ASSIGNMENT(2, 'dl')).toBe('/c/dl/assignment/2');
+      expect(ROUTES.QUIZ(2, 'exam', 'dl')).toBe('/c/dl/quiz/2/exam');
+      expect(ROUTES.QUIZ(2, 'exam', null)).toBe('/quiz/2/exam');
+      expect(ROUTES.QUESTION_SET('learn', ['1-3'], 'dl')).toBe('/c/dl/quiz/set/learn?q=1-3');
+      expect(ROUTES.QUESTION_SET('learn', ['1-3'], null)).toBe('/quiz/set/learn?q=1-3');
+      expect(ROUTES.CUSTOM_QUIZ('weeks=1&seed=a1')).toBe('/quiz/custom?weeks=1&seed=a1');
     });
 
     test('VALID_ASSIGNMENTS should contain correct assignment numbers', () => {
@@ -28,7 +48,7 @@ describe('navigationUtils', () => {
     });
 
     test('VALID_MODES should contain correct mode identifiers', () => {
-      expect(VALID_MODES).toEqual(['learn', 'test-easy', 'test-difficult']);
+      expect(VALID_MODES).toEqual(['learn', 'test-easy', 'test-difficult', 'exam', 'review']);
     });
   });
 
@@ -39,6 +59,22 @@ describe('navigationUtils', () => {
       expect(isValidAssignment(7)).toBe(true);
     });
 
+    test('should validate against the assignments of a course', () => {
+      const weeks = Array.from({ length: 12 }, (_, i) => i + 1);
+      expect(isValidAssignment(12, weeks)).toBe(true);
+      expect(isValidAssignment(13, weeks)).toBe(false);
+      expect(validateQuizParams(13, 'learn', weeks).errors).toEqual(['Assignment must be one of 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11 or 12']);
+    });
+
+    test('should list released assignments that are not 1 to N', () => {
+      expect(validateQuizParams(2, 'learn', [7, 1, 3]).errors).toEqual(['Assignment must be one of 1, 3 or 7']);
+      expect(validateQuizParams(2, 'learn', [3]).errors).toEqual(['Assignment must be 3']);
+    });
+
+    test('should say when no assignment has been released', () => {
+      expect(validateQuizParams(1, 'learn', []).errors).toEqual(['No assignments have been released yet']);
+    });
+
     test('should reject invalid assignment numbers', () => {
       expect(isValidAssignment(0)).toBe(false);
       expect(isValidAssignment(8)).toBe(false);
@@ -53,6 +89,8 @@ describe('navigationUtils', () => {
       expect(isValidMode('learn')).toBe(true);
       expect(isValidMode('test-easy')).toBe(true);
       expect(isValidMode('test-difficult')).toBe(true);
+      expect(isValidMode('exam')).toBe(true);
+      expect(isValidMode('review')).toBe(true);
     });
 
     test('should reject invalid modes', () => {
@@ -64,6 +102,69 @@ describe('navigationUtils', () => {
     });
   });
 
+  describe('isValidReviewScope', () => {
+    test('should accept all and valid assignment numbers', () => {
+      expect(isValidReviewScope('all')).toBe(true);
+      expect(isValidReviewScope('3')).toBe(true);
+    });
+
+    test('should reject unknown scopes', () => {
+      expect(isValidReviewScope('everything')).toBe(false);
+      expect(isValidReviewScope('0')).toBe(false);
+      expect(isValidReviewScope(undefined)).toBe(false);
+    });
+  });
+
+  describe('isValidQuestionSetMode', () => {
+    test('should accept every mode except review', () => {
+      expect(isValidQuestionSetMode('learn')).toBe(true);
+      expect(isValidQuestionSetMode('exam')).toBe(true);
+      expect(isValidQuestionSetMode('review')).toBe(false);
+      expect(isValidQuestionSetMode('practice')).toBe(false);
+    });
+  });
+
+  describe('parseQuestionKeys', () => {
+    test('should keep unique well-formed keys in order', () => {
+      expect(parseQuestionKeys('2-5, 1-3,2-5,bad,3-')).toEqual(['2-5', '1-3']);
+    });
+
+    test('should return empty array for missing input', () => {
+      expect(parseQuestionKeys(null)).toEqual([]);
+      expect(parseQuestionKeys('')).toEqual([]);
+    });
+  });
+
+  describe('shuffle seeds in URLs', () => {
+    afterEach(() => {
+      window.history.replaceState(null, '', '/');
+    });
+
+    test('buildSeededUrl should set the seed and keep other parameters', () => {
+      expect(buildSeededUrl('http://localhost/quiz/1/test-difficult', 'abc123'))
+        .toBe('http://localhost/quiz/1/test-difficult?seed=abc123');
+      expect(buildSeededUrl('http://localhost/quiz/1/test-difficult?resume=1&seed=old', 'abc123'))
+        .toBe('http://localhost/quiz/1/test-difficult?resume=1&seed=abc123');
+    });
+
+    test('resolveUrlSeed should use the seed already in the URL', () => {
+      window.history.replaceState(null, '', '/quiz/1/test-difficult?seed=abc123');
+
+      expect(resolveUrlSeed()).toBe('abc123');
+      expect(window.location.search).toBe('?seed=abc123');
+    });
+
+    test('resolveUrlSeed should add a new seed when it is missing or malformed', () => {
+      window.history.replaceState(null, '', '/quiz/1/test-difficult?seed=not-valid!');
+
+      const seed = resolveUrlSeed();
+
+      expect(seed).toMatch(/^[a-z0-9]+$/);
+      expect(window.location.pathname).toBe('/quiz/1/test-difficult');
+      expect(new URLSearchParams(window.location.search).get('seed')).toBe(seed);
+    });
+  });
+
   describe('validateQuizParams', () => {
     test('should validate correct quiz parameters', () => {
       const result = validateQuizParams(1, 'learn');
@@ -74,13 +175,13 @@ describe('navigationUtils', () => {
     test('should reject invalid assignment', () => {
       const result = validateQuizParams(8, 'learn');
       expect(result.isValid).toBe(false);
-      expect(result.errors).toContain('Assignment must be between 1 and 7');
+      expect(result.errors).toContain('Assignment must be one of 1, 2, 3, 4, 5, 6 or 7');
     });
 
     test('should reject invalid mode', () => {
       const result = validateQuizParams(1, 'invalid');
       expect(result.isValid).toBe(false);
-      expect(result.errors).toContain('Mode must be learn, test-easy, or test-difficult');
+      expect(result.errors).toContain('Mode must be learn, test-easy, test-difficult, exam, or review');
     });
 
     test('should reject both invalid assignment and mode', () => {
@@ -95,6 +196,8 @@ describe('navigationUtils', () => {
       expect(getModeDisplayName('learn')).toBe('Learn Mode');
       expect(getModeDisplayName('test-easy')).toBe('Test Easy');
       expect(getModeDisplayName('test-difficult')).toBe('Test Difficult');
+      expect(getModeDisplayName('exam')).toBe('Exam Mode');
+      expect(getModeDisplayName('review')).toBe('Review Mode');
     });
 
     test('should return original value for invalid modes', () => {
@@ -103,6 +206,16 @@ describe('navigationUtils', () => {
     });
   });
 
+  describe('getAssignmentDisplayName', () => {
+    test('should name numbered and cross-assignment quizzes', () => {
+      expect(getAssignmentDisplayName('3')).toBe('Assignment 3');
+      expect(getAssignmentDisplayName('mega')).toBe('Mega Test');
+      expect(getAssignmentDisplayName('review')).toBe('Review Session');
+      expect(getAssignmentDisplayName('retry')).toBe('Retry Mistakes');
+      expect(getAssignmentDisplayName('custom')).toBe('Custom Quiz');
+    });
+  });
+
   describe('getBreadcrumbs', () => {
     test('should return home breadcrumb for root path', () => {
       const breadcrumbs = getBreadcrumbs('/');
@@ -154,7 +267,7 @@ describe('navigationUtils', () => {
     test('should reject quiz route with invalid params', () => {
       const result = validateCurrentRoute('/quiz/8/invalid', { assignment: '8', mode: 'invalid' });
       expect(result.isValid).toBe(false);
-      expect(result.error).toContain('Assignment must be between 1 and 7');
+      expect(result.error).toContain('Assignment must be one of 1, 2, 3, 4, 5, 6 or 7');
     });
 
     test('should reject unknown routes', () => {
@@ -0,0 +1,183 @@
+/**
+ * Unit tests for question editor utilities
+ * Tests question and option edits, inline validation and the saved bank file
+ */
+
+import {
+  getNextQuestionNumber,
+  createQuestion,
+  duplicateQuestion,
+  addOption,
+  removeOption,
+  moveOption,
+  updateOption,
+  toBankQuestion,
+  validateEditedQuestions,
+  parseBankFile,
+  serializeBank,
+  changeQuestionType,
+  MAX_OPTIONS
+} from '../questionEditor.js';
+
+describe('questionEditor', () => {
+  const makeQuestion = (assignment, number, overrides = {}) => ({
+    assignmentnumber: String(assignment),
+    questionnumber: String(number),
+    question: `Question ${assignment}.${number}`,
+    image: '',
+    options: [
+      { optionnumber: 'A', optiontext: 'Yes', iscorrect: true },
+      { optionnumber: 'B', optiontext: 'No', iscorrect: false }
+    ],
+    ...overrides
+  });
+
+  const questions = [makeQuestion(1, 1), makeQuestion(1, 4), makeQuestion(2, 1)];
+
+  describe('creating questions', () => {
+    it('should number new questions after the last one of their assignment', () => {
+      expect(getNextQuestionNumber(questions, 1)).toBe('5');
+      expect(getNextQuestionNumber(questions, '3')).toBe('1');
+    });
+
+    it('should create a blank question with a correct first option', () => {
+      expect(createQuestion(questions, 2)).toEqual({
+        assignmentnumber: '2',
+        questionnumber: '2',
+        question: '',
+        image: '',
+        options: [
+          { optionnumber: 'A', optiontext: '', iscorrect: true },
+          { optionnumber: 'B', optiontext: '', iscorrect: false }
+        ]
+      });
+    });
+
+    it('should duplicate a question without sharing its options', () => {
+      const copy = duplicateQuestion(questions, questions[0]);
+
+      expect(copy.questionnumber).toBe('5');
+      expect(copy.options).toEqual(questions[0].options);
+      expect(copy.options).not.toBe(questions[0].options);
+    });
+  });
+
+  describe('editing options', () => {
+    const question = makeQuestion(1, 1);
+
+    it('should keep option numbers in order as options are added, moved and removed', () => {
+      const added = addOption(question);
+      expect(added.options.map(o => o.optionnumber)).toEqual(['A', 'B', 'C']);
+
+      const moved = moveOption(updateOption(added, 2, { optiontext: 'Maybe' }), 2, -1);
+      expect(moved.options.map(o => `${o.optionnumber}:${o.optiontext}`)).toEqual(['A:Yes', 'B:Maybe', 'C:No']);
+
+      const removed = removeOption(moved, 0);
+      expect(removed.options.map(o => `${o.optionnumber}:${o.optiontext}`)).toEqual(['A:Maybe', 'B:No']);
+    });
+
+    it('should toggle correct answers', () => {
+      const updated = updateOption(question, 1, { iscorrect: true });
+
+      expect(updated.options.map(o => o.iscorrect)).toEqual([true, true]);
+      expect(question.options[1].iscorrect).toBe(false);
+    });
+
+    it('should stop at the maximum number of options and at the ends of the list', () => {
+      let full = question;
+      for (let i = 0; i < MAX_OPTIONS + 2; i++) full = addOption(full);
+
+      expect(full.options).toHaveLength(MAX_OPTIONS);
+      expect(moveOption(question, 0, -1)).toBe(question);
+    });
+  });
+
+  describe('validation', () => {
+    it('should drop empty optional fields before validating', () => {
+      const question = makeQuestion(1, 1, { explanation: ' ', imageAlt: '', imageDescription: '\n' });
+      question.options[0].rationale = '';
+
+      expect(toBankQuestion(question)).toEqual(makeQuestion(1, 1));
+      expect(validateEditedQuestions([question])).toEqual([[]]);
+    });
+
+    it('should report the loader rules and duplicate numbers per question', () => {
+      const errors = validateEditedQuestions([
+        makeQuestion(1, 1),
+        makeQuestion(1, 1),
+        makeQuestion(1, 2, { question: '' })
+      ]);
+
+      expect(errors[0]).toEqual([]);
+      expect(errors[1]).toEqual(['Question 1.1 is used twice']);
+      expect(errors[2]).toContain('Missing or invalid question field');
+    });
+  });
+
+  describe('question types', () => {
+    it('should carry options between multiple-choice and ordering questions', () => {
+      const ordering = changeQuestionType(makeQuestion(1, 1, { explanation: 'Why' }), 'ordering');
+
+      expect(ordering.type).toBe('ordering');
+      expect(ordering.explanation).toBe('Why');
+      expect(ordering.options).toEqual([
+        { optionnumber: 'A', optiontext: 'Yes' },
+        { optionnumber: 'B', optiontext: 'No' }
+      ]);
+      expect(addOption(ordering).options[2]).toEqual({ optionnumber: 'C', optiontext: '' });
+
+      const choice = changeQuestionType(ordering, 'multiple-choice');
+      expect(choice).not.toHaveProperty('type');
+      expect(choice.options.map(option => option.iscorrect)).toEqual([true, false]);
+    });
+
+    it('should start typed-answer questions with a blank answer and no options', () => {
+      expect(changeQuestionType(makeQuestion(1, 1), 'numeric')).toEqual({
+        assignmentnumber: '1',
+        questionnumber: '1',
+        question: 'Question 1.1',
+        image: '',
+        type: 'numeric',
+        answer: { value: '', tolerance: '' }
+      });
+      expect(changeQuestionType(makeQuestion(1, 1), 'short-text').answer).toEqual({ accepted: [''] });
+    });
+
+    it('should save typed numbers as numbers and drop blank answer fields', () => {
+      const numeric = { ...changeQuestionType(makeQuestion(1, 1), 'numeric'), answer: { value: '0.97', tolerance: '' } };
+      const text = {
+        ...changeQuestionType(makeQuestion(1, 2), 'short-text'),
+        answer: { accepted: ['GD', ''], pattern: ' ', caseSensitive: false }
+      };
+
+      expect(toBankQuestion(numeric).answer).toEqual({ value: 0.97 });
+      expect(toBankQuestion(text).answer).toEqual({ accepted: ['GD'] });
+      expect(validateEditedQuestions([numeric, text])).toEqual([[], []]);
+      expect(validateEditedQuestions([{ ...numeric, answer: { value: 'abc' } }])[0])
+        .toEqual(['Answer value must be a number']);
+    });
+  });
+
+  describe('bank files', () => {
+    it('should read both bank formats', () => {
+      expect(parseBankFile(JSON.stringify([makeQuestion(1, 1)])).questions).toHaveLength(1);
+      expect(parseBankFile(JSON.stringify({ assignments: [{ number: 1 }], questions: [] })))
+        .toEqual({ bank: { assignments: [{ number: 1 }] }, questions: [] });
+      expect(() => parseBankFile('{}')).toThrow(/questions array/);
+    });
+
+    it('should keep the bank metadata and order questions by assignment and number', () => {
+      const text = serializeBank(
+        { $schema: './question-bank.schema.json', assignments: [{ number: 1 }] },
+        [makeQuestion(2, 1), makeQuestion(1, 10), makeQuestion(1, 2, { explanation: '' })]
+      );
+      const saved = JSON.parse(text);
+
+      expect(saved.$schema).toBe('./question-bank.schema.json');
+      expect(saved.assignments).toEqual([{ number: 1 }]);
+      expect(saved.questions.map(q => `${q.assignmentnumber}.${q.questionnumber}`)).toEqual(['1.2', '1.10', '2.1']);
+      expect(saved.questions[0]).not.toHaveProperty('explanation');
+      expect(text).toMatch(/^\{\n {4}"\$schema"/);
+    });
+  });
+});
@@ -0,0 +1,96 @@
+/**
+ * Unit tests for question types
+ * Tests how typed numbers and short-text answers are read and checked
+ */
+
+import {
+  QUESTION_TYPES,
+  getQuestionType,
+  isTypedAnswerQuestion,
+  parseNumber,
+  getNumericRange,
+  isNumericAnswerCorrect,
+  formatNumericAnswer,
+  isTextAnswerCorrect
+} from '../questionTypes.js';
+
+describe('questionTypes', () => {
+  describe('getQuestionType', () => {
+    it('should treat questions without a type as multiple choice', () => {
+      expect(getQuestionType({ question: 'q', options: [] })).toBe(QUESTION_TYPES.MULTIPLE_CHOICE);
+      expect(getQuestionType({ type: 'numeric' })).toBe(QUESTION_TYPES.NUMERIC);
+    });
+
+    it('should know which types are answered by typing', () => {
+      expect(isTypedAnswerQuestion({ type: 'numeric' })).toBe(true);
+      expect(isTypedAnswerQuestion({ type: 'short-text' })).toBe(true);
+      expect(isTypedAnswerQuestion({ type: 'ordering' })).toBe(false);
+      expect(isTypedAnswerQuestion({})).toBe(false);
+    });
+  });
+
+  describe('numeric answers', () => {
+    it('should read plain and scientific numbers', () => {
+      expect(parseNumber(' -0.97 ')).toBe(-0.97);
+      expect(parseNumber('.25')).toBe(0.25);
+      expect(parseNumber('1.2e-3')).toBe(0.0012);
+      expect(parseNumber('−2')).toBe(-2);
+      expect(parseNumber('1 000')).toBe(1000);
+    });
+
+    it('should not read text, fractions or empty answers as numbers', () => {
+      ['', 'abc', '3/4', '0x10', '1,5', 'Infinity'].forEach(text => {
+        expect(parseNumber(text)).toBeNaN();
+      });
+    });
+
+    it('should accept answers within the tolerance', () => {
+      const answer = { value: 0.971, tolerance: 0.01 };
+      expect(isNumericAnswerCorrect('0.971', answer)).toBe(true);
+      expect(isNumericAnswerCorrect('0.961', answer)).toBe(true);
+      expect(isNumericAnswerCorrect('0.981', answer)).toBe(true);
+      expect(isNumericAnswerCorrect('0.96', answer)).toBe(false);
+      expect(isNumericAnswerCorrect('about 0.97', answer)).toBe(false);
+    });
+
+    it('should require the exact value without a tolerance, despite floating point noise', () => {
+      expect(isNumericAnswerCorrect('0.3', { value: 0.1 + 0.2 })).toBe(true);
+      expect(isNumericAnswerCorrect('0.31', { value: 0.3 })).toBe(false);
+      expect(getNumericRange({ value: 0.3, tolerance: 0.1 })).toEqual({ min: 0.2, max: 0.4 });
+    });
+
+    it('should accept answers within a range, ends included', () => {
+      const answer = { min: 2, max: 3 };
+      expect(isNumericAnswerCorrect('2', answer)).toBe(true);
+      expect(isNumericAnswerCorrect('3.0', answer)).toBe(true);
+      expect(isNumericAnswerCorrect('3.01', answer)).toBe(false);
+    });
+
+    it('should format the accepted answer', () => {
+      expect(formatNumericAnswer({ value: 0.97, tolerance: 0.01 })).toBe('0.97 ± 0.01');
+      expect(formatNumericAnswer({ value: 4 })).toBe('4');
+      expect(formatNumericAnswer({ min: 2, max: 3 })).toBe('2 to 3');
+    });
+  });
+
+  describe('short-text answers', () => {
+    it('should ignore case and extra whitespace unless case matters', () => {
+      const answer = { accepted: ['Gradient descent', 'GD'] };
+      expect(isTextAnswerCorrect('  gradient   DESCENT ', answer)).toBe(true);
+      expect(isTextAnswerCorrect('gd', answer)).toBe(true);
+      expect(isTextAnswerCorrect('gd', { ...answer, caseSensitive: true })).toBe(false);
+      expect(isTextAnswerCorrect('GD', { ...answer, caseSensitive: true })).toBe(true);
+      expect(isTextAnswerCorrect('', answer)).toBe(false);
+    });
+
+    it('should match a pattern against the whole answer', () => {
+      const answer = { accepted: ['gradient descent'], pattern: 'grad(ient)? desc(ent)?' };
+      expect(isTextAnswerCorrect('Grad desc', answer)).toBe(true);
+      expect(isTextAnswerCorrect('stochastic gradient descent', answer)).toBe(false);
+    });
+
+    it('should let an invalid pattern match nothing', () => {
+      expect(isTextAnswerCorrect('a', { accepted: ['b'], pattern: '(' })).toBe(false);
+    });
+  });
+});
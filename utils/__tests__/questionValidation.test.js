@@ -0,0 +1,252 @@
+/**
+ * Unit tests for question bank validation
+ * Tests required fields, the optional explanation, rationale and reference fields,
+ * the answers of each question type, the assignments metadata block and LaTeX macros
+ */
+
+import {
+  validateQuestion,
+  validateQuestionsData,
+  validateAssignmentMetadata,
+  validateAssignmentsBlock,
+  validateLatexMacros
+} from '../questionValidation.js';
+
+describe('questionValidation', () => {
+  const baseQuestion = {
+    assignmentnumber: "1",
+    questionnumber: "1",
+    question: "What is $w^T x$?",
+    image: "",
+    options: [
+      { optionnumber: "A", optiontext: "A dot product", iscorrect: true },
+      { optionnumber: "B", optiontext: "A matrix", iscorrect: false }
+    ]
+  };
+
+  describe('validateQuestion', () => {
+    it('should accept a question without the optional fields', () => {
+      expect(validateQuestion(baseQuestion)).toEqual({ isValid: true, errors: [] });
+    });
+
+    it('should accept explanations, rationales and references', () => {
+      const question = {
+        ...baseQuestion,
+        explanation: "$w^T x = \\sum_i w_i x_i$ is a scalar.",
+        options: [
+          { ...baseQuestion.options[0], rationale: "It sums element-wise products." },
+          { ...baseQuestion.options[1], rationale: "The result has no dimensions." }
+        ],
+        references: [
+          { lecture: "Linear Regression", week: 1, timestamp: "12:30" },
+          { url: "https://example.com/lecture-2", week: "2", timestamp: "1:02:03" }
+        ]
+      };
+
+      expect(validateQuestion(question)).toEqual({ isValid: true, errors: [] });
+    });
+
+    it('should reject an empty explanation and rationale', () => {
+      const question = {
+        ...baseQuestion,
+        explanation: "  ",
+        options: [{ ...baseQuestion.options[0], rationale: 42 }, baseQuestion.options[1]]
+      };
+
+      const result = validateQuestion(question);
+
+      expect(result.isValid).toBe(false);
+      expect(result.errors).toEqual([
+        'Explanation must be a non-empty string',
+        'Option 1 rationale must be a non-empty string'
+      ]);
+    });
+
+    it('should accept image alt text and descriptions, and reject empty ones', () => {
+      const described = {
+        ...baseQuestion,
+        image: "Assignment week 2.pdf-2",
+        imageAlt: "Scatter plot of age against glucose",
+        imageDescription: "| Age | Glucose |\n|---|---|\n| 43 | 99 |"
+      };
+
+      expect(validateQuestion(described)).toEqual({ isValid: true, errors: [] });
+      expect(validateQuestion({ ...described, imageAlt: "", imageDescription: ["text"] }).errors).toEqual([
+        'Image alt text must be a non-empty string',
+        'Image description must be a non-empty string'
+      ]);
+    });
+
+    it('should reject malformed references', () => {
+      const question = {
+        ...baseQuestion,
+        references: [
+          { week: 0, timestamp: "noon" },
+          { lecture: "Lecture 3", url: "ftp://example.com" },
+          "Lecture 4"
+        ]
+      };
+
+      const result = validateQuestion(question);
+
+      expect(result.isValid).toBe(false);
+      expect(result.errors).toEqual([
+        'Reference 1 must have a lecture or a url',
+        'Reference 1 week must be a positive integer',
+        'Reference 1 timestamp must look like mm:ss or hh:mm:ss',
+        'Reference 2 url must be an http(s) URL',
+        'Reference 3 must be an object'
+      ]);
+    });
+
+    it('should reject references that are not a list', () => {
+      const result = validateQuestion({ ...baseQuestion, references: { lecture: "Lecture 1" } });
+
+      expect(result.errors).toContain('References must be an array');
+    });
+  });
+
+  describe('question types', () => {
+    const typedQuestion = { assignmentnumber: "1", questionnumber: "2", question: "Entropy of a fair coin, in bits?" };
+
+    it('should accept numeric, short-text and ordering questions', () => {
+      [
+        { ...typedQuestion, type: "numeric", answer: { value: 1, tolerance: 0.01 } },
+        { ...typedQuestion, type: "numeric", answer: { min: 0.9, max: 1.1 } },
+        { ...typedQuestion, type: "short-text", answer: { accepted: ["one bit"], pattern: "1 ?bits?", caseSensitive: false } },
+        {
+          ...typedQuestion,
+          type: "ordering",
+          options: [
+            { optionnumber: "A", optiontext: "Collect data" },
+            { optionnumber: "B", optiontext: "Train", rationale: "Only once the data is in." }
+          ]
+        },
+        { ...baseQuestion, type: "multiple-choice" }
+      ].forEach(question => {
+        expect(validateQuestion(question)).toEqual({ isValid: true, errors: [] });
+      });
+    });
+
+    it('should reject unknown types', () => {
+      expect(validateQuestion({ ...baseQuestion, type: "essay" }).errors).toEqual(['Unknown question type: essay']);
+    });
+
+    it('should check numeric answers', () => {
+      const errorsFor = answer => validateQuestion({ ...typedQuestion, type: "numeric", answer }).errors;
+
+      expect(errorsFor(undefined)).toEqual(['Numeric questions need an answer object']);
+      expect(errorsFor({ value: "1", tolerance: -1 })).toEqual([
+        'Answer value must be a number',
+        'Answer tolerance must be a non-negative number'
+      ]);
+      expect(errorsFor({ value: 1, min: 0 })).toEqual(['Answer needs a value or a min and max, not both']);
+      expect(errorsFor({ min: 0 })).toEqual(['Answer needs a value, or a min and a max']);
+      expect(errorsFor({ min: 2, max: 1 })).toEqual(['Answer min cannot be greater than max']);
+      expect(validateQuestion({ ...typedQuestion, type: "numeric", answer: { value: 1 }, options: [] }).errors)
+        .toEqual(['Questions of type numeric cannot have options']);
+    });
+
+    it('should check short-text answers', () => {
+      const errorsFor = answer => validateQuestion({ ...typedQuestion, type: "short-text", answer }).errors;
+
+      expect(errorsFor({ accepted: [] })).toEqual(['Answer accepted must be a list of non-empty strings']);
+      expect(errorsFor({ accepted: ["ok", " "], pattern: "(", caseSensitive: "yes" })).toEqual([
+        'Answer accepted must be a list of non-empty strings',
+        'Answer pattern must be a valid regular expression',
+        'Answer caseSensitive must be a boolean'
+      ]);
+    });
+
+    it('should check ordering options', () => {
+      const question = {
+        ...typedQuestion,
+        type: "ordering",
+        options: [{ optionnumber: "A", optiontext: "Only step", iscorrect: true }]
+      };
+
+      expect(validateQuestion(question).errors).toEqual([
+        'Ordering questions need at least two options',
+        'Option 1 iscorrect is not used by ordering questions'
+      ]);
+      expect(validateQuestion({ ...question, type: undefined, answer: { value: 1 } }).errors)
+        .toEqual(['Answer is only used by numeric and short-text questions']);
+    });
+  });
+
+  describe('validateQuestionsData', () => {
+    it('should split valid and invalid questions', () => {
+      const result = validateQuestionsData([baseQuestion, { ...baseQuestion, options: [] }]);
+
+      expect(result.validQuestions).toEqual([baseQuestion]);
+      expect(result.invalidQuestions.map(q => q.index)).toEqual([1]);
+      expect(result.errors).toEqual(['Question 2: Question must have at least one option']);
+    });
+  });
+
+  describe('validateAssignmentMetadata', () => {
+    it('should accept complete and minimal entries', () => {
+      expect(validateAssignmentMetadata({ number: 1, title: 'Basics', description: 'Where it starts', tags: ['intro'] })).toEqual({ isValid: true, errors: [] });
+      expect(validateAssignmentMetadata({ number: 4 }).isValid).toBe(true);
+    });
+
+    it('should report every invalid field', () => {
+      const result = validateAssignmentMetadata({
+        number: 0,
+        title: '',
+        tags: ['ok', ''],
+        releaseDate: '10/03/2025',
+        timeLimitMinutes: -5
+      });
+
+      expect(result.errors).toEqual([
+        'number must be a positive integer',
+        'title must be a non-empty string',
+        'tags must be a list of non-empty strings',
+        'releaseDate must be a date like 2025-01-31',
+        'timeLimitMinutes must be a positive number'
+      ]);
+    });
+
+    it('should accept scoring rules for every mode and per mode', () => {
+      expect(validateAssignmentMetadata({
+        number: 2,
+        scoring: { policy: 'partial-credit', passPercentage: 60, modes: { exam: { policy: 'negative-marking', negativeMark: 0.5 } } }
+      })).toEqual({ isValid: true, errors: [] });
+    });
+
+    it('should report invalid scoring rules', () => {
+      expect(validateAssignmentMetadata({ number: 2, scoring: 'strict' }).errors).toEqual(['scoring must be an object']);
+      expect(validateAssignmentMetadata({
+        number: 2,
+        scoring: { policy: 'lenient', passPercentage: 120, modes: { exam: { negativeMark: -1 }, quiz: {} } }
+      }).errors).toEqual([
+        'scoring.policy must be one of all-or-nothing, partial-credit, negative-marking',
+        'scoring.passPercentage must be a number from 0 to 100',
+        'scoring.modes.exam.negativeMark must be a number from 0 to 1',
+        'scoring.modes has an unknown mode "quiz"'
+      ]);
+    });
+
+    it('should reject duplicate assignment numbers', () => {
+      expect(validateAssignmentsBlock([{ number: 2 }, { number: 2 }]).errors)
+        .toEqual(['Duplicate assignment numbers: 2']);
+      expect(validateAssignmentsBlock('1-8').isValid).toBe(false);
+    });
+  });
+
+  describe('validateLatexMacros', () => {
+    it('should accept macros named like LaTeX commands', () => {
+      expect(validateLatexMacros({ '\\vect': '\\mathbf{#1}', '\\,': '\\;' })).toEqual({ isValid: true, errors: [] });
+      expect(validateLatexMacros({}).isValid).toBe(true);
+    });
+
+    it('should reject bad names, empty definitions and anything but an object', () => {
+      expect(validateLatexMacros({ vect: '\\mathbf{#1}', '\\R': '' }).errors).toEqual([
+        'LaTeX macro vect must be named like \\R: a backslash and a command name',
+        'LaTeX macro \\R must be defined by a non-empty string'
+      ]);
+      expect(validateLatexMacros(['\\R']).errors).toEqual(['latexMacros must be an object of macro definitions']);
+    });
+  });
+});
@@ -0,0 +1,229 @@
+/**
+ * Unit tests for quiz state logic
+ * Tests exam mode navigation and timing, and saving/restoring in-progress quizzes
+ */
+
+import {
+  createInitialQuizState,
+  updateQuizStateWithAnswer,
+  navigateToNextQuestion,
+  navigateToQuestion,
+  toggleQuestionFlag,
+  toggleOptionSelection,
+  submitQuiz,
+  getRemainingTime,
+  getExamTimeLimit,
+  EXAM_TIME_LIMITS,
+  serializeQuizState,
+  restoreQuizState,
+  isSnapshotCompatible,
+  getSavedQuizSummary
+} from '../quizLogic.js';
+import { getScoringRules } from '../scoringUtils.js';
+
+describe('quizLogic', () => {
+  const questions = [
+    {
+      assignmentnumber: "1",
+      questionnumber: "1",
+      question: "What is machine learning?",
+      options: [
+        { optionnumber: "B", optiontext: "Option B", iscorrect: false },
+        { optionnumber: "A", optiontext: "Option A", iscorrect: true }
+      ]
+    },
+    {
+      assignmentnumber: "1",
+      questionnumber: "2",
+      question: "What is deep learning?",
+      options: [
+        { optionnumber: "A", optiontext: "Option A", iscorrect: false },
+        { optionnumber: "B", optiontext: "Option B", iscorrect: true }
+      ]
+    }
+  ];
+
+  const start = new Date('2025-01-01T10:00:00Z');
+
+  const buildInProgressState = () => {
+    let state = createInitialQuizState(questions, '1', 'test-difficult');
+    state = { ...state, startTime: start };
+    state = updateQuizStateWithAnswer(state, 0, ['A']);
+    return navigateToNextQuestion(state);
+  };
+
+  describe('exam mode', () => {
+    const buildExamState = () => ({
+      ...createInitialQuizState(questions, '1', 'exam'),
+      startTime: start
+    });
+
+    it('should give exams a time limit and no feedback', () => {
+      const state = buildExamState();
+
+      expect(state.timeLimit).toBe(getExamTimeLimit('1'));
+      expect(state.showFeedback).toBe(false);
+      expect(state.flaggedQuestions).toEqual([]);
+      expect(createInitialQuizState(questions, '1', 'test-easy').timeLimit).toBeNull();
+    });
+
+    it('should use the time limit from the assignment metadata', () => {
+      expect(createInitialQuizState(questions, '1', 'exam', null, null, 45 * 60).timeLimit).toBe(45 * 60);
+      expect(createInitialQuizState(questions, '1', 'learn', null, null, 45 * 60).timeLimit).toBeNull();
+    });
+
+    it('should fall back to the default time limit', () => {
+      expect(getExamTimeLimit('999')).toBe(EXAM_TIME_LIMITS.default);
+    });
+
+    it('should count down and never go negative', () => {
+      const state = buildExamState();
+
+      expect(getRemainingTime(state, new Date(start.getTime() + 90 * 1000))).toBe(state.timeLimit - 90);
+      expect(getRemainingTime(state, new Date(start.getTime() + (state.timeLimit + 5) * 1000))).toBe(0);
+      expect(getRemainingTime({ ...state, timeLimit: null }, start)).toBeNull();
+    });
+
+    it('should jump to any question within range', () => {
+      const state = buildExamState();
+
+      expect(navigateToQuestion(state, 1).currentQuestionIndex).toBe(1);
+      expect(navigateToQuestion(state, 10).currentQuestionIndex).toBe(1);
+      expect(navigateToQuestion(state, -3).currentQuestionIndex).toBe(0);
+      expect(navigateToQuestion(state, 1).showFeedback).toBe(false);
+    });
+
+    it('should toggle question flags', () => {
+      let state = toggleQuestionFlag(buildExamState(), 1);
+      state = toggleQuestionFlag(state, 0);
+      expect(state.flaggedQuestions).toEqual([0, 1]);
+
+      state = toggleQuestionFlag(state, 1);
+      expect(state.flaggedQuestions).toEqual([0]);
+    });
+
+    it('should complete the quiz on submit', () => {
+      const endTime = new Date('2025-01-01T10:20:00Z');
+      const state = submitQuiz(buildExamState(), endTime);
+
+      expect(state.isComplete).toBe(true);
+      expect(state.endTime).toBe(endTime);
+      expect(state.showFeedback).toBe(false);
+    });
+
+    it('should keep the exam clock running across a resume', () => {
+      const snapshot = JSON.parse(JSON.stringify(
+        serializeQuizState(toggleQuestionFlag(buildExamState(), 1), new Date('2025-01-01T10:05:00Z'))
+      ));
+
+      const restored = restoreQuizState(snapshot, new Date('2025-01-01T10:15:00Z'));
+
+      expect(restored.startTime).toEqual(start);
+      expect(restored.timeLimit).toBe(getExamTimeLimit('1'));
+      expect(restored.flaggedQuestions).toEqual([1]);
+    });
+
+    it('should score exams with the mode scoring rules, also after a resume', () => {
+      const state = buildExamState();
+      const restored = restoreQuizState(JSON.parse(JSON.stringify(serializeQuizState(state, start))), start);
+
+      expect(state.scoringRules).toEqual(getScoringRules('exam'));
+      expect(restored.scoringRules).toEqual(state.scoringRules);
+    });
+
+    it('should keep the shuffle seed across a resume', () => {
+      const state = createInitialQuizState(questions, '1', 'test-difficult', 'abc123');
+      const restored = restoreQuizState(JSON.parse(JSON.stringify(serializeQuizState(state, start))), start);
+
+      expect(state.seed).toBe('abc123');
+      expect(restored.seed).toBe('abc123');
+    });
+  });
+
+  describe('toggleOptionSelection', () => {
+    it('should replace a single-answer pick and toggle multiple-answer picks', () => {
+      expect(toggleOptionSelection(['A'], 'B', false)).toEqual(['B']);
+      expect(toggleOptionSelection(['A'], 'B', true)).toEqual(['A', 'B']);
+      expect(toggleOptionSelection(['A', 'B'], 'A', true)).toEqual(['B']);
+    });
+  });
+
+  describe('serializeQuizState', () => {
+    it('should produce a JSON-safe snapshot with elapsed time', () => {
+      const snapshot = serializeQuizState(buildInProgressState(), new Date('2025-01-01T10:02:30Z'));
+
+      expect(snapshot.elapsedMs).toBe(150000);
+      expect(snapshot.currentQuestionIndex).toBe(1);
+      expect(snapshot.userAnswers[0].selectedOptions).toEqual(['A']);
+      expect(typeof snapshot.userAnswers[0].timestamp).toBe('string');
+      expect(snapshot.userAnswers[1]).toBeNull();
+      expect(JSON.parse(JSON.stringify(snapshot))).toEqual(snapshot);
+    });
+
+    it('should keep the shuffled question and option order', () => {
+      const snapshot = serializeQuizState(buildInProgressState(), start);
+
+      expect(snapshot.questions[0].options.map(o => o.optionnumber)).toEqual(['B', 'A']);
+    });
+  });
+
+  describe('restoreQuizState', () => {
+    it('should continue the timer from the saved elapsed time', () => {
+      const snapshot = JSON.parse(JSON.stringify(
+        serializeQuizState(buildInProgressState(), new Date('2025-01-01T10:02:30Z'))
+      ));
+      const now = new Date('2025-01-02T08:00:00Z');
+
+      const restored = restoreQuizState(snapshot, now);
+
+      expect(now - restored.startTime).toBe(150000);
+      expect(restored.currentQuestionIndex).toBe(1);
+      expect(restored.userAnswers[0].timestamp).toBeInstanceOf(Date);
+      expect(restored.isComplete).toBe(false);
+      expect(restored.mode).toBe('test-difficult');
+    });
+
+    it('should reject unusable snapshots', () => {
+      expect(restoreQuizState(null)).toBeNull();
+      expect(restoreQuizState({ questions: [] })).toBeNull();
+      expect(restoreQuizState({ questions, userAnswers: [null] })).toBeNull();
+    });
+
+    it('should clamp an out-of-range question index', () => {
+      const restored = restoreQuizState({ questions, userAnswers: [null, null], currentQuestionIndex: 9, mode: 'learn' });
+
+      expect(restored.currentQuestionIndex).toBe(1);
+      expect(restored.showFeedback).toBe(true);
+    });
+  });
+
+  describe('isSnapshotCompatible', () => {
+    it('should accept the same questions in a different order', () => {
+      const snapshot = { questions: [questions[1], questions[0]] };
+
+      expect(isSnapshotCompatible(snapshot, questions)).toBe(true);
+    });
+
+    it('should reject a changed question set', () => {
+      const snapshot = { questions: [questions[0], { ...questions[1], questionnumber: "3" }] };
+
+      expect(isSnapshotCompatible(snapshot, questions)).toBe(false);
+      expect(isSnapshotCompatible({ questions: [questions[0]] }, questions)).toBe(false);
+      expect(isSnapshotCompatible(null, questions)).toBe(false);
+    });
+  });
+
+  describe('getSavedQuizSummary', () => {
+    it('should summarize position, answers and time', () => {
+      const snapshot = serializeQuizState(buildInProgressState(), new Date('2025-01-01T10:01:05Z'));
+
+      expect(getSavedQuizSummary(snapshot)).toEqual({
+        currentQuestion: 2,
+        totalQuestions: 2,
+        answeredCount: 1,
+        elapsedSeconds: 65,
+        savedAt: '2025-01-01T10:01:05.000Z'
+      });
+    });
+  });
+});
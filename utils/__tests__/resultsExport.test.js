@@ -0,0 +1,78 @@
+/**
+ * Unit tests for quiz results export
+ * Tests the attempt record, CSV and JSON output and file names
+ */
+
+import { buildResultsExport, resultsToCsv, resultsToJson, getResultsFileName } from '../resultsExport.js';
+
+describe('resultsExport', () => {
+  const questions = [
+    {
+      assignmentnumber: '2',
+      questionnumber: '5',
+      question: 'Pick "one", please',
+      options: [
+        { optionnumber: 'A', optiontext: 'One', iscorrect: true },
+        { optionnumber: 'B', optiontext: 'Two', iscorrect: false }
+      ]
+    },
+    {
+      assignmentnumber: '2',
+      questionnumber: '6',
+      question: 'Pick both',
+      options: [
+        { optionnumber: 'A', optiontext: 'One', iscorrect: true },
+        { optionnumber: 'B', optiontext: 'Two', iscorrect: true }
+      ]
+    }
+  ];
+
+  const quizState = {
+    assignment: '2',
+    mode: 'exam',
+    questions,
+    userAnswers: [{ selectedOptions: ['A'] }, null],
+    startTime: new Date('2025-03-14T10:00:00Z'),
+    endTime: new Date('2025-03-14T10:20:00Z'),
+    seed: 'abc123',
+    course: null
+  };
+
+  it('should record the score and every question', () => {
+    const record = buildResultsExport(quizState, { userName: 'Sam' });
+
+    expect(record).toMatchObject({
+      userName: 'Sam',
+      assignment: '2',
+      mode: 'exam',
+      seed: 'abc123',
+      completedAt: '2025-03-14T10:20:00.000Z',
+      score: { correct: 1, total: 2, percentage: 50 }
+    });
+    expect(record.questions[0]).toMatchObject({ questionKey: '2-5', selectedOptions: ['A'], isCorrect: true });
+    expect(record.questions[1]).toMatchObject({ questionKey: '2-6', isAnswered: false, correctOptions: ['A', 'B'] });
+  });
+
+  it('should write one CSV row per question', () => {
+    const lines = resultsToCsv(buildResultsExport(quizState)).trim().split('\r\n');
+
+    expect(lines).toEqual([
+      'Number,Question key,Question,Your answer,Correct answer,Result',
+      '1,2-5,"Pick ""one"", please",A,A,Correct',
+      '2,2-6,Pick both,,A;B,Unanswered'
+    ]);
+  });
+
+  it('should write JSON that parses back into the record', () => {
+    const record = buildResultsExport(quizState);
+
+    expect(JSON.parse(resultsToJson(record))).toEqual(record);
+  });
+
+  it('should suggest a file name from the attempt', () => {
+    const record = buildResultsExport(quizState);
+
+    expect(getResultsFileName(record, 'csv')).toBe('assignment-2-exam-2025-03-14.csv');
+    expect(getResultsFileName({ ...record, course: 'stats' }, 'json')).toBe('stats-assignment-2-exam-2025-03-14.json');
+  });
+});
@@ -0,0 +1,172 @@
+/**
+ * Unit tests for spaced repetition scheduling
+ * Tests interval growth, lapses, due selection and history recording
+ */
+
+import {
+  getQuestionKey,
+  createHistoryEntry,
+  scheduleReview,
+  recordQuestionAnswer,
+  isDue,
+  getDueQuestions,
+  getNextDueTime,
+  DEFAULT_EASE_FACTOR,
+  MIN_EASE_FACTOR
+} from '../reviewScheduler.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = Date.UTC(2025, 0, 1);
+
+describe('reviewScheduler', () => {
+  const questionOne = {
+    assignmentnumber: "1",
+    questionnumber: "1",
+    question: "What is machine learning?",
+    options: [
+      { optionnumber: "A", optiontext: "Option A", iscorrect: true },
+      { optionnumber: "B", optiontext: "Option B", iscorrect: false }
+    ]
+  };
+
+  const questionTwo = {
+    assignmentnumber: "2",
+    questionnumber: "1",
+    question: "Which are supervised?",
+    options: [
+      { optionnumber: "A", optiontext: "Regression", iscorrect: true },
+      { optionnumber: "B", optiontext: "K-means", iscorrect: false },
+      { optionnumber: "C", optiontext: "Trees", iscorrect: true }
+    ]
+  };
+
+  const questionThree = {
+    assignmentnumber: "2",
+    questionnumber: "2",
+    question: "What is a loss function?",
+    options: [
+      { optionnumber: "A", optiontext: "Option A", iscorrect: false },
+      { optionnumber: "B", optiontext: "Option B", iscorrect: true }
+    ]
+  };
+
+  describe('getQuestionKey', () => {
+    it('should combine assignment and question numbers', () => {
+      expect(getQuestionKey(questionOne)).toBe('1-1');
+      expect(getQuestionKey(questionThree)).toBe('2-2');
+    });
+  });
+
+  describe('scheduleReview', () => {
+    it('should schedule a first correct answer one day out', () => {
+      const entry = scheduleReview(null, true, NOW);
+
+      expect(entry.attempts).toBe(1);
+      expect(entry.correct).toBe(1);
+      expect(entry.repetitions).toBe(1);
+      expect(entry.interval).toBe(1);
+      expect(entry.dueAt).toBe(NOW + DAY_MS);
+      expect(entry.lastAnsweredAt).toBe(NOW);
+    });
+
+    it('should grow the interval on consecutive correct answers', () => {
+      let entry = scheduleReview(null, true, NOW);
+      entry = scheduleReview(entry, true, NOW);
+      expect(entry.interval).toBe(6);
+
+      entry = scheduleReview(entry, true, NOW);
+      expect(entry.interval).toBe(Math.round(6 * entry.easeFactor));
+      expect(entry.repetitions).toBe(3);
+    });
+
+    it('should make a missed question due immediately and count the lapse', () => {
+      let entry = scheduleReview(null, true, NOW);
+      entry = scheduleReview(entry, false, NOW);
+
+      expect(entry.repetitions).toBe(0);
+      expect(entry.interval).toBe(0);
+      expect(entry.lapses).toBe(1);
+      expect(entry.dueAt).toBe(NOW);
+      expect(entry.easeFactor).toBeLessThan(DEFAULT_EASE_FACTOR);
+    });
+
+    it('should never drop the ease factor below the minimum', () => {
+      let entry = createHistoryEntry();
+      for (let i = 0; i < 20; i++) {
+        entry = scheduleReview(entry, false, NOW);
+      }
+
+      expect(entry.easeFactor).toBe(MIN_EASE_FACTOR);
+      expect(entry.attempts).toBe(20);
+    });
+  });
+
+  describe('isDue', () => {
+    it('should treat unanswered questions as not due', () => {
+      expect(isDue(undefined, NOW)).toBe(false);
+      expect(isDue(createHistoryEntry(), NOW)).toBe(false);
+    });
+
+    it('should compare due time with now', () => {
+      expect(isDue({ dueAt: NOW }, NOW)).toBe(true);
+      expect(isDue({ dueAt: NOW + 1 }, NOW)).toBe(false);
+    });
+  });
+
+  describe('getDueQuestions', () => {
+    it('should return only due questions, most overdue first', () => {
+      const history = {
+        '1-1': { ...scheduleReview(null, false, NOW - DAY_MS) },
+        '2-1': { ...scheduleReview(null, true, NOW) },
+        '2-2': { ...scheduleReview(null, false, NOW - 2 * DAY_MS) }
+      };
+
+      const due = getDueQuestions([questionOne, questionTwo, questionThree], history, NOW);
+
+      expect(due).toEqual([questionThree, questionOne]);
+    });
+
+    it('should return empty array for invalid input', () => {
+      expect(getDueQuestions(null, {}, NOW)).toEqual([]);
+    });
+  });
+
+  describe('getNextDueTime', () => {
+    it('should return the earliest upcoming due time', () => {
+      const history = {
+        '1-1': scheduleReview(null, true, NOW),
+        '2-1': scheduleReview(scheduleReview(null, true, NOW), true, NOW),
+        '2-2': scheduleReview(null, false, NOW)
+      };
+
+      expect(getNextDueTime([questionOne, questionTwo, questionThree], history, NOW)).toBe(NOW + DAY_MS);
+    });
+
+    it('should return null when nothing is scheduled', () => {
+      expect(getNextDueTime([questionOne], {}, NOW)).toBeNull();
+    });
+  });
+
+  describe('recordQuestionAnswer', () => {
+    it('should merge the new entry into stored history', () => {
+      localStorage.getItem.mockReturnValueOnce(JSON.stringify({ '2-1': createHistoryEntry() }));
+
+      const entry = recordQuestionAnswer(questionOne, ['A'], NOW);
+
+      expect(entry.correct).toBe(1);
+      const stored = JSON.parse(localStorage.setItem.mock.calls[0][1]);
+      expect(localStorage.setItem.mock.calls[0][0]).toBe('ml_quiz_question_history');
+      expect(Object.keys(stored).sort()).toEqual(['1-1', '2-1']);
+      expect(stored['1-1'].dueAt).toBe(NOW + DAY_MS);
+    });
+
+    it('should score multi-answer questions against every correct option', () => {
+      localStorage.getItem.mockReturnValueOnce(null);
+
+      const entry = recordQuestionAnswer(questionTwo, ['A'], NOW);
+
+      expect(entry.correct).toBe(0);
+      expect(entry.lapses).toBe(1);
+    });
+  });
+});
@@ -1,15 +1,24 @@
 /**
  * Unit tests for scoring calculation functions
- * Tests scoring with various question types including single and multiple-choice
+ * Tests scoring with various question types including single and multiple-choice,
+ * numeric, short-text and ordering questions
  */
 
 import {
   getCorrectOptions,
   validateAnswer,
   isMultipleChoice,
+  describeAnswerResult,
   calculateQuestionScore,
   calculateTotalScore,
-  getDetailedResults
+  getDetailedResults,
+  getScoringRules,
+  scoreQuiz,
+  filterDetailedResults,
+  REVIEW_FILTERS,
+  getQuestionWeight,
+  SCORING_POLICIES,
+  DEFAULT_PASS_PERCENTAGE
 } from '../scoringUtils.js';
 
 describe('scoringUtils', () => {
@@ -161,6 +170,42 @@ describe('scoringUtils', () => {
     });
   });
 
+  describe('describeAnswerResult', () => {
+    it('should say when the answer is correct', () => {
+      expect(describeAnswerResult(['A'], singleChoiceQuestion)).toBe('Correct.');
+      expect(describeAnswerResult(['A', 'C', 'D'], multipleChoiceQuestion)).toBe('Correct.');
+    });
+
+    it('should name the correct options of a wrong answer', () => {
+      expect(describeAnswerResult(['B'], singleChoiceQuestion))
+        .toBe('Incorrect. The correct answer is A.');
+      expect(describeAnswerResult(['A'], multipleChoiceQuestion))
+        .toBe('Incorrect. The correct answers are A, C and D.');
+      expect(describeAnswerResult(['A'], noCorrectQuestion)).toBe('Incorrect.');
+    });
+
+    it('should name accepted typed answers and leave orders to the page', () => {
+      const textQuestion = {
+        question: "Which algorithm follows the negative gradient?",
+        type: "short-text",
+        answer: { accepted: ["gradient descent", "GD"] }
+      };
+      const orderingQuestion = {
+        question: "Order the steps",
+        type: "ordering",
+        options: [
+          { optionnumber: "A", optiontext: "Collect data" },
+          { optionnumber: "B", optiontext: "Train" }
+        ]
+      };
+
+      expect(describeAnswerResult(['Newton'], textQuestion))
+        .toBe('Incorrect. The correct answers are gradient descent or GD.');
+      expect(describeAnswerResult(['B', 'A'], orderingQuestion))
+        .toBe('Incorrect. The correct order is shown below.');
+    });
+  });
+
   describe('calculateQuestionScore', () => {
     it('should give full points for correct single choice answer', () => {
       const result = calculateQuestionScore(["A"], singleChoiceQuestion);
@@ -314,6 +359,131 @@ describe('scoringUtils', () => {
     });
   });
 
+  describe('scoring policies', () => {
+    const partialCredit = { policy: SCORING_POLICIES.PARTIAL_CREDIT, passPercentage: 70 };
+    const negativeMarking = { policy: SCORING_POLICIES.NEGATIVE_MARKING, passPercentage: 70, negativeMark: 0.25 };
+
+    it('should give proportional credit for partially correct multiple choice answers', () => {
+      expect(calculateQuestionScore(["A", "C"], multipleChoiceQuestion, partialCredit).points).toBe(0.67);
+      expect(calculateQuestionScore(["A", "B"], multipleChoiceQuestion, partialCredit).points).toBe(0);
+      expect(calculateQuestionScore(["A", "C", "D"], multipleChoiceQuestion, partialCredit).points).toBe(1);
+    });
+
+    it('should deduct marks for wrong picks under negative marking', () => {
+      expect(calculateQuestionScore(["B"], singleChoiceQuestion, negativeMarking)).toEqual({
+        points: -0.25,
+        isCorrect: false,
+        maxPoints: 1
+      });
+      expect(calculateQuestionScore(["A", "C", "B"], multipleChoiceQuestion, negativeMarking).points).toBe(0.42);
+    });
+
+    it('should never deduct for unanswered questions', () => {
+      expect(calculateQuestionScore([], singleChoiceQuestion, negativeMarking).points).toBe(0);
+    });
+
+    it('should scale points by question weight', () => {
+      const weighted = { ...multipleChoiceQuestion, weight: 3 };
+
+      expect(getQuestionWeight(weighted)).toBe(3);
+      expect(getQuestionWeight({ ...singleChoiceQuestion, weight: -1 })).toBe(1);
+      expect(calculateQuestionScore(["A"], weighted, partialCredit)).toEqual({
+        points: 1,
+        isCorrect: false,
+        maxPoints: 3
+      });
+    });
+
+    it('should base the percentage on weighted points', () => {
+      const questions = [{ ...singleChoiceQuestion, weight: 3 }, multipleChoiceQuestion];
+      const userAnswers = [{ selectedOptions: ["A"] }, { selectedOptions: ["B"] }];
+
+      const result = calculateTotalScore(userAnswers, questions);
+
+      expect(result.correct).toBe(1);
+      expect(result.points).toBe(3);
+      expect(result.maxPoints).toBe(4);
+      expect(result.percentage).toBe(75);
+      expect(result.passed).toBe(true);
+    });
+
+    it('should not report a negative percentage', () => {
+      const userAnswers = [{ selectedOptions: ["B"] }];
+
+      const result = calculateTotalScore(userAnswers, [singleChoiceQuestion], negativeMarking);
+
+      expect(result.points).toBe(-0.25);
+      expect(result.percentage).toBe(0);
+      expect(result.policy).toBe(SCORING_POLICIES.NEGATIVE_MARKING);
+    });
+
+    it('should use the pass percentage from the rules', () => {
+      const userAnswers = [{ selectedOptions: ["A"] }, { selectedOptions: ["B"] }];
+      const questions = [singleChoiceQuestion, singleChoiceQuestion];
+
+      expect(calculateTotalScore(userAnswers, questions).passed).toBe(false);
+      expect(calculateTotalScore(userAnswers, questions, { passPercentage: 50 }).passed).toBe(true);
+    });
+  });
+
+  describe('scoreQuiz', () => {
+    it('should score a quiz state with its own scoring rules', () => {
+      const quizState = {
+        questions: [singleChoiceQuestion, multipleChoiceQuestion],
+        userAnswers: [{ selectedOptions: ["B"] }, { selectedOptions: ["A", "C", "D"] }],
+        scoringRules: getScoringRules('exam')
+      };
+
+      const result = scoreQuiz(quizState);
+
+      expect(result).toEqual(calculateTotalScore(quizState.userAnswers, quizState.questions, quizState.scoringRules));
+      expect(result.points).toBe(0.75);
+      expect(result.policy).toBe(SCORING_POLICIES.NEGATIVE_MARKING);
+    });
+
+    it('should fall back to the default rules', () => {
+      const result = scoreQuiz({ questions: [singleChoiceQuestion], userAnswers: [{ selectedOptions: ["A"] }] });
+
+      expect(result.policy).toBe(SCORING_POLICIES.ALL_OR_NOTHING);
+      expect(result.percentage).toBe(100);
+    });
+  });
+
+  describe('getScoringRules', () => {
+    it('should default to all-or-nothing with the default pass mark', () => {
+      expect(getScoringRules('test-easy')).toEqual(expect.objectContaining({
+        policy: SCORING_POLICIES.ALL_OR_NOTHING,
+        passPercentage: DEFAULT_PASS_PERCENTAGE
+      }));
+    });
+
+    it('should use negative marking in exam mode', () => {
+      expect(getScoringRules('exam').policy).toBe(SCORING_POLICIES.NEGATIVE_MARKING);
+    });
+
+    it("should let an assignment's scoring metadata override mode rules", () => {
+      const scoring = { policy: SCORING_POLICIES.PARTIAL_CREDIT, passPercentage: 50 };
+
+      expect(getScoringRules('exam', scoring)).toEqual(expect.objectContaining({
+        policy: SCORING_POLICIES.PARTIAL_CREDIT,
+        passPercentage: 50
+      }));
+    });
+
+    it('should apply per-mode scoring metadata over the rest', () => {
+      const scoring = {
+        policy: SCORING_POLICIES.PARTIAL_CREDIT,
+        modes: { exam: { policy: SCORING_POLICIES.NEGATIVE_MARKING, negativeMark: 0.5 } }
+      };
+
+      expect(getScoringRules('test-easy', scoring).policy).toBe(SCORING_POLICIES.PARTIAL_CREDIT);
+      expect(getScoringRules('exam', scoring)).toEqual(expect.objectContaining({
+        policy: SCORING_POLICIES.NEGATIVE_MARKING,
+        negativeMark: 0.5
+      }));
+    });
+  });
+
   describe('getDetailedResults', () => {
     const questions = [singleChoiceQuestion, multipleChoiceQuestion];
     
@@ -393,6 +563,106 @@ describe('scoringUtils', () => {
     });
   });
 
+  describe('filterDetailedResults', () => {
+    const questions = [singleChoiceQuestion, multipleChoiceQuestion, allCorrectQuestion];
+    const userAnswers = [
+      { selectedOptions: ["A"] },
+      { selectedOptions: ["A"] },
+      null
+    ];
+    const results = getDetailedResults(userAnswers, questions);
+    const numbersFor = filter => filterDetailedResults(results, filter).map(r => r.questionNumber);
+
+    it('should mark unanswered questions', () => {
+      expect(results.map(r => r.isAnswered)).toEqual([true, true, false]);
+    });
+
+    it('should filter by outcome', () => {
+      expect(numbersFor(REVIEW_FILTERS.RIGHT)).toEqual([1]);
+      expect(numbersFor(REVIEW_FILTERS.WRONG)).toEqual([2, 3]);
+      expect(numbersFor(REVIEW_FILTERS.UNANSWERED)).toEqual([3]);
+    });
+
+    it('should filter multi-answer questions', () => {
+      expect(numbersFor(REVIEW_FILTERS.MULTI_ANSWER)).toEqual([2, 3]);
+    });
+
+    it('should return everything for the all or an unknown filter', () => {
+      expect(numbersFor(REVIEW_FILTERS.ALL)).toEqual([1, 2, 3]);
+      expect(numbersFor('nonsense')).toEqual([1, 2, 3]);
+    });
+  });
+
+  describe('numeric, short-text and ordering questions', () => {
+    const numericQuestion = {
+      assignmentnumber: "1",
+      questionnumber: "10",
+      question: "Entropy of a fair coin, in bits?",
+      type: "numeric",
+      answer: { value: 1, tolerance: 0.01 }
+    };
+    const textQuestion = {
+      assignmentnumber: "1",
+      questionnumber: "11",
+      question: "Which algorithm follows the negative gradient?",
+      type: "short-text",
+      answer: { accepted: ["gradient descent", "GD"] }
+    };
+    const orderingQuestion = {
+      assignmentnumber: "1",
+      questionnumber: "12",
+      question: "Order the steps",
+      type: "ordering",
+      options: [
+        { optionnumber: "A", optiontext: "Collect data" },
+        { optionnumber: "B", optiontext: "Train" },
+        { optionnumber: "C", optiontext: "Evaluate" }
+      ]
+    };
+
+    it('should check typed answers and orders', () => {
+      expect(validateAnswer(["0.995"], numericQuestion)).toBe(true);
+      expect(validateAnswer(["0.9"], numericQuestion)).toBe(false);
+      expect(validateAnswer([], numericQuestion)).toBe(false);
+      expect(validateAnswer([" Gradient Descent "], textQuestion)).toBe(true);
+      expect(validateAnswer(["Newton's method"], textQuestion)).toBe(false);
+      expect(validateAnswer(["A", "B", "C"], orderingQuestion)).toBe(true);
+      expect(validateAnswer(["B", "A", "C"], orderingQuestion)).toBe(false);
+      expect(validateAnswer(["A", "B"], orderingQuestion)).toBe(false);
+    });
+
+    it('should give the accepted answers or the correct order', () => {
+      expect(getCorrectOptions(numericQuestion)).toEqual(["1 ± 0.01"]);
+      expect(getCorrectOptions(textQuestion)).toEqual(["gradient descent", "GD"]);
+      expect(getCorrectOptions(orderingQuestion)).toEqual(["A", "B", "C"]);
+      expect(isMultipleChoice(orderingQuestion)).toBe(false);
+      expect(isMultipleChoice(numericQuestion)).toBe(false);
+    });
+
+    it('should give full marks or none under every policy', () => {
+      const negativeMarking = { ...getScoringRules('exam'), policy: SCORING_POLICIES.NEGATIVE_MARKING };
+      const partialCredit = { ...getScoringRules('learn'), policy: SCORING_POLICIES.PARTIAL_CREDIT };
+
+      expect(calculateQuestionScore(["1"], numericQuestion, negativeMarking).points).toBe(1);
+      expect(calculateQuestionScore(["2"], numericQuestion, negativeMarking).points).toBe(0);
+      expect(calculateQuestionScore(["B", "A", "C"], orderingQuestion, partialCredit).points).toBe(0);
+      expect(calculateQuestionScore(["GD"], { ...textQuestion, weight: 2 }, partialCredit))
+        .toEqual({ points: 2, isCorrect: true, maxPoints: 2 });
+    });
+
+    it('should report the type and answers in detailed results', () => {
+      const results = getDetailedResults(
+        [{ selectedOptions: ["0.5"] }, null, { selectedOptions: ["C", "B", "A"] }],
+        [numericQuestion, textQuestion, orderingQuestion]
+      );
+
+      expect(results.map(result => result.type)).toEqual(["numeric", "short-text", "ordering"]);
+      expect(results[0]).toMatchObject({ selectedOptions: ["0.5"], correctOptions: ["1 ± 0.01"], isCorrect: false, allOptions: [] });
+      expect(results[1].isAnswered).toBe(false);
+      expect(results[2].correctOptions).toEqual(["A", "B", "C"]);
+    });
+  });
+
   describe('edge cases and error handling', () => {
     it('should handle questions with duplicate option numbers', () => {
       const duplicateQuestion = {
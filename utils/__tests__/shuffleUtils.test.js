@@ -6,7 +6,12 @@
 import { 
   shuffleQuestions, 
   shuffleQuestionOptions, 
-  prepareQuestionsForMode 
+  prepareQuestionsForMode,
+  shuffleArray,
+  createSeededRandom,
+  generateSeed,
+  isValidSeed,
+  getStartingOrder
 } from '../shuffleUtils.js';
 
 describe('shuffleUtils', () => {
@@ -250,4 +255,96 @@ describe('shuffleUtils', () => {
       });
     });
   });
-});
\ No newline at end of file
+
+  describe('seeded randomness', () => {
+    it('should repeat the same sequence for the same seed', () => {
+      const first = createSeededRandom('abc123');
+      const second = createSeededRandom('abc123');
+
+      const firstValues = [first(), first(), first()];
+      expect([second(), second(), second()]).toEqual(firstValues);
+      firstValues.forEach(value => {
+        expect(value).toBeGreaterThanOrEqual(0);
+        expect(value).toBeLessThan(1);
+      });
+    });
+
+    it('should give different sequences for different seeds', () => {
+      expect(createSeededRandom('abc123')()).not.toBe(createSeededRandom('xyz789')());
+    });
+
+    it('should shuffle with the given random source instead of Math.random', () => {
+      const items = [1, 2, 3, 4, 5, 6];
+      const result = shuffleArray(items, createSeededRandom('seed'));
+
+      expect(Math.random).not.toHaveBeenCalled();
+      expect(result).toEqual(shuffleArray(items, createSeededRandom('seed')));
+      expect([...result].sort()).toEqual(items);
+      expect(items).toEqual([1, 2, 3, 4, 5, 6]);
+    });
+
+    it('should generate short URL-safe seeds', () => {
+      expect(generateSeed()).toMatch(/^[a-z0-9]{1,16}$/);
+      expect(isValidSeed(generateSeed())).toBe(true);
+    });
+
+    it('should only accept short alphanumeric seeds', () => {
+      expect(isValidSeed('abc123')).toBe(true);
+      expect(isValidSeed('')).toBe(false);
+      expect(isValidSeed('has space')).toBe(false);
+      expect(isValidSeed('a'.repeat(17))).toBe(false);
+      expect(isValidSeed(null)).toBe(false);
+    });
+
+    it('should replay the same test-difficult order for the same seed', () => {
+      const first = prepareQuestionsForMode(mockQuestions, 'test-difficult', 'abc123');
+      const second = prepareQuestionsForMode(mockQuestions, 'test-difficult', 'abc123');
+
+      expect(Math.random).not.toHaveBeenCalled();
+      expect(second).toEqual(first);
+      expect(first).toHaveLength(mockQuestions.length);
+    });
+
+    it('should ignore the seed in modes that keep the original order', () => {
+      expect(prepareQuestionsForMode(mockQuestions, 'test-easy', 'abc123')).toEqual(mockQuestions);
+    });
+  });
+
+  describe('ordering and typed-answer questions', () => {
+    const orderingQuestion = {
+      assignmentnumber: "2",
+      questionnumber: "4",
+      question: "Order the steps",
+      type: "ordering",
+      options: ["A", "B", "C", "D"].map(optionnumber => ({ optionnumber, optiontext: `Step ${optionnumber}` }))
+    };
+    const numericQuestion = {
+      assignmentnumber: "2",
+      questionnumber: "5",
+      question: "How many?",
+      type: "numeric",
+      answer: { value: 3 }
+    };
+
+    it('should keep their options in the bank order when shuffling', () => {
+      const prepared = prepareQuestionsForMode([orderingQuestion, numericQuestion], 'test-difficult', 'abc123');
+
+      expect(prepared).toHaveLength(2);
+      expect(prepared).toContain(orderingQuestion);
+      expect(prepared).toContain(numericQuestion);
+    });
+
+    it('should start ordering items in the same order every time, never the correct one', () => {
+      const order = getStartingOrder(orderingQuestion);
+
+      expect(getStartingOrder(orderingQuestion)).toEqual(order);
+      expect([...order].sort()).toEqual(["A", "B", "C", "D"]);
+      expect(order).not.toEqual(["A", "B", "C", "D"]);
+
+      for (let number = 1; number <= 20; number++) {
+        const twoItems = { ...orderingQuestion, questionnumber: String(number), options: orderingQuestion.options.slice(0, 2) };
+        expect(getStartingOrder(twoItems)).toEqual(["B", "A"]);
+      }
+    });
+  });
+});
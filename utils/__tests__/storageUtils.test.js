@@ -12,7 +12,10 @@ import {
   getUserPreferences,
   updateUserPreference,
   clearUserPreferences,
-  clearAllUserData
+  clearAllUserData,
+  getQuizProgress,
+  storeQuizProgress,
+  clearQuizProgress
 } from '../storageUtils.js';
 
 describe('storageUtils', () => {
@@ -392,6 +395,26 @@ describe('storageUtils', () => {
       expect(localStorage.removeItem).toHaveBeenCalledWith('ml_quiz_user_preferences');
     });
 
+    it('should clear answer and attempt history and quizzes in progress', () => {
+      localStorage.removeItem.mockReset();
+
+      expect(clearAllUserData()).toBe(true);
+
+      expect(localStorage.removeItem).toHaveBeenCalledWith('ml_quiz_question_history');
+      expect(localStorage.removeItem).toHaveBeenCalledWith('ml_quiz_attempt_history');
+      expect(localStorage.removeItem).toHaveBeenCalledWith('ml_quiz_in_progress');
+    });
+
+    it('should return false if clearing the attempt history fails', () => {
+      localStorage.removeItem.mockImplementation((key) => {
+        if (key === 'ml_quiz_attempt_history') {
+          throw new Error('Failed to clear attempts');
+        }
+      });
+
+      expect(clearAllUserData()).toBe(false);
+    });
+
     it('should return false if name clearing fails', () => {
       localStorage.removeItem.mockImplementation((key) => {
         if (key === 'ml_quiz_user_name') {
@@ -489,4 +512,59 @@ describe('storageUtils', () => {
       expect(clearAllUserData()).toBe(false);
     });
   });
+
+  describe('quiz progress', () => {
+    const snapshot = { assignment: '1', mode: 'learn', currentQuestionIndex: 2 };
+
+    beforeEach(() => {
+      localStorage.getItem.mockReset();
+      localStorage.setItem.mockReset();
+    });
+
+    it('should store progress keyed by assignment and mode', () => {
+      localStorage.getItem.mockReturnValue(JSON.stringify({ '2:learn': snapshot }));
+
+      expect(storeQuizProgress('1', 'test-easy', snapshot)).toBe(true);
+      expect(localStorage.setItem).toHaveBeenCalledWith(
+        'ml_quiz_in_progress',
+        JSON.stringify({ '2:learn': snapshot, '1:test-easy': snapshot })
+      );
+    });
+
+    it('should reject invalid snapshots', () => {
+      expect(storeQuizProgress('1', 'learn', null)).toBe(false);
+      expect(localStorage.setItem).not.toHaveBeenCalled();
+    });
+
+    it('should retrieve progress for an assignment and mode', () => {
+      localStorage.getItem.mockReturnValue(JSON.stringify({ '1:learn': snapshot }));
+
+      expect(getQuizProgress('1', 'learn')).toEqual(snapshot);
+      expect(getQuizProgress(1, 'learn')).toEqual(snapshot);
+      expect(getQuizProgress('1', 'test-easy')).toBe(null);
+    });
+
+    it('should return null for corrupted progress', () => {
+      localStorage.getItem.mockReturnValue('not json');
+
+      expect(getQuizProgress('1', 'learn')).toBe(null);
+    });
+
+    it('should clear only the requested progress', () => {
+      localStorage.getItem.mockReturnValue(JSON.stringify({ '1:learn': snapshot, '1:test-easy': snapshot }));
+
+      expect(clearQuizProgress('1', 'learn')).toBe(true);
+      expect(localStorage.setItem).toHaveBeenCalledWith(
+        'ml_quiz_in_progress',
+        JSON.stringify({ '1:test-easy': snapshot })
+      );
+    });
+
+    it('should not write when there is nothing to clear', () => {
+      localStorage.getItem.mockReturnValue(null);
+
+      expect(clearQuizProgress('1', 'learn')).toBe(true);
+      expect(localStorage.setItem).not.toHaveBeenCalled();
+    });
+  });
 });
\ No newline at end of file
@@ -0,0 +1,60 @@
+/**
+ * Unit tests for syntax highlighting
+ * Tests language names and the tokens of Python, JavaScript and shell code
+ */
+
+import { resolveLanguage, highlightCode } from '../syntaxHighlight.js';
+
+// Texts of the tokens of one type
+const tokensOfType = (tokens, type) => tokens.filter(token => token.type === type).map(token => token.text);
+
+describe('syntaxHighlight', () => {
+  describe('resolveLanguage', () => {
+    it('should resolve names and aliases case-insensitively', () => {
+      expect(resolveLanguage('python')).toBe('python');
+      expect(resolveLanguage('Py')).toBe('python');
+      expect(resolveLanguage('js')).toBe('javascript');
+      expect(resolveLanguage('bash')).toBe('shell');
+    });
+
+    it('should return null for other languages', () => {
+      expect(resolveLanguage('haskell')).toBeNull();
+      expect(resolveLanguage('')).toBeNull();
+      expect(resolveLanguage(null)).toBeNull();
+    });
+  });
+
+  describe('highlightCode', () => {
+    it('should tokenize Python', () => {
+      const code = 'def f(x1):\n    return len(x1) * 2.5  # scaled\nprint(f"{x}", \'#\')';
+      const tokens = highlightCode(code, 'python');
+
+      expect(tokensOfType(tokens, 'keyword')).toEqual(['def', 'return']);
+      expect(tokensOfType(tokens, 'builtin')).toEqual(['len', 'print']);
+      expect(tokensOfType(tokens, 'number')).toEqual(['2.5']);
+      expect(tokensOfType(tokens, 'comment')).toEqual(['# scaled']);
+      expect(tokensOfType(tokens, 'string')).toEqual(['f"{x}"', '\'#\'']);
+      expect(tokens.map(token => token.text).join('')).toBe(code);
+    });
+
+    it('should tokenize JavaScript', () => {
+      const tokens = highlightCode('const n = 10; // ten\nconsole.log(`n=${n}`);', 'js');
+
+      expect(tokensOfType(tokens, 'keyword')).toEqual(['const']);
+      expect(tokensOfType(tokens, 'builtin')).toEqual(['console']);
+      expect(tokensOfType(tokens, 'comment')).toEqual(['// ten']);
+      expect(tokensOfType(tokens, 'string')).toEqual(['`n=${n}`']);
+    });
+
+    it('should tokenize shell', () => {
+      const tokens = highlightCode('pip install numpy  # once', 'sh');
+
+      expect(tokensOfType(tokens, 'builtin')).toEqual(['pip']);
+      expect(tokensOfType(tokens, 'comment')).toEqual(['# once']);
+    });
+
+    it('should leave code in other languages as one text token', () => {
+      expect(highlightCode('main = print 1', 'haskell')).toEqual([{ type: 'text', text: 'main = print 1' }]);
+    });
+  });
+});
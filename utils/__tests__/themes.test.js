@@ -0,0 +1,136 @@
+/**
+ * Unit tests for colour themes
+ * Tests how preferences resolve to themes, how they're applied to the page
+ * and the script that sets the theme before first paint
+ */
+
+import {
+  THEMES,
+  SYSTEM_THEME,
+  THEME_PREFERENCE_KEY,
+  isValidThemePreference,
+  resolveTheme,
+  applyThemePreference,
+  watchSystemTheme,
+  getThemeScript
+} from '../themes.js';
+
+// Stands in for window.matchMedia, matching the given queries
+const mockMatchMedia = (matching = []) => {
+  const listeners = [];
+  window.matchMedia = jest.fn(query => ({
+    matches: matching.includes(query),
+    addEventListener: jest.fn((type, listener) => listeners.push(listener)),
+    removeEventListener: jest.fn((type, listener) => listeners.splice(listeners.indexOf(listener), 1))
+  }));
+  return listeners;
+};
+
+describe('themes', () => {
+  const originalMatchMedia = window.matchMedia;
+
+  afterEach(() => {
+    window.matchMedia = originalMatchMedia;
+    delete document.documentElement.dataset.theme;
+    document.documentElement.style.colorScheme = '';
+    localStorage.getItem.mockReset();
+  });
+
+  describe('isValidThemePreference', () => {
+    it('should accept every theme and the system setting', () => {
+      Object.values(THEMES).forEach(theme => expect(isValidThemePreference(theme)).toBe(true));
+      expect(isValidThemePreference(SYSTEM_THEME)).toBe(true);
+    });
+
+    it('should reject anything else', () => {
+      expect(isValidThemePreference('sepia')).toBe(false);
+      expect(isValidThemePreference(undefined)).toBe(false);
+    });
+  });
+
+  describe('resolveTheme', () => {
+    it('should use a chosen theme whatever the system settings', () => {
+      expect(resolveTheme(THEMES.LIGHT, { prefersDark: true, prefersContrast: true })).toBe(THEMES.LIGHT);
+      expect(resolveTheme(THEMES.DARK)).toBe(THEMES.DARK);
+      expect(resolveTheme(THEMES.HIGH_CONTRAST)).toBe(THEMES.HIGH_CONTRAST);
+    });
+
+    it('should follow the system for the system setting', () => {
+      expect(resolveTheme(SYSTEM_THEME)).toBe(THEMES.LIGHT);
+      expect(resolveTheme(SYSTEM_THEME, { prefersDark: true })).toBe(THEMES.DARK);
+      expect(resolveTheme(SYSTEM_THEME, { prefersDark: true, prefersContrast: true })).toBe(THEMES.HIGH_CONTRAST);
+    });
+
+    it('should follow the system for missing or unknown preferences', () => {
+      expect(resolveTheme(undefined, { prefersDark: true })).toBe(THEMES.DARK);
+      expect(resolveTheme('sepia')).toBe(THEMES.LIGHT);
+    });
+  });
+
+  describe('applyThemePreference', () => {
+    it('should set data-theme and the colour scheme on <html>', () => {
+      expect(applyThemePreference(THEMES.DARK)).toBe(THEMES.DARK);
+      expect(document.documentElement.dataset.theme).toBe('dark');
+      expect(document.documentElement.style.colorScheme).toBe('dark');
+
+      applyThemePreference(THEMES.LIGHT);
+      expect(document.documentElement.dataset.theme).toBe('light');
+      expect(document.documentElement.style.colorScheme).toBe('light');
+    });
+
+    it('should read the system settings for the system setting', () => {
+      mockMatchMedia(['(prefers-contrast: more)']);
+      expect(applyThemePreference(SYSTEM_THEME)).toBe(THEMES.HIGH_CONTRAST);
+      expect(document.documentElement.dataset.theme).toBe('high-contrast');
+    });
+
+    it('should fall back to light where matchMedia is missing', () => {
+      window.matchMedia = undefined;
+      expect(applyThemePreference(SYSTEM_THEME)).toBe(THEMES.LIGHT);
+    });
+  });
+
+  describe('watchSystemTheme', () => {
+    it('should call back on changes until stopped', () => {
+      const listeners = mockMatchMedia();
+      const callback = jest.fn();
+
+      const stop = watchSystemTheme(callback);
+      expect(listeners).toHaveLength(2);
+      listeners.forEach(listener => listener());
+      expect(callback).toHaveBeenCalledTimes(2);
+
+      stop();
+      expect(listeners).toHaveLength(0);
+    });
+  });
+
+  describe('getThemeScript', () => {
+    const runScript = () => new Function(getThemeScript('prefs'))();
+
+    it('should apply a stored theme', () => {
+      localStorage.getItem.mockReturnValue(JSON.stringify({ [THEME_PREFERENCE_KEY]: THEMES.HIGH_CONTRAST }));
+      mockMatchMedia();
+      runScript();
+      expect(localStorage.getItem).toHaveBeenCalledWith('prefs');
+      expect(document.documentElement.dataset.theme).toBe('high-contrast');
+      expect(document.documentElement.style.colorScheme).toBe('dark');
+    });
+
+    it('should resolve preferences the way resolveTheme does', () => {
+      mockMatchMedia(['(prefers-color-scheme: dark)']);
+      runScript();
+      expect(document.documentElement.dataset.theme).toBe(resolveTheme(undefined, { prefersDark: true }));
+
+      localStorage.getItem.mockReturnValue(JSON.stringify({ [THEME_PREFERENCE_KEY]: SYSTEM_THEME }));
+      runScript();
+      expect(document.documentElement.dataset.theme).toBe('dark');
+    });
+
+    it('should leave the page alone when preferences are unreadable', () => {
+      localStorage.getItem.mockReturnValue('{not json');
+      expect(runScript).not.toThrow();
+      expect(document.documentElement.dataset.theme).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,32 @@
+/**
+ * Unit tests for the ZIP writer
+ * Tests the checksum and the archive layout
+ * TextEncoder is not available in jsdom, so these run in the node environment
+ *
+ * @jest-environment node
+ */
+
+import { crc32, createZipArchive } from '../zipArchive.js';
+
+describe('zipArchive', () => {
+  it('should compute the standard CRC-32', () => {
+    expect(crc32(new TextEncoder().encode('123456789'))).toBe(0xcbf43926);
+  });
+
+  it('should store each file with a local header and a central directory entry', () => {
+    const archive = createZipArchive([
+      { path: 'a.txt', content: 'hello' },
+      { path: 'dir/b.bin', content: new Uint8Array([1, 2, 3]) }
+    ], new Date(2025, 0, 2, 3, 4, 6));
+    const view = new DataView(archive.buffer);
+    const end = archive.length - 22;
+
+    expect(view.getUint32(0, true)).toBe(0x04034b50);
+    expect(view.getUint32(18, true)).toBe(5);
+    expect(new TextDecoder().decode(archive.slice(30, 35))).toBe('a.txt');
+    expect(new TextDecoder().decode(archive.slice(35, 40))).toBe('hello');
+    expect(view.getUint32(end, true)).toBe(0x06054b50);
+    expect(view.getUint16(end + 10, true)).toBe(2);
+    expect(view.getUint32(view.getUint32(end + 16, true), true)).toBe(0x02014b50);
+  });
+});
@@ -3,6 +3,7 @@
  */
 
 import { getCorrectOptions, isMultipleChoice } from './scoringUtils.js';
+import { QUESTION_TYPES, getQuestionType, isTypedAnswerQuestion, parseNumber } from './questionTypes.js';
 
 /**
  * Validates if selected options are in correct format
@@ -25,6 +26,16 @@ export function validateSelectedOptions(selectedOptions, question) {
     return { isValid: false, errors };
   }
 
+  // Typed answers are a single piece of text
+  if (isTypedAnswerQuestion(question)) {
+    if (selectedOptions.length > 1 || typeof selectedOptions[0] !== 'string' || selectedOptions[0].trim() === '') {
+      errors.push('Answer must be a single piece of text');
+    } else if (getQuestionType(question) === QUESTION_TYPES.NUMERIC && isNaN(parseNumber(selectedOptions[0]))) {
+      errors.push('Answer must be a number');
+    }
+    return { isValid: errors.length === 0, errors };
+  }
+
   // Get valid option numbers from the question
   const validOptions = question.options.map(opt => opt.optionnumber);
   
@@ -34,8 +45,10 @@ export function validateSelectedOptions(selectedOptions, question) {
     errors.push(`Invalid option(s): ${invalidOptions.join(', ')}`);
   }
 
+  const isOrdering = getQuestionType(question) === QUESTION_TYPES.ORDERING;
+
   // For single-choice questions, ensure only one option is selected
-  if (!isMultipleChoice(question) && selectedOptions.length > 1) {
+  if (!isOrdering && !isMultipleChoice(question) && selectedOptions.length > 1) {
     errors.push('Only one option can be selected for single-choice questions');
   }
 
@@ -45,6 +58,11 @@ export function validateSelectedOptions(selectedOptions, question) {
     errors.push('Duplicate options selected');
   }
 
+  // Ordering answers place every option
+  if (isOrdering && uniqueOptions.length !== validOptions.length) {
+    errors.push('Every option must be placed in the order');
+  }
+
   return {
     isValid: errors.length === 0,
     errors
@@ -97,6 +115,12 @@ export function validateQuizSubmission(userAnswers, questions, mode) {
 export function sanitizeOptionSelection(input, question) {
   // Convert to array if not already
   let options = Array.isArray(input) ? input : [input];
+
+  // Typed answers keep the text as typed, only trimmed
+  if (isTypedAnswerQuestion(question)) {
+    const text = options.length > 0 && options[0] != null ? String(options[0]).trim() : '';
+    return text === '' ? [] : [text];
+  }
   
   // Filter out null, undefined, empty strings
   options = options.filter(opt => opt != null && opt !== '');
@@ -113,8 +137,8 @@ export function sanitizeOptionSelection(input, question) {
   // Remove duplicates
   options = [...new Set(options)];
   
-  // For single-choice questions, take only the first option
-  if (!isMultipleChoice(question) && options.length > 1) {
+  // For single-choice questions, take only the first option; ordering answers keep them all
+  if (getQuestionType(question) === QUESTION_TYPES.MULTIPLE_CHOICE && !isMultipleChoice(question) && options.length > 1) {
     options = [options[0]];
   }
   
@@ -0,0 +1,120 @@
+/**
+ * Assignment metadata utilities
+ * A question bank may describe its assignments next to its questions:
+ * { assignments: [{ number, title, description, tags, releaseDate, timeLimitMinutes, scoring }], questions: [...] }
+ * Routing validation, the home page cards and the mega test all derive the
+ * list of assignments from this block instead of hard-coded week counts
+ * The block itself is validated in questionValidation.js
+ */
+
+import { getExamTimeLimit } from './quizLogic';
+import { getScoringRules } from './scoringUtils';
+import { filterQuestionsByMultipleAssignments } from './questionFilter';
+
+/**
+ * Builds the full assignment list of a bank: every assignment that has
+ * metadata or questions, with defaults for the fields the bank leaves out
+ * @param {Array} metadata - The bank's assignments block (may be empty)
+ * @param {Array} questions - The bank's questions
+ * @returns {Array<Object>} Assignments sorted by number
+ *   { number, title, description, tags, releaseDate, timeLimitMinutes, scoring }
+ */
+export function buildAssignmentList(metadata, questions) {
+  const numbers = new Set(metadata.map(assignment => assignment.number));
+  questions.forEach(question => {
+    const number = parseInt(question.assignmentnumber);
+    if (number > 0) numbers.add(number);
+  });
+
+  return [...numbers]
+    .sort((a, b) => a - b)
+    .map(number => {
+      const detail = metadata.find(assignment => assignment.number === number) || {};
+      return {
+        number,
+        title: detail.title || `Assignment ${number}`,
+        description: detail.description || '',
+        tags: detail.tags || [],
+        releaseDate: detail.releaseDate || null,
+        timeLimitMinutes: detail.timeLimitMinutes || null,
+        scoring: detail.scoring || null
+      };
+    });
+}
+
+/**
+ * Checks whether an assignment has been released
+ * Release dates are calendar days: an assignment opens at local midnight
+ * @param {Object} assignment - Assignment from buildAssignmentList
+ * @param {Date} now - Current time
+ * @returns {boolean} True if the assignment has no release date or it has passed
+ */
+export function isAssignmentReleased(assignment, now = new Date()) {
+  if (!assignment.releaseDate) {
+    return true;
+  }
+  const [year, month, day] = assignment.releaseDate.split('-').map(Number);
+  return now >= new Date(year, month - 1, day);
+}
+
+/**
+ * Gets the assignments that have been released
+ * @param {Array<Object>} assignments - Assignments from buildAssignmentList
+ * @param {Date} now - Current time
+ * @returns {Array<Object>} Released assignments
+ */
+export function getReleasedAssignments(assignments, now = new Date()) {
+  return assignments.filter(assignment => isAssignmentReleased(assignment, now));
+}
+
+/**
+ * Gets the numbers of the released assignments, the valid assignment ids for routing
+ * @param {Array<Object>} assignments - Assignments from buildAssignmentList
+ * @param {Date} now - Current time
+ * @returns {Array<number>} Released assignment numbers
+ */
+export function getReleasedAssignmentNumbers(assignments, now = new Date()) {
+  return getReleasedAssignments(assignments, now).map(assignment => assignment.number);
+}
+
+/**
+ * Gets the questions of the released assignments of a bank
+ * @param {Object} bank - Bank from loadQuestionBank { questions, assignments }
+ * @param {Date} now - Current time
+ * @returns {Array} Questions of released assignments, sorted by assignment and question number
+ */
+export function getReleasedQuestions(bank, now = new Date()) {
+  return filterQuestionsByMultipleAssignments(bank.questions, getReleasedAssignmentNumbers(bank.assignments, now));
+}
+
+/**
+ * Looks up an assignment by number
+ * @param {Array<Object>} assignments - Assignments from buildAssignmentList
+ * @param {string|number} number - Assignment number
+ * @returns {Object|null} Assignment, or null if the bank has no such assignment
+ */
+export function findAssignment(assignments, number) {
+  return assignments.find(assignment => assignment.number === parseInt(number)) || null;
+}
+
+/**
+ * Gets the exam time limit of an assignment, from its metadata when set
+ * @param {Object|null} assignment - Assignment from buildAssignmentList
+ * @returns {number} Time limit in seconds
+ */
+export function getAssignmentTimeLimit(assignment) {
+  if (assignment && assignment.timeLimitMinutes) {
+    return Math.round(assignment.timeLimitMinutes * 60);
+  }
+  return getExamTimeLimit(assignment ? assignment.number : 'default');
+}
+
+/**
+ * Gets the scoring rules of an assignment in a mode, from its metadata when set
+ * @param {Object|null} assignment - Assignment from buildAssignmentList
+ * @param {string} mode - Quiz mode
+ * @returns {Object} Rules { policy, passPercentage, negativeMark }
+ */
+export function getAssignmentScoringRules(assignment, mode) {
+  return getScoringRules(mode, assignment ? assignment.scoring : null);
+}
@@ -0,0 +1,179 @@
+/**
+ * Attempt history utilities
+ * Records completed quiz attempts locally (and in Firestore when signed in)
+ * and derives per-assignment progress statistics from them
+ */
+
+import { scoreQuiz } from './scoringUtils';
+import { getQuestionKey } from './reviewScheduler';
+import { getAttemptHistory, storeAttemptHistory } from './storageUtils';
+import { saveUserAttempt, getUserAttempts } from './firebase';
+
+// Oldest attempts are dropped beyond this to keep local storage small
+export const MAX_STORED_ATTEMPTS = 200;
+
+/**
+ * Builds an attempt record from a completed quiz
+ * @param {Object} quizState - Completed quiz state
+ * @param {number} timeElapsed - Time taken in seconds
+ * @param {Date} completedAt - Completion time
+ * @returns {Object} Attempt record
+ */
+export function createAttemptRecord(quizState, timeElapsed, completedAt = new Date()) {
+  const score = scoreQuiz(quizState);
+
+  return {
+    id: `${completedAt.getTime()}-${Math.random().toString(36).slice(2, 8)}`,
+    assignment: String(quizState.assignment),
+    mode: quizState.mode,
+    correct: score.correct,
+    total: score.total,
+    percentage: score.percentage,
+    points: score.points,
+    maxPoints: score.maxPoints,
+    policy: score.policy,
+    passed: score.passed,
+    seed: quizState.seed || null,
+    course: quizState.course || null,
+    timeElapsed,
+    completedAt: completedAt.toISOString(),
+    questionScores: score.questionScores.map((questionScore, index) => ({
+      questionKey: getQuestionKey(quizState.questions[index]),
+      isCorrect: questionScore.isCorrect,
+      points: questionScore.points,
+      maxPoints: questionScore.maxPoints,
+      selectedOptions: questionScore.selectedOptions,
+      correctOptions: questionScore.correctOptions
+    }))
+  };
+}
+
+/**
+ * Saves an attempt locally and, when signed in, to the user's Firestore attempts
+ * @param {Object} attempt - Attempt record from createAttemptRecord
+ * @returns {Promise<boolean>} True if stored locally
+ */
+export async function saveAttempt(attempt) {
+  const attempts = [...getAttemptHistory(), attempt].slice(-MAX_STORED_ATTEMPTS);
+  const stored = storeAttemptHistory(attempts);
+
+  await saveUserAttempt(attempt);
+
+  return stored;
+}
+
+/**
+ * Loads all known attempts, merging local history with Firestore when signed in
+ * @returns {Promise<Array>} Attempts sorted by completion time
+ */
+export async function loadAttempts() {
+  const localAttempts = getAttemptHistory();
+  const remoteAttempts = await getUserAttempts();
+
+  return mergeAttempts(localAttempts, remoteAttempts);
+}
+
+/**
+ * Merges attempt lists, removing duplicates by id
+ * @param {...Array} lists - Attempt arrays to merge
+ * @returns {Array} Unique attempts sorted by completion time
+ */
+export function mergeAttempts(...lists) {
+  const byId = new Map();
+
+  lists.forEach(list => {
+    if (!Array.isArray(list)) return;
+    list.forEach(attempt => {
+      if (attempt && attempt.id && !byId.has(attempt.id)) {
+        byId.set(attempt.id, attempt);
+      }
+    });
+  });
+
+  return [...byId.values()].sort((a, b) => new Date(a.completedAt) - new Date(b.completedAt));
+}
+
+/**
+ * Gets the attempts for a single assignment in completion order
+ * @param {Array} attempts - All attempts
+ * @param {string|number} assignment - Assignment number
+ * @returns {Array} Attempts for the assignment
+ */
+export function getAttemptsForAssignment(attempts, assignment) {
+  const target = String(assignment);
+  return attempts.filter(attempt => attempt.assignment === target);
+}
+
+/**
+ * Summarises attempts per assignment with best and last scores
+ * @param {Array} attempts - All attempts
+ * @returns {Object} Stats keyed by assignment: { attempts, best, last, trend }
+ */
+export function getAssignmentStats(attempts) {
+  const stats = {};
+
+  attempts.forEach(attempt => {
+    const current = stats[attempt.assignment] || { attempts: 0, best: 0, last: null, trend: [] };
+    stats[attempt.assignment] = {
+      attempts: current.attempts + 1,
+      best: Math.max(current.best, attempt.percentage),
+      last: attempt.percentage,
+      trend: [...current.trend, attempt.percentage]
+    };
+  });
+
+  return stats;
+}
+
+/**
+ * Keeps the attempts made in one course
+ * Attempts saved before courses existed belong to the default course
+ * @param {Array} attempts - All attempts
+ * @param {string|null} courseId - Course id, or null for the default course
+ * @returns {Array} Attempts of that course
+ */
+export function getCourseAttempts(attempts, courseId = null) {
+  return attempts.filter(attempt => (attempt.course || null) === courseId);
+}
+
+/**
+ * Finds the questions answered wrong most often across attempts
+ * @param {Array} attempts - All attempts
+ * @param {number} limit - Maximum number of questions to return
+ * @returns {Array} Entries { questionKey, attempts, misses, missRate } sorted weakest first
+ */
+export function getWeakestQuestions(attempts, limit = 10) {
+  const tally = {};
+
+  attempts.forEach(attempt => {
+    (attempt.questionScores || []).forEach(questionScore => {
+      const entry = tally[questionScore.questionKey] || { questionKey: questionScore.questionKey, attempts: 0, misses: 0 };
+      entry.attempts += 1;
+      if (!questionScore.isCorrect) {
+        entry.misses += 1;
+      }
+      tally[questionScore.questionKey] = entry;
+    });
+  });
+
+  return Object.values(tally)
+    .filter(entry => entry.misses > 0)
+    .map(entry => ({ ...entry, missRate: Math.round((entry.misses / entry.attempts) * 100) }))
+    .sort((a, b) => b.missRate - a.missRate || b.misses - a.misses)
+    .slice(0, limit);
+}
+
+/**
+ * Gets the questions an attempt got wrong, for a "retry mistakes" quiz
+ * @param {Object} attempt - Attempt record
+ * @returns {Array<string>} Question keys answered wrong, in quiz order
+ */
+export function getMissedQuestionKeys(attempt) {
+  if (!attempt || !Array.isArray(attempt.questionScores)) {
+    return [];
+  }
+
+  return attempt.questionScores
+    .filter(questionScore => !questionScore.isCorrect)
+    .map(questionScore => questionScore.questionKey);
+}
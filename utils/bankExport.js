@@ -0,0 +1,641 @@
+/**
+ * Question bank exporters
+ * Turns questions (usually one assignment, see filterQuestionsByAssignment)
+ * into Moodle XML, an IMS QTI 2.1 content package and a printable HTML
+ * worksheet with answer key, with LaTeX pre-rendered by KaTeX
+ * Text is parsed by utils/markdown.js, the same way MarkdownRenderer parses it
+ */
+
+import katex from 'katex';
+import { getCorrectOptions, getQuestionWeight, isMultipleChoice } from './scoringUtils';
+import { QUESTION_TYPES, getQuestionType, getNumericRange } from './questionTypes';
+import { getStartingOrder } from './shuffleUtils';
+import { parseMarkdown, isSingleParagraph } from './markdown';
+import { createZipArchive } from './zipArchive';
+
+const QTI_NAMESPACE = 'http://www.imsglobal.org/xsd/imsqti_v2p1';
+const QTI_SCHEMA_LOCATION = `${QTI_NAMESPACE} http://www.imsglobal.org/xsd/qti/qtiv2p1/imsqti_v2p1.xsd`;
+const QTI_TEMPLATES = 'http://www.imsglobal.org/question/qti_v2p1/rptemplates';
+
+/**
+ * Escapes text for XML and HTML element content and attribute values
+ * @param {string} text - Plain text
+ * @returns {string} Escaped text
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Wraps text in a CDATA section, splitting any ]]> it contains
+ * @param {string} text - Text to wrap
+ * @returns {string} CDATA section
+ */
+function cdata(text) {
+  return `<![CDATA[${text.replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+}
+
+/**
+ * Renders Markdown text as HTML, with the blocks and inlines MarkdownRenderer shows
+ * Text that is a single paragraph stays inline unless paragraph is set, so it can
+ * sit in a list item or answer; other text is rendered as blocks
+ * @param {string} text - Markdown text with LaTeX
+ * @param {Function} renderMath - Renders a math node { text, display } as HTML
+ * @param {Object} options - Rendering options
+ * @param {string} options.lineBreak - Line break element, <br> for HTML or <br/> for XML
+ * @param {boolean} options.paragraph - Whether to wrap a single paragraph in <p>
+ * @returns {string} HTML
+ */
+function toMarkdownHtml(text, renderMath, { lineBreak = '<br>', paragraph = false } = {}) {
+  const blocks = parseMarkdown(text);
+
+  const inlines = nodes => nodes.map(node => {
+    switch (node.type) {
+      case 'code':
+        return `<code>${escapeXml(node.text)}</code>`;
+      case 'math':
+        return renderMath(node);
+      case 'strong':
+        return `<strong>${inlines(node.children)}</strong>`;
+      case 'emphasis':
+        return `<em>${inlines(node.children)}</em>`;
+      case 'break':
+        return lineBreak;
+      default:
+        return escapeXml(node.text);
+    }
+  }).join('');
+
+  if (isSingleParagraph(blocks) && !paragraph) {
+    return inlines(blocks[0].children);
+  }
+
+  const cell = (tag, align) => (content, column) => (align[column]
+    ? `<${tag} style="text-align: ${align[column]}">${inlines(content)}</${tag}>`
+    : `<${tag}>${inlines(content)}</${tag}>`);
+
+  return blocks.map(block => {
+    switch (block.type) {
+      case 'list': {
+        const items = block.items.map(item => `<li>${inlines(item)}</li>`).join('');
+        if (!block.ordered) {
+          return `<ul>${items}</ul>`;
+        }
+        return block.start === 1 ? `<ol>${items}</ol>` : `<ol start="${block.start}">${items}</ol>`;
+      }
+      case 'table': {
+        const header = `<tr>${block.header.map(cell('th', block.align)).join('')}</tr>`;
+        const rows = block.rows.map(row => `<tr>${row.map(cell('td', block.align)).join('')}</tr>`).join('');
+        return `<table><thead>${header}</thead><tbody>${rows}</tbody></table>`;
+      }
+      case 'code':
+        return `<pre><code>${escapeXml(block.text)}</code></pre>`;
+      default:
+        return `<p>${inlines(block.children)}</p>`;
+    }
+  }).join('');
+}
+
+/**
+ * Renders text for Moodle, whose filters typeset \( \) and \[ \] math
+ * Moodle does not know the bank's macros, so LaTeX is passed on as written
+ * @param {string} text - Markdown text with LaTeX
+ * @param {boolean} paragraph - Whether to wrap a single paragraph in <p>
+ * @returns {string} HTML
+ */
+function toMoodleHtml(text, paragraph = false) {
+  return toMarkdownHtml(text, math => (math.display
+    ? `\\[${escapeXml(math.text)}\\]`
+    : `\\(${escapeXml(math.text)}\\)`), { paragraph });
+}
+
+/**
+ * Renders text as HTML with LaTeX typeset by KaTeX
+ * @param {string} text - Markdown text with LaTeX
+ * @param {Object} macros - KaTeX macros of the bank
+ * @param {boolean} paragraph - Whether to wrap a single paragraph in <p>
+ * @returns {string} HTML
+ */
+function toKatexHtml(text, macros = {}, paragraph = false) {
+  return toMarkdownHtml(text, math => katex.renderToString(math.text, {
+    throwOnError: false,
+    displayMode: math.display,
+    output: 'htmlAndMathml',
+    macros: { ...macros }
+  }), { paragraph });
+}
+
+/**
+ * Renders text for QTI item bodies, with LaTeX as MathML
+ * @param {string} text - Markdown text with LaTeX
+ * @param {Object} macros - KaTeX macros of the bank
+ * @param {boolean} paragraph - Whether to wrap a single paragraph in <p>
+ * @returns {string} XML content
+ */
+function toQtiContent(text, macros = {}, paragraph = false) {
+  return toMarkdownHtml(text, math => {
+    const rendered = katex.renderToString(math.text, {
+      throwOnError: false,
+      displayMode: math.display,
+      output: 'mathml',
+      macros: { ...macros }
+    });
+    const mathml = rendered.match(/<math[\s\S]*<\/math>/);
+    return mathml ? mathml[0] : escapeXml(math.text);
+  }, { lineBreak: '<br/>', paragraph });
+}
+
+/**
+ * Resolves a question's image to the URL an export should point to
+ * @param {string} image - Image path from the bank
+ * @param {string} imageBaseUrl - Site URL images are served from, '' to keep the path
+ * @returns {string} Image URL
+ */
+function getImageUrl(image, imageBaseUrl) {
+  return imageBaseUrl ? `${imageBaseUrl.replace(/\/$/, '')}/${image}` : image;
+}
+
+/**
+ * Groups questions by assignment, keeping their order
+ * @param {Array} questions - Question objects
+ * @returns {Array<Array>} Question groups
+ */
+function groupByAssignment(questions) {
+  const groups = new Map();
+  questions.forEach(question => {
+    groups.set(question.assignmentnumber, [...(groups.get(question.assignmentnumber) || []), question]);
+  });
+  return [...groups.values()];
+}
+
+/**
+ * Formats a Moodle answer fraction (a percentage from its list of allowed grades)
+ * @param {number} fraction - Percentage
+ * @returns {string} Fraction attribute value
+ */
+function formatFraction(fraction) {
+  return String(Number(fraction.toFixed(5)));
+}
+
+// Moodle question type of each question type; ordering is Moodle's qtype_ordering
+const MOODLE_QUESTION_TYPES = {
+  [QUESTION_TYPES.MULTIPLE_CHOICE]: 'multichoice',
+  [QUESTION_TYPES.NUMERIC]: 'numerical',
+  [QUESTION_TYPES.SHORT_TEXT]: 'shortanswer',
+  [QUESTION_TYPES.ORDERING]: 'ordering'
+};
+
+/**
+ * Writes the type-specific settings and answers of a Moodle question
+ * @param {Object} question - Question object
+ * @returns {Array<string>} XML lines
+ */
+function toMoodleAnswerLines(question) {
+  const type = getQuestionType(question);
+
+  if (type === QUESTION_TYPES.NUMERIC) {
+    // Moodle takes a value and a tolerance, so a range becomes its midpoint,
+    // rounded like getNumericRange so 0.9 to 1.1 gives 1 ± 0.1
+    const { answer } = question;
+    const round = number => Number(number.toPrecision(12));
+    const value = answer.value !== undefined ? answer.value : round((answer.min + answer.max) / 2);
+    const tolerance = answer.value !== undefined ? answer.tolerance || 0 : round((answer.max - answer.min) / 2);
+    return [
+      '    <answer fraction="100" format="moodle_auto_format">',
+      `      <text>${value}</text>`,
+      `      <tolerance>${tolerance}</tolerance>`,
+      '    </answer>'
+    ];
+  }
+
+  if (type === QUESTION_TYPES.SHORT_TEXT) {
+    // Moodle has no regular expression answers, so only the accepted texts go,
+    // with asterisks escaped so Moodle does not read them as wildcards
+    return [
+      `    <usecase>${question.answer.caseSensitive ? 1 : 0}</usecase>`,
+      ...question.answer.accepted.flatMap(text => [
+        '    <answer fraction="100" format="moodle_auto_format">',
+        `      <text>${escapeXml(text.replace(/\*/g, '\\*'))}</text>`,
+        '    </answer>'
+      ])
+    ];
+  }
+
+  if (type === QUESTION_TYPES.ORDERING) {
+    // Each answer's fraction is its place in the correct order
+    return [
+      '    <layouttype>VERTICAL</layouttype>',
+      '    <selecttype>ALL</selecttype>',
+      '    <selectcount>0</selectcount>',
+      '    <gradingtype>ABSOLUTE_POSITION</gradingtype>',
+      ...question.options.flatMap((option, index) => [
+        `    <answer fraction="${index + 1}" format="html">`,
+        `      <text>${cdata(toMoodleHtml(option.optiontext))}</text>`,
+        '    </answer>'
+      ])
+    ];
+  }
+
+  const multiple = isMultipleChoice(question);
+  const correctCount = getCorrectOptions(question).length;
+  const wrongCount = question.options.length - correctCount;
+  const lines = [
+    `    <single>${multiple ? 'false' : 'true'}</single>`,
+    '    <shuffleanswers>false</shuffleanswers>',
+    '    <answernumbering>ABCD</answernumbering>'
+  ];
+
+  question.options.forEach(option => {
+    let fraction = 0;
+    if (option.iscorrect) {
+      fraction = 100 / correctCount;
+    } else if (multiple) {
+      fraction = -100 / wrongCount;
+    }
+
+    lines.push(`    <answer fraction="${formatFraction(fraction)}" format="html">`);
+    lines.push(`      <text>${cdata(toMoodleHtml(option.optiontext))}</text>`);
+    if (option.rationale) {
+      lines.push(`      <feedback format="html"><text>${cdata(toMoodleHtml(option.rationale))}</text></feedback>`);
+    }
+    lines.push('    </answer>');
+  });
+
+  return lines;
+}
+
+/**
+ * Exports questions as a Moodle XML quiz
+ * Each assignment becomes a "$course$/top/Assignment N" category; multiple-answer
+ * questions split the marks between the correct options and take them back
+ * for wrong picks, so only the exact set of answers scores full marks
+ * @param {Array} questions - Question objects
+ * @param {Object} options - Export options
+ * @param {string} options.imageBaseUrl - Site URL images are served from
+ * @returns {string} Moodle XML
+ */
+export function toMoodleXml(questions, { imageBaseUrl = '' } = {}) {
+  const lines = ['<?xml version="1.0" encoding="UTF-8"?>', '<quiz>'];
+
+  groupByAssignment(questions).forEach(group => {
+    lines.push(
+      '  <question type="category">',
+      '    <category>',
+      `      <text>$course$/top/Assignment ${escapeXml(group[0].assignmentnumber)}</text>`,
+      '    </category>',
+      '  </question>'
+    );
+
+    group.forEach(question => {
+      let questionHtml = toMoodleHtml(question.question, true);
+      if (question.image) {
+        questionHtml += `<p><img src="${escapeXml(getImageUrl(question.image, imageBaseUrl))}" alt="${escapeXml(question.imageAlt || '')}"></p>`;
+      }
+
+      lines.push(
+        `  <question type="${MOODLE_QUESTION_TYPES[getQuestionType(question)]}">`,
+        `    <name><text>${escapeXml(question.questionnumber)}</text></name>`,
+        `    <questiontext format="html"><text>${cdata(questionHtml)}</text></questiontext>`
+      );
+      if (question.explanation) {
+        lines.push(`    <generalfeedback format="html"><text>${cdata(toMoodleHtml(question.explanation, true))}</text></generalfeedback>`);
+      }
+      lines.push(
+        `    <defaultgrade>${getQuestionWeight(question)}</defaultgrade>`,
+        '    <penalty>0</penalty>',
+        '    <hidden>0</hidden>',
+        ...toMoodleAnswerLines(question),
+        '  </question>'
+      );
+    });
+  });
+
+  lines.push('</quiz>');
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Gets the QTI identifier of a question, e.g. Q-3-12
+ * @param {Object} question - Question object
+ * @returns {string} Identifier (an XML NCName)
+ */
+function getQtiItemId(question) {
+  return `Q-${question.assignmentnumber}-${question.questionnumber}`.replace(/[^\w.-]/g, '_');
+}
+
+/**
+ * Gets the QTI identifier of an option, e.g. CHOICE_A
+ * @param {Object} option - Option object
+ * @returns {string} Identifier (an XML NCName)
+ */
+function getQtiChoiceId(option) {
+  return `CHOICE_${option.optionnumber}`.replace(/[^\w.-]/g, '_');
+}
+
+/**
+ * Writes the response declaration, interaction and response processing of a QTI item
+ * Choice and ordering items are scored with match_correct, short-text items with
+ * map_response over the accepted answers, and numeric items by range
+ * @param {Object} question - Question object
+ * @param {Object} macros - KaTeX macros of the bank
+ * @returns {Object} XML lines { declaration, interaction, processing }
+ */
+function toQtiInteraction(question, macros) {
+  const type = getQuestionType(question);
+  const matchCorrect = [`  <responseProcessing template="${QTI_TEMPLATES}/match_correct"/>`];
+  const choices = question.options ? question.options.map(option =>
+    `      <simpleChoice identifier="${getQtiChoiceId(option)}">${toQtiContent(option.optiontext, macros)}</simpleChoice>`
+  ) : [];
+
+  if (type === QUESTION_TYPES.NUMERIC) {
+    const { min, max } = getNumericRange(question.answer);
+    const setScore = score => `        <setOutcomeValue identifier="SCORE"><baseValue baseType="float">${score}</baseValue></setOutcomeValue>`;
+    return {
+      declaration: ['  <responseDeclaration identifier="RESPONSE" cardinality="single" baseType="float"/>'],
+      interaction: ['    <p><textEntryInteraction responseIdentifier="RESPONSE" expectedLength="12"/></p>'],
+      processing: [
+        '  <responseProcessing>',
+        '    <responseCondition>',
+        '      <responseIf>',
+        '        <and>',
+        `          <gte><variable identifier="RESPONSE"/><baseValue baseType="float">${min}</baseValue></gte>`,
+        `          <lte><variable identifier="RESPONSE"/><baseValue baseType="float">${max}</baseValue></lte>`,
+        '        </and>',
+        setScore(1),
+        '      </responseIf>',
+        '      <responseElse>',
+        setScore(0),
+        '      </responseElse>',
+        '    </responseCondition>',
+        '  </responseProcessing>'
+      ]
+    };
+  }
+
+  if (type === QUESTION_TYPES.SHORT_TEXT) {
+    // QTI mappings match whole answers, so a pattern is not carried over
+    const caseSensitive = question.answer.caseSensitive ? 'true' : 'false';
+    return {
+      declaration: [
+        '  <responseDeclaration identifier="RESPONSE" cardinality="single" baseType="string">',
+        `    <correctResponse><value>${escapeXml(question.answer.accepted[0])}</value></correctResponse>`,
+        '    <mapping defaultValue="0">',
+        ...question.answer.accepted.map(text =>
+          `      <mapEntry mapKey="${escapeXml(text)}" mappedValue="1" caseSensitive="${caseSensitive}"/>`),
+        '    </mapping>',
+        '  </responseDeclaration>'
+      ],
+      interaction: ['    <p><textEntryInteraction responseIdentifier="RESPONSE" expectedLength="30"/></p>'],
+      processing: [`  <responseProcessing template="${QTI_TEMPLATES}/map_response"/>`]
+    };
+  }
+
+  if (type === QUESTION_TYPES.ORDERING) {
+    return {
+      declaration: [
+        '  <responseDeclaration identifier="RESPONSE" cardinality="ordered" baseType="identifier">',
+        '    <correctResponse>',
+        ...question.options.map(option => `      <value>${getQtiChoiceId(option)}</value>`),
+        '    </correctResponse>',
+        '  </responseDeclaration>'
+      ],
+      interaction: ['    <orderInteraction responseIdentifier="RESPONSE" shuffle="true">', ...choices, '    </orderInteraction>'],
+      processing: matchCorrect
+    };
+  }
+
+  const multiple = isMultipleChoice(question);
+  return {
+    declaration: [
+      `  <responseDeclaration identifier="RESPONSE" cardinality="${multiple ? 'multiple' : 'single'}" baseType="identifier">`,
+      '    <correctResponse>',
+      ...question.options
+        .filter(option => option.iscorrect === true)
+        .map(option => `      <value>${getQtiChoiceId(option)}</value>`),
+      '    </correctResponse>',
+      '  </responseDeclaration>'
+    ],
+    interaction: [
+      `    <choiceInteraction responseIdentifier="RESPONSE" shuffle="false" maxChoices="${multiple ? 0 : 1}">`,
+      ...choices,
+      '    </choiceInteraction>'
+    ],
+    processing: matchCorrect
+  };
+}
+
+/**
+ * Exports one question as an IMS QTI 2.1 item: a choice, order or text entry
+ * interaction depending on the question type
+ * @param {Object} question - Question object
+ * @param {Object} options - Export options
+ * @param {string} options.imageBaseUrl - Site URL images are served from
+ * @param {Object} options.latexMacros - KaTeX macros of the bank
+ * @returns {string} assessmentItem XML
+ */
+export function toQtiItem(question, { imageBaseUrl = '', latexMacros = {} } = {}) {
+  const { declaration, interaction, processing } = toQtiInteraction(question, latexMacros);
+
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<assessmentItem xmlns="${QTI_NAMESPACE}" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"`,
+    `  xsi:schemaLocation="${QTI_SCHEMA_LOCATION}"`,
+    `  identifier="${getQtiItemId(question)}" title="Assignment ${escapeXml(question.assignmentnumber)}, question ${escapeXml(question.questionnumber)}"`,
+    '  adaptive="false" timeDependent="false">',
+    ...declaration,
+    '  <outcomeDeclaration identifier="SCORE" cardinality="single" baseType="float"/>',
+    '  <itemBody>',
+    `    ${toQtiContent(question.question, latexMacros, true)}`
+  ];
+
+  if (question.image) {
+    lines.push(`    <p><img src="${escapeXml(getImageUrl(question.image, imageBaseUrl))}" alt="${escapeXml(question.imageAlt || '')}"/></p>`);
+  }
+
+  lines.push(
+    ...interaction,
+    '  </itemBody>',
+    ...processing,
+    '</assessmentItem>'
+  );
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Exports questions as the files of an IMS QTI 2.1 content package:
+ * one item per question, an assessment test listing them in order and the manifest
+ * @param {Array} questions - Question objects
+ * @param {Object} options - Export options
+ * @param {string} options.title - Assessment title
+ * @param {string} options.imageBaseUrl - Site URL images are served from
+ * @param {Object} options.latexMacros - KaTeX macros of the bank
+ * @returns {Array<Object>} Files { path, content }
+ */
+export function toQtiPackageFiles(questions, { title = 'Quiz', imageBaseUrl = '', latexMacros = {} } = {}) {
+  const items = questions.map(question => ({
+    id: getQtiItemId(question),
+    path: `items/${getQtiItemId(question)}.xml`,
+    content: toQtiItem(question, { imageBaseUrl, latexMacros })
+  }));
+
+  const test = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<assessmentTest xmlns="${QTI_NAMESPACE}" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"`,
+    `  xsi:schemaLocation="${QTI_SCHEMA_LOCATION}"`,
+    `  identifier="TEST" title="${escapeXml(title)}">`,
+    '  <testPart identifier="PART" navigationMode="nonlinear" submissionMode="simultaneous">',
+    '    <assessmentSection identifier="SECTION" title="Questions" visible="true">',
+    ...items.map(item => `      <assessmentItemRef identifier="${item.id}" href="${item.path}"/>`),
+    '    </assessmentSection>',
+    '  </testPart>',
+    '</assessmentTest>'
+  ].join('\n');
+
+  const manifest = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<manifest xmlns="http://www.imsglobal.org/xsd/imscp_v1p1" identifier="MANIFEST">',
+    '  <metadata>',
+    '    <schema>QTIv2.1 Package</schema>',
+    '    <schemaversion>1.0.0</schemaversion>',
+    '  </metadata>',
+    '  <organizations/>',
+    '  <resources>',
+    '    <resource identifier="TEST" type="imsqti_test_xmlv2p1" href="test.xml">',
+    '      <file href="test.xml"/>',
+    ...items.map(item => `      <dependency identifierref="${item.id}"/>`),
+    '    </resource>',
+    ...items.flatMap(item => [
+      `    <resource identifier="${item.id}" type="imsqti_item_xmlv2p1" href="${item.path}">`,
+      `      <file href="${item.path}"/>`,
+      '    </resource>'
+    ]),
+    '  </resources>',
+    '</manifest>'
+  ].join('\n');
+
+  return [
+    { path: 'imsmanifest.xml', content: `${manifest}\n` },
+    { path: 'test.xml', content: `${test}\n` },
+    ...items.map(({ path, content }) => ({ path, content }))
+  ];
+}
+
+/**
+ * Exports questions as a zipped IMS QTI 2.1 content package
+ * @param {Array} questions - Question objects
+ * @param {Object} options - Same options as toQtiPackageFiles
+ * @returns {Uint8Array} ZIP archive
+ */
+export function toQtiPackage(questions, options = {}) {
+  return createZipArchive(toQtiPackageFiles(questions, options));
+}
+
+const WORKSHEET_STYLES = `
+  body { font-family: Georgia, 'Times New Roman', serif; max-width: 48rem; margin: 2rem auto; padding: 0 1rem; color: #111; }
+  h1 { font-size: 1.6rem; margin-bottom: 0.25rem; }
+  .name { margin-bottom: 2rem; }
+  .question { break-inside: avoid; margin-bottom: 1.5rem; }
+  .question img { max-width: 100%; max-height: 18rem; display: block; margin: 0.5rem 0; }
+  .hint { font-style: italic; color: #555; }
+  .options { list-style: none; padding-left: 1rem; }
+  .options li { margin: 0.35rem 0; }
+  .answer-line { margin: 0.5rem 0 0 1rem; }
+  .box { display: inline-block; width: 0.9em; height: 0.9em; border: 1px solid #333; margin-right: 0.5em; vertical-align: -0.1em; }
+  .answer-key { break-before: page; }
+  .answer-key li { margin-bottom: 0.75rem; }
+  .rationales { margin: 0.25rem 0 0; padding-left: 1rem; color: #333; }
+  @media print { body { margin: 0; max-width: none; } }
+`;
+
+/**
+ * Exports questions as a printable HTML worksheet, followed by an answer key on a new page
+ * LaTeX is pre-rendered with KaTeX; the page links KaTeX's stylesheet for its fonts
+ * @param {Array} questions - Question objects
+ * @param {Object} options - Export options
+ * @param {string} options.title - Worksheet title
+ * @param {string} options.imageBaseUrl - Site URL images are served from
+ * @param {boolean} options.includeAnswerKey - Whether to append the answer key
+ * @param {Object} options.latexMacros - KaTeX macros of the bank
+ * @returns {string} HTML document
+ */
+export function toWorksheetHtml(questions, { title = 'Worksheet', imageBaseUrl = '', includeAnswerKey = true, latexMacros = {} } = {}) {
+  const questionItems = questions.map(question => {
+    const image = question.image
+      ? `\n      <img src="${escapeXml(getImageUrl(question.image, imageBaseUrl))}" alt="${escapeXml(question.imageAlt || '')}">`
+      : '';
+    const type = getQuestionType(question);
+    let hint = isMultipleChoice(question) ? ' <span class="hint">(select all that apply)</span>' : '';
+    let answerArea;
+
+    if (type === QUESTION_TYPES.MULTIPLE_CHOICE || type === QUESTION_TYPES.ORDERING) {
+      // Ordering items are printed in the quiz's starting order, never the answer
+      const options = type === QUESTION_TYPES.ORDERING
+        ? getStartingOrder(question).map(number => question.options.find(option => option.optionnumber === number))
+        : question.options;
+      if (type === QUESTION_TYPES.ORDERING) {
+        hint = ' <span class="hint">(number the items in order)</span>';
+      }
+      answerArea = `      <ol class="options">
+${options.map(option => `        <li><span class="box"></span>${escapeXml(option.optionnumber)}. ${toKatexHtml(option.optiontext, latexMacros)}</li>`).join('\n')}
+      </ol>`;
+    } else {
+      answerArea = '      <p class="answer-line">Answer: ______________________</p>';
+    }
+
+    // The hint ends a one-paragraph question, and follows the blocks of any other
+    const prompt = isSingleParagraph(parseMarkdown(question.question))
+      ? `<p>${toKatexHtml(question.question, latexMacros)}${hint}</p>`
+      : `${toKatexHtml(question.question, latexMacros)}${hint && `<p>${hint.trim()}</p>`}`;
+
+    return `    <li class="question">
+      ${prompt}${image}
+${answerArea}
+    </li>`;
+  }).join('\n');
+
+  let answerKey = '';
+  if (includeAnswerKey) {
+    const keyItems = questions.map(question => {
+      const explanation = question.explanation ? `<br>${toKatexHtml(question.explanation, latexMacros)}` : '';
+      const rationales = (question.options || [])
+        .filter(option => option.rationale)
+        .map(option => `        <li>${escapeXml(option.optionnumber)}: ${toKatexHtml(option.rationale, latexMacros)}</li>`);
+      const rationaleList = rationales.length > 0 ? `\n      <ul class="rationales">\n${rationales.join('\n')}\n      </ul>` : '';
+
+      const separator = getQuestionType(question) === QUESTION_TYPES.ORDERING ? ' → ' : ', ';
+      return `    <li><strong>${escapeXml(getCorrectOptions(question).join(separator))}</strong>${explanation}${rationaleList}</li>`;
+    }).join('\n');
+
+    answerKey = `
+  <section class="answer-key">
+    <h2>Answer key</h2>
+    <ol>
+${keyItems}
+    </ol>
+  </section>`;
+  }
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeXml(title)}</title>
+  <link rel="stylesheet" href="https://cdn.jsdelivr.net/npm/katex@${katex.version}/dist/katex.min.css">
+  <style>${WORKSHEET_STYLES}</style>
+</head>
+<body>
+  <h1>${escapeXml(title)}</h1>
+  <p class="name">Name: ______________________________</p>
+  <ol>
+${questionItems}
+  </ol>${answerKey}
+</body>
+</html>
+`;
+}
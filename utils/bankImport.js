@@ -0,0 +1,926 @@
+/**
+ * Question bank importers
+ * Converts questions authored as CSV, a simple Markdown quiz syntax, GIFT or
+ * Moodle XML into the data.json question format (see docs/question-format.md)
+ * Every converted question goes through validateQuestion, and problems are
+ * reported with the line of the source file they come from
+ */
+
+import { validateQuestion } from './questionValidation.js';
+import { QUESTION_TYPES, parseNumber } from './questionTypes.js';
+
+export const IMPORT_FORMATS = {
+  CSV: 'csv',
+  MARKDOWN: 'markdown',
+  GIFT: 'gift',
+  MOODLE_XML: 'moodle-xml'
+};
+
+const FORMAT_EXTENSIONS = {
+  csv: IMPORT_FORMATS.CSV,
+  md: IMPORT_FORMATS.MARKDOWN,
+  markdown: IMPORT_FORMATS.MARKDOWN,
+  gift: IMPORT_FORMATS.GIFT,
+  txt: IMPORT_FORMATS.GIFT,
+  xml: IMPORT_FORMATS.MOODLE_XML
+};
+
+const OPTION_LETTERS = 'ABCDEFGHIJ'.split('');
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+const MAX_CODE_POINT = 0x10FFFF;
+
+/**
+ * Picks the import format from a file name
+ * @param {string} fileName - Uploaded or command line file name
+ * @returns {string|null} One of IMPORT_FORMATS, or null for unknown extensions
+ */
+export function detectImportFormat(fileName) {
+  const extension = (fileName.split('.').pop() || '').toLowerCase();
+  return FORMAT_EXTENSIONS[extension] || null;
+}
+
+/**
+ * Gets the number at the end of a label such as "Week 3" or "$course$/Assignment 3"
+ * @param {string} label - Category or heading text
+ * @returns {number|null} The number, or null if the label has none
+ */
+function getTrailingNumber(label) {
+  const match = label.match(/(\d+)\D*$/);
+  return match ? parseInt(match[1]) : null;
+}
+
+/**
+ * Rewrites \( \) math to $ $ and \[ \] math to $$ $$, the delimiters banks are written with
+ * @param {string} text - Question, option or feedback text
+ * @returns {string} Text with $ delimiters
+ */
+function normalizeMathDelimiters(text) {
+  return text
+    .replace(/\$\$([^$]+)\$\$/g, (_, latex) => `$$${latex.trim()}$$`)
+    .replace(/\\\(([\s\S]+?)\\\)/g, (_, latex) => `$${latex.trim()}$`)
+    .replace(/\\\[([\s\S]+?)\\\]/g, (_, latex) => `$$${latex.trim()}$$`);
+}
+
+/**
+ * Decodes XML/HTML character entities
+ * Numeric entities past the last code point are kept as written
+ * @param {string} text - Encoded text
+ * @returns {string} Decoded text
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      const value = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1));
+      return value <= MAX_CODE_POINT ? String.fromCodePoint(value) : entity;
+    }
+    return XML_ENTITIES[code.toLowerCase()] ?? entity;
+  });
+}
+
+/**
+ * Turns HTML question text into the plain text the app shows
+ * Paragraphs end with a blank line, line breaks and other block ends with a
+ * newline; other whitespace collapses
+ * @param {string} html - HTML text
+ * @returns {string} Plain text
+ */
+function htmlToText(html) {
+  const text = html
+    .replace(/\s+/g, ' ')
+    .replace(/<\/p>/gi, '\n\n')
+    .replace(/<(br|hr)\b[^>]*>|<\/(div|li|h\d|tr)>/gi, '\n')
+    .replace(/<\/td>/gi, ' ')
+    .replace(/<[^>]*>/g, '');
+  return decodeEntities(text)
+    .replace(/[^\S\n]+/g, ' ')
+    .replace(/ *\n */g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Builds a question in the data.json format from a parsed record
+ * @param {Object} record - { assignment, number, question, image, explanation, weight, options: [{ text, correct, rationale }] },
+ *   or, for typed-answer questions, { type, answer } instead of options; ordering
+ *   questions have a type and options in their correct order, none of them correct
+ * @returns {Object} Question object
+ */
+function buildQuestion(record) {
+  const question = {
+    assignmentnumber: String(record.assignment),
+    questionnumber: String(record.number),
+    question: normalizeMathDelimiters(record.question.trim()),
+    image: record.image || ''
+  };
+
+  if (record.explanation) {
+    question.explanation = normalizeMathDelimiters(record.explanation.trim());
+  }
+
+  if (record.weight > 0 && record.weight !== 1) {
+    question.weight = record.weight;
+  }
+  if (record.type) {
+    question.type = record.type;
+  }
+  if (record.answer) {
+    question.answer = record.answer;
+    return question;
+  }
+
+  question.options = record.options.map((option, index) => {
+    const built = {
+      optionnumber: OPTION_LETTERS[index] || String(index + 1),
+      optiontext: normalizeMathDelimiters(option.text.trim())
+    };
+    if (record.type !== QUESTION_TYPES.ORDERING) {
+      built.iscorrect = option.correct;
+    }
+    if (option.rationale) {
+      built.rationale = normalizeMathDelimiters(option.rationale.trim());
+    }
+    return built;
+  });
+
+  return question;
+}
+
+/**
+ * Splits CSV text into rows, honouring quoted cells with commas, quotes and line breaks
+ * @param {string} text - CSV text
+ * @returns {Array<Object>} Rows { line, cells } where line is the row's first line
+ */
+export function parseCsvRows(text) {
+  const rows = [];
+  let cells = [];
+  let cell = '';
+  let inQuotes = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const endCell = () => {
+    cells.push(cell);
+    cell = '';
+  };
+  const endRow = () => {
+    endCell();
+    if (cells.some(value => value.trim() !== '')) {
+      rows.push({ line: rowLine, cells });
+    }
+    cells = [];
+  };
+
+  const source = text.replace(/^\uFEFF/, '');
+  for (let index = 0; index < source.length; index++) {
+    const char = source[index];
+
+    if (inQuotes) {
+      if (char === '"' && source[index + 1] === '"') {
+        cell += '"';
+        index++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === '\n') line++;
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      endCell();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[index + 1] === '\n') index++;
+      endRow();
+      line++;
+      rowLine = line;
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== '' || cells.length > 0) {
+    endRow();
+  }
+
+  return rows;
+}
+
+/**
+ * Parses a CSV sheet with a header row
+ * Columns: assignment, number (optional), question, A-J (option texts),
+ * correct (letters such as "B" or "A;C"), image and explanation (optional)
+ * @param {string} text - CSV text
+ * @returns {Object} { records, errors }
+ */
+function parseCsv(text) {
+  const rows = parseCsvRows(text);
+  const errors = [];
+
+  if (rows.length === 0) {
+    return { records: [], errors: [{ line: 1, message: 'The CSV file is empty' }] };
+  }
+
+  const header = rows[0].cells.map(name => name.trim().toLowerCase().replace(/[^a-z0-9]/g, ''));
+  const column = (...names) => header.findIndex(name => names.includes(name));
+  const columns = {
+    assignment: column('assignment', 'assignmentnumber', 'week'),
+    number: column('number', 'questionnumber'),
+    question: column('question', 'questiontext'),
+    correct: column('correct', 'answer', 'answers'),
+    image: column('image'),
+    explanation: column('explanation')
+  };
+  const optionColumns = OPTION_LETTERS.map(letter => column(letter.toLowerCase(), `option${letter.toLowerCase()}`));
+
+  if (columns.question === -1 || columns.correct === -1 || optionColumns.every(index => index === -1)) {
+    return {
+      records: [],
+      errors: [{ line: rows[0].line, message: 'The header row needs question, correct and option columns (A, B, C, ...)' }]
+    };
+  }
+
+  const records = [];
+  rows.slice(1).forEach(({ line, cells }) => {
+    const cellAt = index => (index === -1 ? '' : (cells[index] || '').trim());
+
+    const options = [];
+    const letters = [];
+    optionColumns.forEach((index, letterIndex) => {
+      const optionText = cellAt(index);
+      if (optionText !== '') {
+        options.push({ text: optionText, correct: false });
+        letters.push(OPTION_LETTERS[letterIndex]);
+      }
+    });
+
+    const correctLetters = cellAt(columns.correct).toUpperCase().split(/[\s,;|]+/).filter(Boolean);
+    const unknownLetters = correctLetters.filter(letter => !letters.includes(letter));
+    if (unknownLetters.length > 0) {
+      errors.push({ line, message: `Correct answer ${unknownLetters.join(', ')} has no option text` });
+      return;
+    }
+    correctLetters.forEach(letter => {
+      options[letters.indexOf(letter)].correct = true;
+    });
+
+    records.push({
+      line,
+      assignment: cellAt(columns.assignment) || null,
+      number: cellAt(columns.number) || null,
+      question: cellAt(columns.question),
+      image: cellAt(columns.image),
+      explanation: cellAt(columns.explanation),
+      options
+    });
+  });
+
+  return { records, errors };
+}
+
+/**
+ * Parses the Markdown quiz syntax:
+ *   # Assignment 3              sets the assignment of the questions below it
+ *   ## 1. Question text         starts a question, the number is optional
+ *   ![alt](images/plot.png)     image
+ *   - [x] correct option
+ *   - [ ] wrong option
+ *   > Explanation text
+ * @param {string} text - Markdown text
+ * @returns {Object} { records, errors }
+ */
+function parseMarkdown(text) {
+  const records = [];
+  const errors = [];
+  let assignment = null;
+  let current = null;
+  let explanationLines = [];
+
+  const finishQuestion = () => {
+    if (current) {
+      current.explanation = explanationLines.join(' ').replace(/^explanation:\s*/i, '');
+      records.push(current);
+    }
+    current = null;
+    explanationLines = [];
+  };
+
+  text.split(/\r?\n/).forEach((rawLine, index) => {
+    const line = index + 1;
+    const trimmed = rawLine.trim();
+    let match;
+
+    if ((match = trimmed.match(/^#\s+(.*)$/))) {
+      finishQuestion();
+      assignment = getTrailingNumber(match[1]);
+      if (assignment === null) {
+        errors.push({ line, message: 'Assignment headings need a number, e.g. "# Assignment 3"' });
+      }
+    } else if ((match = trimmed.match(/^##\s+(?:(\d+)[.)]\s+)?(.*)$/))) {
+      finishQuestion();
+      current = { line, assignment, number: match[1] || null, question: match[2], image: '', options: [] };
+    } else if (trimmed === '') {
+      return;
+    } else if (!current) {
+      errors.push({ line, message: 'Text outside a question; start questions with "## "' });
+    } else if ((match = trimmed.match(/^[-*]\s+\[([ xX])\]\s+(.*)$/))) {
+      current.options.push({ text: match[2], correct: match[1] !== ' ' });
+    } else if ((match = trimmed.match(/^>\s?(.*)$/))) {
+      explanationLines.push(match[1]);
+    } else if ((match = trimmed.match(/^!\[[^\]]*\]\(([^)\s]+)\)$/))) {
+      current.image = match[1];
+    } else if (current.options.length === 0) {
+      current.question += ` ${trimmed}`;
+    } else if (/^\s/.test(rawLine)) {
+      current.options[current.options.length - 1].text += ` ${trimmed}`;
+    } else {
+      errors.push({ line, message: 'Text after the options of a question; indent it to continue the last option' });
+    }
+  });
+  finishQuestion();
+
+  return { records, errors };
+}
+
+/**
+ * Finds the first unescaped occurrence of a character in GIFT text
+ * @param {string} text - GIFT text
+ * @param {string} char - Character to look for
+ * @param {number} from - Index to start at
+ * @returns {number} Index, or -1 if there is none
+ */
+function findUnescaped(text, char, from = 0) {
+  for (let index = from; index < text.length; index++) {
+    if (text[index] === '\\') {
+      index++;
+    } else if (text[index] === char) {
+      return index;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Removes GIFT escapes (\~ \= \# \{ \} \:) and the [format] marker of a text
+ * @param {string} text - GIFT text
+ * @returns {string} Plain text
+ */
+function unescapeGift(text) {
+  const unescaped = text.replace(/\\n/g, ' ').replace(/\\([~=#{}:\\])/g, '$1');
+  const format = unescaped.match(/^\s*\[(html|moodle|plain|markdown)\]/);
+  if (!format) {
+    return unescaped.trim();
+  }
+  const body = unescaped.slice(format[0].length);
+  return format[1] === 'html' ? htmlToText(body) : body.trim();
+}
+
+/**
+ * Splits a GIFT answer block into its =right and ~wrong answers
+ * @param {string} body - Text between the braces
+ * @returns {Object} { answers: [{ marker, text }], generalFeedback }
+ */
+function splitGiftAnswers(body) {
+  let answerText = body;
+  let generalFeedback = '';
+
+  const feedbackStart = answerText.search(/(?<!\\)####/);
+  if (feedbackStart !== -1) {
+    generalFeedback = answerText.slice(feedbackStart + 4);
+    answerText = answerText.slice(0, feedbackStart);
+  }
+
+  const answers = [];
+  for (let index = 0; index < answerText.length; index++) {
+    const char = answerText[index];
+    if (char === '\\') {
+      if (answers.length > 0) answers[answers.length - 1].text += char + (answerText[index + 1] || '');
+      index++;
+    } else if (char === '=' || char === '~') {
+      answers.push({ marker: char, text: '' });
+    } else if (answers.length > 0) {
+      answers[answers.length - 1].text += char;
+    }
+  }
+
+  return { answers, generalFeedback };
+}
+
+/**
+ * Reads the weight of a GIFT answer, e.g. the 50 of "%50%Paris"
+ * @param {string} text - Answer text
+ * @returns {Object} { weight, text } where weight is null without one and text has it removed
+ */
+function readGiftWeight(text) {
+  const weight = text.match(/^\s*%(-?\d+(?:\.\d+)?)%/);
+  return weight
+    ? { weight: parseFloat(weight[1]), text: text.slice(weight[0].length) }
+    : { weight: null, text };
+}
+
+/**
+ * Gets the GIFT answers worth full marks, without their weight and feedback
+ * @param {Array<Object>} answers - Answers from splitGiftAnswers
+ * @returns {Array<string>} Answer texts, still escaped
+ */
+function getGiftFullMarkAnswers(answers) {
+  return answers
+    .filter(answer => answer.marker === '=')
+    .map(answer => readGiftWeight(answer.text))
+    .filter(({ weight }) => weight === null || weight === 100)
+    .map(({ text }) => {
+      const feedbackStart = findUnescaped(text, '#');
+      return feedbackStart === -1 ? text : text.slice(0, feedbackStart);
+    });
+}
+
+/**
+ * Parses the answer block of a GIFT numerical question: {#3.5:0.1}, {#1..2} or
+ * {#=3.5:0.1 =%50%3:1}, where only the answer worth full marks is kept
+ * @param {string} body - Text between the braces, after the #
+ * @returns {Object} { answer, explanation } with answer as { value, tolerance } or { min, max }, or { error }
+ */
+function parseGiftNumerical(body) {
+  const { answers, generalFeedback } = splitGiftAnswers(/^\s*[=~]/.test(body) ? body : `=${body}`);
+  const fullMarks = getGiftFullMarkAnswers(answers);
+  if (fullMarks.length !== 1) {
+    return { error: 'Numerical questions need exactly one answer worth full marks' };
+  }
+
+  const text = fullMarks[0].trim();
+  const range = text.match(/^(.+?)\.\.(.+)$/);
+  const [first, second] = range ? [range[1], range[2]] : text.split(':');
+  const firstNumber = parseNumber(first);
+  const secondNumber = second === undefined ? 0 : parseNumber(second);
+  if (isNaN(firstNumber) || isNaN(secondNumber)) {
+    return { error: 'Numerical answers must be a number, a number with a tolerance such as 3.5:0.1, or a range such as 1..2' };
+  }
+
+  let answer;
+  if (range) {
+    answer = { min: Math.min(firstNumber, secondNumber), max: Math.max(firstNumber, secondNumber) };
+  } else {
+    answer = secondNumber ? { value: firstNumber, tolerance: Math.abs(secondNumber) } : { value: firstNumber };
+  }
+  return { answer, explanation: unescapeGift(generalFeedback) };
+}
+
+/**
+ * Parses one GIFT question
+ * @param {string} block - Question text without comments
+ * @returns {Object} Record fields, or { error } for question types the app has no equivalent for
+ */
+function parseGiftQuestion(block) {
+  let text = block.trim();
+  let number = null;
+
+  if (text.startsWith('::')) {
+    const titleEnd = text.indexOf('::', 2);
+    if (titleEnd !== -1) {
+      const title = text.slice(2, titleEnd).trim();
+      number = /^\d+$/.test(title) ? title : null;
+      text = text.slice(titleEnd + 2);
+    }
+  }
+
+  const open = findUnescaped(text, '{');
+  const close = open === -1 ? -1 : findUnescaped(text, '}', open);
+  if (open === -1 || close === -1) {
+    return { error: 'Question has no {answer} block' };
+  }
+
+  const before = text.slice(0, open);
+  const after = text.slice(close + 1).trim();
+  const body = text.slice(open + 1, close).trim();
+  const question = unescapeGift(after ? `${before} _____ ${after}` : before);
+
+  const trueFalse = body.match(/^(T|TRUE|F|FALSE)\b\s*(?:#([^#]*))?(?:####([\s\S]*))?$/i);
+  if (trueFalse) {
+    const isTrue = trueFalse[1].toUpperCase().startsWith('T');
+    return {
+      number,
+      question,
+      explanation: unescapeGift(trueFalse[3] || ''),
+      options: [
+        { text: 'True', correct: isTrue },
+        { text: 'False', correct: !isTrue }
+      ]
+    };
+  }
+
+  if (body === '') {
+    return { error: 'Essay questions are not supported' };
+  }
+  if (body.startsWith('#')) {
+    const numerical = parseGiftNumerical(body.slice(1));
+    return numerical.error
+      ? numerical
+      : { number, question, explanation: numerical.explanation, type: QUESTION_TYPES.NUMERIC, answer: numerical.answer };
+  }
+
+  const { answers, generalFeedback } = splitGiftAnswers(body);
+  if (answers.some(answer => /(?<!\\)->/.test(answer.text))) {
+    return { error: 'Matching questions are not supported' };
+  }
+  // Answers that are all =right are the typed answers of a short answer question
+  if (answers.length > 0 && answers.every(answer => answer.marker === '=')) {
+    const accepted = getGiftFullMarkAnswers(answers).map(unescapeGift);
+    if (accepted.length === 0) {
+      return { error: 'Short answer questions need an answer worth full marks' };
+    }
+    if (accepted.some(text => text.includes('*'))) {
+      return { error: 'Short answer wildcards (*) are not supported' };
+    }
+    return {
+      number,
+      question,
+      explanation: unescapeGift(generalFeedback),
+      type: QUESTION_TYPES.SHORT_TEXT,
+      answer: { accepted }
+    };
+  }
+
+  const options = answers.map(answer => {
+    const weighted = readGiftWeight(answer.text);
+    let answerText = weighted.text;
+    const correct = weighted.weight === null ? answer.marker === '=' : weighted.weight > 0;
+
+    const feedbackStart = findUnescaped(answerText, '#');
+    const rationale = feedbackStart === -1 ? '' : unescapeGift(answerText.slice(feedbackStart + 1));
+    if (feedbackStart !== -1) {
+      answerText = answerText.slice(0, feedbackStart);
+    }
+
+    return { text: unescapeGift(answerText), correct, rationale };
+  });
+
+  return { number, question, explanation: unescapeGift(generalFeedback), options };
+}
+
+/**
+ * Parses GIFT text: questions separated by blank lines, // comments and
+ * $CATEGORY: lines, whose trailing number sets the assignment
+ * @param {string} text - GIFT text
+ * @returns {Object} { records, errors }
+ */
+function parseGift(text) {
+  const records = [];
+  const errors = [];
+  let assignment = null;
+  let blockLines = [];
+  let blockLine = null;
+
+  const finishBlock = () => {
+    if (blockLines.length > 0) {
+      const parsed = parseGiftQuestion(blockLines.join('\n'));
+      if (parsed.error) {
+        errors.push({ line: blockLine, message: parsed.error });
+      } else {
+        records.push({ line: blockLine, assignment, image: '', ...parsed });
+      }
+    }
+    blockLines = [];
+    blockLine = null;
+  };
+
+  text.replace(/^\uFEFF/, '').split(/\r?\n/).forEach((rawLine, index) => {
+    const trimmed = rawLine.trim();
+
+    if (trimmed.startsWith('//')) {
+      return;
+    }
+    if (trimmed === '') {
+      finishBlock();
+      return;
+    }
+
+    const category = trimmed.match(/^\$CATEGORY:\s*(.*)$/i);
+    if (category) {
+      finishBlock();
+      assignment = getTrailingNumber(category[1]);
+      return;
+    }
+
+    if (blockLine === null) blockLine = index + 1;
+    blockLines.push(rawLine);
+  });
+  finishBlock();
+
+  return { records, errors };
+}
+
+/**
+ * Parses XML into a tree of elements
+ * Supports what Moodle exports: elements, attributes, text, CDATA, comments and entities
+ * @param {string} text - XML text
+ * @returns {Object} Root element { name, attributes, children, text, line }
+ * @throws {Error} If the XML is malformed, with the line in error.line
+ */
+export function parseXml(text) {
+  const root = { name: '#document', attributes: {}, children: [], text: '', line: 1 };
+  const stack = [root];
+  let index = 0;
+  let line = 1;
+
+  const fail = (message) => {
+    const error = new Error(message);
+    error.line = line;
+    throw error;
+  };
+  const advanceTo = (end) => {
+    for (; index < end; index++) {
+      if (text[index] === '\n') line++;
+    }
+  };
+  const skipPast = (marker) => {
+    const end = text.indexOf(marker, index);
+    if (end === -1) fail(`Missing ${marker}`);
+    const content = text.slice(index, end);
+    advanceTo(end + marker.length);
+    return content;
+  };
+
+  while (index < text.length) {
+    const current = stack[stack.length - 1];
+    const next = text.indexOf('<', index);
+
+    if (next === -1 || next > index) {
+      const end = next === -1 ? text.length : next;
+      current.text += decodeEntities(text.slice(index, end));
+      advanceTo(end);
+      continue;
+    }
+
+    if (text.startsWith('<!--', index)) {
+      skipPast('-->');
+    } else if (text.startsWith('<![CDATA[', index)) {
+      advanceTo(index + 9);
+      current.text += skipPast(']]>');
+    } else if (text.startsWith('<?', index) || text.startsWith('<!', index)) {
+      skipPast('>');
+    } else if (text[index + 1] === '/') {
+      const tagLine = line;
+      const name = skipPast('>').slice(2).trim();
+      if (current.name !== name) {
+        line = tagLine;
+        fail(`Closing tag </${name}> does not match <${current.name}>`);
+      }
+      stack.pop();
+    } else {
+      const tagLine = line;
+      const tag = skipPast('>').slice(1);
+      const selfClosing = tag.endsWith('/');
+      const source = selfClosing ? tag.slice(0, -1) : tag;
+      const name = source.match(/^[^\s/>]+/)?.[0];
+      if (!name) fail('Malformed tag');
+
+      const attributes = {};
+      for (const match of source.matchAll(/([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+        attributes[match[1]] = decodeEntities(match[2] ?? match[3]);
+      }
+
+      const element = { name, attributes, children: [], text: '', line: tagLine };
+      current.children.push(element);
+      if (!selfClosing) stack.push(element);
+    }
+  }
+
+  if (stack.length > 1) {
+    fail(`Missing closing tag </${stack[stack.length - 1].name}>`);
+  }
+
+  return root;
+}
+
+/**
+ * Gets the first child element with a name
+ * @param {Object|null} element - Parent element
+ * @param {string} name - Child name
+ * @returns {Object|null} Child element
+ */
+function childElement(element, name) {
+  return (element && element.children.find(child => child.name === name)) || null;
+}
+
+/**
+ * Gets the text of a Moodle <x><text>...</text></x> field as plain text
+ * @param {Object|null} element - Field element
+ * @returns {string} Plain text
+ */
+function moodleText(element) {
+  const textElement = childElement(element, 'text');
+  if (!textElement) return '';
+  return element.attributes.format === 'html'
+    ? htmlToText(textElement.text)
+    : textElement.text.trim();
+}
+
+/**
+ * Reads the answer of a Moodle numerical question from its full-marks answer
+ * @param {Object} element - <question> element
+ * @param {Array<Object>} answers - <answer> elements worth full marks
+ * @returns {Object} { answer } as { value, tolerance }, or { error }
+ */
+function parseMoodleNumerical(element, answers) {
+  if (answers.length !== 1) {
+    return { error: 'Numerical questions need exactly one answer worth full marks' };
+  }
+
+  const value = parseNumber(moodleText(answers[0]));
+  const toleranceElement = childElement(answers[0], 'tolerance');
+  const tolerance = toleranceElement ? parseNumber(toleranceElement.text) : 0;
+  if (isNaN(value) || isNaN(tolerance)) {
+    return { error: 'Numerical answers must be a number with a number tolerance' };
+  }
+
+  return { answer: tolerance ? { value, tolerance: Math.abs(tolerance) } : { value } };
+}
+
+/**
+ * Reads the answer of a Moodle shortanswer question from its full-marks answers
+ * @param {Object} element - <question> element
+ * @param {Array<Object>} answers - <answer> elements worth full marks
+ * @returns {Object} { answer } as { accepted, caseSensitive }, or { error }
+ */
+function parseMoodleShortAnswer(element, answers) {
+  const accepted = answers.map(answer => moodleText(answer));
+  if (accepted.length === 0) {
+    return { error: 'Short answer questions need an answer worth full marks' };
+  }
+  // Moodle matches * as a wildcard and \* as an asterisk
+  if (accepted.some(text => /(?<!\\)\*/.test(text))) {
+    return { error: 'Short answer wildcards (*) are not supported' };
+  }
+
+  const answer = { accepted: accepted.map(text => text.replace(/\\\*/g, '*')) };
+  if (childElement(element, 'usecase')?.text.trim() === '1') {
+    answer.caseSensitive = true;
+  }
+  return { answer };
+}
+
+/**
+ * Reads the options of a Moodle ordering question (qtype_ordering), whose
+ * answers' fractions give their place in the correct order
+ * @param {Array<Object>} answers - <answer> elements
+ * @returns {Array<Object>} Options { text } in the correct order
+ */
+function parseMoodleOrdering(answers) {
+  return answers
+    .map((answer, index) => ({ answer, place: parseFloat(answer.attributes.fraction), index }))
+    .sort((a, b) => (a.place - b.place) || (a.index - b.index))
+    .map(({ answer }) => ({ text: moodleText(answer) }));
+}
+
+// Typed-answer question type of each Moodle question type that has one
+const MOODLE_TYPED_QUESTIONS = {
+  numerical: { type: QUESTION_TYPES.NUMERIC, parse: parseMoodleNumerical },
+  shortanswer: { type: QUESTION_TYPES.SHORT_TEXT, parse: parseMoodleShortAnswer }
+};
+
+/**
+ * Parses a Moodle XML quiz export; categories whose name ends in a number set
+ * the assignment, multichoice, truefalse and ordering questions are converted,
+ * and numerical and shortanswer questions become numeric and short-text questions
+ * @param {string} text - Moodle XML text
+ * @returns {Object} { records, errors }
+ */
+function parseMoodleXml(text) {
+  let root;
+  try {
+    root = parseXml(text);
+  } catch (error) {
+    return { records: [], errors: [{ line: error.line || 1, message: `Invalid XML: ${error.message}` }] };
+  }
+
+  const quiz = childElement(root, 'quiz');
+  if (!quiz) {
+    return { records: [], errors: [{ line: 1, message: 'Moodle XML must have a <quiz> root element' }] };
+  }
+
+  const records = [];
+  const errors = [];
+  let assignment = null;
+
+  quiz.children.filter(child => child.name === 'question').forEach(element => {
+    const type = element.attributes.type;
+
+    if (type === 'category') {
+      assignment = getTrailingNumber(moodleText(childElement(element, 'category')));
+      return;
+    }
+    const typed = MOODLE_TYPED_QUESTIONS[type];
+    if (!typed && !['multichoice', 'truefalse', 'ordering'].includes(type)) {
+      errors.push({ line: element.line, message: `Moodle question type "${type}" is not supported` });
+      return;
+    }
+
+    const questionText = childElement(childElement(element, 'questiontext'), 'text');
+    // Embedded files keep their file name, linked images their path
+    const image = questionText && questionText.text.match(/<img[^>]*src="(?:@@PLUGINFILE@@\/)?([^"]+)"/i);
+    const name = moodleText(childElement(element, 'name'));
+    const grade = childElement(element, 'defaultgrade');
+    const record = {
+      line: element.line,
+      assignment,
+      number: /^\d+$/.test(name) ? name : null,
+      question: moodleText(childElement(element, 'questiontext')),
+      image: image ? decodeURIComponent(image[1]) : '',
+      explanation: moodleText(childElement(element, 'generalfeedback')),
+      weight: grade ? parseNumber(grade.text) : null
+    };
+    const answers = element.children.filter(child => child.name === 'answer');
+
+    if (typed) {
+      // Partial-credit answers have no equivalent, so only full marks count
+      const parsed = typed.parse(element, answers.filter(answer => parseFloat(answer.attributes.fraction) === 100));
+      if (parsed.error) {
+        errors.push({ line: element.line, message: parsed.error });
+      } else {
+        records.push({ ...record, type: typed.type, answer: parsed.answer });
+      }
+      return;
+    }
+
+    if (type === 'ordering') {
+      records.push({ ...record, type: QUESTION_TYPES.ORDERING, options: parseMoodleOrdering(answers) });
+      return;
+    }
+
+    records.push({
+      ...record,
+      options: answers.map(answer => {
+        const answerText = moodleText(answer);
+        return {
+          text: type === 'truefalse' ? answerText.charAt(0).toUpperCase() + answerText.slice(1) : answerText,
+          correct: parseFloat(answer.attributes.fraction) > 0,
+          rationale: moodleText(childElement(answer, 'feedback'))
+        };
+      })
+    });
+  });
+
+  return { records, errors };
+}
+
+const PARSERS = {
+  [IMPORT_FORMATS.CSV]: parseCsv,
+  [IMPORT_FORMATS.MARKDOWN]: parseMarkdown,
+  [IMPORT_FORMATS.GIFT]: parseGift,
+  [IMPORT_FORMATS.MOODLE_XML]: parseMoodleXml
+};
+
+/**
+ * Converts an authored question file into data.json questions
+ * Questions without a number are numbered after the others of their assignment
+ * @param {string} text - File contents
+ * @param {string} format - One of IMPORT_FORMATS
+ * @param {Object} options - Import options
+ * @param {number|null} options.defaultAssignment - Assignment for questions whose source names none
+ * @returns {Object} { questions, errors } where questions passed validateQuestion and
+ *   errors are { line, message } for rows that were skipped, sorted by line
+ */
+export function importQuestions(text, format, { defaultAssignment = null } = {}) {
+  const parser = PARSERS[format];
+  if (!parser) {
+    throw new Error(`Unknown import format: ${format}`);
+  }
+
+  const { records, errors } = parser(text);
+  const questions = [];
+
+  // Numbers the source already uses, so generated ones don't collide
+  const usedNumbers = new Map();
+  records.forEach(record => {
+    const assignment = record.assignment ?? defaultAssignment;
+    if (assignment !== null && record.number) {
+      usedNumbers.set(`${assignment}`, [...(usedNumbers.get(`${assignment}`) || []), parseInt(record.number)]);
+    }
+  });
+
+  records.forEach(record => {
+    const assignment = record.assignment ?? defaultAssignment;
+    if (assignment === null || assignment === '') {
+      errors.push({ line: record.line, message: 'Question has no assignment; add one in the file or choose a default assignment' });
+      return;
+    }
+
+    let number = record.number;
+    if (!number) {
+      const used = usedNumbers.get(`${assignment}`) || [];
+      number = used.length > 0 ? Math.max(...used) + 1 : 1;
+      usedNumbers.set(`${assignment}`, [...used, number]);
+    }
+
+    const question = buildQuestion({ ...record, assignment, number });
+    const validation = validateQuestion(question);
+    if (validation.isValid) {
+      questions.push(question);
+    } else {
+      validation.errors.forEach(message => errors.push({ line: record.line, message }));
+    }
+  });
+
+  errors.sort((a, b) => a.line - b.line);
+  return { questions, errors };
+}
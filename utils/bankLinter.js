@@ -0,0 +1,259 @@
+/**
+ * Question bank linter
+ * Runs the structural checks of questionValidation.js over a whole bank file and
+ * adds the checks worth making before a bank is published: duplicate question
+ * numbers, missing images, unclosed math delimiters, LaTeX that KaTeX cannot
+ * parse with the bank's macros and single-answer questions with identical option texts
+ * Every diagnostic carries the line of the offending value in the bank's JSON text
+ */
+
+import katex from 'katex';
+import { validateQuestion, validateAssignmentsBlock, validateLatexMacros } from './questionValidation.js';
+import { QUESTION_TYPES, getQuestionType } from './questionTypes.js';
+import { tokenizeLatex, findUnclosedDelimiter } from './latexTokenizer.js';
+import { IMAGE_STATUS } from './imageAssets.js';
+
+// Text fields rendered through LaTeXRenderer
+const QUESTION_LATEX_FIELDS = ['question', 'explanation', 'imageDescription'];
+const OPTION_LATEX_FIELDS = ['optiontext', 'rationale'];
+
+/**
+ * Joins a JSON path and a key or index, e.g. questions[3].options
+ * @param {string} path - Parent path, '' for the root
+ * @param {string|number} key - Object key or array index
+ * @returns {string} Child path
+ */
+function childPath(path, key) {
+  if (typeof key === 'number') {
+    return `${path}[${key}]`;
+  }
+  return path ? `${path}.${key}` : key;
+}
+
+/**
+ * Finds the line each value of a JSON document starts on
+ * Expects text that JSON.parse already accepted
+ * @param {string} text - JSON text
+ * @returns {Map<string, number>} Line numbers (1-based) keyed by path, '' for the root
+ */
+export function getJsonValueLines(text) {
+  const lines = new Map();
+  let index = 0;
+  let line = 1;
+
+  const skipWhitespace = () => {
+    while (index < text.length && /\s/.test(text[index])) {
+      if (text[index] === '\n') line++;
+      index++;
+    }
+  };
+
+  const readString = () => {
+    const start = index;
+    index++;
+    while (text[index] !== '"') {
+      index += text[index] === '\\' ? 2 : 1;
+    }
+    index++;
+    return JSON.parse(text.slice(start, index));
+  };
+
+  const readValue = (path) => {
+    skipWhitespace();
+    lines.set(path, line);
+
+    const opening = text[index];
+    if (opening === '"') {
+      readString();
+      return;
+    }
+    if (opening !== '{' && opening !== '[') {
+      while (index < text.length && !/[\s,\]}]/.test(text[index])) index++;
+      return;
+    }
+
+    index++;
+    skipWhitespace();
+    for (let itemIndex = 0; text[index] !== '}' && text[index] !== ']'; itemIndex++) {
+      if (opening === '{') {
+        const key = readString();
+        skipWhitespace();
+        index++; // colon
+        readValue(childPath(path, key));
+      } else {
+        readValue(childPath(path, itemIndex));
+      }
+      skipWhitespace();
+      if (text[index] === ',') {
+        index++;
+        skipWhitespace();
+      }
+    }
+    index++;
+  };
+
+  readValue('');
+  return lines;
+}
+
+/**
+ * Gets the LaTeX of a text, split the same way LaTeXRenderer splits it
+ * @param {string} text - Question, option or explanation text
+ * @returns {Array<string>} LaTeX expressions without their delimiters
+ */
+export function getLatexExpressions(text) {
+  return tokenizeLatex(text).filter(token => token.type === 'math').map(token => token.text);
+}
+
+/**
+ * Finds options of a single-answer question whose texts are the same
+ * @param {Object} question - Question object
+ * @returns {Array<Array<string>>} Groups of option numbers sharing a text
+ */
+export function findIdenticalOptions(question) {
+  if (getQuestionType(question) !== QUESTION_TYPES.MULTIPLE_CHOICE) {
+    return [];
+  }
+
+  const correctCount = question.options.filter(option => option.iscorrect === true).length;
+  if (correctCount !== 1) {
+    return [];
+  }
+
+  const byText = new Map();
+  question.options.forEach(option => {
+    const text = option.optiontext.trim().replace(/\s+/g, ' ').toLowerCase();
+    byText.set(text, [...(byText.get(text) || []), option.optionnumber]);
+  });
+
+  return [...byText.values()].filter(group => group.length > 1);
+}
+
+/**
+ * Lints the LaTeX of one text field
+ * @param {string} text - Field text
+ * @param {Object} macros - KaTeX macros of the bank
+ * @returns {Array<string>} Problems, empty if the LaTeX is fine
+ */
+function lintLatex(text, macros) {
+  const unclosed = findUnclosedDelimiter(text);
+  if (unclosed) {
+    return [`has an unbalanced ${unclosed} delimiter`];
+  }
+
+  return tokenizeLatex(text).filter(token => token.type === 'math').flatMap(token => {
+    try {
+      katex.renderToString(token.text, { throwOnError: true, displayMode: token.display, macros: { ...macros } });
+      return [];
+    } catch (error) {
+      return [`has LaTeX KaTeX cannot parse: ${token.raw} (${error.message})`];
+    }
+  });
+}
+
+/**
+ * Lints a question bank file
+ * @param {string} text - Bank JSON text, a question array or { assignments, questions }
+ * @param {Object} options - Linter options
+ * @param {Function|null} options.imageStatus - Gets the IMAGE_STATUS of an `image` value; image checks are skipped without it
+ * @returns {Object} { questionCount, diagnostics, warnings } where both lists hold
+ *   { line, path, message } sorted by line; warnings are figures with no image
+ *   manifest entry yet, which check-images also only warns about
+ */
+export function lintQuestionBank(text, { imageStatus = null } = {}) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    const position = Number((error.message.match(/position (\d+)/) || [])[1]);
+    const line = isNaN(position) ? 1 : text.slice(0, position).split('\n').length;
+    return { questionCount: 0, diagnostics: [{ line, path: '', message: `Invalid JSON: ${error.message}` }], warnings: [] };
+  }
+
+  const lines = getJsonValueLines(text);
+  const lineOf = (path) => lines.get(path) || 1;
+  const diagnostics = [];
+  const warnings = [];
+  const report = (path, message) => diagnostics.push({ line: lineOf(path), path, message });
+  const warn = (path, message) => warnings.push({ line: lineOf(path), path, message });
+
+  const questionsPath = Array.isArray(data) ? '' : 'questions';
+  const questions = Array.isArray(data) ? data : data && data.questions;
+
+  if (!Array.isArray(questions)) {
+    report('', 'Bank must be an array of questions or an object with a questions array');
+    return { questionCount: 0, diagnostics, warnings };
+  }
+
+  if (!Array.isArray(data) && data.assignments !== undefined) {
+    validateAssignmentsBlock(data.assignments).errors.forEach(error => report('assignments', error));
+  }
+
+  // LaTeX is only checked against macros that are valid, as the loader rejects the rest
+  let macros = {};
+  if (!Array.isArray(data) && data.latexMacros !== undefined) {
+    const macrosValidation = validateLatexMacros(data.latexMacros);
+    macrosValidation.errors.forEach(error => report('latexMacros', error));
+    macros = macrosValidation.isValid ? data.latexMacros : {};
+  }
+
+  const firstLines = new Map();
+
+  questions.forEach((question, index) => {
+    const path = childPath(questionsPath, index);
+    const validation = validateQuestion(question, index);
+    validation.errors.forEach(error => report(path, error));
+
+    if (!question || typeof question !== 'object') {
+      return;
+    }
+
+    // Question numbers identify answers in history, review and retry links
+    const key = `${question.assignmentnumber}.${question.questionnumber}`;
+    const numberPath = childPath(path, 'questionnumber');
+    if (firstLines.has(key)) {
+      report(numberPath, `Duplicate question ${key}, first defined on line ${firstLines.get(key)}`);
+    } else {
+      firstLines.set(key, lineOf(numberPath));
+    }
+
+    if (imageStatus && typeof question.image === 'string' && question.image.trim() !== '') {
+      const status = imageStatus(question.image);
+      if (status === IMAGE_STATUS.MISSING) {
+        report(childPath(path, 'image'), `Image not found: ${question.image}`);
+      } else if (status === IMAGE_STATUS.UNLISTED) {
+        warn(childPath(path, 'image'), `Image has no entry in the image manifest: ${question.image}`);
+      }
+    }
+
+    QUESTION_LATEX_FIELDS.forEach(field => {
+      if (typeof question[field] === 'string') {
+        lintLatex(question[field], macros).forEach(problem => report(childPath(path, field), `${field} ${problem}`));
+      }
+    });
+
+    if (!Array.isArray(question.options)) {
+      return;
+    }
+
+    question.options.forEach((option, optionIndex) => {
+      if (!option || typeof option !== 'object') return;
+      const optionPath = childPath(childPath(path, 'options'), optionIndex);
+      OPTION_LATEX_FIELDS.forEach(field => {
+        if (typeof option[field] === 'string') {
+          lintLatex(option[field], macros).forEach(problem => report(childPath(optionPath, field), `${field} ${problem}`));
+        }
+      });
+    });
+
+    if (validation.isValid) {
+      findIdenticalOptions(question).forEach(group => {
+        report(childPath(path, 'options'), `Single-answer question has identical options ${group.join(', ')}`);
+      });
+    }
+  });
+
+  diagnostics.sort((a, b) => a.line - b.line);
+  warnings.sort((a, b) => a.line - b.line);
+  return { questionCount: questions.length, diagnostics, warnings };
+}
@@ -0,0 +1,204 @@
+/**
+ * Course manifest utilities
+ * Reads public/courses.json, which lists the courses this app hosts, each with
+ * its own question bank; the assignments of a course are described by its bank
+ */
+
+import { DataLoadError, DataValidationError, DEFAULT_BANK_URL } from './dataLoader';
+
+export const COURSE_MANIFEST_URL = '/courses.json';
+
+const COURSE_ID_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+
+// Used when a deployment has no courses.json: the single bank in public/data.json
+const FALLBACK_MANIFEST = {
+  defaultCourse: 'ml',
+  courses: [
+    {
+      id: 'ml',
+      title: 'ML Quiz App',
+      bank: DEFAULT_BANK_URL
+    }
+  ]
+};
+
+// Cache for the loaded manifest
+let manifestCache = null;
+
+/**
+ * Validates a single course entry of the manifest
+ * @param {Object} course - Course entry
+ * @param {number} index - Index of the course, for error messages
+ * @returns {Array<string>} Validation errors, empty if the course is valid
+ */
+function validateCourse(course, index) {
+  const errors = [];
+  const label = `Course ${index + 1}`;
+
+  if (!course || typeof course !== 'object') {
+    return [`${label} must be an object`];
+  }
+
+  if (typeof course.id !== 'string' || !COURSE_ID_PATTERN.test(course.id)) {
+    errors.push(`${label} id must contain only lowercase letters, digits and dashes`);
+  }
+
+  if (typeof course.title !== 'string' || course.title.trim() === '') {
+    errors.push(`${label} is missing a title`);
+  }
+
+  if (typeof course.bank !== 'string' || course.bank.trim() === '') {
+    errors.push(`${label} is missing the URL of its question bank`);
+  }
+
+  return errors;
+}
+
+/**
+ * Validates a course manifest
+ * @param {Object} manifest - Parsed courses.json
+ * @returns {Object} Validation result with isValid flag and errors
+ */
+export function validateCourseManifest(manifest) {
+  if (!manifest || typeof manifest !== 'object' || !Array.isArray(manifest.courses) || manifest.courses.length === 0) {
+    return { isValid: false, errors: ['Manifest must list at least one course'] };
+  }
+
+  const errors = manifest.courses.flatMap(validateCourse);
+
+  const ids = manifest.courses.map(course => course && course.id);
+  const duplicates = ids.filter((id, index) => ids.indexOf(id) !== index);
+  if (duplicates.length > 0) {
+    errors.push(`Duplicate course ids: ${[...new Set(duplicates)].join(', ')}`);
+  }
+
+  if (manifest.defaultCourse !== undefined && !ids.includes(manifest.defaultCourse)) {
+    errors.push(`Default course "${manifest.defaultCourse}" is not listed`);
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Loads the course manifest, falling back to the single built-in course
+ * when the deployment has no courses.json
+ * @returns {Promise<Object>} Validated manifest
+ * @throws {DataLoadError} If the manifest cannot be loaded
+ * @throws {DataValidationError} If the manifest is invalid
+ */
+export async function loadCourseManifest() {
+  if (manifestCache) {
+    return manifestCache;
+  }
+
+  let response;
+  try {
+    response = await fetch(COURSE_MANIFEST_URL);
+  } catch (error) {
+    throw new DataLoadError('Network error: Unable to load the course list.', error);
+  }
+
+  if (response.status === 404) {
+    manifestCache = FALLBACK_MANIFEST;
+    return manifestCache;
+  }
+
+  if (!response.ok) {
+    throw new DataLoadError(
+      `Failed to load the course list: ${response.status} ${response.statusText}`,
+      new Error(`HTTP ${response.status}`)
+    );
+  }
+
+  let manifest;
+  try {
+    manifest = await response.json();
+  } catch (parseError) {
+    throw new DataLoadError('Invalid JSON format in courses.json.', parseError);
+  }
+
+  const validation = validateCourseManifest(manifest);
+  if (!validation.isValid) {
+    throw new DataValidationError('Invalid course manifest', { errors: validation.errors });
+  }
+
+  manifestCache = manifest;
+  return manifestCache;
+}
+
+/**
+ * Clears the manifest cache (useful for testing or forced refresh)
+ */
+export function clearCourseManifestCache() {
+  manifestCache = null;
+}
+
+/**
+ * Gets the course that is served without a /c/[course] prefix
+ * @param {Object} manifest - Course manifest
+ * @returns {Object} Default course
+ */
+export function getDefaultCourse(manifest) {
+  return manifest.courses.find(course => course.id === manifest.defaultCourse) || manifest.courses[0];
+}
+
+/**
+ * Looks up a course by id
+ * @param {Object} manifest - Course manifest
+ * @param {string|null} courseId - Course id, or null for the default course
+ * @returns {Object|null} Course, or null if the manifest does not list it
+ */
+export function getCourse(manifest, courseId = null) {
+  if (!courseId) {
+    return getDefaultCourse(manifest);
+  }
+  return manifest.courses.find(course => course.id === courseId) || null;
+}
+
+/**
+ * Checks whether a course is the default course
+ * @param {Object} manifest - Course manifest
+ * @param {Object} course - Course entry
+ * @returns {boolean} True for the default course
+ */
+export function isDefaultCourse(manifest, course) {
+  return getDefaultCourse(manifest).id === course.id;
+}
+
+/**
+ * Scopes an assignment id to a course for storage keys, so progress saved for
+ * one course never shows up in another; the default course keeps bare ids
+ * @param {string|null} courseId - Course id, or null for the default course
+ * @param {string|number} assignment - Assignment id
+ * @returns {string} Storage id for the assignment
+ */
+export function getCourseScopedId(courseId, assignment) {
+  return courseId ? `${courseId}/${assignment}` : String(assignment);
+}
+
+/**
+ * Resolves the course of a route
+ * @param {string|undefined} courseParam - The [course] route parameter, absent on unprefixed routes
+ * @returns {Promise<Object>} { course, courseId, manifest } where courseId is null for the default course
+ * @throws {DataValidationError} If the course is not in the manifest
+ */
+export async function resolveCourse(courseParam) {
+  const manifest = await loadCourseManifest();
+  const course = getCourse(manifest, courseParam || null);
+
+  if (!course) {
+    throw new DataValidationError(
+      `Course "${courseParam}" was not found.`,
+      { course: courseParam, availableCourses: manifest.courses.map(c => c.id) }
+    );
+  }
+
+  return {
+    course,
+    courseId: isDefaultCourse(manifest, course) ? null : course.id,
+    manifest
+  };
+}
@@ -0,0 +1,112 @@
+/**
+ * Custom quiz utilities
+ * Describes a custom quiz (weeks, question count, question type, mode and seed),
+ * encodes it in a shareable URL and builds the same question sample from it every time
+ */
+
+import { filterQuestionsByMultipleAssignments } from './questionFilter';
+import { isMultipleChoice } from './scoringUtils';
+import { shuffleArray, createSeededRandom, isValidSeed } from './shuffleUtils';
+import { isValidAssignment, isValidQuestionSetMode, VALID_ASSIGNMENTS } from './navigationUtils';
+
+/**
+ * Question type filters for custom quizzes
+ */
+export const CUSTOM_QUIZ_FILTERS = {
+  ALL: 'all',
+  MULTI_ANSWER: 'multi-answer',
+  IMAGE: 'image'
+};
+
+export const DEFAULT_CUSTOM_QUIZ_COUNT = 20;
+
+/**
+ * Checks whether a question has an image
+ * @param {Object} question - Question object
+ * @returns {boolean} - True if the question shows an image
+ */
+function hasImage(question) {
+  return typeof question.image === 'string' && question.image.trim() !== '';
+}
+
+/**
+ * Gets the questions a custom quiz draws from, before sampling
+ * @param {Array} questions - All questions
+ * @param {Object} config - Custom quiz config { weeks, filter }
+ * @returns {Array} - Matching questions ordered by assignment and question number
+ */
+export function getCustomQuizPool(questions, config) {
+  const pool = filterQuestionsByMultipleAssignments(questions, config.weeks);
+
+  if (config.filter === CUSTOM_QUIZ_FILTERS.MULTI_ANSWER) {
+    return pool.filter(isMultipleChoice);
+  }
+  if (config.filter === CUSTOM_QUIZ_FILTERS.IMAGE) {
+    return pool.filter(hasImage);
+  }
+  return pool;
+}
+
+/**
+ * Builds the questions of a custom quiz
+ * The seed picks the sample, so the same config always gives the same questions;
+ * the sample keeps the pool's order and the mode decides whether to shuffle it
+ * @param {Array} questions - All questions
+ * @param {Object} config - Custom quiz config from parseCustomQuizParams
+ * @returns {Array} - Sampled questions
+ */
+export function buildCustomQuiz(questions, config) {
+  const pool = getCustomQuizPool(questions, config);
+  const count = Math.min(config.count, pool.length);
+
+  const sample = new Set(shuffleArray(pool, createSeededRandom(config.seed)).slice(0, count));
+  return pool.filter(question => sample.has(question));
+}
+
+/**
+ * Encodes a custom quiz config as URL query parameters
+ * @param {Object} config - Custom quiz config { weeks, count, filter, mode, seed }
+ * @returns {string} - Query string without the leading "?"
+ */
+export function buildCustomQuizParams(config) {
+  const params = new URLSearchParams();
+  params.set('weeks', [...config.weeks].sort((a, b) => a - b).join(','));
+  params.set('count', String(config.count));
+  if (config.filter && config.filter !== CUSTOM_QUIZ_FILTERS.ALL) {
+    params.set('only', config.filter);
+  }
+  params.set('mode', config.mode);
+  params.set('seed', config.seed);
+  return params.toString();
+}
+
+/**
+ * Decodes a custom quiz config from URL query parameters
+ * @param {URLSearchParams|string} searchParams - Query parameters
+ * @param {Array<number>} validAssignments - Weeks that may be picked, the bank's released assignments
+ * @returns {Object|null} - Config { weeks, count, filter, mode, seed }, or null if incomplete or invalid
+ */
+export function parseCustomQuizParams(searchParams, validAssignments = VALID_ASSIGNMENTS) {
+  const params = typeof searchParams === 'string' ? new URLSearchParams(searchParams) : searchParams;
+  if (!params) return null;
+
+  const weeks = [...new Set((params.get('weeks') || '').split(',')
+    .filter(week => isValidAssignment(week, validAssignments))
+    .map(week => parseInt(week)))];
+  const count = parseInt(params.get('count'));
+  const filter = params.get('only') || CUSTOM_QUIZ_FILTERS.ALL;
+  const mode = params.get('mode');
+  const seed = params.get('seed');
+
+  if (weeks.length === 0 || !(count > 0) || !isValidQuestionSetMode(mode)) {
+    return null;
+  }
+  if (!Object.values(CUSTOM_QUIZ_FILTERS).includes(filter)) {
+    return null;
+  }
+  if (!isValidSeed(seed)) {
+    return null;
+  }
+
+  return { weeks, count, filter, mode, seed };
+}
@@ -1,14 +1,17 @@
 /**
- * Data loading utility to read and parse questions from public/data.json
+ * Data loading utility to read and parse question banks (public/data.json by default)
  * Handles loading, parsing, and comprehensive validation of question data
  * Includes caching for improved performance
  */
 
 import { logError } from './errorUtils';
+import { buildAssignmentList } from './assignmentMetadata';
+import { validateQuestionsData, validateAssignmentsBlock, validateLatexMacros } from './questionValidation';
 
-// Cache for loaded questions data
-let questionsCache = null;
-let cacheTimestamp = null;
+export const DEFAULT_BANK_URL = '/data.json';
+
+// Cache for loaded question banks, keyed by bank URL
+const questionsCache = new Map();
 const CACHE_DURATION = 5 * 60 * 1000; // 5 minutes
 
 /**
@@ -34,27 +37,45 @@ export class DataValidationError extends Error {
 }
 
 /**
- * Loads and parses question data from the public/data.json file
- * Uses caching to improve performance on subsequent loads
+ * Loads and parses a question bank, public/data.json unless a course names another file
+ * @param {string} bankUrl - URL of the question bank JSON file
  * @returns {Promise<Array>} Array of validated question objects
  * @throws {DataLoadError} If data loading fails
  * @throws {DataValidationError} If data validation fails
  */
-export async function loadQuestions() {
+export async function loadQuestions(bankUrl = DEFAULT_BANK_URL) {
+  const bank = await loadQuestionBank(bankUrl);
+  return bank.questions;
+}
+
+/**
+ * Loads a question bank with its assignment metadata
+ * A bank is either a plain array of questions or an object
+ * { assignments: [...], latexMacros: {...}, questions: [...] } (see docs/question-format.md)
+ * Uses caching to improve performance on subsequent loads
+ * @param {string} bankUrl - URL of the question bank JSON file
+ * @returns {Promise<Object>} { questions, assignments, latexMacros } where assignments
+ *   lists every assignment of the bank with its metadata (see buildAssignmentList)
+ *   and latexMacros holds the bank's KaTeX macros, {} if it has none
+ * @throws {DataLoadError} If data loading fails
+ * @throws {DataValidationError} If data validation fails
+ */
+export async function loadQuestionBank(bankUrl = DEFAULT_BANK_URL) {
   // Check cache first
   const now = Date.now();
-  if (questionsCache && cacheTimestamp && (now - cacheTimestamp) < CACHE_DURATION) {
-    return questionsCache;
+  const cached = questionsCache.get(bankUrl);
+  if (cached && (now - cached.timestamp) < CACHE_DURATION) {
+    return cached.bank;
   }
 
   try {
     // Attempt to fetch the data file
-    const response = await fetch('/data.json');
+    const response = await fetch(bankUrl);
     
     if (!response.ok) {
       if (response.status === 404) {
         throw new DataLoadError(
-          'Question data file not found. Please ensure data.json exists in the public folder.',
+          `Question data file not found. Please ensure ${bankUrl} exists in the public folder.`,
           new Error(`HTTP ${response.status}`)
         );
       } else if (response.status >= 500) {
@@ -71,21 +92,42 @@ export async function loadQuestions() {
     }
 
     // Parse JSON data
-    let questions;
+    let data;
     try {
-      questions = await response.json();
+      data = await response.json();
     } catch (parseError) {
       throw new DataLoadError(
-        'Invalid JSON format in question data file. Please check the data.json file format.',
+        `Invalid JSON format in question data file. Please check the ${bankUrl} file format.`,
         parseError
       );
     }
     
+    // Banks without assignment metadata are a bare array of questions
+    const questions = Array.isArray(data) ? data : data && data.questions;
+    const assignmentMetadata = Array.isArray(data) ? [] : (data && data.assignments) || [];
+    const latexMacros = Array.isArray(data) ? {} : (data && data.latexMacros) || {};
+
     // Validate that we received an array
     if (!Array.isArray(questions)) {
       throw new DataValidationError(
         'Invalid data format: expected array of questions',
-        { receivedType: typeof questions, data: questions }
+        { receivedType: typeof data, data }
+      );
+    }
+
+    const metadataValidation = validateAssignmentsBlock(assignmentMetadata);
+    if (!metadataValidation.isValid) {
+      throw new DataValidationError(
+        'Invalid assignment metadata in question data file',
+        { errors: metadataValidation.errors }
+      );
+    }
+
+    const macrosValidation = validateLatexMacros(latexMacros);
+    if (!macrosValidation.isValid) {
+      throw new DataValidationError(
+        'Invalid LaTeX macros in question data file',
+        { errors: macrosValidation.errors }
       );
     }
 
@@ -116,11 +158,16 @@ export async function loadQuestions() {
       });
     }
     
-    // Cache the validated questions
-    questionsCache = validationResult.validQuestions;
-    cacheTimestamp = now;
+    const bank = {
+      questions: validationResult.validQuestions,
+      assignments: buildAssignmentList(assignmentMetadata, validationResult.validQuestions),
+      latexMacros
+    };
+
+    // Cache the validated bank
+    questionsCache.set(bankUrl, { bank, timestamp: now });
     
-    return validationResult.validQuestions;
+    return bank;
   } catch (error) {
     // Re-throw custom errors as-is
     if (error instanceof DataLoadError || error instanceof DataValidationError) {
@@ -136,7 +183,7 @@ export async function loadQuestions() {
     }
     
     // Handle other unexpected errors
-    logError(error, { context: 'loadQuestions', type: 'unexpected' });
+    logError(error, { context: 'loadQuestionBank', type: 'unexpected' });
     throw new DataLoadError(
       'An unexpected error occurred while loading questions. Please try again.',
       error
@@ -144,132 +191,6 @@ export async function loadQuestions() {
   }
 }
 
-/**
- * Validates an array of questions and returns detailed validation results
- * @param {Array} questions - Array of question objects to validate
- * @returns {Object} Validation result with valid questions, invalid questions, and errors
- */
-function validateQuestionsData(questions) {
-  const validQuestions = [];
-  const invalidQuestions = [];
-  const errors = [];
-
-  questions.forEach((question, index) => {
-    const validationResult = validateQuestion(question, index);
-    
-    if (validationResult.isValid) {
-      validQuestions.push(question);
-    } else {
-      invalidQuestions.push({
-        index,
-        question,
-        errors: validationResult.errors
-      });
-      errors.push(...validationResult.errors.map(error => `Question ${index + 1}: ${error}`));
-    }
-  });
-
-  return {
-    validQuestions,
-    invalidQuestions,
-    errors
-  };
-}
-
-/**
- * Validates the structure of a single question object
- * @param {Object} question - Question object to validate
- * @param {number} index - Index of the question in the array (for error reporting)
- * @returns {Object} Validation result with isValid flag and error messages
- */
-function validateQuestion(question, index = 0) {
-  const errors = [];
-
-  // Check if question is an object
-  if (!question || typeof question !== 'object') {
-    errors.push('Question must be an object');
-    return { isValid: false, errors };
-  }
-
-  // Check required string fields
-  const requiredStringFields = ['assignmentnumber', 'questionnumber', 'question'];
-  requiredStringFields.forEach(field => {
-    if (!question[field] || typeof question[field] !== 'string' || question[field].trim() === '') {
-      errors.push(`Missing or invalid ${field} field`);
-    }
-  });
-
-  // Validate assignment number format
-  if (question.assignmentnumber) {
-    const assignmentNum = parseInt(question.assignmentnumber);
-    if (isNaN(assignmentNum) || assignmentNum < 1) {
-      errors.push('Assignment number must be a positive integer');
-    }
-  }
-
-  // Check image field (optional but must be string if present)
-  if (question.image !== undefined && typeof question.image !== 'string') {
-    errors.push('Image field must be a string');
-  }
-
-  // Check options array
-  if (!Array.isArray(question.options)) {
-    errors.push('Options must be an array');
-    return { isValid: false, errors };
-  }
-
-  if (question.options.length === 0) {
-    errors.push('Question must have at least one option');
-    return { isValid: false, errors };
-  }
-
-  if (question.options.length > 10) {
-    errors.push('Question cannot have more than 10 options');
-  }
-
-  // Validate each option
-  const optionNumbers = new Set();
-  let hasCorrectAnswer = false;
-
-  question.options.forEach((option, optionIndex) => {
-    if (!option || typeof option !== 'object') {
-      errors.push(`Option ${optionIndex + 1} must be an object`);
-      return;
-    }
-
-    // Check required option fields
-    if (!option.optionnumber || typeof option.optionnumber !== 'string' || option.optionnumber.trim() === '') {
-      errors.push(`Option ${optionIndex + 1} missing or invalid optionnumber`);
-    } else {
-      // Check for duplicate option numbers
-      if (optionNumbers.has(option.optionnumber)) {
-        errors.push(`Duplicate option number: ${option.optionnumber}`);
-      }
-      optionNumbers.add(option.optionnumber);
-    }
-
-    if (!option.optiontext || typeof option.optiontext !== 'string' || option.optiontext.trim() === '') {
-      errors.push(`Option ${optionIndex + 1} missing or invalid optiontext`);
-    }
-
-    if (typeof option.iscorrect !== 'boolean') {
-      errors.push(`Option ${optionIndex + 1} iscorrect must be a boolean`);
-    } else if (option.iscorrect === true) {
-      hasCorrectAnswer = true;
-    }
-  });
-
-  // Ensure at least one correct answer exists
-  if (!hasCorrectAnswer) {
-    errors.push('Question must have at least one correct answer');
-  }
-
-  return {
-    isValid: errors.length === 0,
-    errors
-  };
-}
-
 /**
  * Gets all unique assignment numbers from the questions data
  * @param {Array} questions - Array of question objects
@@ -294,6 +215,5 @@ export function getQuestionCount(questions, assignmentNumber) {
  * Clears the questions cache (useful for testing or forced refresh)
  */
 export function clearQuestionsCache() {
-  questionsCache = null;
-  cacheTimestamp = null;
+  questionsCache.clear();
 }
\ No newline at end of file
@@ -0,0 +1,21 @@
+/**
+ * Browser download helper
+ * Saves generated exports (question banks, worksheets, results) as files
+ */
+
+/**
+ * Offers content to the user as a file download
+ * @param {string|Uint8Array} content - File contents
+ * @param {string} fileName - Suggested file name
+ * @param {string} type - MIME type
+ */
+export function downloadFile(content, fileName, type = 'text/plain') {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
@@ -2,7 +2,7 @@
 import { initializeApp } from "firebase/app";
 import { getAuth, signInAnonymously, onAuthStateChanged } from "firebase/auth";
 import { getAnalytics, logEvent, isSupported } from "firebase/analytics";
-import { getFirestore, collection, addDoc, serverTimestamp } from "firebase/firestore";
+import { getFirestore, collection, addDoc, getDocs, query, orderBy, serverTimestamp } from "firebase/firestore";
 
 // Your web app's Firebase configuration
 const firebaseConfig = {
@@ -99,10 +99,13 @@ export const logTestStart = async (userName, testType, questionCount) => {
   }
 };
 
-export const logTestComplete = async (userName, testType, score, totalQuestions, timeSpent) => {
+// `scoring` is the breakdown from calculateTotalScore, recording which policy produced the score
+export const logTestComplete = async (userName, testType, score, totalQuestions, timeSpent, scoring = null) => {
   const user = auth.currentUser;
   if (!user) return;
 
+  const percentage = scoring ? scoring.percentage : Math.round((score / totalQuestions) * 100);
+
   const eventData = {
     user_name: userName,
     user_id: user.uid,
@@ -110,10 +113,18 @@ export const logTestComplete = async (userName, testType, score, totalQuestions,
     score: score,
     total_questions: totalQuestions,
     time_spent_seconds: timeSpent,
-    percentage: Math.round((score / totalQuestions) * 100),
+    percentage,
     timestamp: new Date().toISOString()
   };
 
+  if (scoring) {
+    eventData.scoring_policy = scoring.policy;
+    eventData.points = scoring.points;
+    eventData.max_points = scoring.maxPoints;
+    eventData.pass_percentage = scoring.passPercentage;
+    eventData.passed = scoring.passed;
+  }
+
   await logUserEvent('test_complete', eventData);
 
   // Track with Analytics
@@ -122,13 +133,53 @@ export const logTestComplete = async (userName, testType, score, totalQuestions,
       test_type: testType,
       score: score,
       total_questions: totalQuestions,
-      percentage: Math.round((score / totalQuestions) * 100),
+      percentage,
+      ...(scoring ? { scoring_policy: scoring.policy } : {}),
       time_spent: timeSpent,
       user_name: userName
     });
   }
 };
 
+// Attempt history functions (stored under users/{uid}/attempts)
+export const saveUserAttempt = async (attempt) => {
+  const user = auth.currentUser;
+  if (!user) return null;
+
+  try {
+    const docRef = await addDoc(collection(db, 'users', user.uid, 'attempts'), {
+      ...attempt,
+      user_id: user.uid,
+      timestamp: serverTimestamp()
+    });
+    return docRef.id;
+  } catch (error) {
+    console.error('Error saving attempt:', error);
+    return null;
+  }
+};
+
+export const getUserAttempts = async () => {
+  const user = auth.currentUser;
+  if (!user) return [];
+
+  try {
+    const attemptsQuery = query(
+      collection(db, 'users', user.uid, 'attempts'),
+      orderBy('completedAt', 'asc')
+    );
+    const snapshot = await getDocs(attemptsQuery);
+    return snapshot.docs.map(doc => {
+      // Server timestamps are not serializable, keep only the attempt fields
+      const { timestamp, user_id, ...attempt } = doc.data();
+      return attempt;
+    });
+  } catch (error) {
+    console.error('Error loading attempts:', error);
+    return [];
+  }
+};
+
 // Check if user is currently authenticated
 export const isUserAuthenticated = () => {
   return auth.currentUser !== null;
@@ -0,0 +1,182 @@
+/**
+ * Question image assets
+ * Resolves a question's `image` value to a file under public/. Figures taken
+ * from assignment PDFs have ids such as "Assignment week 2.pdf-2", which the
+ * image manifest (public/images/manifest.json) maps to a file with its size,
+ * alt text and an optional dark-mode variant; any other value naming an image
+ * file is a path under public/
+ */
+
+export const IMAGE_MANIFEST_FILE = 'images/manifest.json';
+
+const IMAGE_FILE_PATTERN = /\.(png|jpe?g|gif|svg|webp|avif)$/i;
+
+// Size given to images named by path, which have no manifest entry to say
+const DEFAULT_IMAGE_SIZE = { width: 600, height: 400 };
+
+/**
+ * Checks whether a value is the URL of an image file under public/
+ * @param {*} src - Value to check
+ * @returns {boolean} True for e.g. /images/week-2/figure-2.png
+ */
+function isImageUrl(src) {
+  return typeof src === 'string' && src.startsWith('/') && !src.startsWith('//') && IMAGE_FILE_PATTERN.test(src);
+}
+
+/**
+ * Validates one entry of the image manifest
+ * @param {string} id - Image id, as questions write it
+ * @param {Object} entry - { src, width, height, alt, darkSrc }
+ * @returns {Array<string>} Validation errors, empty if the entry is valid
+ */
+function validateImageEntry(id, entry) {
+  const label = `Image "${id}"`;
+
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+    return [`${label} must be an object`];
+  }
+
+  const errors = [];
+
+  if (!isImageUrl(entry.src)) {
+    errors.push(`${label} src must be a path under public/ starting with / and ending in an image extension`);
+  }
+
+  ['width', 'height'].forEach(field => {
+    if (!Number.isInteger(entry[field]) || entry[field] <= 0) {
+      errors.push(`${label} ${field} must be a positive whole number of pixels`);
+    }
+  });
+
+  if (typeof entry.alt !== 'string' || entry.alt.trim() === '') {
+    errors.push(`${label} is missing alt text`);
+  }
+
+  if (entry.darkSrc !== undefined && !isImageUrl(entry.darkSrc)) {
+    errors.push(`${label} darkSrc must be a path under public/ starting with / and ending in an image extension`);
+  }
+
+  return errors;
+}
+
+/**
+ * Validates an image manifest
+ * @param {Object} manifest - Parsed manifest, { images: { [id]: entry } }
+ * @returns {Object} Validation result with isValid flag and errors
+ */
+export function validateImageManifest(manifest) {
+  if (!manifest || typeof manifest !== 'object' || !manifest.images ||
+      typeof manifest.images !== 'object' || Array.isArray(manifest.images)) {
+    return { isValid: false, errors: ['Image manifest must have an images object'] };
+  }
+
+  const errors = Object.entries(manifest.images).flatMap(([id, entry]) => validateImageEntry(id, entry));
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Resolves a question's image to the file to show
+ * @param {string} image - The question's `image` value
+ * @param {Object} manifest - Image manifest
+ * @returns {Object|null} { src, darkSrc, width, height, alt }, where darkSrc
+ *   and alt may be null, or null if the image has no entry and is not a path
+ */
+export function resolveQuestionImage(image, manifest) {
+  if (typeof image !== 'string' || image.trim() === '') {
+    return null;
+  }
+
+  const entry = manifest && manifest.images && manifest.images[image];
+  if (entry) {
+    return {
+      src: entry.src,
+      darkSrc: entry.darkSrc || null,
+      width: entry.width,
+      height: entry.height,
+      alt: entry.alt
+    };
+  }
+
+  if (IMAGE_FILE_PATTERN.test(image)) {
+    return { src: `/${image.replace(/^\/+/, '')}`, darkSrc: null, ...DEFAULT_IMAGE_SIZE, alt: null };
+  }
+
+  return null;
+}
+
+// What a question's `image` value resolves to, see getImageStatus
+export const IMAGE_STATUS = {
+  FOUND: 'found',
+  UNLISTED: 'unlisted',
+  MISSING: 'missing'
+};
+
+/**
+ * Checks whether a question's image can be shown
+ * @param {string} image - The question's `image` value
+ * @param {Object} manifest - Image manifest
+ * @param {Function} fileExists - Checks a URL under public/, e.g. /images/a.png
+ * @returns {string} One of IMAGE_STATUS: found; unlisted for a figure with no
+ *   manifest entry yet; missing for a manifest file or path with no file
+ */
+export function getImageStatus(image, manifest, fileExists) {
+  const resolved = resolveQuestionImage(image, manifest);
+  if (!resolved) {
+    return IMAGE_STATUS.UNLISTED;
+  }
+  return fileExists(resolved.src) ? IMAGE_STATUS.FOUND : IMAGE_STATUS.MISSING;
+}
+
+/**
+ * Checks that every image the questions show exists
+ * @param {Array<Object>} questions - Questions of every bank
+ * @param {Object} manifest - Image manifest
+ * @param {Function} fileExists - Checks a URL under public/, e.g. /images/a.png
+ * @returns {Object} { errors, warnings }: errors are manifest errors, manifest
+ *   files that do not exist and image paths questions use that do not exist;
+ *   warnings are figures questions use that have no manifest entry yet, which
+ *   show a notice in place of the image
+ */
+export function checkImageAssets(questions, manifest, fileExists) {
+  const validation = validateImageManifest(manifest);
+  if (!validation.isValid) {
+    return { errors: validation.errors, warnings: [] };
+  }
+
+  const errors = [];
+  const warnings = [];
+
+  Object.entries(manifest.images).forEach(([id, entry]) => {
+    [entry.src, entry.darkSrc].filter(Boolean).forEach(src => {
+      if (!fileExists(src)) {
+        errors.push(`Image "${id}": file not found: public${src}`);
+      }
+    });
+  });
+
+  // Which questions use each image, e.g. "Assignment week 2.pdf-2" -> ["2.5"]
+  const users = new Map();
+  questions.forEach(question => {
+    if (question && typeof question.image === 'string' && question.image.trim() !== '') {
+      const key = `${question.assignmentnumber}.${question.questionnumber}`;
+      users.set(question.image, [...(users.get(question.image) || []), key]);
+    }
+  });
+
+  users.forEach((keys, image) => {
+    const usedBy = `used by question${keys.length !== 1 ? 's' : ''} ${keys.join(', ')}`;
+    const status = getImageStatus(image, manifest, fileExists);
+    if (status === IMAGE_STATUS.UNLISTED) {
+      warnings.push(`Image "${image}" (${usedBy}) has no entry in public/${IMAGE_MANIFEST_FILE}`);
+    } else if (status === IMAGE_STATUS.MISSING && !manifest.images[image]) {
+      // Manifest files are reported once, above
+      errors.push(`Image "${image}" (${usedBy}): file not found: public${resolveQuestionImage(image, manifest).src}`);
+    }
+  });
+
+  return { errors, warnings };
+}
@@ -0,0 +1,122 @@
+/**
+ * Quiz keyboard shortcuts
+ * Maps key presses to quiz actions, so a quiz can be taken without the mouse:
+ * letters and numbers pick options, Enter and the arrow keys move between
+ * questions. Keys typed into answer boxes, and keys a focused button already
+ * handles, are left alone
+ */
+
+export const SHORTCUT_ACTIONS = {
+  SELECT: 'select',
+  NEXT: 'next',
+  PREVIOUS: 'previous',
+  SKIP: 'skip',
+  FLAG: 'flag',
+  HELP: 'help'
+};
+
+// Listed by the help overlay, in this order
+export const QUIZ_SHORTCUTS = [
+  { keys: ['A', 'B', 'C', 'D'], description: 'Pick or unpick an option by its letter' },
+  { keys: ['1', '2', '3', '4'], description: 'Pick or unpick an option by its place' },
+  { keys: ['↑', '↓'], description: 'Move between options' },
+  { keys: ['Enter', '→', 'N'], description: 'Show the answer, or go to the next question' },
+  { keys: ['←', 'P'], description: 'Previous question' },
+  { keys: ['S'], description: 'Skip the question (learn mode)' },
+  { keys: ['M'], description: 'Flag or unflag the question (exams)' },
+  { keys: ['?'], description: 'Show or hide these shortcuts' }
+];
+
+// Letters that are actions rather than options; options only go up to J
+const ACTION_KEYS = {
+  Enter: SHORTCUT_ACTIONS.NEXT,
+  ArrowRight: SHORTCUT_ACTIONS.NEXT,
+  n: SHORTCUT_ACTIONS.NEXT,
+  ArrowLeft: SHORTCUT_ACTIONS.PREVIOUS,
+  p: SHORTCUT_ACTIONS.PREVIOUS,
+  s: SHORTCUT_ACTIONS.SKIP,
+  m: SHORTCUT_ACTIONS.FLAG
+};
+
+// Elements that act on Enter and Space themselves
+const ACTIVATABLE_TAGS = ['BUTTON', 'A', 'SELECT', 'SUMMARY'];
+
+/**
+ * Checks whether an element takes typed text
+ * @param {Element|null} element - Event target
+ * @returns {boolean} True for text inputs, text areas, selects and editable content
+ */
+function isEditable(element) {
+  if (!element || !element.tagName) return false;
+  return ['INPUT', 'TEXTAREA', 'SELECT'].includes(element.tagName) || element.isContentEditable === true;
+}
+
+/**
+ * Gets the quiz action a key press stands for
+ * @param {KeyboardEvent} event - Key press
+ * @returns {Object|null} { action, key }, or null if the key is not a shortcut
+ *   here; key is the pressed key, which picks the option for 'select'
+ */
+export function getShortcutAction(event) {
+  if (event.defaultPrevented || event.ctrlKey || event.metaKey || event.altKey) {
+    return null;
+  }
+
+  const target = event.target;
+
+  // In an answer box only Enter is a shortcut, so a typed answer can be submitted
+  if (isEditable(target)) {
+    return event.key === 'Enter' && target.tagName === 'INPUT'
+      ? { action: SHORTCUT_ACTIONS.NEXT, key: event.key }
+      : null;
+  }
+
+  if ((event.key === 'Enter' || event.key === ' ') && target && ACTIVATABLE_TAGS.includes(target.tagName)) {
+    return null;
+  }
+
+  if (event.key === '?') {
+    return { action: SHORTCUT_ACTIONS.HELP, key: event.key };
+  }
+
+  const key = event.key.length === 1 ? event.key.toLowerCase() : event.key;
+  if (ACTION_KEYS[key]) {
+    return { action: ACTION_KEYS[key], key: event.key };
+  }
+
+  if (/^[a-z0-9]$/.test(key)) {
+    return { action: SHORTCUT_ACTIONS.SELECT, key: event.key };
+  }
+
+  return null;
+}
+
+/**
+ * Gets the option a letter or number key picks
+ * @param {Array<Object>} options - Options of the question, in the order shown
+ * @param {string} key - Pressed key, e.g. "b" or "2"
+ * @returns {string|null} Option number, or null if no option matches
+ */
+export function getOptionForKey(options, key) {
+  if (!Array.isArray(options) || typeof key !== 'string' || key.length !== 1) {
+    return null;
+  }
+
+  // Options are labelled by their number, usually A, B, C...
+  const label = key.toUpperCase();
+  const labelled = options.find(option => String(option.optionnumber).toUpperCase() === label);
+  if (labelled) {
+    return labelled.optionnumber;
+  }
+
+  let position = -1;
+  if (/^[1-9]$/.test(key)) {
+    position = Number(key) - 1;
+  } else if (key === '0') {
+    position = 9;
+  } else if (/^[A-Z]$/.test(label)) {
+    position = label.charCodeAt(0) - 'A'.charCodeAt(0);
+  }
+
+  return options[position] ? options[position].optionnumber : null;
+}
@@ -0,0 +1,161 @@
+/**
+ * LaTeX tokenizer
+ * Splits question text into plain text and math, the one way LaTeXRenderer, the
+ * bank linter and the exporters all read it:
+ * - $...$ and \(...\) are inline math
+ * - $$...$$, \[...\] and \begin{env}...\end{env} are display math
+ * - \$ is a literal dollar sign
+ * A single $ only opens math when the next character is not a space, and the
+ * next unescaped $ only closes it when the previous character is not a space
+ * and the next is not a digit, so prices like "$5 or $10" stay text.
+ * Delimiters left unclosed are text
+ */
+
+const ENVIRONMENT_PATTERN = /^\\begin\{([a-zA-Z]+\*?)\}/;
+
+/**
+ * Finds the first closing delimiter of a math span, skipping backslash escapes such as \$ or \\
+ * @param {string} text - Text being tokenized
+ * @param {number} start - Index just past the opening delimiter
+ * @param {string} closing - Closing delimiter
+ * @returns {number} Index of the closing delimiter, or -1 if there is none
+ */
+function findClosing(text, start, closing) {
+  for (let index = start; index < text.length; index++) {
+    if (text.startsWith(closing, index)) {
+      return index;
+    }
+    if (text[index] === '\\') {
+      index++;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Reads the math span opening at an index
+ * @param {string} text - Text being tokenized
+ * @param {number} index - Index of a possible opening delimiter
+ * @returns {Object|null} { token, end } for a closed span, { unclosed } for an
+ *   opening delimiter with no closing one, or null if no math opens here
+ */
+function readMath(text, index) {
+  const span = (opening, closing, display, isClosing = () => true) => {
+    const start = index + opening.length;
+    const found = findClosing(text, start, closing);
+    const end = found !== -1 && isClosing(found) ? found : -1;
+    if (end === -1 || text.slice(start, end).trim() === '') {
+      return end === -1 ? { unclosed: opening } : null;
+    }
+    return {
+      token: { type: 'math', text: text.slice(start, end), display, raw: text.slice(index, end + closing.length) },
+      end: end + closing.length
+    };
+  };
+
+  if (text.startsWith('$$', index)) {
+    return span('$$', '$$', true);
+  }
+  if (text[index] === '$') {
+    if (index + 1 >= text.length || /\s/.test(text[index + 1])) {
+      return null;
+    }
+    const result = span('$', '$', false, end => !/\s/.test(text[end - 1]) && !/\d/.test(text[end + 1] || ''));
+    // A $ before a digit with no closing $ is a price, not a mistake
+    return result && result.unclosed && /\d/.test(text[index + 1]) ? null : result;
+  }
+  if (text.startsWith('\\(', index)) {
+    return span('\\(', '\\)', false);
+  }
+  if (text.startsWith('\\[', index)) {
+    return span('\\[', '\\]', true);
+  }
+
+  const environment = text.slice(index).match(ENVIRONMENT_PATTERN);
+  if (environment) {
+    // KaTeX renders the environment itself, so its \begin and \end stay in the math
+    const closing = `\\end{${environment[1]}}`;
+    const end = findClosing(text, index + environment[0].length, closing);
+    if (end === -1) {
+      return { unclosed: environment[0] };
+    }
+    const raw = text.slice(index, end + closing.length);
+    return { token: { type: 'math', text: raw, display: true, raw }, end: end + closing.length };
+  }
+  return null;
+}
+
+/**
+ * Tokenizes text, also collecting the delimiters left unclosed
+ * @param {string} text - Question, option or explanation text
+ * @returns {Object} { tokens, unclosed }
+ */
+function scan(text) {
+  const tokens = [];
+  const unclosed = [];
+  let plain = '';
+
+  const flush = () => {
+    if (plain !== '') {
+      tokens.push({ type: 'text', text: plain });
+      plain = '';
+    }
+  };
+
+  let index = 0;
+  while (index < text.length) {
+    if (text.startsWith('\\$', index)) {
+      plain += '$';
+      index += 2;
+      continue;
+    }
+
+    const math = text[index] === '$' || text[index] === '\\' ? readMath(text, index) : null;
+    if (math && math.token) {
+      flush();
+      tokens.push(math.token);
+      index = math.end;
+      continue;
+    }
+
+    if (math && math.unclosed) {
+      unclosed.push(math.unclosed);
+    }
+    // An unclosed $$ is two dollar signs of text, not an opening $ and a closing one
+    const length = math && math.unclosed ? math.unclosed.length : 1;
+    plain += text.slice(index, index + length);
+    index += length;
+  }
+
+  flush();
+  return { tokens, unclosed };
+}
+
+/**
+ * Splits text into plain text and math tokens
+ * @param {string} text - Question, option or explanation text
+ * @returns {Array<Object>} Tokens { type: 'text', text } and
+ *   { type: 'math', text, display, raw } where text has no delimiters and raw has them
+ */
+export function tokenizeLatex(text) {
+  return scan(String(text)).tokens;
+}
+
+/**
+ * Finds the first math delimiter that is opened and never closed
+ * @param {string} text - Question, option or explanation text
+ * @returns {string|null} The delimiter, e.g. '$' or '\\[', or null if all are closed
+ */
+export function findUnclosedDelimiter(text) {
+  const { unclosed } = scan(String(text));
+  return unclosed.length > 0 ? unclosed[0] : null;
+}
+
+/**
+ * Checks whether text has any math in it
+ * @param {string} text - Question, option or explanation text
+ * @returns {boolean} True if at least one math token is found
+ */
+export function hasLatex(text) {
+  return tokenizeLatex(text).some(token => token.type === 'math');
+}
@@ -0,0 +1,362 @@
+/**
+ * Markdown parser for question text
+ * Parses the Markdown subset questions use into a tree that MarkdownRenderer
+ * turns into React elements, so no HTML from a bank ever reaches the page:
+ * - blocks: paragraphs, bullet and numbered lists, pipe tables and ``` code blocks
+ * - inlines: `code`, **strong**, *emphasis*, math and line breaks
+ * Code is read before math, so $ in code stays code, and math before Markdown,
+ * so * and _ in LaTeX are never emphasis. A list needs two items, so an option
+ * such as "- Class" stays text, and emphasis never starts or ends inside a
+ * word, so 2*3*4 and ____ blanks stay text too. Raw HTML, links and images are
+ * shown as written
+ */
+
+import { tokenizeLatex } from './latexTokenizer.js';
+
+const FENCE_PATTERN = /^\s*(`{3,}|~{3,})\s*([\w+#-]*)\s*$/;
+const BULLET_PATTERN = /^\s{0,3}[-*+]\s+(.*)$/;
+const ORDERED_PATTERN = /^\s{0,3}(\d{1,9})[.)]\s+(.*)$/;
+const TABLE_DELIMITER_PATTERN = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+const ESCAPABLE = '\\`*_{}[]()#+-.!|~<>';
+
+// Code spans and math are swapped for one private-use character each while
+// blocks and emphasis are parsed, then swapped back as inline nodes. Private-use
+// characters already in the text, such as icon font glyphs, get placeholders too
+const PLACEHOLDER_BASE = 0xE000;
+const PLACEHOLDER_PATTERN = /[\uE000-\uF8FF]/;
+const PLACEHOLDERS_PATTERN = /[\uE000-\uF8FF]/g;
+
+/**
+ * Splits a line of a pipe table into its cells
+ * @param {string} line - Table row, with or without outer pipes
+ * @returns {Array<string>} Cell texts, trimmed
+ */
+function splitTableRow(line) {
+  let row = line.trim();
+  if (row.startsWith('|')) row = row.slice(1);
+  if (row.endsWith('|') && !row.endsWith('\\|')) row = row.slice(0, -1);
+
+  const cells = [''];
+  for (let index = 0; index < row.length; index++) {
+    if (row[index] === '\\' && row[index + 1] === '|') {
+      cells[cells.length - 1] += '|';
+      index++;
+    } else if (row[index] === '|') {
+      cells.push('');
+    } else {
+      cells[cells.length - 1] += row[index];
+    }
+  }
+  return cells.map(cell => cell.trim());
+}
+
+/**
+ * Gets the alignment of each column from a table's delimiter row, e.g. |:--|--:|
+ * @param {string} line - Delimiter row
+ * @returns {Array<string|null>} 'left', 'center', 'right' or null per column
+ */
+function getColumnAlignments(line) {
+  return splitTableRow(line).map(cell => {
+    const left = cell.startsWith(':');
+    const right = cell.endsWith(':');
+    if (left && right) return 'center';
+    if (right) return 'right';
+    return left ? 'left' : null;
+  });
+}
+
+/**
+ * Checks whether a line starts a list of at least two items of the same kind
+ * @param {Array<string>} lines - Lines of the text
+ * @param {number} index - Index of the line to check
+ * @returns {boolean} True if a list starts here
+ */
+function startsList(lines, index) {
+  const next = lines[index + 1];
+  if (next === undefined) return false;
+  return (BULLET_PATTERN.test(lines[index]) && BULLET_PATTERN.test(next)) ||
+    (ORDERED_PATTERN.test(lines[index]) && ORDERED_PATTERN.test(next));
+}
+
+/**
+ * Checks whether a line starts a table: a row followed by a matching delimiter row
+ * @param {Array<string>} lines - Lines of the text
+ * @param {number} index - Index of the line to check
+ * @returns {boolean} True if a table starts here
+ */
+function startsTable(lines, index) {
+  const next = lines[index + 1];
+  return lines[index].includes('|') && next !== undefined && next.includes('-') &&
+    TABLE_DELIMITER_PATTERN.test(next) &&
+    splitTableRow(lines[index]).length === splitTableRow(next).length;
+}
+
+/**
+ * Parses inline Markdown: escapes, placeholders, emphasis and line breaks
+ * @param {string} text - Inline text with placeholders
+ * @param {Array<Object>} nodes - Inline nodes the placeholders stand for
+ * @returns {Array<Object>} Inline nodes
+ */
+function parseInlines(text, nodes) {
+  const result = [];
+  let plain = '';
+
+  const flush = () => {
+    if (plain !== '') {
+      result.push({ type: 'text', text: plain });
+      plain = '';
+    }
+  };
+
+  let index = 0;
+  while (index < text.length) {
+    const char = text[index];
+
+    if (char === '\\' && index + 1 < text.length && ESCAPABLE.includes(text[index + 1])) {
+      plain += text[index + 1];
+      index += 2;
+      continue;
+    }
+
+    if (PLACEHOLDER_PATTERN.test(char)) {
+      const node = nodes[char.charCodeAt(0) - PLACEHOLDER_BASE];
+      if (node.type === 'text') {
+        plain += node.text;
+      } else {
+        flush();
+        result.push(node);
+      }
+      index++;
+      continue;
+    }
+
+    if (char === '\n') {
+      flush();
+      result.push({ type: 'break' });
+      index++;
+      continue;
+    }
+
+    if (char === '*' || char === '_') {
+      const emphasis = readEmphasis(text, index);
+      if (emphasis) {
+        flush();
+        result.push({ type: emphasis.type, children: parseInlines(emphasis.content, nodes) });
+        index = emphasis.end;
+        continue;
+      }
+      // The whole run is text, so ____ is never read as two __ delimiters
+      const run = text.slice(index).match(/^(\*+|_+)/)[0];
+      plain += run;
+      index += run.length;
+      continue;
+    }
+
+    plain += char;
+    index++;
+  }
+
+  flush();
+  return result;
+}
+
+/**
+ * Reads **strong** or *emphasis* (with * or _) starting at an index
+ * @param {string} text - Inline text
+ * @param {number} index - Index of the first delimiter character
+ * @returns {Object|null} { type, content, end }, or null if no emphasis starts here
+ */
+function readEmphasis(text, index) {
+  const run = text.slice(index).match(/^(\*+|_+)/)[0];
+  if (run.length > 2 || /[\p{L}\p{N}]/u.test(text[index - 1] || '')) {
+    return null;
+  }
+
+  const start = index + run.length;
+  if (start >= text.length || /\s/.test(text[start])) {
+    return null;
+  }
+
+  for (let end = start + 1; end < text.length; end++) {
+    if (text[end] === '\\') {
+      end++;
+      continue;
+    }
+    if (!text.startsWith(run, end)) {
+      continue;
+    }
+    const closingRun = text.slice(end).match(/^(\*+|_+)/)[0];
+    const after = text[end + closingRun.length] || '';
+    if (closingRun === run && !/\s/.test(text[end - 1]) && !/[\p{L}\p{N}]/u.test(after)) {
+      return { type: run.length === 2 ? 'strong' : 'emphasis', content: text.slice(start, end), end: end + run.length };
+    }
+    end += closingRun.length - 1;
+  }
+  return null;
+}
+
+/**
+ * Parses the blocks of text that has no code blocks left in it
+ * @param {string} text - Text with placeholders
+ * @param {Array<Object>} nodes - Inline nodes the placeholders stand for
+ * @returns {Array<Object>} Block nodes
+ */
+function parseBlocks(text, nodes) {
+  const lines = text.split('\n');
+  const blocks = [];
+  const inlines = line => parseInlines(line, nodes);
+
+  let index = 0;
+  while (index < lines.length) {
+    const line = lines[index];
+
+    if (line.trim() === '') {
+      index++;
+      continue;
+    }
+
+    if (startsTable(lines, index)) {
+      const header = splitTableRow(line);
+      const align = getColumnAlignments(lines[index + 1]);
+      const rows = [];
+      index += 2;
+      while (index < lines.length && lines[index].trim() !== '' && lines[index].includes('|')) {
+        const cells = splitTableRow(lines[index]);
+        rows.push(header.map((_, column) => inlines(cells[column] || '')));
+        index++;
+      }
+      blocks.push({ type: 'table', align, header: header.map(inlines), rows });
+      continue;
+    }
+
+    if (startsList(lines, index)) {
+      const ordered = ORDERED_PATTERN.test(line);
+      const pattern = ordered ? ORDERED_PATTERN : BULLET_PATTERN;
+      const items = [];
+      const start = ordered ? parseInt(line.match(ORDERED_PATTERN)[1]) : null;
+
+      while (index < lines.length && lines[index].trim() !== '') {
+        const match = lines[index].match(pattern);
+        if (match) {
+          items.push(match[ordered ? 2 : 1]);
+        } else if (/^\s/.test(lines[index])) {
+          // An indented line continues the item above it
+          items[items.length - 1] += `\n${lines[index].trim()}`;
+        } else {
+          break;
+        }
+        index++;
+      }
+      blocks.push({ type: 'list', ordered, start, items: items.map(inlines) });
+      continue;
+    }
+
+    const paragraph = [line];
+    index++;
+    while (index < lines.length && lines[index].trim() !== '' &&
+           !startsTable(lines, index) && !startsList(lines, index)) {
+      paragraph.push(lines[index]);
+      index++;
+    }
+    blocks.push({ type: 'paragraph', children: inlines(paragraph.map(part => part.trim()).join('\n')) });
+  }
+
+  return blocks;
+}
+
+/**
+ * Swaps code spans and math for placeholders
+ * @param {string} text - Text outside code blocks
+ * @param {Array<Object>} nodes - Inline nodes, added to as placeholders are made
+ * @returns {string} Text with placeholders
+ */
+function protectInlines(text, nodes) {
+  const placeholder = node => {
+    nodes.push(node);
+    return String.fromCharCode(PLACEHOLDER_BASE + nodes.length - 1);
+  };
+
+  // Code and math show the private-use characters they hold as written
+  const restore = part => part.replace(PLACEHOLDERS_PATTERN, char => nodes[char.charCodeAt(0) - PLACEHOLDER_BASE].text);
+
+  const withoutPrivateUse = text.replace(PLACEHOLDERS_PATTERN, char => placeholder({ type: 'text', text: char }));
+
+  const withoutCode = withoutPrivateUse.replace(/(`+)([^`]|[^`][\s\S]*?[^`])\1(?!`)/g, (_, ticks, code) =>
+    placeholder({ type: 'code', text: restore(code).replace(/\n/g, ' ').replace(/^ (.+) $/, '$1') })
+  );
+
+  return tokenizeLatex(withoutCode).map(token => (token.type === 'math'
+    ? placeholder({ type: 'math', text: restore(token.text), display: token.display })
+    : token.text)).join('');
+}
+
+/**
+ * Parses question, option or explanation text
+ * @param {string} text - Markdown text with LaTeX
+ * @returns {Array<Object>} Block nodes:
+ *   { type: 'paragraph', children }, { type: 'list', ordered, start, items },
+ *   { type: 'table', align, header, rows } and { type: 'code', language, text },
+ *   where children, items and cells are lists of inline nodes:
+ *   { type: 'text', text }, { type: 'code', text }, { type: 'math', text, display },
+ *   { type: 'strong', children }, { type: 'emphasis', children } and { type: 'break' }
+ */
+export function parseMarkdown(text) {
+  const lines = String(text).replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  let prose = [];
+
+  const flushProse = () => {
+    if (prose.length > 0) {
+      const nodes = [];
+      blocks.push(...parseBlocks(protectInlines(prose.join('\n'), nodes), nodes));
+      prose = [];
+    }
+  };
+
+  let index = 0;
+  while (index < lines.length) {
+    const fence = lines[index].match(FENCE_PATTERN);
+    if (!fence) {
+      prose.push(lines[index]);
+      index++;
+      continue;
+    }
+
+    // A fence runs to a closing fence of the same kind, or to the end of the text
+    flushProse();
+    const code = [];
+    index++;
+    while (index < lines.length && !(lines[index].trim().startsWith(fence[1]) && lines[index].trim().replace(/[`~]/g, '') === '')) {
+      code.push(lines[index]);
+      index++;
+    }
+    index++;
+    blocks.push({ type: 'code', language: fence[2] || null, text: code.join('\n') });
+  }
+
+  flushProse();
+  return blocks;
+}
+
+/**
+ * Checks whether parsed text is a single paragraph, so it can be shown inline
+ * @param {Array<Object>} blocks - Block nodes from parseMarkdown
+ * @returns {boolean} True if the text has no lists, tables, code blocks or blank lines
+ */
+export function isSingleParagraph(blocks) {
+  return blocks.length === 1 && blocks[0].type === 'paragraph';
+}
+
+/**
+ * Splits parsed text into its leading paragraph and the blocks after it, so a
+ * question's first paragraph can be its heading and its tables and code follow
+ * @param {Array<Object>} blocks - Block nodes from parseMarkdown
+ * @returns {Object} { lead, rest } where lead is the inline nodes of the first
+ *   paragraph, or null if the text starts with another block
+ */
+export function splitLeadParagraph(blocks) {
+  if (blocks.length > 0 && blocks[0].type === 'paragraph') {
+    return { lead: blocks[0].children, rest: blocks.slice(1) };
+  }
+  return { lead: null, rest: blocks };
+}
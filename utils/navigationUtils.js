@@ -4,29 +4,46 @@
  * Provides consistent navigation patterns across the application
  */
 
+import { generateSeed, isValidSeed } from './shuffleUtils';
+
 /**
  * Navigation routes configuration
+ * Assignment and quiz routes take an optional course id; without one they
+ * belong to the default course and keep their unprefixed paths
  */
 export const ROUTES = {
   HOME: '/',
-  ASSIGNMENT: (id) => `/assignment/${id}`,
-  QUIZ: (assignment, mode) => `/quiz/${assignment}/${mode}`,
+  COURSE: (course) => `/c/${course}`,
+  ASSIGNMENT: (id, course = null) => (course ? `/c/${course}/assignment/${id}` : `/assignment/${id}`),
+  QUIZ: (assignment, mode, course = null) => (course ? `/c/${course}/quiz/${assignment}/${mode}` : `/quiz/${assignment}/${mode}`),
+  REVIEW: (scope = 'all') => `/quiz/review/${scope}`,
+  QUESTION_SET: (mode, questionKeys, course = null) =>
+    `${course ? `/c/${course}` : ''}/quiz/set/${mode}?q=${questionKeys.join(',')}`,
+  CUSTOM_QUIZ: (query = '') => (query ? `/quiz/custom?${query}` : '/quiz/custom'),
+  PROGRESS: '/progress',
+  IMPORT: '/import',
+  EXPORT: '/export',
+  EDITOR: '/editor',
 };
 
 /**
  * Valid route parameters
+ * VALID_ASSIGNMENTS is only a fallback for checks made without a loaded bank;
+ * pages pass the released assignments of the course's bank instead
+ * (see getReleasedAssignmentNumbers in assignmentMetadata.js)
  */
 export const VALID_ASSIGNMENTS = [1, 2, 3, 4, 5, 6, 7, 8];
-export const VALID_MODES = ['learn', 'test-easy', 'test-difficult'];
+export const VALID_MODES = ['learn', 'test-easy', 'test-difficult', 'exam', 'review'];
 
 /**
  * Validate assignment parameter
  * @param {string|number} assignment - Assignment parameter to validate
+ * @param {Array<number>} validAssignments - Assignment numbers of the course
  * @returns {boolean} - True if valid assignment
  */
-export function isValidAssignment(assignment) {
+export function isValidAssignment(assignment, validAssignments = VALID_ASSIGNMENTS) {
   const num = parseInt(assignment);
-  return !isNaN(num) && VALID_ASSIGNMENTS.includes(num);
+  return !isNaN(num) && validAssignments.includes(num);
 }
 
 /**
@@ -38,21 +55,106 @@ export function isValidMode(mode) {
   return VALID_MODES.includes(mode);
 }
 
+/**
+ * Validate review scope parameter
+ * @param {string|number} scope - 'all' or an assignment number
+ * @param {Array<number>} validAssignments - Assignment numbers of the course
+ * @returns {boolean} - True if valid review scope
+ */
+export function isValidReviewScope(scope, validAssignments = VALID_ASSIGNMENTS) {
+  return scope === 'all' || isValidAssignment(scope, validAssignments);
+}
+
+/**
+ * Validate the mode of a quiz over an arbitrary question set
+ * Review mode is excluded because it picks its own (due) questions
+ * @param {string} mode - Mode parameter to validate
+ * @returns {boolean} - True if the mode can run a question set
+ */
+export function isValidQuestionSetMode(mode) {
+  return isValidMode(mode) && mode !== 'review';
+}
+
+/**
+ * Parse the question keys of a question set URL
+ * @param {string} param - Comma separated "assignment-question" keys, e.g. "1-3,2-5"
+ * @returns {Array<string>} - Unique well-formed keys in their original order
+ */
+export function parseQuestionKeys(param) {
+  if (!param || typeof param !== 'string') {
+    return [];
+  }
+
+  const keys = param.split(',')
+    .map(key => key.trim())
+    .filter(key => /^\d+-\d+$/.test(key));
+
+  return [...new Set(keys)];
+}
+
+/**
+ * Set the shuffle seed of a URL, keeping its other parameters
+ * @param {string} href - Absolute URL
+ * @param {string} seed - Shuffle seed
+ * @returns {string} - URL that replays the same question order
+ */
+export function buildSeededUrl(href, seed) {
+  const url = new URL(href);
+  url.searchParams.set('seed', seed);
+  return url.toString();
+}
+
+/**
+ * Get the shuffle seed of the current page
+ * A missing or malformed seed is replaced with a new one in the address bar,
+ * so the URL of a shuffled quiz can always be shared to replay the same order
+ * @returns {string} - Seed for this page
+ */
+export function resolveUrlSeed() {
+  const seed = new URLSearchParams(window.location.search).get('seed');
+  if (isValidSeed(seed)) {
+    return seed;
+  }
+
+  const newSeed = generateSeed();
+  window.history.replaceState(window.history.state, '', buildSeededUrl(window.location.href, newSeed));
+  return newSeed;
+}
+
+/**
+ * Describes the valid assignment numbers for an invalid assignment error
+ * Released assignments need not run 1 to N, so they are listed
+ * @param {Array<number>} validAssignments - Assignment numbers of the course
+ * @returns {string} - e.g. 'Assignment must be one of 1, 3 or 7'
+ */
+function describeValidAssignments(validAssignments) {
+  const numbers = [...new Set(validAssignments)].sort((a, b) => a - b);
+
+  if (numbers.length === 0) {
+    return 'No assignments have been released yet';
+  }
+  if (numbers.length === 1) {
+    return `Assignment must be ${numbers[0]}`;
+  }
+  return `Assignment must be one of ${numbers.slice(0, -1).join(', ')} or ${numbers[numbers.length - 1]}`;
+}
+
 /**
  * Validate quiz route parameters
  * @param {string|number} assignment - Assignment parameter
  * @param {string} mode - Mode parameter
+ * @param {Array<number>} validAssignments - Assignment numbers of the course
  * @returns {object} - Validation result with isValid flag and errors
  */
-export function validateQuizParams(assignment, mode) {
+export function validateQuizParams(assignment, mode, validAssignments = VALID_ASSIGNMENTS) {
   const errors = [];
   
-  if (!isValidAssignment(assignment)) {
-    errors.push('Assignment must be between 1 and 8');
+  if (!isValidAssignment(assignment, validAssignments)) {
+    errors.push(describeValidAssignments(validAssignments));
   }
   
   if (!isValidMode(mode)) {
-    errors.push('Mode must be learn, test-easy, or test-difficult');
+    errors.push('Mode must be learn, test-easy, test-difficult, exam, or review');
   }
   
   return {
@@ -70,18 +172,41 @@ export function getModeDisplayName(mode) {
   const modeMap = {
     'learn': 'Learn Mode',
     'test-easy': 'Test Easy',
-    'test-difficult': 'Test Difficult'
+    'test-difficult': 'Test Difficult',
+    'exam': 'Exam Mode',
+    'review': 'Review Mode'
   };
   return modeMap[mode] || mode;
 }
 
+/**
+ * Get display name for an assignment id, including the cross-assignment quizzes
+ * @param {string|number} assignment - Assignment number, or 'mega', 'review', 'retry' or 'custom'
+ * @returns {string} - Human-readable assignment name
+ */
+export function getAssignmentDisplayName(assignment) {
+  const specialNames = {
+    'mega': 'Mega Test',
+    'review': 'Review Session',
+    'retry': 'Retry Mistakes',
+    'custom': 'Custom Quiz'
+  };
+  return specialNames[assignment] || `Assignment ${assignment}`;
+}
+
 /**
  * Navigation helper functions for consistent routing
  */
 export const navigate = {
-  toHome: (router) => router.push(ROUTES.HOME),
-  toAssignment: (router, assignmentId) => router.push(ROUTES.ASSIGNMENT(assignmentId)),
-  toQuiz: (router, assignment, mode) => router.push(ROUTES.QUIZ(assignment, mode)),
+  toHome: (router, course = null) => router.push(course ? ROUTES.COURSE(course) : ROUTES.HOME),
+  toCourse: (router, course) => router.push(ROUTES.COURSE(course)),
+  toAssignment: (router, assignmentId, course = null) => router.push(ROUTES.ASSIGNMENT(assignmentId, course)),
+  toQuiz: (router, assignment, mode, course = null) => router.push(ROUTES.QUIZ(assignment, mode, course)),
+  resumeQuiz: (router, assignment, mode, course = null) => router.push(`${ROUTES.QUIZ(assignment, mode, course)}?resume=1`),
+  toReview: (router, scope) => router.push(ROUTES.REVIEW(scope)),
+  toQuestionSet: (router, mode, questionKeys, course = null) => router.push(ROUTES.QUESTION_SET(mode, questionKeys, course)),
+  toCustomQuiz: (router, query) => router.push(ROUTES.CUSTOM_QUIZ(query)),
+  toProgress: (router) => router.push(ROUTES.PROGRESS),
   back: (router) => router.back(),
   replace: (router, path) => router.replace(path)
 };
@@ -0,0 +1,278 @@
+/**
+ * Question editor utilities
+ * Pure helpers behind the authoring page: creating, changing and checking
+ * questions in the data.json format, and writing the edited bank back out
+ * Option numbers always follow the option order (A, B, C, ...), and numbers of
+ * numeric answers are kept as typed until toBankQuestion converts them
+ */
+
+import { validateQuestion } from './questionValidation';
+import { getQuestionKey } from './reviewScheduler';
+import { QUESTION_TYPES, getQuestionType, parseNumber } from './questionTypes';
+
+const OPTION_LETTERS = 'ABCDEFGHIJ'.split('');
+
+export const MAX_OPTIONS = OPTION_LETTERS.length;
+
+/**
+ * Gets the number a new question of an assignment should take
+ * @param {Array} questions - Questions of the bank
+ * @param {string|number} assignmentNumber - Assignment of the new question
+ * @returns {string} One past the highest question number of the assignment
+ */
+export function getNextQuestionNumber(questions, assignmentNumber) {
+  const numbers = questions
+    .filter(question => question.assignmentnumber === String(assignmentNumber))
+    .map(question => parseInt(question.questionnumber) || 0);
+  return String(numbers.length > 0 ? Math.max(...numbers) + 1 : 1);
+}
+
+/**
+ * Numbers options A, B, C, ... in their current order
+ * @param {Array} options - Option objects
+ * @returns {Array} Renumbered options
+ */
+function renumberOptions(options) {
+  return options.map((option, index) => ({ ...option, optionnumber: OPTION_LETTERS[index] }));
+}
+
+/**
+ * Creates a blank question at the end of an assignment
+ * @param {Array} questions - Questions of the bank
+ * @param {string|number} assignmentNumber - Assignment of the new question
+ * @returns {Object} Question with two empty options, the first one correct
+ */
+export function createQuestion(questions, assignmentNumber) {
+  return {
+    assignmentnumber: String(assignmentNumber),
+    questionnumber: getNextQuestionNumber(questions, assignmentNumber),
+    question: '',
+    image: '',
+    options: renumberOptions([
+      { optiontext: '', iscorrect: true },
+      { optiontext: '', iscorrect: false }
+    ])
+  };
+}
+
+/**
+ * Copies a question to the end of its assignment
+ * @param {Array} questions - Questions of the bank
+ * @param {Object} question - Question to copy
+ * @returns {Object} Copy with the next free question number
+ */
+export function duplicateQuestion(questions, question) {
+  return {
+    ...JSON.parse(JSON.stringify(question)),
+    questionnumber: getNextQuestionNumber(questions, question.assignmentnumber)
+  };
+}
+
+/**
+ * Adds an empty option to a question, wrong unless it is an ordering item
+ * @param {Object} question - Question object
+ * @returns {Object} Updated question, unchanged if it already has MAX_OPTIONS options
+ */
+export function addOption(question) {
+  if (question.options.length >= MAX_OPTIONS) {
+    return question;
+  }
+  const option = getQuestionType(question) === QUESTION_TYPES.ORDERING
+    ? { optiontext: '' }
+    : { optiontext: '', iscorrect: false };
+  return {
+    ...question,
+    options: renumberOptions([...question.options, option])
+  };
+}
+
+/**
+ * Removes an option and renumbers the rest
+ * @param {Object} question - Question object
+ * @param {number} optionIndex - Index of the option to remove
+ * @returns {Object} Updated question
+ */
+export function removeOption(question, optionIndex) {
+  return {
+    ...question,
+    options: renumberOptions(question.options.filter((_, index) => index !== optionIndex))
+  };
+}
+
+/**
+ * Moves an option up or down and renumbers the options
+ * @param {Object} question - Question object
+ * @param {number} optionIndex - Index of the option to move
+ * @param {number} offset - -1 to move it up, 1 to move it down
+ * @returns {Object} Updated question, unchanged if the option is already at that end
+ */
+export function moveOption(question, optionIndex, offset) {
+  const target = optionIndex + offset;
+  if (target < 0 || target >= question.options.length) {
+    return question;
+  }
+  const options = [...question.options];
+  [options[optionIndex], options[target]] = [options[target], options[optionIndex]];
+  return { ...question, options: renumberOptions(options) };
+}
+
+/**
+ * Changes fields of one option
+ * @param {Object} question - Question object
+ * @param {number} optionIndex - Index of the option
+ * @param {Object} changes - Fields to set, e.g. { iscorrect: true }
+ * @returns {Object} Updated question
+ */
+export function updateOption(question, optionIndex, changes) {
+  return {
+    ...question,
+    options: question.options.map((option, index) => (index === optionIndex ? { ...option, ...changes } : option))
+  };
+}
+
+/**
+ * Changes the type of a question, keeping what carries over: options move
+ * between multiple-choice and ordering questions, anything else starts blank
+ * @param {Object} question - Question object
+ * @param {string} type - One of QUESTION_TYPES
+ * @returns {Object} Updated question
+ */
+export function changeQuestionType(question, type) {
+  const omit = (object, fields) => Object.fromEntries(Object.entries(object).filter(([key]) => !fields.includes(key)));
+  const rest = omit(question, ['type', 'options', 'answer']);
+  const texts = Array.isArray(question.options) && question.options.length > 0
+    ? question.options
+    : [{ optiontext: '' }, { optiontext: '' }];
+
+  switch (type) {
+    case QUESTION_TYPES.NUMERIC:
+      return { ...rest, type, answer: { value: '', tolerance: '' } };
+    case QUESTION_TYPES.SHORT_TEXT:
+      return { ...rest, type, answer: { accepted: [''] } };
+    case QUESTION_TYPES.ORDERING:
+      return {
+        ...rest,
+        type,
+        options: renumberOptions(texts.map(option => omit(option, ['iscorrect'])))
+      };
+    default:
+      return {
+        ...rest,
+        options: renumberOptions(texts.map((option, index) => ({ ...option, iscorrect: index === 0 })))
+      };
+  }
+}
+
+/**
+ * Converts the typed numbers of a numeric answer, leaving text that is not a
+ * number for validation to report and dropping blank fields
+ * @param {Object} answer - Edited answer, e.g. { value: '0.5', tolerance: '' }
+ * @returns {Object} Answer for the bank file
+ */
+function toBankNumericAnswer(answer) {
+  return Object.fromEntries(Object.entries(answer)
+    .filter(([, value]) => !(typeof value === 'string' && value.trim() === ''))
+    .map(([key, value]) => {
+      const number = typeof value === 'string' ? parseNumber(value) : value;
+      return [key, isNaN(number) ? value : number];
+    }));
+}
+
+/**
+ * Drops empty accepted answers and unused settings of a short-text answer
+ * @param {Object} answer - Edited answer, e.g. { accepted: ['GD', ''], pattern: '' }
+ * @returns {Object} Answer for the bank file
+ */
+function toBankTextAnswer(answer) {
+  const bankAnswer = { accepted: (answer.accepted || []).filter(text => text.trim() !== '') };
+  if (answer.pattern && answer.pattern.trim() !== '') {
+    bankAnswer.pattern = answer.pattern;
+  }
+  if (answer.caseSensitive === true) {
+    bankAnswer.caseSensitive = true;
+  }
+  return bankAnswer;
+}
+
+/**
+ * Drops optional fields the editor leaves empty, so the question is stored
+ * the way a hand-written one would be
+ * @param {Object} question - Edited question
+ * @returns {Object} Question for the bank file
+ */
+export function toBankQuestion(question) {
+  const isBlank = value => typeof value === 'string' && value.trim() === '';
+  const withoutBlank = (object, ...fields) => Object.fromEntries(
+    Object.entries(object).filter(([key, value]) => !fields.includes(key) || !isBlank(value))
+  );
+
+  const bankQuestion = withoutBlank(question, 'explanation', 'imageAlt', 'imageDescription');
+  if (Array.isArray(question.options)) {
+    bankQuestion.options = question.options.map(option => withoutBlank(option, 'rationale'));
+  }
+
+  const type = getQuestionType(question);
+  if (type === QUESTION_TYPES.NUMERIC && question.answer) {
+    bankQuestion.answer = toBankNumericAnswer(question.answer);
+  } else if (type === QUESTION_TYPES.SHORT_TEXT && question.answer) {
+    bankQuestion.answer = toBankTextAnswer(question.answer);
+  }
+  return bankQuestion;
+}
+
+/**
+ * Checks every question with the loader's rules and for duplicate numbers
+ * @param {Array} questions - Edited questions
+ * @returns {Array<Array<string>>} Error messages per question, empty for valid ones
+ */
+export function validateEditedQuestions(questions) {
+  const firstIndexByKey = new Map();
+
+  return questions.map((question, index) => {
+    const errors = [...validateQuestion(toBankQuestion(question), index).errors];
+
+    const key = getQuestionKey(question);
+    if (firstIndexByKey.has(key)) {
+      errors.push(`Question ${question.assignmentnumber}.${question.questionnumber} is used twice`);
+    } else {
+      firstIndexByKey.set(key, index);
+    }
+
+    return errors;
+  });
+}
+
+/**
+ * Reads a bank file for editing
+ * @param {string} text - Bank JSON text, a question array or { assignments, questions }
+ * @returns {Object} { bank, questions } where bank holds the file's other fields
+ * @throws {Error} If the text is not JSON or has no questions array
+ */
+export function parseBankFile(text) {
+  const data = JSON.parse(text);
+
+  if (Array.isArray(data)) {
+    return { bank: {}, questions: data };
+  }
+  if (!data || !Array.isArray(data.questions)) {
+    throw new Error('Bank must be an array of questions or an object with a questions array');
+  }
+
+  const { questions, ...bank } = data;
+  return { bank, questions };
+}
+
+/**
+ * Writes the edited bank as data.json text, questions ordered by assignment and number
+ * @param {Object} bank - Loaded bank file contents, whose other fields (e.g. assignments) are kept
+ * @param {Array} questions - Edited questions
+ * @returns {string} JSON text
+ */
+export function serializeBank(bank, questions) {
+  const ordered = questions
+    .map(toBankQuestion)
+    .sort((a, b) => (parseInt(a.assignmentnumber) - parseInt(b.assignmentnumber)) ||
+      (parseInt(a.questionnumber) - parseInt(b.questionnumber)));
+
+  return `${JSON.stringify({ ...bank, questions: ordered }, null, 4)}\n`;
+}
@@ -158,4 +158,26 @@ export function filterQuestionsByMultipleAssignments(questions, assignmentNumber
     const bQuestion = parseInt(b.questionnumber) || 0;
     return aQuestion - bQuestion;
   });
-}
\ No newline at end of file
+}
+
+/**
+ * Gets the questions matching a list of "assignment-question" keys
+ * @param {Array} questions - Array of all question objects
+ * @param {Array<string>} questionKeys - Keys such as "2-5", see getQuestionKey
+ * @returns {Array} Matching questions in the order of the keys; unknown keys are skipped
+ */
+export function filterQuestionsByKeys(questions, questionKeys) {
+  if (!Array.isArray(questions) || !Array.isArray(questionKeys)) {
+    console.warn('Invalid parameters provided to filterQuestionsByKeys');
+    return [];
+  }
+
+  const byKey = new Map(questions.map(question => [
+    `${question.assignmentnumber}-${question.questionnumber}`,
+    question
+  ]));
+
+  return questionKeys
+    .map(key => byKey.get(String(key)))
+    .filter(Boolean);
+}
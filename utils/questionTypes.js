@@ -0,0 +1,136 @@
+/**
+ * Question types
+ * Besides picking options, a question can ask for a number, a short typed answer
+ * or for its options to be put in order. Answers of every type are stored the way
+ * option picks are, as a list of strings: the typed text, or the option numbers
+ * in the order the user chose
+ */
+
+export const QUESTION_TYPES = {
+  MULTIPLE_CHOICE: 'multiple-choice',
+  NUMERIC: 'numeric',
+  SHORT_TEXT: 'short-text',
+  ORDERING: 'ordering'
+};
+
+// A plain decimal or scientific number, e.g. -0.5, .25 or 1.2e-3
+const NUMBER_PATTERN = /^[-+]?(\d+(\.\d*)?|\.\d+)(e[-+]?\d+)?$/i;
+
+// Relative slack on range ends so floating point noise does not fail an exact answer
+const FLOAT_SLACK = 1e-9;
+
+/**
+ * Gets the type of a question
+ * @param {Object} question - Question object
+ * @returns {string} Its `type`, or multiple-choice for questions without one
+ */
+export function getQuestionType(question) {
+  return question && question.type !== undefined ? question.type : QUESTION_TYPES.MULTIPLE_CHOICE;
+}
+
+/**
+ * Checks whether a question is answered by typing (numeric and short-text questions)
+ * @param {Object} question - Question object
+ * @returns {boolean} True if the answer is typed rather than picked from options
+ */
+export function isTypedAnswerQuestion(question) {
+  const type = getQuestionType(question);
+  return type === QUESTION_TYPES.NUMERIC || type === QUESTION_TYPES.SHORT_TEXT;
+}
+
+/**
+ * Reads a typed number
+ * @param {string} text - Typed answer, e.g. " -0.97 " or "1.2e-3"
+ * @returns {number} The number, or NaN if the text is not a plain number
+ */
+export function parseNumber(text) {
+  const compact = String(text).trim().replace(/\u2212/g, '-').replace(/\s+/g, '');
+  return NUMBER_PATTERN.test(compact) ? Number(compact) : NaN;
+}
+
+/**
+ * Gets the range of values a numeric answer accepts
+ * @param {Object} answer - { value, tolerance } or { min, max }
+ * @returns {Object} { min, max }
+ */
+export function getNumericRange(answer) {
+  if (answer.value === undefined) {
+    return { min: answer.min, max: answer.max };
+  }
+  // Round away floating point noise, e.g. 0.3 - 0.1 = 0.19999999999999998
+  const round = number => Number(number.toPrecision(12));
+  const tolerance = answer.tolerance || 0;
+  return { min: round(answer.value - tolerance), max: round(answer.value + tolerance) };
+}
+
+/**
+ * Checks a typed number against a numeric answer
+ * @param {string} text - Typed answer
+ * @param {Object} answer - { value, tolerance } or { min, max }
+ * @returns {boolean} True if the number is within the accepted range
+ */
+export function isNumericAnswerCorrect(text, answer) {
+  const value = parseNumber(text);
+  if (isNaN(value)) {
+    return false;
+  }
+
+  const { min, max } = getNumericRange(answer);
+  const slack = FLOAT_SLACK * Math.max(1, Math.abs(min), Math.abs(max));
+  return value >= min - slack && value <= max + slack;
+}
+
+/**
+ * Formats a numeric answer for feedback and exports, e.g. "0.97 ± 0.01" or "0.96 to 0.98"
+ * @param {Object} answer - { value, tolerance } or { min, max }
+ * @returns {string} Display text
+ */
+export function formatNumericAnswer(answer) {
+  if (answer.value === undefined) {
+    return `${answer.min} to ${answer.max}`;
+  }
+  return answer.tolerance ? `${answer.value} ± ${answer.tolerance}` : String(answer.value);
+}
+
+/**
+ * Normalizes typed text for comparison: trimmed, inner whitespace collapsed
+ * and, unless case matters, lowercased
+ * @param {string} text - Typed text
+ * @param {boolean} caseSensitive - Whether to keep the case
+ * @returns {string} Normalized text
+ */
+export function normalizeTextAnswer(text, caseSensitive = false) {
+  const normalized = String(text).trim().replace(/\s+/g, ' ');
+  return caseSensitive ? normalized : normalized.toLowerCase();
+}
+
+/**
+ * Checks typed text against a short-text answer
+ * The text is right if it matches one of the accepted answers, or if the
+ * answer's pattern matches the whole text
+ * @param {string} text - Typed answer
+ * @param {Object} answer - { accepted, pattern, caseSensitive }
+ * @returns {boolean} True if the text is accepted
+ */
+export function isTextAnswerCorrect(text, answer) {
+  const caseSensitive = answer.caseSensitive === true;
+  const given = normalizeTextAnswer(text, caseSensitive);
+  if (given === '') {
+    return false;
+  }
+
+  if ((answer.accepted || []).some(accepted => normalizeTextAnswer(accepted, caseSensitive) === given)) {
+    return true;
+  }
+
+  if (!answer.pattern) {
+    return false;
+  }
+
+  // A pattern that does not compile (validation reports it) matches nothing
+  try {
+    return new RegExp(`^(?:${answer.pattern})$`, caseSensitive ? '' : 'i').test(normalizeTextAnswer(text, true));
+  } catch {
+    return false;
+  }
+}
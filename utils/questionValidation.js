@@ -0,0 +1,510 @@
+/**
+ * Question bank validation
+ * Structural checks for questions, the assignments metadata block and LaTeX macros, shared by
+ * the runtime loader (utils/dataLoader.js) and the bank linter (npm run validate-bank)
+ */
+
+import { QUESTION_TYPES, getQuestionType, isTypedAnswerQuestion } from './questionTypes.js';
+import { SCORING_POLICIES } from './scoringUtils.js';
+
+const RELEASE_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Modes an assignment's scoring metadata can set rules for; review sessions
+// mix assignments, so no assignment's rules apply to them
+const SCORED_MODES = ['learn', 'test-easy', 'test-difficult', 'exam'];
+
+// A LaTeX command: a backslash and letters (\R) or a single other character (\!)
+const LATEX_MACRO_NAME_PATTERN = /^\\([a-zA-Z]+|[^a-zA-Z\s])$/;
+
+/**
+ * Validates an array of questions and returns detailed validation results
+ * @param {Array} questions - Array of question objects to validate
+ * @returns {Object} Validation result with valid questions, invalid questions, and errors
+ */
+export function validateQuestionsData(questions) {
+  const validQuestions = [];
+  const invalidQuestions = [];
+  const errors = [];
+
+  questions.forEach((question, index) => {
+    const validationResult = validateQuestion(question, index);
+    
+    if (validationResult.isValid) {
+      validQuestions.push(question);
+    } else {
+      invalidQuestions.push({
+        index,
+        question,
+        errors: validationResult.errors
+      });
+      errors.push(...validationResult.errors.map(error => `Question ${index + 1}: ${error}`));
+    }
+  });
+
+  return {
+    validQuestions,
+    invalidQuestions,
+    errors
+  };
+}
+
+/**
+ * Validates a single reference of a question's `references` list
+ * A reference points to a lecture (by name, week and timestamp) or a URL:
+ * { lecture?, week?, timestamp?, url? } with at least a lecture or a URL
+ * @param {Object} reference - Reference object to validate
+ * @returns {Array<string>} Error messages, empty if the reference is valid
+ */
+function validateReference(reference) {
+  const errors = [];
+
+  if (!reference || typeof reference !== 'object') {
+    return ['must be an object'];
+  }
+
+  const hasLecture = typeof reference.lecture === 'string' && reference.lecture.trim() !== '';
+  const hasUrl = typeof reference.url === 'string' && reference.url.trim() !== '';
+
+  if (!hasLecture && !hasUrl) {
+    errors.push('must have a lecture or a url');
+  }
+
+  if (reference.lecture !== undefined && !hasLecture) {
+    errors.push('lecture must be a non-empty string');
+  }
+
+  if (reference.url !== undefined && (!hasUrl || !/^https?:\/\//.test(reference.url))) {
+    errors.push('url must be an http(s) URL');
+  }
+
+  if (reference.week !== undefined) {
+    const week = Number(reference.week);
+    if (!Number.isInteger(week) || week < 1) {
+      errors.push('week must be a positive integer');
+    }
+  }
+
+  if (reference.timestamp !== undefined &&
+      (typeof reference.timestamp !== 'string' || !/^(\d{1,2}:)?\d{1,2}:\d{2}$/.test(reference.timestamp))) {
+    errors.push('timestamp must look like mm:ss or hh:mm:ss');
+  }
+
+  return errors;
+}
+
+/**
+ * Validates the structure of a single question object
+ * @param {Object} question - Question object to validate
+ * @param {number} index - Index of the question in the array (for error reporting)
+ * @returns {Object} Validation result with isValid flag and error messages
+ */
+export function validateQuestion(question, index = 0) {
+  const errors = [];
+
+  // Check if question is an object
+  if (!question || typeof question !== 'object') {
+    errors.push('Question must be an object');
+    return { isValid: false, errors };
+  }
+
+  // Check required string fields
+  const requiredStringFields = ['assignmentnumber', 'questionnumber', 'question'];
+  requiredStringFields.forEach(field => {
+    if (!question[field] || typeof question[field] !== 'string' || question[field].trim() === '') {
+      errors.push(`Missing or invalid ${field} field`);
+    }
+  });
+
+  // Validate assignment number format
+  if (question.assignmentnumber) {
+    const assignmentNum = parseInt(question.assignmentnumber);
+    if (isNaN(assignmentNum) || assignmentNum < 1) {
+      errors.push('Assignment number must be a positive integer');
+    }
+  }
+
+  // Check image field (optional but must be string if present)
+  if (question.image !== undefined && typeof question.image !== 'string') {
+    errors.push('Image field must be a string');
+  }
+
+  // Check what the image shows (optional): short alt text and a long description
+  if (question.imageAlt !== undefined &&
+      (typeof question.imageAlt !== 'string' || question.imageAlt.trim() === '')) {
+    errors.push('Image alt text must be a non-empty string');
+  }
+
+  if (question.imageDescription !== undefined &&
+      (typeof question.imageDescription !== 'string' || question.imageDescription.trim() === '')) {
+    errors.push('Image description must be a non-empty string');
+  }
+
+  // Check explanation field (optional, LaTeX-capable text)
+  if (question.explanation !== undefined &&
+      (typeof question.explanation !== 'string' || question.explanation.trim() === '')) {
+    errors.push('Explanation must be a non-empty string');
+  }
+
+  // Check references (optional list of lecture pointers)
+  if (question.references !== undefined) {
+    if (!Array.isArray(question.references)) {
+      errors.push('References must be an array');
+    } else {
+      question.references.forEach((reference, referenceIndex) => {
+        errors.push(...validateReference(reference).map(error => `Reference ${referenceIndex + 1} ${error}`));
+      });
+    }
+  }
+
+  const type = getQuestionType(question);
+  if (!Object.values(QUESTION_TYPES).includes(type)) {
+    errors.push(`Unknown question type: ${type}`);
+    return { isValid: false, errors };
+  }
+
+  // Numeric and short-text questions are answered by typing, against an answer object
+  if (isTypedAnswerQuestion(question)) {
+    if (question.options !== undefined) {
+      errors.push(`Questions of type ${type} cannot have options`);
+    }
+    errors.push(...(type === QUESTION_TYPES.NUMERIC
+      ? validateNumericAnswer(question.answer)
+      : validateTextAnswer(question.answer)));
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+
+  if (question.answer !== undefined) {
+    errors.push('Answer is only used by numeric and short-text questions');
+  }
+
+  errors.push(...validateOptions(question.options, type));
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Validates the answer of a numeric question
+ * @param {Object} answer - { value, tolerance } or { min, max }
+ * @returns {Array<string>} Error messages, empty if the answer is valid
+ */
+function validateNumericAnswer(answer) {
+  const isNumber = value => typeof value === 'number' && isFinite(value);
+
+  if (!answer || typeof answer !== 'object') {
+    return ['Numeric questions need an answer object'];
+  }
+
+  if (answer.value !== undefined) {
+    const errors = [];
+    if (!isNumber(answer.value)) {
+      errors.push('Answer value must be a number');
+    }
+    if (answer.tolerance !== undefined && !(isNumber(answer.tolerance) && answer.tolerance >= 0)) {
+      errors.push('Answer tolerance must be a non-negative number');
+    }
+    if (answer.min !== undefined || answer.max !== undefined) {
+      errors.push('Answer needs a value or a min and max, not both');
+    }
+    return errors;
+  }
+
+  if (!isNumber(answer.min) || !isNumber(answer.max)) {
+    return ['Answer needs a value, or a min and a max'];
+  }
+  if (answer.min > answer.max) {
+    return ['Answer min cannot be greater than max'];
+  }
+  return [];
+}
+
+/**
+ * Checks whether a short-text pattern compiles to a regular expression
+ * @param {*} pattern - Pattern from the bank
+ * @returns {boolean} True if the pattern is a non-empty, valid regular expression
+ */
+function isValidPattern(pattern) {
+  if (typeof pattern !== 'string' || pattern.trim() === '') {
+    return false;
+  }
+  try {
+    new RegExp(pattern);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Validates the answer of a short-text question
+ * @param {Object} answer - { accepted, pattern, caseSensitive }
+ * @returns {Array<string>} Error messages, empty if the answer is valid
+ */
+function validateTextAnswer(answer) {
+  const errors = [];
+
+  if (!answer || typeof answer !== 'object') {
+    return ['Short-text questions need an answer object'];
+  }
+
+  if (!Array.isArray(answer.accepted) || answer.accepted.length === 0 ||
+      !answer.accepted.every(text => typeof text === 'string' && text.trim() !== '')) {
+    errors.push('Answer accepted must be a list of non-empty strings');
+  }
+
+  if (answer.pattern !== undefined && !isValidPattern(answer.pattern)) {
+    errors.push('Answer pattern must be a valid regular expression');
+  }
+
+  if (answer.caseSensitive !== undefined && typeof answer.caseSensitive !== 'boolean') {
+    errors.push('Answer caseSensitive must be a boolean');
+  }
+
+  return errors;
+}
+
+/**
+ * Validates the options of a multiple-choice or ordering question
+ * Ordering questions list their options in the correct order and mark none of them correct
+ * @param {Array} options - Option objects
+ * @param {string} type - Question type
+ * @returns {Array<string>} Error messages, empty if the options are valid
+ */
+function validateOptions(options, type) {
+  const errors = [];
+  const isOrdering = type === QUESTION_TYPES.ORDERING;
+
+  // Check options array
+  if (!Array.isArray(options)) {
+    return ['Options must be an array'];
+  }
+
+  if (options.length === 0) {
+    return ['Question must have at least one option'];
+  }
+
+  if (isOrdering && options.length < 2) {
+    errors.push('Ordering questions need at least two options');
+  }
+
+  if (options.length > 10) {
+    errors.push('Question cannot have more than 10 options');
+  }
+
+  // Validate each option
+  const optionNumbers = new Set();
+  let hasCorrectAnswer = false;
+
+  options.forEach((option, optionIndex) => {
+    if (!option || typeof option !== 'object') {
+      errors.push(`Option ${optionIndex + 1} must be an object`);
+      return;
+    }
+
+    // Check required option fields
+    if (!option.optionnumber || typeof option.optionnumber !== 'string' || option.optionnumber.trim() === '') {
+      errors.push(`Option ${optionIndex + 1} missing or invalid optionnumber`);
+    } else {
+      // Check for duplicate option numbers
+      if (optionNumbers.has(option.optionnumber)) {
+        errors.push(`Duplicate option number: ${option.optionnumber}`);
+      }
+      optionNumbers.add(option.optionnumber);
+    }
+
+    if (!option.optiontext || typeof option.optiontext !== 'string' || option.optiontext.trim() === '') {
+      errors.push(`Option ${optionIndex + 1} missing or invalid optiontext`);
+    }
+
+    if (option.rationale !== undefined &&
+        (typeof option.rationale !== 'string' || option.rationale.trim() === '')) {
+      errors.push(`Option ${optionIndex + 1} rationale must be a non-empty string`);
+    }
+
+    if (isOrdering) {
+      if (option.iscorrect !== undefined) {
+        errors.push(`Option ${optionIndex + 1} iscorrect is not used by ordering questions`);
+      }
+    } else if (typeof option.iscorrect !== 'boolean') {
+      errors.push(`Option ${optionIndex + 1} iscorrect must be a boolean`);
+    } else if (option.iscorrect === true) {
+      hasCorrectAnswer = true;
+    }
+  });
+
+  // Ensure at least one correct answer exists
+  if (!isOrdering && !hasCorrectAnswer) {
+    errors.push('Question must have at least one correct answer');
+  }
+
+  return errors;
+}
+
+/**
+ * Validates scoring rules in an assignment's metadata
+ * @param {Object} rules - { policy, passPercentage, negativeMark }
+ * @param {string} label - Where the rules are, for the error messages
+ * @returns {Array<string>} Error messages
+ */
+function validateScoringRules(rules, label) {
+  if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+    return [`${label} must be an object`];
+  }
+
+  const errors = [];
+  const policies = Object.values(SCORING_POLICIES);
+
+  if (rules.policy !== undefined && !policies.includes(rules.policy)) {
+    errors.push(`${label}.policy must be one of ${policies.join(', ')}`);
+  }
+
+  if (rules.passPercentage !== undefined &&
+      (typeof rules.passPercentage !== 'number' || rules.passPercentage < 0 || rules.passPercentage > 100)) {
+    errors.push(`${label}.passPercentage must be a number from 0 to 100`);
+  }
+
+  if (rules.negativeMark !== undefined &&
+      (typeof rules.negativeMark !== 'number' || rules.negativeMark < 0 || rules.negativeMark > 1)) {
+    errors.push(`${label}.negativeMark must be a number from 0 to 1`);
+  }
+
+  return errors;
+}
+
+/**
+ * Validates an assignment's scoring metadata: rules for every mode, and
+ * rules per mode under `modes`
+ * @param {Object} scoring - Scoring metadata
+ * @returns {Array<string>} Error messages
+ */
+function validateScoringMetadata(scoring) {
+  if (!scoring || typeof scoring !== 'object' || Array.isArray(scoring)) {
+    return ['scoring must be an object'];
+  }
+
+  const errors = validateScoringRules(scoring, 'scoring');
+
+  if (scoring.modes !== undefined) {
+    if (!scoring.modes || typeof scoring.modes !== 'object' || Array.isArray(scoring.modes)) {
+      errors.push('scoring.modes must be an object');
+    } else {
+      Object.entries(scoring.modes).forEach(([mode, rules]) => {
+        if (!SCORED_MODES.includes(mode)) {
+          errors.push(`scoring.modes has an unknown mode "${mode}"`);
+        } else {
+          errors.push(...validateScoringRules(rules, `scoring.modes.${mode}`));
+        }
+      });
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validates a single entry of a bank's assignments block
+ * @param {Object} assignment - Assignment metadata
+ * @returns {Object} Validation result with isValid flag and error messages
+ */
+export function validateAssignmentMetadata(assignment) {
+  const errors = [];
+
+  if (!assignment || typeof assignment !== 'object') {
+    return { isValid: false, errors: ['Assignment metadata must be an object'] };
+  }
+
+  if (!Number.isInteger(assignment.number) || assignment.number < 1) {
+    errors.push('number must be a positive integer');
+  }
+
+  ['title', 'description'].forEach(field => {
+    if (assignment[field] !== undefined && (typeof assignment[field] !== 'string' || assignment[field].trim() === '')) {
+      errors.push(`${field} must be a non-empty string`);
+    }
+  });
+
+  if (assignment.tags !== undefined &&
+      (!Array.isArray(assignment.tags) || !assignment.tags.every(tag => typeof tag === 'string' && tag.trim() !== ''))) {
+    errors.push('tags must be a list of non-empty strings');
+  }
+
+  if (assignment.releaseDate !== undefined &&
+      (typeof assignment.releaseDate !== 'string' ||
+       !RELEASE_DATE_PATTERN.test(assignment.releaseDate) ||
+       isNaN(Date.parse(assignment.releaseDate)))) {
+    errors.push('releaseDate must be a date like 2025-01-31');
+  }
+
+  if (assignment.timeLimitMinutes !== undefined &&
+      (typeof assignment.timeLimitMinutes !== 'number' || !(assignment.timeLimitMinutes > 0))) {
+    errors.push('timeLimitMinutes must be a positive number');
+  }
+
+  if (assignment.scoring !== undefined) {
+    errors.push(...validateScoringMetadata(assignment.scoring));
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Validates the assignments block of a question bank
+ * @param {Array} assignments - Assignment metadata entries
+ * @returns {Object} Validation result with isValid flag and error messages
+ */
+export function validateAssignmentsBlock(assignments) {
+  if (!Array.isArray(assignments)) {
+    return { isValid: false, errors: ['assignments must be an array'] };
+  }
+
+  const errors = assignments.flatMap((assignment, index) =>
+    validateAssignmentMetadata(assignment).errors.map(error => `Assignment ${index + 1}: ${error}`)
+  );
+
+  const numbers = assignments.map(assignment => assignment && assignment.number);
+  const duplicates = numbers.filter((number, index) => numbers.indexOf(number) !== index);
+  if (duplicates.length > 0) {
+    errors.push(`Duplicate assignment numbers: ${[...new Set(duplicates)].join(', ')}`);
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Validates the latexMacros block of a question bank, e.g. { "\\R": "\\mathbb{R}" }
+ * @param {Object} macros - KaTeX macro definitions keyed by command name
+ * @returns {Object} Validation result with isValid flag and error messages
+ */
+export function validateLatexMacros(macros) {
+  if (!macros || typeof macros !== 'object' || Array.isArray(macros)) {
+    return { isValid: false, errors: ['latexMacros must be an object of macro definitions'] };
+  }
+
+  const errors = Object.entries(macros).flatMap(([name, definition]) => {
+    const macroErrors = [];
+    if (!LATEX_MACRO_NAME_PATTERN.test(name)) {
+      macroErrors.push(`LaTeX macro ${name} must be named like \\R: a backslash and a command name`);
+    }
+    if (typeof definition !== 'string' || definition.trim() === '') {
+      macroErrors.push(`LaTeX macro ${name} must be defined by a non-empty string`);
+    }
+    return macroErrors;
+  });
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
@@ -2,14 +2,39 @@
  * Quiz state management and logic utilities
  */
 
+import { getScoringRules } from './scoringUtils';
+
+/**
+ * Exam mode time limits in seconds, keyed by assignment number
+ * Assignments without an entry use the default
+ */
+export const EXAM_TIME_LIMITS = {
+  default: 30 * 60
+};
+
+/**
+ * Gets the exam time limit for an assignment
+ * @param {string|number} assignment - Assignment number
+ * @returns {number} - Time limit in seconds
+ */
+export function getExamTimeLimit(assignment) {
+  return EXAM_TIME_LIMITS[String(assignment)] || EXAM_TIME_LIMITS.default;
+}
+
 /**
  * Creates initial quiz state
  * @param {Array} questions - Array of question objects
  * @param {string} assignment - Assignment number
  * @param {string} mode - Quiz mode
+ * @param {string|null} seed - Seed the questions were shuffled with, if any
+ * @param {string|null} course - Course id, or null for the default course
+ * @param {number|null} examTimeLimit - Exam time limit in seconds from the assignment's
+ *   metadata, or null for the default limit
+ * @param {Object|null} scoringRules - Scoring rules from the assignment's metadata,
+ *   or null for the mode's rules
  * @returns {Object} - Initial quiz state
  */
-export function createInitialQuizState(questions, assignment, mode) {
+export function createInitialQuizState(questions, assignment, mode, seed = null, course = null, examTimeLimit = null, scoringRules = null) {
   return {
     assignment,
     mode,
@@ -19,7 +44,12 @@ export function createInitialQuizState(questions, assignment, mode) {
     startTime: new Date(),
     endTime: null,
     isComplete: false,
-    showFeedback: mode === 'learn' // In learn mode, show feedback immediately
+    showFeedback: mode === 'learn', // In learn mode, show feedback immediately
+    flaggedQuestions: [],
+    timeLimit: mode === 'exam' ? (examTimeLimit || getExamTimeLimit(assignment)) : null,
+    scoringRules: scoringRules || getScoringRules(mode),
+    seed,
+    course
   };
 }
 
@@ -43,6 +73,25 @@ export function updateQuizStateWithAnswer(quizState, questionIndex, selectedOpti
   };
 }
 
+/**
+ * Picks or unpicks an option, the way clicking it does
+ * @param {Array} selectedOptions - Option numbers picked so far
+ * @param {string} optionNumber - Option clicked or chosen by key
+ * @param {boolean} isMultipleChoice - Whether the question has several correct answers
+ * @returns {Array} - Option numbers picked after the change
+ */
+export function toggleOptionSelection(selectedOptions, optionNumber, isMultipleChoice) {
+  if (!isMultipleChoice) {
+    // Single choice: replace selection
+    return [optionNumber];
+  }
+
+  // Multiple choice: toggle selection
+  return selectedOptions.includes(optionNumber)
+    ? selectedOptions.filter(option => option !== optionNumber)
+    : [...selectedOptions, optionNumber];
+}
+
 /**
  * Navigates to the next question
  * @param {Object} quizState - Current quiz state
@@ -76,6 +125,70 @@ export function navigateToPreviousQuestion(quizState) {
   };
 }
 
+/**
+ * Jumps directly to a question (exam mode allows free navigation)
+ * @param {Object} quizState - Current quiz state
+ * @param {number} questionIndex - Index of the question to show
+ * @returns {Object} - Updated quiz state
+ */
+export function navigateToQuestion(quizState, questionIndex) {
+  const index = Math.min(Math.max(0, questionIndex), quizState.questions.length - 1);
+
+  return {
+    ...quizState,
+    currentQuestionIndex: index,
+    showFeedback: quizState.mode === 'learn'
+  };
+}
+
+/**
+ * Flags or unflags a question for later review
+ * @param {Object} quizState - Current quiz state
+ * @param {number} questionIndex - Index of the question to toggle
+ * @returns {Object} - Updated quiz state
+ */
+export function toggleQuestionFlag(quizState, questionIndex) {
+  const flagged = quizState.flaggedQuestions || [];
+
+  return {
+    ...quizState,
+    flaggedQuestions: flagged.includes(questionIndex)
+      ? flagged.filter(index => index !== questionIndex)
+      : [...flagged, questionIndex].sort((a, b) => a - b)
+  };
+}
+
+/**
+ * Submits the quiz, ending it regardless of the current question
+ * @param {Object} quizState - Current quiz state
+ * @param {Date} endTime - Submission time
+ * @returns {Object} - Completed quiz state
+ */
+export function submitQuiz(quizState, endTime = new Date()) {
+  return {
+    ...quizState,
+    currentQuestionIndex: quizState.questions.length,
+    isComplete: true,
+    endTime,
+    showFeedback: false
+  };
+}
+
+/**
+ * Calculates the time left before a timed quiz is auto-submitted
+ * @param {Object} quizState - Current quiz state
+ * @param {Date} now - Current time
+ * @returns {number|null} - Seconds remaining (never negative), or null if untimed
+ */
+export function getRemainingTime(quizState, now = new Date()) {
+  if (!quizState.timeLimit) {
+    return null;
+  }
+
+  const elapsedSeconds = Math.floor((now - quizState.startTime) / 1000);
+  return Math.max(0, quizState.timeLimit - elapsedSeconds);
+}
+
 /**
  * Shows feedback for the current question (test modes)
  * @param {Object} quizState - Current quiz state
@@ -128,4 +241,116 @@ export function getCurrentQuestionAnswer(quizState) {
 export function calculateTimeElapsed(quizState) {
   const endTime = quizState.endTime || new Date();
   return Math.floor((endTime - quizState.startTime) / 1000);
+}
+
+/**
+ * Serializes an in-progress quiz state for storage
+ * Dates become ISO strings and the elapsed time is captured so the timer
+ * continues from the same point when the quiz is resumed (timed quizzes
+ * keep their original start time instead)
+ * @param {Object} quizState - Current quiz state
+ * @param {Date} now - Current time
+ * @returns {Object} - JSON-safe snapshot of the quiz state
+ */
+export function serializeQuizState(quizState, now = new Date()) {
+  return {
+    assignment: quizState.assignment,
+    mode: quizState.mode,
+    questions: quizState.questions,
+    currentQuestionIndex: quizState.currentQuestionIndex,
+    userAnswers: quizState.userAnswers.map(answer => answer ? {
+      selectedOptions: [...answer.selectedOptions],
+      timestamp: new Date(answer.timestamp).toISOString()
+    } : null),
+    showFeedback: quizState.showFeedback,
+    flaggedQuestions: [...(quizState.flaggedQuestions || [])],
+    timeLimit: quizState.timeLimit || null,
+    scoringRules: quizState.scoringRules || null,
+    seed: quizState.seed || null,
+    course: quizState.course || null,
+    startedAt: new Date(quizState.startTime).toISOString(),
+    elapsedMs: Math.max(0, now - new Date(quizState.startTime)),
+    savedAt: now.toISOString()
+  };
+}
+
+/**
+ * Restores a quiz state from a serialized snapshot
+ * @param {Object} snapshot - Snapshot produced by serializeQuizState
+ * @param {Date} now - Current time
+ * @returns {Object|null} - Quiz state ready to continue, or null if the snapshot is unusable
+ */
+export function restoreQuizState(snapshot, now = new Date()) {
+  if (!snapshot || !Array.isArray(snapshot.questions) || snapshot.questions.length === 0) {
+    return null;
+  }
+
+  if (!Array.isArray(snapshot.userAnswers) || snapshot.userAnswers.length !== snapshot.questions.length) {
+    return null;
+  }
+
+  const currentQuestionIndex = Math.min(
+    Math.max(0, parseInt(snapshot.currentQuestionIndex) || 0),
+    snapshot.questions.length - 1
+  );
+
+  return {
+    assignment: snapshot.assignment,
+    mode: snapshot.mode,
+    questions: snapshot.questions,
+    currentQuestionIndex,
+    userAnswers: snapshot.userAnswers.map(answer => answer ? {
+      selectedOptions: [...answer.selectedOptions],
+      timestamp: new Date(answer.timestamp)
+    } : null),
+    // Timed quizzes keep running while the user is away, others pause
+    startTime: snapshot.timeLimit && snapshot.startedAt
+      ? new Date(snapshot.startedAt)
+      : new Date(now.getTime() - (snapshot.elapsedMs || 0)),
+    endTime: null,
+    isComplete: false,
+    showFeedback: snapshot.mode === 'learn' || Boolean(snapshot.showFeedback),
+    flaggedQuestions: Array.isArray(snapshot.flaggedQuestions) ? snapshot.flaggedQuestions : [],
+    timeLimit: snapshot.timeLimit || null,
+    // Keep the rules the quiz started with so a resumed attempt is scored the same way
+    scoringRules: snapshot.scoringRules || getScoringRules(snapshot.mode),
+    seed: snapshot.seed || null,
+    course: snapshot.course || null
+  };
+}
+
+/**
+ * Checks that a snapshot was taken over the same questions that are available now
+ * Order may differ (test-difficult shuffles), but the set of questions must match
+ * @param {Object} snapshot - Snapshot produced by serializeQuizState
+ * @param {Array} questions - Questions currently available for the quiz
+ * @returns {boolean} - True if the snapshot can be resumed against these questions
+ */
+export function isSnapshotCompatible(snapshot, questions) {
+  if (!snapshot || !Array.isArray(snapshot.questions) || !Array.isArray(questions)) {
+    return false;
+  }
+  if (snapshot.questions.length !== questions.length) {
+    return false;
+  }
+
+  const toKeys = list => list.map(q => `${q.assignmentnumber}-${q.questionnumber}`).sort();
+  const savedKeys = toKeys(snapshot.questions);
+  const currentKeys = toKeys(questions);
+  return savedKeys.every((key, index) => key === currentKeys[index]);
+}
+
+/**
+ * Summarizes a saved snapshot for resume prompts
+ * @param {Object} snapshot - Snapshot produced by serializeQuizState
+ * @returns {Object} - Current question (1-based), total, answered count and elapsed seconds
+ */
+export function getSavedQuizSummary(snapshot) {
+  return {
+    currentQuestion: (snapshot.currentQuestionIndex || 0) + 1,
+    totalQuestions: snapshot.questions.length,
+    answeredCount: snapshot.userAnswers.filter(answer => answer && answer.selectedOptions.length > 0).length,
+    elapsedSeconds: Math.floor((snapshot.elapsedMs || 0) / 1000),
+    savedAt: snapshot.savedAt
+  };
 }
\ No newline at end of file
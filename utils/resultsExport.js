@@ -0,0 +1,98 @@
+/**
+ * Quiz results export
+ * Lets students keep their own record of an attempt: the score summary and
+ * every question from getDetailedResults, as JSON or as a CSV sheet
+ */
+
+import { getDetailedResults, scoreQuiz } from './scoringUtils';
+import { getQuestionKey } from './reviewScheduler';
+
+/**
+ * Builds the exportable record of a finished quiz
+ * @param {Object} quizState - Submitted quiz state
+ * @param {Object} details - Extra details
+ * @param {string|null} details.userName - Name shown on the results screen
+ * @returns {Object} Attempt record with summary and per-question results
+ */
+export function buildResultsExport(quizState, { userName = null } = {}) {
+  const score = scoreQuiz(quizState);
+  const results = getDetailedResults(quizState.userAnswers, quizState.questions);
+
+  return {
+    userName,
+    course: quizState.course || null,
+    assignment: quizState.assignment,
+    mode: quizState.mode,
+    seed: quizState.seed || null,
+    startedAt: quizState.startTime ? new Date(quizState.startTime).toISOString() : null,
+    completedAt: quizState.endTime ? new Date(quizState.endTime).toISOString() : null,
+    score: {
+      correct: score.correct,
+      total: score.total,
+      percentage: score.percentage,
+      points: score.points,
+      maxPoints: score.maxPoints,
+      passed: score.passed
+    },
+    questions: results.map((result, index) => ({
+      questionKey: getQuestionKey(quizState.questions[index]),
+      ...result
+    }))
+  };
+}
+
+/**
+ * Formats an attempt record as JSON
+ * @param {Object} record - Record from buildResultsExport
+ * @returns {string} JSON text
+ */
+export function resultsToJson(record) {
+  return `${JSON.stringify(record, null, 2)}\n`;
+}
+
+/**
+ * Quotes a CSV cell when it contains a comma, quote or line break
+ * @param {*} value - Cell value
+ * @returns {string} CSV cell
+ */
+function toCsvCell(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Formats an attempt record as CSV, one row per question
+ * @param {Object} record - Record from buildResultsExport
+ * @returns {string} CSV text
+ */
+export function resultsToCsv(record) {
+  const rows = [['Number', 'Question key', 'Question', 'Your answer', 'Correct answer', 'Result']];
+
+  record.questions.forEach(result => {
+    let outcome = result.isCorrect ? 'Correct' : 'Wrong';
+    if (!result.isAnswered) outcome = 'Unanswered';
+
+    rows.push([
+      result.questionNumber,
+      result.questionKey,
+      result.question,
+      result.selectedOptions.join(';'),
+      result.correctOptions.join(';'),
+      outcome
+    ]);
+  });
+
+  return `${rows.map(row => row.map(toCsvCell).join(',')).join('\r\n')}\r\n`;
+}
+
+/**
+ * Suggests a file name for an exported attempt, e.g. assignment-3-exam-2025-03-14.csv
+ * @param {Object} record - Record from buildResultsExport
+ * @param {string} extension - File extension without the dot
+ * @returns {string} File name
+ */
+export function getResultsFileName(record, extension) {
+  const date = (record.completedAt || new Date().toISOString()).slice(0, 10);
+  const assignment = String(record.assignment).replace(/[^\w-]+/g, '-');
+  return `${record.course ? `${record.course}-` : ''}assignment-${assignment}-${record.mode}-${date}.${extension}`;
+}
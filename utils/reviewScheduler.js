@@ -0,0 +1,165 @@
+/**
+ * Spaced repetition scheduling for review mode
+ * Tracks per-question answer history and decides which questions are due,
+ * using an SM-2 style ease factor with Leitner-style resets on a miss
+ */
+
+import { validateAnswer } from './scoringUtils';
+import { getQuestionHistory, storeQuestionHistory } from './storageUtils';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const DEFAULT_EASE_FACTOR = 2.5;
+export const MIN_EASE_FACTOR = 1.3;
+
+// SM-2 answer quality grades for binary right/wrong answers
+const QUALITY_CORRECT = 5;
+const QUALITY_INCORRECT = 2;
+
+/**
+ * Builds the stable history key for a question
+ * @param {Object} question - Question object
+ * @returns {string} Key in the form "<assignmentnumber>-<questionnumber>"
+ */
+export function getQuestionKey(question) {
+  return `${question.assignmentnumber}-${question.questionnumber}`;
+}
+
+/**
+ * Creates a fresh history entry for a question that has never been answered
+ * @returns {Object} Empty history entry
+ */
+export function createHistoryEntry() {
+  return {
+    attempts: 0,
+    correct: 0,
+    lapses: 0,
+    repetitions: 0,
+    interval: 0,
+    easeFactor: DEFAULT_EASE_FACTOR,
+    lastAnsweredAt: null,
+    dueAt: null
+  };
+}
+
+/**
+ * Computes the next schedule for a history entry after an answer
+ * Correct answers grow the interval (1 day, 6 days, then interval × ease);
+ * a miss resets the item so it is due again immediately
+ * @param {Object} entry - Existing history entry (or null for a new question)
+ * @param {boolean} isCorrect - Whether the answer was correct
+ * @param {number} now - Current time in milliseconds
+ * @returns {Object} Updated history entry
+ */
+export function scheduleReview(entry, isCorrect, now = Date.now()) {
+  const current = { ...createHistoryEntry(), ...(entry || {}) };
+  const quality = isCorrect ? QUALITY_CORRECT : QUALITY_INCORRECT;
+
+  const easeFactor = Math.max(
+    MIN_EASE_FACTOR,
+    current.easeFactor + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02))
+  );
+
+  let repetitions;
+  let interval;
+
+  if (isCorrect) {
+    repetitions = current.repetitions + 1;
+    if (repetitions === 1) {
+      interval = 1;
+    } else if (repetitions === 2) {
+      interval = 6;
+    } else {
+      interval = Math.round(current.interval * easeFactor);
+    }
+  } else {
+    repetitions = 0;
+    interval = 0;
+  }
+
+  return {
+    attempts: current.attempts + 1,
+    correct: current.correct + (isCorrect ? 1 : 0),
+    lapses: current.lapses + (isCorrect ? 0 : 1),
+    repetitions,
+    interval,
+    easeFactor: Math.round(easeFactor * 100) / 100,
+    lastAnsweredAt: now,
+    dueAt: now + interval * DAY_MS
+  };
+}
+
+/**
+ * Records an answer in the persisted question history
+ * @param {Object} question - Question that was answered
+ * @param {Array} selectedOptions - Option numbers the user selected
+ * @param {number} now - Current time in milliseconds
+ * @returns {Object} The updated history entry for the question
+ */
+export function recordQuestionAnswer(question, selectedOptions, now = Date.now()) {
+  const history = getQuestionHistory();
+  const key = getQuestionKey(question);
+  const isCorrect = validateAnswer(selectedOptions, question);
+
+  const entry = scheduleReview(history[key], isCorrect, now);
+  storeQuestionHistory({ ...history, [key]: entry });
+
+  return entry;
+}
+
+/**
+ * Checks whether a history entry is due for review
+ * @param {Object} entry - History entry
+ * @param {number} now - Current time in milliseconds
+ * @returns {boolean} True if the question should be reviewed now
+ */
+export function isDue(entry, now = Date.now()) {
+  return Boolean(entry && entry.dueAt !== null && entry.dueAt !== undefined && entry.dueAt <= now);
+}
+
+/**
+ * Selects the questions that are due for review
+ * Questions without any history are not due; they have not been seen yet.
+ * Most overdue questions come first, ties broken by the lowest ease factor
+ * @param {Array} questions - Array of question objects to pick from
+ * @param {Object} history - Question history keyed by question key
+ * @param {number} now - Current time in milliseconds
+ * @returns {Array} Due questions in review order
+ */
+export function getDueQuestions(questions, history = {}, now = Date.now()) {
+  if (!Array.isArray(questions)) {
+    console.warn('Invalid questions array provided to getDueQuestions');
+    return [];
+  }
+
+  return questions
+    .filter(question => isDue(history[getQuestionKey(question)], now))
+    .sort((a, b) => {
+      const entryA = history[getQuestionKey(a)];
+      const entryB = history[getQuestionKey(b)];
+      if (entryA.dueAt !== entryB.dueAt) {
+        return entryA.dueAt - entryB.dueAt;
+      }
+      return entryA.easeFactor - entryB.easeFactor;
+    });
+}
+
+/**
+ * Finds when the next question becomes due among not-yet-due questions
+ * @param {Array} questions - Array of question objects to consider
+ * @param {Object} history - Question history keyed by question key
+ * @param {number} now - Current time in milliseconds
+ * @returns {number|null} Timestamp of the next due question, or null if none scheduled
+ */
+export function getNextDueTime(questions, history = {}, now = Date.now()) {
+  if (!Array.isArray(questions)) {
+    return null;
+  }
+
+  const upcoming = questions
+    .map(question => history[getQuestionKey(question)])
+    .filter(entry => entry && typeof entry.dueAt === 'number' && entry.dueAt > now)
+    .map(entry => entry.dueAt);
+
+  return upcoming.length > 0 ? Math.min(...upcoming) : null;
+}
@@ -1,7 +1,67 @@
 /**
- * Scoring calculation functions for both single and multiple-choice questions
+ * Scoring calculation functions for both single and multiple-choice questions,
+ * and for numeric, short-text and ordering questions (see questionTypes.js)
+ * Supports pluggable scoring policies and per-question weights
  */
 
+import {
+  QUESTION_TYPES,
+  getQuestionType,
+  isNumericAnswerCorrect,
+  isTextAnswerCorrect,
+  formatNumericAnswer
+} from './questionTypes.js';
+
+/**
+ * Available scoring policies
+ * - all-or-nothing: full marks only for the exact set of correct options
+ * - partial-credit: proportional marks for each correct pick, less one share per wrong pick
+ * - negative-marking: NPTEL-style, each correct pick earns its share and each wrong pick
+ *   loses a fixed fraction of the question's marks
+ * Numeric, short-text and ordering answers are either right or wrong, so every
+ * policy gives them full marks or none
+ */
+export const SCORING_POLICIES = {
+  ALL_OR_NOTHING: 'all-or-nothing',
+  PARTIAL_CREDIT: 'partial-credit',
+  NEGATIVE_MARKING: 'negative-marking'
+};
+
+// Passing grade used when no rule overrides it
+export const DEFAULT_PASS_PERCENTAGE = 70;
+
+// Fraction of a question's marks lost per wrong pick under negative marking
+export const DEFAULT_NEGATIVE_MARK = 0.25;
+
+export const DEFAULT_SCORING_RULES = {
+  policy: SCORING_POLICIES.ALL_OR_NOTHING,
+  passPercentage: DEFAULT_PASS_PERCENTAGE,
+  negativeMark: DEFAULT_NEGATIVE_MARK
+};
+
+/**
+ * Scoring rule overrides keyed by quiz mode
+ * Modes without an entry use the default rules
+ */
+export const MODE_SCORING_RULES = {
+  exam: { policy: SCORING_POLICIES.NEGATIVE_MARKING }
+};
+
+// Rules an assignment's scoring metadata may set, for all its modes or per mode
+export const SCORING_RULE_FIELDS = ['policy', 'passPercentage', 'negativeMark'];
+
+/**
+ * Scorers for each policy, returning the fraction of the question's marks earned
+ * Each receives { hits, misses, correctCount, isCorrect, negativeMark }
+ */
+const POLICY_SCORERS = {
+  [SCORING_POLICIES.ALL_OR_NOTHING]: ({ isCorrect }) => (isCorrect ? 1 : 0),
+  [SCORING_POLICIES.PARTIAL_CREDIT]: ({ hits, misses, correctCount }) =>
+    Math.max(0, (hits - misses) / correctCount),
+  [SCORING_POLICIES.NEGATIVE_MARKING]: ({ hits, misses, correctCount, negativeMark }) =>
+    Math.max(-negativeMark, hits / correctCount - misses * negativeMark)
+};
+
 /**
  * Checks if two arrays contain the same elements (order independent)
  * @param {Array} arr1 - First array
@@ -20,24 +80,48 @@ function arraysEqual(arr1, arr2) {
 
 /**
  * Gets correct option numbers for a question
+ * Ordering questions give all their option numbers in the correct order, and
+ * typed-answer questions the answers they accept, e.g. ['0.97 ± 0.01']
  * @param {Object} question - Question object with options
  * @returns {Array} - Array of correct option numbers
  */
 export function getCorrectOptions(question) {
-  return question.options
-    .filter(option => option.iscorrect)
-    .map(option => option.optionnumber);
+  switch (getQuestionType(question)) {
+    case QUESTION_TYPES.NUMERIC:
+      return [formatNumericAnswer(question.answer)];
+    case QUESTION_TYPES.SHORT_TEXT:
+      return [...question.answer.accepted];
+    case QUESTION_TYPES.ORDERING:
+      return question.options.map(option => option.optionnumber);
+    default:
+      return question.options
+        .filter(option => option.iscorrect)
+        .map(option => option.optionnumber);
+  }
 }
 
 /**
  * Validates if a user's answer is correct for a single question
- * @param {Array} selectedOptions - User's selected option numbers
+ * @param {Array} selectedOptions - User's selected option numbers, typed answer or chosen order
  * @param {Object} question - Question object
  * @returns {boolean} - True if answer is correct
  */
 export function validateAnswer(selectedOptions, question) {
-  const correctOptions = getCorrectOptions(question);
-  return arraysEqual(selectedOptions, correctOptions);
+  const selected = Array.isArray(selectedOptions) ? selectedOptions : [];
+
+  switch (getQuestionType(question)) {
+    case QUESTION_TYPES.NUMERIC:
+      return selected.length === 1 && isNumericAnswerCorrect(selected[0], question.answer);
+    case QUESTION_TYPES.SHORT_TEXT:
+      return selected.length === 1 && isTextAnswerCorrect(selected[0], question.answer);
+    case QUESTION_TYPES.ORDERING: {
+      const correctOrder = getCorrectOptions(question);
+      return selected.length === correctOrder.length &&
+        correctOrder.every((optionNumber, index) => selected[index] === optionNumber);
+    }
+    default:
+      return arraysEqual(selectedOptions, getCorrectOptions(question));
+  }
 }
 
 /**
@@ -46,41 +130,169 @@ export function validateAnswer(selectedOptions, question) {
  * @returns {boolean} - True if question has multiple correct answers
  */
 export function isMultipleChoice(question) {
+  if (getQuestionType(question) !== QUESTION_TYPES.MULTIPLE_CHOICE) {
+    return false;
+  }
   const correctCount = question.options.filter(option => option.iscorrect).length;
   return correctCount > 1;
 }
 
+/**
+ * Describes whether a revealed answer is right, in words for screen readers
+ * @param {Array} selectedOptions - User's selected option numbers, typed answer or chosen order
+ * @param {Object} question - Question object
+ * @returns {string} - e.g. "Correct." or "Incorrect. The correct answers are A and C."
+ */
+export function describeAnswerResult(selectedOptions, question) {
+  if (validateAnswer(selectedOptions, question)) {
+    return 'Correct.';
+  }
+
+  // The correct order is shown under the items; option numbers mean nothing there
+  if (getQuestionType(question) === QUESTION_TYPES.ORDERING) {
+    return 'Incorrect. The correct order is shown below.';
+  }
+
+  const correct = getCorrectOptions(question);
+  if (correct.length === 0) {
+    return 'Incorrect.';
+  }
+  if (correct.length === 1) {
+    return `Incorrect. The correct answer is ${correct[0]}.`;
+  }
+
+  const joiner = isMultipleChoice(question) ? ' and ' : ' or ';
+  return `Incorrect. The correct answers are ${correct.slice(0, -1).join(', ')}${joiner}${correct[correct.length - 1]}.`;
+}
+
+/**
+ * Gets the display name for a scoring policy
+ * @param {string} policy - Scoring policy
+ * @returns {string} - Human readable policy name
+ */
+export function getScoringPolicyDisplayName(policy) {
+  const policyNames = {
+    [SCORING_POLICIES.ALL_OR_NOTHING]: 'All or Nothing',
+    [SCORING_POLICIES.PARTIAL_CREDIT]: 'Partial Credit',
+    [SCORING_POLICIES.NEGATIVE_MARKING]: 'Negative Marking'
+  };
+
+  return policyNames[policy] || policy;
+}
+
+/**
+ * Picks the scoring rules an object sets, ignoring anything else
+ * @param {Object|null} rules - e.g. an assignment's scoring metadata
+ * @returns {Object} - The rules among SCORING_RULE_FIELDS it sets
+ */
+function pickScoringRules(rules) {
+  if (!rules || typeof rules !== 'object') {
+    return {};
+  }
+  return Object.fromEntries(SCORING_RULE_FIELDS
+    .filter(field => rules[field] !== undefined)
+    .map(field => [field, rules[field]]));
+}
+
+/**
+ * Resolves the scoring rules for a quiz
+ * An assignment's scoring metadata overrides the mode rules, which override
+ * the defaults, and its entry for the quiz's mode overrides the rest
+ * @param {string} mode - Quiz mode
+ * @param {Object|null} scoring - The assignment's scoring metadata, e.g.
+ *   { policy: 'partial-credit', modes: { exam: { policy: 'negative-marking' } } }
+ * @returns {Object} - Rules { policy, passPercentage, negativeMark }
+ */
+export function getScoringRules(mode, scoring = null) {
+  return {
+    ...DEFAULT_SCORING_RULES,
+    ...(MODE_SCORING_RULES[mode] || {}),
+    ...pickScoringRules(scoring),
+    ...pickScoringRules(scoring && scoring.modes && scoring.modes[mode])
+  };
+}
+
+/**
+ * Gets the marks a question is worth
+ * Questions may carry an optional positive `weight`, otherwise they are worth 1
+ * @param {Object} question - Question object
+ * @returns {number} - Maximum points for the question
+ */
+export function getQuestionWeight(question) {
+  const weight = Number(question && question.weight);
+  return weight > 0 ? weight : 1;
+}
+
+/**
+ * Rounds points to two decimals to avoid floating point noise
+ * @param {number} points - Raw points
+ * @returns {number} - Rounded points
+ */
+function roundPoints(points) {
+  return Math.round(points * 100) / 100;
+}
+
 /**
  * Calculates the score for a single question
+ * Unanswered questions always score 0, whatever the policy
  * @param {Array} selectedOptions - User's selected option numbers
  * @param {Object} question - Question object
+ * @param {Object} rules - Scoring rules (defaults to all-or-nothing)
  * @returns {Object} - Score object with points and isCorrect
  */
-export function calculateQuestionScore(selectedOptions, question) {
+export function calculateQuestionScore(selectedOptions, question, rules = DEFAULT_SCORING_RULES) {
   const isCorrect = validateAnswer(selectedOptions, question);
+  const maxPoints = getQuestionWeight(question);
+  const selected = Array.isArray(selectedOptions) ? selectedOptions : [];
+
+  if (selected.length === 0) {
+    return { points: 0, isCorrect, maxPoints };
+  }
+
+  if (getQuestionType(question) !== QUESTION_TYPES.MULTIPLE_CHOICE) {
+    return { points: isCorrect ? maxPoints : 0, isCorrect, maxPoints };
+  }
+
+  const correctOptions = getCorrectOptions(question);
+  const hits = selected.filter(option => correctOptions.includes(option)).length;
+  const scorer = POLICY_SCORERS[rules.policy] || POLICY_SCORERS[SCORING_POLICIES.ALL_OR_NOTHING];
+  const fraction = scorer({
+    hits,
+    misses: selected.length - hits,
+    correctCount: correctOptions.length || 1,
+    isCorrect,
+    negativeMark: rules.negativeMark ?? DEFAULT_NEGATIVE_MARK
+  });
+
   return {
-    points: isCorrect ? 1 : 0,
+    points: roundPoints(fraction * maxPoints),
     isCorrect,
-    maxPoints: 1
+    maxPoints
   };
 }
 
 /**
  * Calculates the total score for all questions in a quiz
+ * The percentage is based on points earned, so it reflects the policy and weights,
+ * and never drops below 0 even when negative marks outweigh the rest
  * @param {Array} userAnswers - Array of user answer objects
  * @param {Array} questions - Array of question objects
+ * @param {Object} rules - Scoring rules (defaults to all-or-nothing, 70% to pass)
  * @returns {Object} - Complete score breakdown
  */
-export function calculateTotalScore(userAnswers, questions) {
+export function calculateTotalScore(userAnswers, questions, rules = DEFAULT_SCORING_RULES) {
+  const scoringRules = { ...DEFAULT_SCORING_RULES, ...(rules || {}) };
   let correctCount = 0;
   let totalQuestions = questions.length;
+  let points = 0;
+  let maxPoints = 0;
   const questionScores = [];
 
   questions.forEach((question, index) => {
     const userAnswer = userAnswers[index];
     const selectedOptions = userAnswer ? userAnswer.selectedOptions : [];
     
-    const questionScore = calculateQuestionScore(selectedOptions, question);
+    const questionScore = calculateQuestionScore(selectedOptions, question, scoringRules);
     questionScores.push({
       questionIndex: index,
       ...questionScore,
@@ -88,22 +300,40 @@ export function calculateTotalScore(userAnswers, questions) {
       correctOptions: getCorrectOptions(question)
     });
 
+    points += questionScore.points;
+    maxPoints += questionScore.maxPoints;
+
     if (questionScore.isCorrect) {
       correctCount++;
     }
   });
 
-  const percentage = totalQuestions > 0 ? Math.round((correctCount / totalQuestions) * 100) : 0;
+  const percentage = maxPoints > 0 ? Math.max(0, Math.round((points / maxPoints) * 100)) : 0;
 
   return {
     correct: correctCount,
     total: totalQuestions,
+    points: roundPoints(points),
+    maxPoints: roundPoints(maxPoints),
     percentage,
     questionScores,
-    passed: percentage >= 70 // Assuming 70% is passing grade
+    policy: scoringRules.policy,
+    passPercentage: scoringRules.passPercentage,
+    passed: percentage >= scoringRules.passPercentage
   };
 }
 
+/**
+ * Scores a quiz state with the scoring rules it was started with
+ * This is the single entry point every consumer (results screen, attempt history,
+ * analytics and Firebase logging) uses, so they always report the same score
+ * @param {Object} quizState - Quiz state with questions, userAnswers and scoringRules
+ * @returns {Object} - Complete score breakdown from calculateTotalScore
+ */
+export function scoreQuiz(quizState) {
+  return calculateTotalScore(quizState.userAnswers, quizState.questions, quizState.scoringRules);
+}
+
 /**
  * Gets detailed results for review
  * @param {Array} userAnswers - Array of user answer objects
@@ -123,8 +353,10 @@ export function getDetailedResults(userAnswers, questions) {
       selectedOptions,
       correctOptions,
       isCorrect,
+      isAnswered: selectedOptions.length > 0,
       isMultipleChoice: isMultipleChoice(question),
-      allOptions: question.options.map(opt => ({
+      type: getQuestionType(question),
+      allOptions: (question.options || []).map(opt => ({
         number: opt.optionnumber,
         text: opt.optiontext,
         isCorrect: opt.iscorrect,
@@ -132,4 +364,34 @@ export function getDetailedResults(userAnswers, questions) {
       }))
     };
   });
-}
\ No newline at end of file
+}
+
+/**
+ * Filters available on the answer review screen
+ */
+export const REVIEW_FILTERS = {
+  ALL: 'all',
+  WRONG: 'wrong',
+  RIGHT: 'right',
+  UNANSWERED: 'unanswered',
+  MULTI_ANSWER: 'multi-answer'
+};
+
+/**
+ * Filters detailed results for the answer review screen
+ * Unanswered questions count as wrong, but also have their own filter
+ * @param {Array} detailedResults - Results from getDetailedResults
+ * @param {string} filter - One of REVIEW_FILTERS
+ * @returns {Array} - Matching results
+ */
+export function filterDetailedResults(detailedResults, filter = REVIEW_FILTERS.ALL) {
+  const predicates = {
+    [REVIEW_FILTERS.WRONG]: result => !result.isCorrect,
+    [REVIEW_FILTERS.RIGHT]: result => result.isCorrect,
+    [REVIEW_FILTERS.UNANSWERED]: result => !result.isAnswered,
+    [REVIEW_FILTERS.MULTI_ANSWER]: result => result.isMultipleChoice
+  };
+
+  const predicate = predicates[filter];
+  return predicate ? detailedResults.filter(predicate) : detailedResults;
+}
@@ -1,16 +1,62 @@
 /**
  * Utility functions for shuffling questions and options in test-difficult mode
+ * Every shuffle accepts a seed or random source so an order can be replayed exactly
  */
 
+import { QUESTION_TYPES, getQuestionType } from './questionTypes';
+
+const SEED_PATTERN = /^[a-z0-9]{1,16}$/i;
+
+/**
+ * Generates a short random seed for reproducible shuffles
+ * @returns {string} - Seed made of lowercase letters and digits
+ */
+export function generateSeed() {
+  return Math.floor(Math.random() * 0x7fffffff).toString(36).padStart(6, '0').slice(-6);
+}
+
+/**
+ * Checks whether a value can be used as a shuffle seed
+ * Seeds travel in URLs, so only short alphanumeric strings are accepted
+ * @param {*} seed - Value to check
+ * @returns {boolean} - True if the seed is valid
+ */
+export function isValidSeed(seed) {
+  return typeof seed === 'string' && SEED_PATTERN.test(seed);
+}
+
+/**
+ * Creates a seeded pseudo-random generator (mulberry32)
+ * The same seed always produces the same sequence, so shuffles can be replayed
+ * @param {string|number} seed - Seed value
+ * @returns {Function} - Function returning numbers in [0, 1) like Math.random
+ */
+export function createSeededRandom(seed) {
+  // Hash the seed string into a 32-bit state
+  let state = 0;
+  const text = String(seed);
+  for (let i = 0; i < text.length; i++) {
+    state = Math.imul(31, state) + text.charCodeAt(i) | 0;
+  }
+
+  return function random() {
+    state = state + 0x6D2B79F5 | 0;
+    let t = Math.imul(state ^ state >>> 15, 1 | state);
+    t = t + Math.imul(t ^ t >>> 7, 61 | t) ^ t;
+    return ((t ^ t >>> 14) >>> 0) / 4294967296;
+  };
+}
+
 /**
  * Shuffles an array using Fisher-Yates algorithm
  * @param {Array} array - Array to shuffle
+ * @param {Function} random - Random number source (defaults to Math.random)
  * @returns {Array} - New shuffled array
  */
-export function shuffleArray(array) {
+export function shuffleArray(array, random = Math.random) {
   const shuffled = [...array];
   for (let i = shuffled.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
+    const j = Math.floor(random() * (i + 1));
     [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
   }
   return shuffled;
@@ -19,39 +65,77 @@ export function shuffleArray(array) {
 /**
  * Shuffles questions for test-difficult mode
  * @param {Array} questions - Array of question objects
+ * @param {Function} random - Random number source (defaults to Math.random)
  * @returns {Array} - New array with shuffled questions
  */
-export function shuffleQuestions(questions) {
-  return shuffleArray(questions);
+export function shuffleQuestions(questions, random = Math.random) {
+  return shuffleArray(questions, random);
 }
 
 /**
  * Shuffles options within a single question
+ * Only multiple-choice questions are shuffled: ordering questions keep their
+ * options in the correct order (see getStartingOrder) and typed-answer ones have none
  * @param {Object} question - Question object with options array
+ * @param {Function} random - Random number source (defaults to Math.random)
  * @returns {Object} - New question object with shuffled options
  */
-export function shuffleQuestionOptions(question) {
+export function shuffleQuestionOptions(question, random = Math.random) {
+  if (getQuestionType(question) !== QUESTION_TYPES.MULTIPLE_CHOICE) {
+    return question;
+  }
+
   return {
     ...question,
-    options: shuffleArray(question.options)
+    options: shuffleArray(question.options, random)
   };
 }
 
+/**
+ * Gets the order the items of an ordering question start in
+ * The shuffle is seeded by the question number, so the items start in the same
+ * order on every visit, and it is never the correct order
+ * @param {Object} question - Ordering question, its options in the correct order
+ * @returns {Array<string>} - Option numbers in their starting order
+ */
+export function getStartingOrder(question) {
+  const correctOrder = question.options.map(option => option.optionnumber);
+  const order = shuffleArray(correctOrder, createSeededRandom(`${question.assignmentnumber}-${question.questionnumber}`));
+
+  // Rotate a shuffle that landed on the answer
+  return order.length > 1 && order.every((optionNumber, index) => optionNumber === correctOrder[index])
+    ? [...order.slice(1), order[0]]
+    : order;
+}
+
+/**
+ * Checks whether a mode shuffles questions, and so needs a seed to be replayed
+ * @param {string} mode - Quiz mode
+ * @returns {boolean} - True if the mode shuffles questions and options
+ */
+export function isShuffledMode(mode) {
+  return mode === 'test-difficult';
+}
+
 /**
  * Prepares questions based on the selected mode
  * @param {Array} questions - Array of question objects
  * @param {string} mode - Quiz mode ('learn', 'test-easy', 'test-difficult')
+ * @param {string|null} seed - Shuffle seed; the same seed always gives the same order
  * @returns {Array} - Processed questions array
  */
-export function prepareQuestionsForMode(questions, mode) {
+export function prepareQuestionsForMode(questions, mode, seed = null) {
   let processedQuestions = [...questions];
   
-  if (mode === 'test-difficult') {
+  if (isShuffledMode(mode)) {
+    // One generator for the whole quiz so a seed fixes both orders
+    const random = seed ? createSeededRandom(seed) : Math.random;
+
     // Shuffle question order
-    processedQuestions = shuffleQuestions(processedQuestions);
+    processedQuestions = shuffleQuestions(processedQuestions, random);
     
     // Shuffle options within each question
-    processedQuestions = processedQuestions.map(shuffleQuestionOptions);
+    processedQuestions = processedQuestions.map(question => shuffleQuestionOptions(question, random));
   }
   
   return processedQuestions;
@@ -1,14 +1,21 @@
 /**
- * Local storage utility functions for user name and preferences
+ * Local storage utility functions for user name, preferences, answer and attempt history,
+ * and quizzes left in progress
  * Handles persistent storage of user data across browser sessions
  */
 
 // Storage keys
 const STORAGE_KEYS = {
   USER_NAME: 'ml_quiz_user_name',
-  USER_PREFERENCES: 'ml_quiz_user_preferences'
+  USER_PREFERENCES: 'ml_quiz_user_preferences',
+  QUESTION_HISTORY: 'ml_quiz_question_history',
+  ATTEMPT_HISTORY: 'ml_quiz_attempt_history',
+  QUIZ_PROGRESS: 'ml_quiz_in_progress'
 };
 
+// The theme script in app/layout.js reads preferences before the app loads
+export const USER_PREFERENCES_KEY = STORAGE_KEYS.USER_PREFERENCES;
+
 /**
  * Check if we're running on the client side (browser)
  * @returns {boolean} True if client-side, false if server-side
@@ -160,14 +167,20 @@ export function clearUserPreferences() {
 }
 
 /**
- * Clears all stored user data (name and preferences)
+ * Clears all stored user data: name, preferences, answer and attempt history,
+ * and quizzes left in progress
  * @returns {boolean} True if successful, false otherwise
  */
 export function clearAllUserData() {
   try {
-    const nameCleared = clearUserName();
-    const preferencesCleared = clearUserPreferences();
-    const success = nameCleared && preferencesCleared;
+    const results = [
+      clearUserName(),
+      clearUserPreferences(),
+      clearQuestionHistory(),
+      clearAttemptHistory(),
+      clearAllQuizProgress()
+    ];
+    const success = results.every(Boolean);
     if (!success) {
       throw new Error('Failed to clear all user data');
     }
@@ -176,4 +189,250 @@ export function clearAllUserData() {
     console.error('Error clearing all user data:', error);
     return false;
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Retrieves the per-question answer history used for spaced repetition
+ * @returns {Object} History entries keyed by question key, empty object if none
+ */
+export function getQuestionHistory() {
+  try {
+    if (!isClientSide()) {
+      return {};
+    }
+
+    const historyStr = localStorage.getItem(STORAGE_KEYS.QUESTION_HISTORY);
+    if (!historyStr) {
+      return {};
+    }
+
+    const history = JSON.parse(historyStr);
+    return history && typeof history === 'object' && !Array.isArray(history) ? history : {};
+  } catch (error) {
+    console.error('Error retrieving question history:', error);
+    return {};
+  }
+}
+
+/**
+ * Stores the per-question answer history
+ * @param {Object} history - History entries keyed by question key
+ * @returns {boolean} True if successful, false otherwise
+ */
+export function storeQuestionHistory(history) {
+  try {
+    if (!isClientSide()) {
+      return false;
+    }
+
+    if (!history || typeof history !== 'object' || Array.isArray(history)) {
+      console.warn('Invalid question history provided for storage');
+      return false;
+    }
+
+    localStorage.setItem(STORAGE_KEYS.QUESTION_HISTORY, JSON.stringify(history));
+    return true;
+  } catch (error) {
+    console.error('Error storing question history:', error);
+    return false;
+  }
+}
+
+/**
+ * Clears the stored per-question answer history
+ * @returns {boolean} True if successful, false otherwise
+ */
+export function clearQuestionHistory() {
+  try {
+    if (!isClientSide()) {
+      return false;
+    }
+
+    localStorage.removeItem(STORAGE_KEYS.QUESTION_HISTORY);
+    return true;
+  } catch (error) {
+    console.error('Error clearing question history:', error);
+    return false;
+  }
+}
+
+/**
+ * Retrieves the list of completed quiz attempts
+ * @returns {Array} Attempt records, empty array if none
+ */
+export function getAttemptHistory() {
+  try {
+    if (!isClientSide()) {
+      return [];
+    }
+
+    const attemptsStr = localStorage.getItem(STORAGE_KEYS.ATTEMPT_HISTORY);
+    if (!attemptsStr) {
+      return [];
+    }
+
+    const attempts = JSON.parse(attemptsStr);
+    return Array.isArray(attempts) ? attempts : [];
+  } catch (error) {
+    console.error('Error retrieving attempt history:', error);
+    return [];
+  }
+}
+
+/**
+ * Stores the list of completed quiz attempts
+ * @param {Array} attempts - Attempt records
+ * @returns {boolean} True if successful, false otherwise
+ */
+export function storeAttemptHistory(attempts) {
+  try {
+    if (!isClientSide()) {
+      return false;
+    }
+
+    if (!Array.isArray(attempts)) {
+      console.warn('Invalid attempt history provided for storage');
+      return false;
+    }
+
+    localStorage.setItem(STORAGE_KEYS.ATTEMPT_HISTORY, JSON.stringify(attempts));
+    return true;
+  } catch (error) {
+    console.error('Error storing attempt history:', error);
+    return false;
+  }
+}
+
+/**
+ * Clears the stored quiz attempts
+ * @returns {boolean} True if successful, false otherwise
+ */
+function clearAttemptHistory() {
+  try {
+    if (!isClientSide()) {
+      return false;
+    }
+
+    localStorage.removeItem(STORAGE_KEYS.ATTEMPT_HISTORY);
+    return true;
+  } catch (error) {
+    console.error('Error clearing attempt history:', error);
+    return false;
+  }
+}
+
+/**
+ * Builds the key used to store an in-progress quiz
+ * @param {string|number} assignment - Assignment identifier
+ * @param {string} mode - Quiz mode
+ * @returns {string} Progress key
+ */
+function getQuizProgressKey(assignment, mode) {
+  return `${assignment}:${mode}`;
+}
+
+/**
+ * Retrieves all in-progress quiz snapshots
+ * @returns {Object} Snapshots keyed by "<assignment>:<mode>", empty object if none
+ */
+function getAllQuizProgress() {
+  try {
+    if (!isClientSide()) {
+      return {};
+    }
+
+    const progressStr = localStorage.getItem(STORAGE_KEYS.QUIZ_PROGRESS);
+    if (!progressStr) {
+      return {};
+    }
+
+    const progress = JSON.parse(progressStr);
+    return progress && typeof progress === 'object' && !Array.isArray(progress) ? progress : {};
+  } catch (error) {
+    console.error('Error retrieving quiz progress:', error);
+    return {};
+  }
+}
+
+/**
+ * Retrieves the saved in-progress quiz for an assignment and mode
+ * @param {string|number} assignment - Assignment identifier
+ * @param {string} mode - Quiz mode
+ * @returns {Object|null} Saved quiz snapshot if found, null otherwise
+ */
+export function getQuizProgress(assignment, mode) {
+  return getAllQuizProgress()[getQuizProgressKey(assignment, mode)] || null;
+}
+
+/**
+ * Saves an in-progress quiz snapshot for an assignment and mode
+ * @param {string|number} assignment - Assignment identifier
+ * @param {string} mode - Quiz mode
+ * @param {Object} snapshot - Serialized quiz state
+ * @returns {boolean} True if successful, false otherwise
+ */
+export function storeQuizProgress(assignment, mode, snapshot) {
+  try {
+    if (!isClientSide()) {
+      return false;
+    }
+
+    if (!snapshot || typeof snapshot !== 'object') {
+      console.warn('Invalid quiz progress provided for storage');
+      return false;
+    }
+
+    const progress = getAllQuizProgress();
+    progress[getQuizProgressKey(assignment, mode)] = snapshot;
+    localStorage.setItem(STORAGE_KEYS.QUIZ_PROGRESS, JSON.stringify(progress));
+    return true;
+  } catch (error) {
+    console.error('Error storing quiz progress:', error);
+    return false;
+  }
+}
+
+/**
+ * Discards the saved in-progress quiz for an assignment and mode
+ * @param {string|number} assignment - Assignment identifier
+ * @param {string} mode - Quiz mode
+ * @returns {boolean} True if successful, false otherwise
+ */
+export function clearQuizProgress(assignment, mode) {
+  try {
+    if (!isClientSide()) {
+      return false;
+    }
+
+    const progress = getAllQuizProgress();
+    const key = getQuizProgressKey(assignment, mode);
+    if (!(key in progress)) {
+      return true;
+    }
+
+    delete progress[key];
+    localStorage.setItem(STORAGE_KEYS.QUIZ_PROGRESS, JSON.stringify(progress));
+    return true;
+  } catch (error) {
+    console.error('Error clearing quiz progress:', error);
+    return false;
+  }
+}
+
+/**
+ * Discards every saved in-progress quiz
+ * @returns {boolean} True if successful, false otherwise
+ */
+function clearAllQuizProgress() {
+  try {
+    if (!isClientSide()) {
+      return false;
+    }
+
+    localStorage.removeItem(STORAGE_KEYS.QUIZ_PROGRESS);
+    return true;
+  } catch (error) {
+    console.error('Error clearing quiz progress:', error);
+    return false;
+  }
+}
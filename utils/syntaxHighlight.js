@@ -0,0 +1,128 @@
+/**
+ * Syntax highlighting for code blocks in question text
+ * A small tokenizer for the languages course material uses (Python, JavaScript
+ * and shell); code in other languages is shown unhighlighted
+ */
+
+const PYTHON_KEYWORDS = [
+  'False', 'None', 'True', 'and', 'as', 'assert', 'async', 'await', 'break', 'class', 'continue',
+  'def', 'del', 'elif', 'else', 'except', 'finally', 'for', 'from', 'global', 'if', 'import', 'in',
+  'is', 'lambda', 'nonlocal', 'not', 'or', 'pass', 'raise', 'return', 'try', 'while', 'with', 'yield'
+];
+
+const PYTHON_BUILTINS = [
+  'abs', 'all', 'any', 'dict', 'enumerate', 'float', 'int', 'len', 'list', 'map', 'max', 'min',
+  'print', 'range', 'round', 'set', 'sorted', 'str', 'sum', 'tuple', 'type', 'zip', 'self'
+];
+
+const JAVASCRIPT_KEYWORDS = [
+  'async', 'await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'default', 'delete',
+  'do', 'else', 'export', 'extends', 'false', 'finally', 'for', 'function', 'if', 'import', 'in',
+  'instanceof', 'let', 'new', 'null', 'of', 'return', 'switch', 'this', 'throw', 'true', 'try',
+  'typeof', 'undefined', 'var', 'void', 'while', 'yield'
+];
+
+const SHELL_KEYWORDS = ['case', 'do', 'done', 'elif', 'else', 'esac', 'fi', 'for', 'function', 'if', 'in', 'then', 'while'];
+
+// Token rules per language, tried in order at each position
+const LANGUAGES = {
+  python: {
+    comment: /#.*/y,
+    string: /("""[\s\S]*?"""|'''[\s\S]*?'''|[rbfu]{0,2}"(\\.|[^"\\\n])*"|[rbfu]{0,2}'(\\.|[^'\\\n])*')/iy,
+    keywords: PYTHON_KEYWORDS,
+    builtins: PYTHON_BUILTINS
+  },
+  javascript: {
+    comment: /(\/\/.*|\/\*[\s\S]*?\*\/)/y,
+    string: /("(\\.|[^"\\\n])*"|'(\\.|[^'\\\n])*'|`(\\.|[^`\\])*`)/y,
+    keywords: JAVASCRIPT_KEYWORDS,
+    builtins: ['console', 'Math', 'Array', 'Object', 'JSON', 'Number', 'String']
+  },
+  shell: {
+    comment: /#.*/y,
+    string: /("(\\.|[^"\\])*"|'[^']*')/y,
+    keywords: SHELL_KEYWORDS,
+    builtins: ['cd', 'echo', 'export', 'pip', 'python', 'python3', 'npm', 'git']
+  }
+};
+
+const LANGUAGE_ALIASES = {
+  py: 'python',
+  python3: 'python',
+  js: 'javascript',
+  jsx: 'javascript',
+  sh: 'shell',
+  bash: 'shell',
+  console: 'shell'
+};
+
+const NUMBER_PATTERN = /(0[xX][\da-fA-F]+|(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?j?)\b/y;
+const WORD_PATTERN = /[A-Za-z_$][\w$]*/y;
+
+/**
+ * Gets the language a code block's info string names
+ * @param {string} language - Info string, e.g. "py" or "Python"
+ * @returns {string|null} Supported language name, or null for other languages
+ */
+export function resolveLanguage(language) {
+  const name = String(language || '').trim().toLowerCase();
+  const resolved = LANGUAGE_ALIASES[name] || name;
+  return LANGUAGES[resolved] ? resolved : null;
+}
+
+/**
+ * Splits code into highlighted tokens
+ * @param {string} code - Code block text
+ * @param {string} language - Info string of the code block
+ * @returns {Array<Object>} Tokens { type, text } where type is one of
+ *   'keyword', 'builtin', 'string', 'comment', 'number' or 'text'
+ */
+export function highlightCode(code, language) {
+  const rules = LANGUAGES[resolveLanguage(language)];
+  if (!rules) {
+    return [{ type: 'text', text: code }];
+  }
+
+  const tokens = [];
+  const push = (type, text) => {
+    const last = tokens[tokens.length - 1];
+    if (type === 'text' && last && last.type === 'text') {
+      last.text += text;
+    } else {
+      tokens.push({ type, text });
+    }
+  };
+
+  const match = (pattern, index) => {
+    pattern.lastIndex = index;
+    const found = pattern.exec(code);
+    return found ? found[0] : null;
+  };
+
+  let index = 0;
+  while (index < code.length) {
+    const comment = match(rules.comment, index);
+    const string = comment === null ? match(rules.string, index) : null;
+    // Numbers only start a token at a word boundary, so x1 stays one word
+    const number = comment === null && string === null && !/[\w$]/.test(code[index - 1] || '')
+      ? match(NUMBER_PATTERN, index)
+      : null;
+    const word = comment === null && string === null && number === null ? match(WORD_PATTERN, index) : null;
+
+    if (comment !== null) {
+      push('comment', comment);
+    } else if (string !== null) {
+      push('string', string);
+    } else if (number !== null) {
+      push('number', number);
+    } else if (word !== null) {
+      const type = rules.keywords.includes(word) ? 'keyword' : rules.builtins.includes(word) ? 'builtin' : 'text';
+      push(type, word);
+    } else {
+      push('text', code[index]);
+    }
+    index += (comment || string || number || word || code[index]).length;
+  }
+
+  return tokens;
+}
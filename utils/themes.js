@@ -0,0 +1,127 @@
+/**
+ * Colour themes
+ * The app's colours are CSS variables (see app/globals.css) switched by a
+ * data-theme attribute on <html>: light, dark or high contrast. Users pick one,
+ * or follow their system settings, and the choice is kept in their preferences.
+ * Quizzes can also carry a theme of their own (data-quiz-theme), such as the
+ * mega test's yellow and orange, which high contrast always overrides
+ */
+
+export const THEMES = {
+  LIGHT: 'light',
+  DARK: 'dark',
+  HIGH_CONTRAST: 'high-contrast'
+};
+
+// Follows the system's dark mode and contrast settings
+export const SYSTEM_THEME = 'system';
+
+// Key of the theme in the user's preferences
+export const THEME_PREFERENCE_KEY = 'theme';
+
+// Choices offered to users, in this order
+export const THEME_OPTIONS = [
+  { value: SYSTEM_THEME, label: 'System' },
+  { value: THEMES.LIGHT, label: 'Light' },
+  { value: THEMES.DARK, label: 'Dark' },
+  { value: THEMES.HIGH_CONTRAST, label: 'High contrast' }
+];
+
+// Quiz themes defined in app/globals.css
+export const QUIZ_THEMES = {
+  MEGA: 'mega'
+};
+
+const DARK_QUERY = '(prefers-color-scheme: dark)';
+const CONTRAST_QUERY = '(prefers-contrast: more)';
+
+/**
+ * Checks whether a value is a theme preference users can choose
+ * @param {string} preference - Stored preference
+ * @returns {boolean} True for a theme or the system setting
+ */
+export function isValidThemePreference(preference) {
+  return THEME_OPTIONS.some(option => option.value === preference);
+}
+
+/**
+ * Works out the theme to show for a preference
+ * @param {string} preference - Stored preference; anything unknown follows the system
+ * @param {Object} system - System settings
+ * @param {boolean} system.prefersDark - Whether the system is in dark mode
+ * @param {boolean} system.prefersContrast - Whether the system asks for more contrast
+ * @returns {string} One of THEMES
+ */
+export function resolveTheme(preference, { prefersDark = false, prefersContrast = false } = {}) {
+  if (preference !== SYSTEM_THEME && isValidThemePreference(preference)) {
+    return preference;
+  }
+  if (prefersContrast) return THEMES.HIGH_CONTRAST;
+  return prefersDark ? THEMES.DARK : THEMES.LIGHT;
+}
+
+/**
+ * Reads the system's dark mode and contrast settings
+ * @returns {Object} { prefersDark, prefersContrast }, both false where they can't be read
+ */
+export function getSystemThemeSettings() {
+  if (typeof window === 'undefined' || typeof window.matchMedia !== 'function') {
+    return { prefersDark: false, prefersContrast: false };
+  }
+  return {
+    prefersDark: window.matchMedia(DARK_QUERY).matches,
+    prefersContrast: window.matchMedia(CONTRAST_QUERY).matches
+  };
+}
+
+/**
+ * Shows the theme for a preference by setting data-theme on <html>
+ * @param {string} preference - Stored preference
+ * @returns {string} The theme shown
+ */
+export function applyThemePreference(preference) {
+  const theme = resolveTheme(preference, getSystemThemeSettings());
+  if (typeof document !== 'undefined') {
+    document.documentElement.dataset.theme = theme;
+    document.documentElement.style.colorScheme = theme === THEMES.LIGHT ? 'light' : 'dark';
+  }
+  return theme;
+}
+
+/**
+ * Calls back whenever the system's dark mode or contrast setting changes
+ * @param {Function} callback - Called with no arguments
+ * @returns {Function} Stops listening
+ */
+export function watchSystemTheme(callback) {
+  if (typeof window === 'undefined' || typeof window.matchMedia !== 'function') {
+    return () => {};
+  }
+
+  const queries = [window.matchMedia(DARK_QUERY), window.matchMedia(CONTRAST_QUERY)];
+  queries.forEach(query => query.addEventListener('change', callback));
+  return () => queries.forEach(query => query.removeEventListener('change', callback));
+}
+
+/**
+ * Builds the inline script that sets the theme before the page first paints,
+ * so dark mode users don't see a flash of the light theme. It repeats
+ * resolveTheme, as it runs before any of the app's code loads
+ * @param {string} storageKey - Local storage key of the user's preferences
+ * @returns {string} Script source
+ */
+export function getThemeScript(storageKey) {
+  return `(function () {
+  try {
+    var preferences = JSON.parse(localStorage.getItem(${JSON.stringify(storageKey)}) || '{}') || {};
+    var preference = preferences[${JSON.stringify(THEME_PREFERENCE_KEY)}];
+    var themes = ${JSON.stringify(Object.values(THEMES))};
+    var theme = themes.indexOf(preference) !== -1 ? preference
+      : window.matchMedia(${JSON.stringify(CONTRAST_QUERY)}).matches ? ${JSON.stringify(THEMES.HIGH_CONTRAST)}
+      : window.matchMedia(${JSON.stringify(DARK_QUERY)}).matches ? ${JSON.stringify(THEMES.DARK)}
+      : ${JSON.stringify(THEMES.LIGHT)};
+    document.documentElement.dataset.theme = theme;
+    document.documentElement.style.colorScheme = theme === ${JSON.stringify(THEMES.LIGHT)} ? 'light' : 'dark';
+  } catch (error) {}
+})();`;
+}